@@ -0,0 +1,20 @@
+const js = require("@eslint/js");
+const globals = require("globals");
+
+module.exports = [
+  js.configs.recommended,
+  {
+    files: ["**/*.js"],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: "commonjs",
+      globals: {
+        ...globals.node,
+      },
+    },
+    rules: {
+      // Destructuring is used to drop fields from payloads ({ userId, ...fields })
+      "no-unused-vars": ["error", { ignoreRestSiblings: true, caughtErrors: "none" }],
+    },
+  },
+];
@@ -0,0 +1,74 @@
+const db = require("../src/models");
+const { readTags, tagKey, syncProjectTags } = require("../src/utils/tags");
+
+const { Op } = db.Sequelize;
+
+const BATCH_SIZE = 200;
+
+// Builds each user's tag taxonomy from the legacy Project.tags JSON: creates the
+// tags, links projects and drafts to them (deleted ones too, so a restored project
+// keeps its tags) and rewrites Project.tags with the taxonomy's display names.
+// Safe to re-run: projects already linked are left as they are.
+// Usage: node scripts/backfill-tags.js [--dry-run]
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  const counts = { projects: 0, skipped: 0, failed: 0 };
+  const keysByUser = new Map();
+
+  try {
+    await db.sequelize.authenticate();
+    await db.Tag.sync({ alter: true });
+    await db.ProjectTag.sync({ alter: true });
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const projects = await db.Project.findAll({
+        where: { tags: { [Op.ne]: null }, userId: { [Op.ne]: null } },
+        order: [
+          ["createdAt", "ASC"],
+          ["pid", "ASC"],
+        ],
+        limit: BATCH_SIZE,
+        offset,
+        paranoid: false,
+      });
+      if (projects.length === 0) break;
+
+      for (const project of projects) {
+        const names = readTags(project.tags);
+        if (names.length === 0) {
+          counts.skipped += 1;
+          continue;
+        }
+
+        if (!keysByUser.has(project.userId)) keysByUser.set(project.userId, new Set());
+        names.forEach((name) => keysByUser.get(project.userId).add(tagKey(name)));
+
+        if (dryRun) {
+          counts.projects += 1;
+          continue;
+        }
+
+        try {
+          await db.sequelize.transaction((transaction) => syncProjectTags(project, { transaction }));
+          counts.projects += 1;
+        } catch (error) {
+          counts.failed += 1;
+          console.error(`Project ${project.pid}: ${error.message}`);
+        }
+      }
+    }
+
+    const tags = [...keysByUser.values()].reduce((sum, keys) => sum + keys.size, 0);
+    console.log(
+      `${dryRun ? "[dry run] " : ""}Tagged ${counts.projects} project(s) with ${tags} tag(s) ` +
+        `across ${keysByUser.size} user(s); skipped ${counts.skipped}, failed ${counts.failed}`
+    );
+  } catch (error) {
+    console.error("Failed to backfill tags:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
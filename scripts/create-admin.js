@@ -0,0 +1,69 @@
+const bcrypt = require("bcryptjs");
+const db = require("../src/models");
+const { ROLES, PERMISSIONS } = require("../src/utils/constants");
+const { getPasswordErrors } = require("../src/utils/password");
+
+// Bootstraps the first admin account (later admins are managed via /admin/users)
+const run = async () => {
+  const emailArg = (process.argv[2] || "").trim().toLowerCase();
+  const passwordArg = process.argv[3] || "";
+  const permissionsArg = process.argv[4];
+
+  if (!emailArg || !passwordArg) {
+    console.error(
+      "Usage: node scripts/create-admin.js <email> <password> [comma-separated permissions]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const passwordErrors = getPasswordErrors(passwordArg);
+  if (passwordErrors.length) {
+    console.error(`Password rejected:\n- ${passwordErrors.join("\n- ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const permissions = permissionsArg
+    ? permissionsArg.split(",").map((permission) => permission.trim()).filter(Boolean)
+    : null;
+
+  if (permissions) {
+    const unknown = permissions.filter(
+      (permission) => !Object.values(PERMISSIONS).includes(permission)
+    );
+    if (unknown.length) {
+      console.error(`Unknown permissions: ${unknown.join(", ")}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    await db.User.sync({ alter: true });
+
+    const password = await bcrypt.hash(passwordArg, 10);
+    const user = await db.User.findOne({ where: { email: emailArg } });
+
+    if (user) {
+      await user.update({ role: ROLES.ADMIN, password, permissions });
+      console.log(`Promoted ${emailArg} to admin.`);
+    } else {
+      await db.User.create({
+        email: emailArg,
+        password,
+        role: ROLES.ADMIN,
+        permissions,
+      });
+      console.log(`Created admin ${emailArg}.`);
+    }
+  } catch (error) {
+    console.error("Failed to create admin:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const db = require("../src/models");
+const { parseRatesCsv, importRates } = require("../src/utils/exchangeRates");
+
+// Imports exchange rates from a CSV file with a header row of currency,date,rate
+// (rate = price of 1 unit of the currency in the base currency, PKR).
+// Rates already held for the same currency and day are replaced.
+// Usage: node scripts/import-exchange-rates.js --file rates.csv
+const run = async () => {
+  const fileIndex = process.argv.indexOf("--file");
+  const file = fileIndex > -1 ? process.argv[fileIndex + 1] : null;
+
+  if (!file) {
+    console.error("Usage: node scripts/import-exchange-rates.js --file rates.csv");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const rows = parseRatesCsv(fs.readFileSync(path.resolve(file), "utf8"));
+
+    await db.sequelize.authenticate();
+    await db.ExchangeRate.sync({ alter: true });
+
+    const imported = await importRates(rows, { source: `csv:${path.basename(file)}` });
+    console.log(`Imported ${imported} exchange rate(s)`);
+  } catch (error) {
+    console.error("Failed to import exchange rates:", error.message);
+    (error.errors || []).forEach(({ field, message }) => console.error(`  ${field}: ${message}`));
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,89 @@
+const db = require("../src/models");
+const { replaceMilestones, getReconciliation } = require("../src/utils/milestones");
+
+const { Op } = db.Sequelize;
+
+// Copies the legacy Project.milestones JSON into project_milestones.
+// Safe to re-run: projects that already have milestone rows are skipped.
+// Usage: node scripts/migrate-milestones.js [--dry-run]
+const parseLegacy = (value) => {
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  const counts = { migrated: 0, skipped: 0, failed: 0, unreconciled: 0 };
+
+  try {
+    await db.sequelize.authenticate();
+    await db.ProjectMilestone.sync({ alter: true });
+
+    const projects = await db.Project.findAll({
+      where: { isDraft: false, milestones: { [Op.ne]: null } },
+      order: [["createdAt", "ASC"]],
+    });
+
+    for (const project of projects) {
+      const items = parseLegacy(project.milestones);
+
+      if (!Array.isArray(items) || items.length === 0) {
+        counts.skipped += 1;
+        continue;
+      }
+
+      const existing = await db.ProjectMilestone.count({ where: { projectId: project.pid } });
+      if (existing > 0) {
+        counts.skipped += 1;
+        continue;
+      }
+
+      const reconciliation = getReconciliation(project, items);
+      if (!reconciliation.reconciled) {
+        counts.unreconciled += 1;
+        console.warn(
+          `Project ${project.pid}: milestones add up to ${reconciliation.allocated}, project amount is ${reconciliation.projectAmount}`
+        );
+      }
+
+      if (dryRun) {
+        counts.migrated += 1;
+        continue;
+      }
+
+      try {
+        // Legacy data is copied as-is; mismatches are reported above, not rejected
+        await replaceMilestones(
+          project,
+          items.map((item, index) => ({
+            ...item,
+            title: item.title || item.deliverable || `Milestone ${index + 1}`,
+          })),
+          { reconcile: false }
+        );
+        counts.migrated += 1;
+      } catch (error) {
+        counts.failed += 1;
+        console.error(`Project ${project.pid}: ${error.message}`);
+      }
+    }
+
+    console.log(
+      `${dryRun ? "[dry run] " : ""}Migrated ${counts.migrated}, skipped ${counts.skipped}, ` +
+        `failed ${counts.failed}, not reconciled ${counts.unreconciled}`
+    );
+  } catch (error) {
+    console.error("Failed to migrate milestones:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
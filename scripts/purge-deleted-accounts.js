@@ -0,0 +1,20 @@
+const db = require("../src/models");
+const { purgeDueAccounts } = require("../src/utils/accountDeletion");
+
+// Purges accounts whose self-service deletion grace period has ended.
+// Run daily (e.g. from cron): node scripts/purge-deleted-accounts.js
+const run = async () => {
+  try {
+    await db.sequelize.authenticate();
+
+    const purged = await purgeDueAccounts();
+    console.log(`Purged ${purged} account(s)`);
+  } catch (error) {
+    console.error("Failed to purge deleted accounts:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
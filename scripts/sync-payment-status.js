@@ -0,0 +1,33 @@
+const db = require("../src/models");
+const { syncOverduePayments } = require("../src/utils/payments");
+const { sendToUser } = require("../src/controllers/notification.controller");
+
+// Moves In Progress and Delayed projects whose project, milestone or installment
+// due date has passed with a balance outstanding into Payment Due, and notifies
+// their owners. Run daily (e.g. from cron): node scripts/sync-payment-status.js
+const run = async () => {
+  try {
+    await db.sequelize.authenticate();
+
+    const moved = await syncOverduePayments();
+
+    for (const { project, statusChange } of moved) {
+      await sendToUser(
+        project.userId,
+        "Payment due",
+        `${project.projectName}: ${statusChange.reason}`,
+        "payment_due",
+        { projectId: project.pid }
+      );
+    }
+
+    console.log(`Moved ${moved.length} project(s) to Payment Due`);
+  } catch (error) {
+    console.error("Failed to sync payment status:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run();
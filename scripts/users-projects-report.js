@@ -1,6 +1,10 @@
 const fs = require("fs");
 const path = require("path");
 const { Client } = require("pg");
+const { wrapLine, buildPdf } = require("../src/utils/pdf");
+const { computeProjectTax } = require("../src/utils/tax");
+const { buildRateTable, convertAmount, summarizeInCurrency } = require("../src/utils/currency");
+const { EXCHANGE_RATES } = require("../src/utils/constants");
 require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
 
 const args = process.argv.slice(2);
@@ -37,6 +41,12 @@ const padRight = (value, width) => {
   return text + " ".repeat(width - text.length);
 };
 
+const padLeft = (value, width) => {
+  const text = value || "";
+  if (text.length >= width) return text;
+  return " ".repeat(width - text.length) + text;
+};
+
 const truncate = (value, width) => {
   const text = value || "";
   if (text.length <= width) return text;
@@ -54,113 +64,6 @@ const formatAmount = (value) => {
   return num.toFixed(2);
 };
 
-const wrapLine = (line, maxChars) => {
-  if (line.length <= maxChars) return [line];
-  const words = line.split(" ");
-  const lines = [];
-  let current = "";
-  words.forEach((word) => {
-    const next = current ? `${current} ${word}` : word;
-    if (next.length > maxChars) {
-      if (current) lines.push(current);
-      current = word;
-    } else {
-      current = next;
-    }
-  });
-  if (current) lines.push(current);
-  return lines;
-};
-
-const escapePdfText = (text) =>
-  text.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
-
-const buildPdf = (lines, outputPath) => {
-  const width = 595;
-  const height = 842;
-  const marginLeft = 48;
-  const marginTop = 48;
-  const marginBottom = 48;
-  const lineHeight = 14;
-  const fontSize = 11;
-
-  const maxLinesPerPage = Math.floor(
-    (height - marginTop - marginBottom) / lineHeight
-  );
-
-  const pages = [];
-  for (let i = 0; i < lines.length; i += maxLinesPerPage) {
-    pages.push(lines.slice(i, i + maxLinesPerPage));
-  }
-
-  const totalObjects = 3 + pages.length * 2;
-  const objects = new Array(totalObjects + 1);
-
-  const pageIds = [];
-  const contentIds = [];
-  for (let i = 0; i < pages.length; i += 1) {
-    const contentId = 4 + i * 2;
-    const pageId = 5 + i * 2;
-    contentIds.push(contentId);
-    pageIds.push(pageId);
-  }
-
-  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
-  objects[2] = `<< /Type /Pages /Kids [${pageIds
-    .map((id) => `${id} 0 R`)
-    .join(" ")}] /Count ${pages.length} >>`;
-  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>";
-
-  pages.forEach((pageLines, index) => {
-    const contentId = contentIds[index];
-    const pageId = pageIds[index];
-    let y = height - marginTop;
-    const contentParts = [];
-    contentParts.push("BT");
-    contentParts.push(`/F1 ${fontSize} Tf`);
-    contentParts.push(`${marginLeft} ${y} Td`);
-
-    pageLines.forEach((line, lineIndex) => {
-      const safe = escapePdfText(line);
-      if (lineIndex > 0) {
-        contentParts.push(`0 -${lineHeight} Td`);
-      }
-      contentParts.push(`(${safe}) Tj`);
-    });
-
-    contentParts.push("ET");
-    const contentStream = contentParts.join("\n");
-    const contentBuffer = Buffer.from(contentStream, "utf8");
-
-    objects[contentId] = `<< /Length ${contentBuffer.length} >>\nstream\n${contentStream}\nendstream`;
-    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contentId} 0 R >>`;
-  });
-
-  const output = fs.createWriteStream(outputPath);
-  output.write("%PDF-1.4\n");
-  const xrefPositions = [0];
-
-  for (let i = 1; i < objects.length; i += 1) {
-    xrefPositions.push(output.bytesWritten);
-    output.write(`${i} 0 obj\n`);
-    output.write(objects[i]);
-    output.write("\nendobj\n");
-  }
-
-  const xrefStart = output.bytesWritten;
-  output.write(`xref\n0 ${objects.length}\n`);
-  output.write("0000000000 65535 f \n");
-  for (let i = 1; i < xrefPositions.length; i += 1) {
-    output.write(`${String(xrefPositions[i]).padStart(10, "0")} 00000 n \n`);
-  }
-  output.write("trailer\n");
-  output.write(`<< /Size ${objects.length} /Root 1 0 R >>\n`);
-  output.write("startxref\n");
-  output.write(`${xrefStart}\n`);
-  output.write("%%EOF\n");
-  output.end();
-};
-
 const run = async () => {
   const outputPath = path.resolve(
     argMap.out || path.join(__dirname, "..", "users-projects-report.pdf")
@@ -174,11 +77,17 @@ const run = async () => {
       u."firstName",
       u."lastName",
       u.full_name,
+      u."reportingCurrency",
       p.pid,
       p."projectName",
       p."projectType",
       p."projectAmount",
-      p.currency
+      p.currency,
+      p."taxHandling",
+      p."taxProvince",
+      p.client,
+      p."startDate",
+      p."createdAt"
     FROM "user" u
     LEFT JOIN projects p
       ON p."userId" = u.uid
@@ -186,8 +95,12 @@ const run = async () => {
     ORDER BY u."createdAt" DESC, p."createdAt" DESC
   `;
   const { rows } = await client.query(query);
+  const { rows: taxRules } = await client.query(`SELECT * FROM tax_rules`);
+  const { rows: rates } = await client.query(`SELECT currency, date, rate FROM exchange_rates`);
   await client.end();
 
+  const rateTable = buildRateTable(rates);
+
   const usersMap = new Map();
   rows.forEach((row) => {
     if (!usersMap.has(row.uid)) {
@@ -197,6 +110,7 @@ const run = async () => {
         firstName: row.firstName,
         lastName: row.lastName,
         fullName: row.full_name,
+        reportingCurrency: row.reportingCurrency || EXCHANGE_RATES.BASE_CURRENCY,
         projects: [],
       });
     }
@@ -208,6 +122,8 @@ const run = async () => {
         projectType: row.projectType,
         projectAmount: row.projectAmount,
         currency: row.currency,
+        date: row.startDate || row.createdAt,
+        tax: computeProjectTax(row, taxRules),
       });
     }
   });
@@ -217,11 +133,16 @@ const run = async () => {
   lines.push(`Generated: ${new Date().toISOString()}`);
   lines.push("");
 
+  // Gross = amount billed incl. sales tax; Net = what the creator keeps after sales tax and withholding.
+  // Amounts are in the project's currency, with Net also converted to the user's reporting currency.
   const columnWidths = {
-    name: 40,
-    type: 18,
-    amount: 12,
-    currency: 8,
+    name: 19,
+    currency: 3,
+    gross: 11,
+    salesTax: 10,
+    withholding: 10,
+    net: 11,
+    converted: 11,
   };
 
   usersMap.forEach((user, idx) => {
@@ -230,10 +151,23 @@ const run = async () => {
       `${safeText(user.firstName, "").trim()} ${safeText(user.lastName, "").trim()}`.trim() ||
       "Unnamed User";
     const projects = user.projects || [];
-    const totalAmount = projects.reduce(
-      (sum, project) => sum + (Number(project.projectAmount) || 0),
-      0
+    const summary = summarizeInCurrency(
+      projects
+        .filter((project) => project.tax)
+        .map((project) => ({
+          currency: project.currency,
+          date: project.date,
+          figures: {
+            gross: project.tax.gross,
+            salesTax: project.tax.salesTax,
+            withholding: project.tax.withholdingTax,
+            net: project.tax.net,
+          },
+        })),
+      user.reportingCurrency,
+      rateTable
     );
+    const totals = { gross: 0, salesTax: 0, withholding: 0, net: 0, ...summary.totals };
     const types = [
       ...new Set(
         projects
@@ -252,7 +186,20 @@ const run = async () => {
       `Project types: ${types.length ? types.join(", ") : "None"}`,
       100
     ).forEach((line) => lines.push(line));
-    lines.push(`Total amount: ${formatAmount(totalAmount)}`);
+    lines.push(`Reporting currency: ${summary.currency}`);
+    lines.push(
+      `Gross: ${formatAmount(totals.gross)}  Sales tax: ${formatAmount(totals.salesTax)}  Withholding: ${formatAmount(totals.withholding)}`
+    );
+    lines.push(`Net income: ${formatAmount(totals.net)} ${summary.currency}`);
+    summary.byCurrency
+      .filter((group) => group.currency !== summary.currency)
+      .forEach((group) => {
+        lines.push(
+          group.unconverted
+            ? `  ${group.currency} net ${formatAmount(group.original.net)}: no exchange rate, not included`
+            : `  ${group.currency} net ${formatAmount(group.original.net)} = ${formatAmount(group.converted.net)} ${summary.currency}`
+        );
+      });
     lines.push("");
 
     if (!projects.length) {
@@ -260,30 +207,31 @@ const run = async () => {
       return;
     }
 
-    const header = `${padRight("Project Name", columnWidths.name)} ${padRight(
-      "Type",
-      columnWidths.type
-    )} ${padRight("Amount", columnWidths.amount)} ${padRight(
-      "Currency",
-      columnWidths.currency
-    )}`;
+    const header = [
+      padRight("Project Name", columnWidths.name),
+      padRight("Cur", columnWidths.currency),
+      padLeft("Gross", columnWidths.gross),
+      padLeft("Sales tax", columnWidths.salesTax),
+      padLeft("Withheld", columnWidths.withholding),
+      padLeft("Net", columnWidths.net),
+      padLeft(`Net ${summary.currency}`, columnWidths.converted),
+    ].join(" ");
     lines.push(header);
     lines.push("-".repeat(header.length));
 
     projects.forEach((project) => {
-      const row = `${padRight(
-        truncate(safeText(project.projectName, "Untitled"), columnWidths.name),
-        columnWidths.name
-      )} ${padRight(
-        truncate(safeText(project.projectType, "-"), columnWidths.type),
-        columnWidths.type
-      )} ${padRight(
-        formatAmount(project.projectAmount),
-        columnWidths.amount
-      )} ${padRight(
-        truncate(safeText(project.currency, "-"), columnWidths.currency),
-        columnWidths.currency
-      )}`;
+      const { tax } = project;
+      const converted =
+        tax && convertAmount(tax.net, project.currency, summary.currency, project.date, rateTable);
+      const row = [
+        padRight(truncate(safeText(project.projectName, "Untitled"), columnWidths.name), columnWidths.name),
+        padRight(truncate(safeText(project.currency, "-"), columnWidths.currency), columnWidths.currency),
+        padLeft(tax ? formatAmount(tax.gross) : "-", columnWidths.gross),
+        padLeft(tax ? formatAmount(tax.salesTax) : "-", columnWidths.salesTax),
+        padLeft(tax ? formatAmount(tax.withholdingTax) : "-", columnWidths.withholding),
+        padLeft(tax ? formatAmount(tax.net) : "-", columnWidths.net),
+        padLeft(converted ? formatAmount(converted.amount) : "-", columnWidths.converted),
+      ].join(" ");
       lines.push(row);
     });
   });
@@ -292,7 +240,7 @@ const run = async () => {
     lines.push("No users found.");
   }
 
-  buildPdf(lines, outputPath);
+  fs.writeFileSync(outputPath, buildPdf(lines));
   console.log(outputPath);
 };
 
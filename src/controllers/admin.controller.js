@@ -0,0 +1,312 @@
+const db = require("../models");
+const bcrypt = require("bcryptjs");
+
+const User = db.User;
+const asyncHandler = require("../middlewares/asyncHandler");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+} = require("../middlewares/errorHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES, ROLES, PERMISSIONS, TWO_FACTOR } = require("../utils/constants");
+const { createSession, revokeAllSessions } = require("../utils/session");
+const { getEffectivePermissions, isAdminRole } = require("../utils/permissions");
+const { disableTwoFactor, issueChallenge } = require("../utils/twoFactor");
+const { assertLoginAllowed, recordLoginAttempt } = require("../utils/loginProtection");
+const { mergeAccounts } = require("../utils/accountLinking");
+const { assertPasswordPolicy } = require("../utils/password");
+
+const ADMIN_ATTRIBUTES = ["uid", "email", "firstName", "lastName", "full_name", "role", "permissions", "createdAt"];
+
+/**
+ * Validate a permissions payload against the known permission list
+ * @param {*} permissions - Value from the request body
+ * @returns {string[]|null} - Normalized list, or null for "role defaults"
+ */
+const parsePermissions = (permissions) => {
+  if (permissions === undefined || permissions === null) return null;
+
+  if (!Array.isArray(permissions)) {
+    throw new BadRequestError("permissions must be an array");
+  }
+
+  const known = Object.values(PERMISSIONS);
+  const unknown = permissions.filter((permission) => !known.includes(permission));
+
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown permissions: ${unknown.join(", ")}`);
+  }
+
+  return [...new Set(permissions)];
+};
+
+const formatAdmin = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  full_name: user.full_name,
+  role: user.role,
+  permissions: getEffectivePermissions(user),
+  createdAt: user.createdAt,
+});
+
+/**
+ * @desc    Admin login (database-backed admin accounts)
+ * @route   POST /admin/analytics/login
+ * @access  Public
+ */
+exports.adminLogin = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    throw new BadRequestError("Email and password are required");
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  await assertLoginAllowed(normalizedEmail, req, "admin");
+
+  const user = await User.findOne({
+    where: db.Sequelize.where(
+      db.Sequelize.fn("LOWER", db.Sequelize.col("email")),
+      normalizedEmail
+    ),
+    attributes: [...ADMIN_ATTRIBUTES, "password", "twoFactorEnabled"],
+  });
+
+  // Same response for unknown users, wrong passwords, passwordless accounts and non-admins
+  const isMatch = user?.password ? await bcrypt.compare(password, user.password) : false;
+
+  if (!user || !isMatch || user.role !== ROLES.ADMIN) {
+    logger.warn("Admin login failed", { email: normalizedEmail });
+    await recordLoginAttempt(req, {
+      identifier: normalizedEmail,
+      user,
+      success: false,
+      method: "admin",
+      failureReason: user ? "invalid_admin_credentials" : "unknown_email",
+    });
+    throw new UnauthorizedError("Invalid admin credentials");
+  }
+
+  // Finish via /user/signin/2fa
+  if (user.twoFactorEnabled) {
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.TWO_FACTOR_REQUIRED,
+      twoFactorRequired: true,
+      challengeToken: issueChallenge(user),
+      challengeExpiresIn: TWO_FACTOR.CHALLENGE_EXPIRY,
+    });
+  }
+
+  const tokens = await createSession(user, req);
+  await recordLoginAttempt(req, { identifier: normalizedEmail, user, success: true, method: "admin" });
+
+  logger.info("Admin login successful", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Admin login successful",
+    ...tokens,
+    admin: formatAdmin(user),
+  });
+});
+
+/**
+ * @desc    List admin accounts
+ * @route   GET /admin/users
+ * @access  Private (Admin - admins:manage)
+ */
+exports.listAdmins = asyncHandler(async (req, res) => {
+  const admins = await User.findAll({
+    where: { role: ROLES.ADMIN },
+    attributes: ADMIN_ATTRIBUTES,
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Admins"),
+    count: admins.length,
+    admins: admins.map(formatAdmin),
+  });
+});
+
+/**
+ * @desc    Create a new admin account, or promote an existing user
+ * @route   POST /admin/users
+ * @access  Private (Admin - admins:manage)
+ */
+exports.createAdmin = asyncHandler(async (req, res) => {
+  const { email, password, firstName, lastName } = req.body;
+  const permissions = parsePermissions(req.body.permissions);
+
+  if (!email) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Email"));
+  }
+
+  const existingUser = await User.findOne({
+    where: db.Sequelize.where(
+      db.Sequelize.fn("LOWER", db.Sequelize.col("email")),
+      email.trim().toLowerCase()
+    ),
+    attributes: ADMIN_ATTRIBUTES,
+  });
+
+  if (existingUser) {
+    if (existingUser.role === ROLES.ADMIN) {
+      throw new ConflictError(MESSAGES.ERROR.ALREADY_EXISTS("Admin with this email"));
+    }
+
+    await existingUser.update({ role: ROLES.ADMIN, permissions });
+    // Existing tokens carry the old role; force a fresh sign-in
+    await revokeAllSessions(existingUser.uid, "role_changed");
+
+    logger.info("User promoted to admin", { userId: existingUser.uid, by: req.user.uid });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.UPDATED("Admin"),
+      admin: formatAdmin(existingUser),
+    });
+  }
+
+  assertPasswordPolicy(password);
+
+  const admin = await User.create({
+    email: email.trim().toLowerCase(),
+    password: await bcrypt.hash(password, 10),
+    firstName,
+    lastName,
+    full_name: [firstName, lastName].filter(Boolean).join(" ") || null,
+    role: ROLES.ADMIN,
+    permissions,
+  });
+
+  logger.info("Admin created", { userId: admin.uid, by: req.user.uid });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.CREATED("Admin"),
+    admin: formatAdmin(admin),
+  });
+});
+
+/**
+ * @desc    Update an admin's permissions or revoke admin access
+ * @route   PUT /admin/users/:userId
+ * @access  Private (Admin - admins:manage)
+ */
+exports.updateAdmin = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { revokeAdmin } = req.body;
+
+  const admin = await User.findOne({
+    where: { uid: userId, role: ROLES.ADMIN },
+    attributes: ADMIN_ATTRIBUTES,
+  });
+
+  if (!admin) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Admin"));
+  }
+
+  if (admin.uid === req.user.uid) {
+    throw new BadRequestError("You cannot change your own admin access");
+  }
+
+  const updates = revokeAdmin
+    ? { role: ROLES.CREATOR, permissions: null }
+    : { permissions: parsePermissions(req.body.permissions) };
+
+  await admin.update(updates);
+  await revokeAllSessions(admin.uid, "permissions_changed");
+
+  logger.info("Admin access updated", { userId: admin.uid, by: req.user.uid, revokeAdmin: !!revokeAdmin });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Admin"),
+    admin: formatAdmin(admin),
+  });
+});
+
+/**
+ * @desc    Force-reset a user's two-factor authentication (e.g. lost device)
+ * @route   POST /admin/users/:userId/2fa/reset
+ * @access  Private (Admin - users:manage)
+ */
+exports.resetTwoFactor = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (userId === req.user.uid) {
+    throw new BadRequestError("You cannot reset your own two-factor authentication");
+  }
+
+  const user = await User.findOne({
+    where: { uid: userId },
+    attributes: ["uid", "email", "twoFactorEnabled"],
+  });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_NOT_ENABLED);
+  }
+
+  await disableTwoFactor(user);
+  await revokeAllSessions(user.uid, "2fa_reset");
+
+  logger.info("Two-factor authentication reset by admin", { userId: user.uid, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.TWO_FACTOR_DISABLED,
+  });
+});
+
+/**
+ * @desc    Merge a duplicate account into another (re-points projects, clients, tokens, notifications)
+ * @route   POST /admin/users/merge
+ * @access  Private (users:manage)
+ */
+exports.mergeUsers = asyncHandler(async (req, res) => {
+  const { sourceUserId, targetUserId } = req.body;
+
+  if (!sourceUserId || !targetUserId) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("sourceUserId and targetUserId"));
+  }
+
+  if (sourceUserId === targetUserId) {
+    throw new BadRequestError("Cannot merge an account into itself");
+  }
+
+  const [source, target] = await Promise.all([
+    User.findOne({ where: { uid: sourceUserId } }),
+    User.findOne({ where: { uid: targetUserId } }),
+  ]);
+
+  if (!source || !target) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  // Admin accounts are managed through /admin/users only
+  if (isAdminRole(source.role) || isAdminRole(target.role)) {
+    throw new BadRequestError("Admin accounts cannot be merged");
+  }
+
+  const moved = await mergeAccounts(source, target);
+
+  logger.info("Accounts merged by admin", { sourceUserId, targetUserId, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.ACCOUNTS_MERGED,
+    moved,
+    user: { uid: target.uid, email: target.email, phone: target.phone },
+  });
+});
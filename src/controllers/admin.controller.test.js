@@ -0,0 +1,79 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const email = require("../utils/email");
+
+// Replaced before the controller's helpers take their references, so no email is sent
+Object.keys(email).forEach((name) => {
+  if (typeof email[name] === "function") email[name] = mock.fn(async () => true);
+});
+
+const controller = require("./admin.controller");
+const { ROLES } = require("../utils/constants");
+
+/**
+ * Run a handler; resolves with { error } when it calls next, otherwise { status, body }
+ */
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler({ ip: "10.0.0.1", headers: {}, params: {}, query: {}, body: {}, ...req }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+/**
+ * Stub the sign-in audit trail; returns the LoginAttempt.create mock
+ */
+const mockSigninAudit = () => {
+  mock.method(db.LoginAttempt, "max", async () => null);
+  mock.method(db.LoginAttempt, "count", async () => 0);
+  mock.method(db.LoginAttempt, "findAll", async () => []);
+  return mock.method(db.LoginAttempt, "create", async (values) => values);
+};
+
+const login = { body: { email: "Admin@Example.com", password: "Sup3r-secret!" } };
+
+afterEach(() => mock.restoreAll());
+
+describe("adminLogin", () => {
+  it("refuses an admin account that has no password like a wrong password", async () => {
+    const audit = mockSigninAudit();
+    const admin = db.User.build({ uid: "admin-1", email: "admin@example.com", role: ROLES.ADMIN, password: null });
+    mock.method(db.User, "findOne", async () => admin);
+
+    const { error } = await run(controller.adminLogin, login);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(audit.mock.calls[0].arguments[0].failureReason, "invalid_admin_credentials");
+  });
+
+  it("signs in an admin whose password matches", async () => {
+    mockSigninAudit();
+    const admin = db.User.build({
+      uid: "admin-1",
+      email: "admin@example.com",
+      role: ROLES.ADMIN,
+      password: await bcrypt.hash("Sup3r-secret!", 4),
+    });
+    mock.method(db.User, "findOne", async () => admin);
+    mock.method(db.Session, "create", async (values) => ({ id: "session-1", ...values }));
+
+    const { status, body } = await run(controller.adminLogin, login);
+
+    assert.equal(status, 200);
+    assert.equal(body.admin.uid, "admin-1");
+  });
+});
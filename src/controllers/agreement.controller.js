@@ -0,0 +1,144 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { recordActivity } = require("../utils/activityLog");
+const { getClientContext } = require("../utils/session");
+const { sendToUser } = require("./notification.controller");
+const {
+  sendAgreement,
+  findByToken,
+  viewAgreement,
+  acceptAgreement,
+  listAgreements,
+  getCurrentAgreement,
+  toOwnerView,
+  renderAgreementPdf,
+  pdfFileName,
+} = require("../utils/agreements");
+
+const sendPdf = (res, agreement) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${pdfFileName(agreement)}"`);
+  res.status(HTTP_STATUS.OK).send(renderAgreementPdf(agreement));
+};
+
+/**
+ * @desc    Generate an agreement from the project terms and email the review link
+ * @route   POST /project/:id/agreement
+ * @access  Private
+ */
+exports.sendAgreement = asyncHandler(async (req, res) => {
+  const project = req.resource;
+
+  const { agreement, url, sentTo, emailSent } = await sendAgreement(project, { email: req.body?.email });
+
+  logger.info("Agreement sent", { projectId: project.pid, agreementId: agreement.id, version: agreement.version, emailSent });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.AGREEMENT_SENT(sentTo),
+    data: toOwnerView(agreement),
+    // The link can also be shared another way if the email didn't arrive
+    url,
+    emailSent,
+  });
+});
+
+/**
+ * @desc    All agreement versions for a project
+ * @route   GET /project/:id/agreement
+ * @access  Private
+ */
+exports.listAgreements = asyncHandler(async (req, res) => {
+  const agreements = await listAgreements(req.resource.pid);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Agreements"),
+    count: agreements.length,
+    data: agreements,
+    agree: req.resource.agree,
+  });
+});
+
+/**
+ * @desc    Download the project's agreement (latest accepted, else latest sent) as PDF
+ * @route   GET /project/:id/agreement.pdf
+ * @access  Private
+ */
+exports.downloadProjectAgreement = asyncHandler(async (req, res) => {
+  sendPdf(res, await getCurrentAgreement(req.resource.pid));
+});
+
+/**
+ * @desc    Agreement for the client's review page
+ * @route   GET /agreements/:token
+ * @access  Public (link token)
+ */
+exports.viewAgreement = asyncHandler(async (req, res) => {
+  const agreement = await viewAgreement(req.params.token);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Agreement"),
+    data: agreement,
+  });
+});
+
+/**
+ * @desc    Download the agreement as PDF
+ * @route   GET /agreements/:token.pdf
+ * @access  Public (link token)
+ */
+exports.downloadAgreement = asyncHandler(async (req, res) => {
+  sendPdf(res, await findByToken(req.params.token));
+});
+
+/**
+ * @desc    Accept the agreement (typed name; moves the project to Signed)
+ * @route   POST /agreements/:token/accept
+ * @access  Public (link token)
+ */
+exports.acceptAgreement = asyncHandler(async (req, res) => {
+  const { ipAddress, userAgent } = getClientContext(req);
+
+  const { agreement, project, before, statusChange } = await acceptAgreement(req.params.token, req.body, {
+    ipAddress,
+    userAgent,
+  });
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: project,
+    action: statusChange ? "status_change" : "update",
+    before,
+    metadata: {
+      agreementId: agreement.id,
+      version: agreement.version,
+      acceptedBy: agreement.acceptedName,
+      ...(statusChange && { reason: statusChange.reason }),
+    },
+  });
+
+  sendToUser(
+    project.userId,
+    "Agreement accepted",
+    `${agreement.acceptedName} accepted the agreement for ${project.projectName}`,
+    "agreement_accepted",
+    { projectId: project.pid, agreementId: agreement.id }
+  );
+
+  logger.info("Agreement accepted", { projectId: project.pid, agreementId: agreement.id, version: agreement.version });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.AGREEMENT_ACCEPTED,
+    data: {
+      version: agreement.version,
+      status: agreement.status,
+      documentHash: agreement.documentHash,
+      acceptedAt: agreement.acceptedAt,
+      acceptedName: agreement.acceptedName,
+    },
+  });
+});
@@ -1,6 +1,11 @@
 const db = require("../models");
 const asyncHandler = require("../middlewares/asyncHandler");
 const { Op, fn, col, literal } = require("sequelize");
+const { PRIVATE_USER_FIELDS } = require("../utils/constants");
+const { computeProjectTax } = require("../utils/tax");
+const { loadTaxRules } = require("../utils/taxRules");
+const { summarizeInCurrency } = require("../utils/currency");
+const { loadRateTable, parseReportingCurrency, getReportingCurrency } = require("../utils/exchangeRates");
 
 const Analytics = db.Analytics;
 
@@ -480,7 +485,7 @@ const getAdminDashboard = asyncHandler(async (req, res) => {
 
   // Get all users with their projects and clients counts
   const users = await User.findAll({
-    attributes: { exclude: ["password", "resetPasswordToken", "resetPasswordExpires"] },
+    attributes: { exclude: PRIVATE_USER_FIELDS },
     order: [["createdAt", "DESC"]],
     include: [
       {
@@ -569,14 +574,35 @@ const getAdminDashboard = asyncHandler(async (req, res) => {
     raw: true,
   });
 
-  // Total revenue (sum of projectAmount)
-  const revenueResult = await Project.findOne({
-    attributes: [
-      [fn("SUM", col("projectAmount")), "totalRevenue"],
-    ],
-    raw: true,
-  });
-  const totalRevenue = parseFloat(revenueResult?.totalRevenue) || 0;
+  // Revenue across finished (non-draft) projects, after tax and converted to one currency
+  // (?currency=, else the admin's reporting currency) at the rate for each project's date;
+  // totalRevenue is net income
+  const reportingCurrency =
+    parseReportingCurrency(req.query.currency, "currency") ||
+    getReportingCurrency(await User.findByPk(req.user.uid, { attributes: ["reportingCurrency"] }));
+
+  const [revenueProjects, taxRules, rateTable] = await Promise.all([
+    Project.findAll({
+      where: { isDraft: false, projectAmount: { [Op.ne]: null } },
+      attributes: ["pid", "projectAmount", "currency", "taxHandling", "taxProvince", "client", "startDate", "createdAt"],
+      raw: true,
+    }),
+    loadTaxRules(),
+    loadRateTable(),
+  ]);
+  const revenue = summarizeInCurrency(
+    revenueProjects.map((project) => {
+      const tax = computeProjectTax(project, taxRules);
+      return {
+        currency: project.currency,
+        date: project.startDate || project.createdAt,
+        figures: { gross: tax.gross, salesTax: tax.salesTax, withholdingTax: tax.withholdingTax, net: tax.net },
+      };
+    }),
+    reportingCurrency,
+    rateTable
+  );
+  const totalRevenue = revenue.totals.net || 0;
 
   // ==========================================
   // Performance Metrics - Average durations (with date filtering)
@@ -942,6 +968,14 @@ const getAdminDashboard = asyncHandler(async (req, res) => {
         recentSignups,
         usersWithProjects,
         totalRevenue,
+        grossRevenue: revenue.totals.gross || 0,
+        salesTaxTotal: revenue.totals.salesTax || 0,
+        withholdingTaxTotal: revenue.totals.withholdingTax || 0,
+        revenueCurrency: revenue.currency,
+        // Original amounts per currency beside their converted figures
+        revenueByCurrency: revenue.byCurrency,
+        // Projects whose currency has no exchange rate (left out of the totals above)
+        unconvertedProjects: revenue.unconverted,
       },
       users: usersData,
       projectsByStatus,
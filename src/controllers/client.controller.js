@@ -10,6 +10,7 @@ const {
 } = require("../middlewares/errorHandler");
 const logger = require("../utils/logger");
 const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { snapshot, recordActivity } = require("../utils/activityLog");
 
 /**
  * @desc    Create new client
@@ -52,6 +53,7 @@ exports.createClient = asyncHandler(async (req, res) => {
     userId,
   });
 
+  await recordActivity(req, { entityType: "client", entity: client, action: "create" });
   logger.info("Client created", { clientId: client.cid });
 
   res.status(HTTP_STATUS.CREATED).json({
@@ -137,11 +139,9 @@ exports.updateClient = asyncHandler(async (req, res) => {
 
   logger.info("Update client request", { clientId: id });
 
-  const client = await Client.findOne({ where: { cid: id } });
-
-  if (!client) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Client"));
-  }
+  // Loaded and ownership-checked by the policy layer
+  const client = req.resource;
+  const before = snapshot(client);
 
   // Check for duplicate phone
   if (phone && phone !== client.phone) {
@@ -165,6 +165,7 @@ exports.updateClient = asyncHandler(async (req, res) => {
     contactPersonRole,
   });
 
+  await recordActivity(req, { entityType: "client", entity: client, action: "update", before });
   logger.info("Client updated", { clientId: id });
 
   res.status(HTTP_STATUS.OK).json({
@@ -213,7 +214,8 @@ exports.getClientsByUser = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getClientsByUserPost = asyncHandler(async (req, res) => {
-  const userId = req.user?.uid || req.body.userId;
+  // Scoped to the acting user by the policy layer
+  const userId = req.body.userId;
 
   if (!userId) {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("User ID"));
@@ -0,0 +1,64 @@
+const db = require("../models");
+const asyncHandler = require("../middlewares/asyncHandler");
+const { NotFoundError } = require("../middlewares/errorHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { parseRatesCsv, importRates, listRates } = require("../utils/exchangeRates");
+
+/**
+ * @desc    List exchange rates (?currency=, ?from=, ?to=)
+ * @route   GET /admin/exchange-rates
+ * @access  Private (Admin, exchange_rates:manage)
+ */
+exports.listRates = asyncHandler(async (req, res) => {
+  const rates = await listRates(req.query);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Exchange rates"),
+    count: rates.length,
+    data: rates,
+  });
+});
+
+/**
+ * @desc    Import exchange rates from a CSV upload (currency,date,rate) or a JSON `rates` array.
+ *          Rates already held for the same currency and day are replaced
+ * @route   POST /admin/exchange-rates
+ * @access  Private (Admin, exchange_rates:manage)
+ */
+exports.importRates = asyncHandler(async (req, res) => {
+  const rows = req.file ? parseRatesCsv(req.file.buffer.toString("utf8")) : req.body?.rates;
+  const source = req.file ? `csv:${req.file.originalname}` : "admin";
+
+  const imported = await importRates(rows, { source });
+
+  logger.info("Exchange rates imported", { imported, source, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.EXCHANGE_RATES_IMPORTED(imported),
+    imported,
+  });
+});
+
+/**
+ * @desc    Delete an exchange rate
+ * @route   DELETE /admin/exchange-rates/:id
+ * @access  Private (Admin, exchange_rates:manage)
+ */
+exports.deleteRate = asyncHandler(async (req, res) => {
+  const rate = await db.ExchangeRate.findByPk(req.params.id);
+  if (!rate) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Exchange rate"));
+  }
+
+  await rate.destroy();
+
+  logger.info("Exchange rate deleted", { rateId: rate.id, currency: rate.currency, date: rate.date, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETED("Exchange rate"),
+  });
+});
@@ -0,0 +1,139 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const {
+  createInvoice,
+  updateInvoice,
+  changeInvoiceStatus,
+  renderInvoicePdf,
+  sendInvoice,
+  listInvoices,
+} = require("../utils/invoices");
+
+/**
+ * The invoice's project, even if it has since been soft-deleted
+ */
+const loadProject = (invoice) => invoice.getProject({ paranoid: false });
+
+/**
+ * @desc    List the acting user's invoices (?status=sent, ?projectId=)
+ * @route   GET /invoices
+ * @access  Private
+ */
+exports.listInvoices = asyncHandler(async (req, res) => {
+  const userId = req.query.userId || req.actor.uid;
+  const { status, projectId } = req.query;
+
+  const invoices = await listInvoices(userId, { status, projectId });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Invoices"),
+    count: invoices.length,
+    data: invoices,
+  });
+});
+
+/**
+ * @desc    Draft an invoice for a project (whole amount, milestoneIds, installmentIds or items)
+ * @route   POST /invoices
+ * @access  Private
+ */
+exports.createInvoice = asyncHandler(async (req, res) => {
+  const project = req.resource;
+
+  const invoice = await createInvoice(project, req.body);
+
+  logger.info("Invoice created", { projectId: project.pid, invoiceId: invoice.id, number: invoice.number });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.CREATED("Invoice"),
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Get an invoice
+ * @route   GET /invoices/:id
+ * @access  Private
+ */
+exports.getInvoice = asyncHandler(async (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Invoice"),
+    data: req.resource,
+  });
+});
+
+/**
+ * @desc    Download an invoice as PDF
+ * @route   GET /invoices/:id.pdf
+ * @access  Private
+ */
+exports.downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const invoice = req.resource;
+  const pdf = renderInvoicePdf(invoice, await loadProject(invoice));
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${invoice.number}.pdf"`);
+  res.status(HTTP_STATUS.OK).send(pdf);
+});
+
+/**
+ * @desc    Edit a draft invoice
+ * @route   PUT /invoices/:id
+ * @access  Private
+ */
+exports.updateInvoice = asyncHandler(async (req, res) => {
+  const invoice = req.resource;
+
+  await updateInvoice(invoice, await loadProject(invoice), req.body);
+
+  logger.info("Invoice updated", { invoiceId: invoice.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Invoice"),
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Change an invoice's status (sent, paid, void)
+ * @route   POST /invoices/:id/status
+ * @access  Private
+ */
+exports.changeInvoiceStatus = asyncHandler(async (req, res) => {
+  const invoice = req.resource;
+  const from = invoice.status;
+
+  await changeInvoiceStatus(invoice, req.body);
+
+  logger.info("Invoice status changed", { invoiceId: invoice.id, from, to: invoice.status });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.INVOICE_STATUS_CHANGED(invoice.number, invoice.status),
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Email an invoice PDF to the project's contactEmail (or body.email)
+ * @route   POST /invoices/:id/send
+ * @access  Private
+ */
+exports.sendInvoice = asyncHandler(async (req, res) => {
+  const invoice = req.resource;
+
+  const { sentTo } = await sendInvoice(invoice, await loadProject(invoice), { email: req.body?.email });
+
+  logger.info("Invoice emailed", { invoiceId: invoice.id, sentTo });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.INVOICE_SENT(invoice.number, sentTo),
+    data: invoice,
+  });
+});
@@ -0,0 +1,129 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { snapshot, recordActivity } = require("../utils/activityLog");
+const {
+  getReconciliation,
+  listMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  replaceMilestones,
+} = require("../utils/milestones");
+
+/**
+ * Milestone changes show up on the project timeline through Project.milestones
+ */
+const recordMilestoneActivity = (req, project, before) =>
+  recordActivity(req, { entityType: "project", entity: project, action: "update", before });
+
+/**
+ * @desc    List a project's milestones (?status=paid, ?overdue=true)
+ * @route   GET /project/:id/milestones
+ * @access  Private
+ */
+exports.listMilestones = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const { status, overdue } = req.query;
+
+  const [milestones, all] = await Promise.all([
+    listMilestones(project.pid, { status, overdue: overdue === "true" }),
+    listMilestones(project.pid),
+  ]);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Milestones"),
+    count: milestones.length,
+    data: milestones,
+    reconciliation: getReconciliation(project, all),
+  });
+});
+
+/**
+ * @desc    Add a milestone
+ * @route   POST /project/:id/milestones
+ * @access  Private
+ */
+exports.createMilestone = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+
+  const milestone = await createMilestone(project, req.body);
+  await recordMilestoneActivity(req, project, before);
+
+  logger.info("Milestone created", { projectId: project.pid, milestoneId: milestone.id });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.CREATED("Milestone"),
+    data: milestone,
+    reconciliation: getReconciliation(project, project.milestones),
+  });
+});
+
+/**
+ * @desc    Replace all milestones (amounts must add up to projectAmount for "multiple")
+ * @route   PUT /project/:id/milestones
+ * @access  Private
+ */
+exports.replaceMilestones = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+
+  const milestones = await replaceMilestones(project, req.body.milestones, { exact: true });
+  await recordMilestoneActivity(req, project, before);
+
+  logger.info("Milestones replaced", { projectId: project.pid, count: milestones.length });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.MILESTONES_REPLACED,
+    count: milestones.length,
+    data: milestones,
+    reconciliation: getReconciliation(project, milestones),
+  });
+});
+
+/**
+ * @desc    Update a milestone (e.g. { status: "paid" })
+ * @route   PUT /project/:id/milestones/:milestoneId
+ * @access  Private
+ */
+exports.updateMilestone = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+
+  const milestone = await updateMilestone(project, req.params.milestoneId, req.body);
+  await recordMilestoneActivity(req, project, before);
+
+  logger.info("Milestone updated", { projectId: project.pid, milestoneId: milestone.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Milestone"),
+    data: milestone,
+    reconciliation: getReconciliation(project, project.milestones),
+  });
+});
+
+/**
+ * @desc    Delete a milestone
+ * @route   DELETE /project/:id/milestones/:milestoneId
+ * @access  Private
+ */
+exports.deleteMilestone = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+
+  await deleteMilestone(project, req.params.milestoneId);
+  await recordMilestoneActivity(req, project, before);
+
+  logger.info("Milestone deleted", { projectId: project.pid, milestoneId: req.params.milestoneId });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETED("Milestone"),
+    reconciliation: getReconciliation(project, project.milestones),
+  });
+});
@@ -3,7 +3,6 @@ const { Expo } = require("expo-server-sdk");
 
 const PushToken = db.PushToken;
 const Notification = db.Notification;
-const User = db.User;
 
 const asyncHandler = require("../middlewares/asyncHandler");
 const {
@@ -0,0 +1,122 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { cloudinary } = require("../config/cloudinary");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { snapshot, recordActivity } = require("../utils/activityLog");
+const { sendToUser } = require("./notification.controller");
+const { getPaymentSummary, recordPayment, deletePayment, listPayments } = require("../utils/payments");
+const { getSchedule } = require("../utils/installments");
+
+/**
+ * Status changes and milestone settlements caused by a payment go on the project timeline
+ */
+const recordPaymentActivity = (req, project, before, statusChange, metadata) =>
+  recordActivity(req, {
+    entityType: "project",
+    entity: project,
+    action: statusChange ? "status_change" : "update",
+    before,
+    metadata: statusChange ? { reason: statusChange.reason, ...metadata } : metadata,
+  });
+
+/**
+ * @desc    List payments and balance for a project
+ * @route   GET /project/:id/payments
+ * @access  Private
+ */
+exports.listPayments = asyncHandler(async (req, res) => {
+  const project = req.resource;
+
+  const [payments, summary] = await Promise.all([listPayments(project.pid), getPaymentSummary(project)]);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Payments"),
+    count: payments.length,
+    data: payments,
+    summary,
+  });
+});
+
+/**
+ * @desc    Installment schedule for a recurring-payment project
+ * @route   GET /project/:id/schedule
+ * @access  Private
+ */
+exports.getSchedule = asyncHandler(async (req, res) => {
+  const { installments, summary } = await getSchedule(req.resource);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Payment schedule"),
+    count: installments.length,
+    data: installments,
+    summary,
+  });
+});
+
+/**
+ * @desc    Record a payment received (multipart; optional `paymentProof` image)
+ * @route   POST /project/:id/payments
+ * @access  Private
+ */
+exports.recordPayment = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+
+  let result;
+  try {
+    result = await recordPayment(project, req.body, req.file);
+  } catch (error) {
+    // The proof was already uploaded by the middleware
+    if (req.file?.filename) {
+      cloudinary.uploader.destroy(req.file.filename).catch(() => {});
+    }
+    throw error;
+  }
+
+  const { payment, summary, statusChange } = result;
+
+  await recordPaymentActivity(req, project, before, statusChange, { paymentId: payment.id });
+
+  sendToUser(
+    project.userId,
+    "Payment received",
+    `${payment.currency} ${Number(payment.amount)} received for ${project.projectName}`,
+    "payment_received",
+    { projectId: project.pid, paymentId: payment.id }
+  );
+
+  logger.info("Payment recorded", { projectId: project.pid, paymentId: payment.id, amount: payment.amount });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PAYMENT_RECORDED,
+    data: payment,
+    summary,
+    projectStatus: project.projectStatus,
+  });
+});
+
+/**
+ * @desc    Delete a recorded payment
+ * @route   DELETE /project/:id/payments/:paymentId
+ * @access  Private
+ */
+exports.deletePayment = asyncHandler(async (req, res) => {
+  const project = req.resource;
+  const before = snapshot(project);
+  const { paymentId } = req.params;
+
+  const { summary, statusChange } = await deletePayment(project, paymentId);
+  await recordPaymentActivity(req, project, before, statusChange, { paymentId, deleted: true });
+
+  logger.info("Payment deleted", { projectId: project.pid, paymentId });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETED("Payment"),
+    summary,
+    projectStatus: project.projectStatus,
+  });
+});
@@ -7,17 +7,64 @@ const {
   BadRequestError,
   NotFoundError,
   ForbiddenError,
+  ConflictError,
 } = require("../middlewares/errorHandler");
 const logger = require("../utils/logger");
+const { setPortfolioVisibility } = require("../utils/publicProfile");
+const projectStatus = require("../utils/projectStatus");
+const { snapshot, diffChanges, recordActivity, getProjectActivity } = require("../utils/activityLog");
+const {
+  validateMilestoneList,
+  replaceMilestones,
+  assertMilestoneTotals,
+  readEmbedded,
+} = require("../utils/milestones");
+const { getPaymentSummary, getReceivedTotals, refreshPaymentStatus } = require("../utils/payments");
+const { generateSchedule } = require("../utils/installments");
+const { normalizeProjectTaxFields, getProjectTax, getProjectTaxes } = require("../utils/taxRules");
+const { listProjects } = require("../utils/projectListing");
+const { normalizeProjectTagFields, syncProjectTags, refreshProjectTagUsage } = require("../utils/tags");
 const {
   HTTP_STATUS,
   MESSAGES,
   PROTECTED_PROJECT_STATUSES,
-  UPDATABLE_PROJECT_FIELDS,
-  DELAYED_PROJECT_FIELDS,
-  DISPUTE_PROJECT_FIELDS,
+  RECURRING_PAYMENT_TERMS,
 } = require("../utils/constants");
 
+// Body keys that identify the project or drive the workflow rather than edit a column
+const NON_EDITABLE_KEYS = ["pid", "userId", "isDraft", "projectStatus", "reason"];
+
+// Terms that decide whether a balance is overdue (see utils/payments)
+const PAYMENT_TERM_FIELDS = ["projectAmount", "dueDate", "paymentStructure"];
+
+// Terms the milestone amounts must add up to
+const MILESTONE_TERM_FIELDS = ["projectAmount", "paymentStructure"];
+
+// Terms a recurring project's installment schedule is generated from
+const SCHEDULE_TERM_FIELDS = ["paymentStructure", ...RECURRING_PAYMENT_TERMS];
+
+/**
+ * Whether an edit actually changed any of `fields` (a resent form repeats
+ * values it didn't change, often as strings)
+ * @param {object} before - snapshot() taken before the edit
+ * @param {object} project - Project instance after the edit
+ * @param {string[]} fields
+ */
+const fieldsChanged = (before, project, fields) => {
+  const changes = diffChanges("project", before, snapshot(project));
+  return fields.some((field) => changes[field]);
+};
+
+const paymentTermsChanged = (before, project) => fieldsChanged(before, project, PAYMENT_TERM_FIELDS);
+
+/**
+ * Whether the edit changed the terms of a project that is (or was) recurring,
+ * so its installments need regenerating
+ */
+const scheduleTermsChanged = (before, project) =>
+  (project.paymentStructure === "recurring" || before.paymentStructure === "recurring") &&
+  fieldsChanged(before, project, SCHEDULE_TERM_FIELDS);
+
 const normalizeProjectStatus = (body = {}) => {
   if (!body.projectStatus && body.status) {
     body.projectStatus = body.status;
@@ -26,11 +73,93 @@ const normalizeProjectStatus = (body = {}) => {
   return body;
 };
 
+/**
+ * Apply edits to a live (non-draft) project: only the fields its current status
+ * allows are written, and a requested status change goes through the workflow in
+ * the same transaction as the field update
+ * @param {object} project - Project instance
+ * @param {object} body - Normalized request body
+ * @param {string} [userId] - Who made the change
+ * @param {object} [options]
+ * @param {boolean} [options.milestonesSent=false] - The caller replaces the milestones
+ *   next (already validated against the new terms)
+ * @returns {Promise<{ updates: object, lockedFields: string[], isTransition: boolean }>}
+ */
+const updateLiveProject = async (project, body, userId = null, { milestonesSent = false } = {}) => {
+  const status = projectStatus.getCurrentStatus(project);
+  const editableFields = projectStatus.getEditableFields(project);
+  const before = snapshot(project);
+
+  const updates = {};
+  const lockedFields = [];
+  Object.keys(body).forEach((field) => {
+    if (body[field] === undefined || NON_EDITABLE_KEYS.includes(field)) return;
+
+    if (editableFields.includes(field)) {
+      updates[field] = body[field];
+    } else if (Project.rawAttributes[field]) {
+      lockedFields.push(field);
+    }
+  });
+
+  const requestedStatus = body.projectStatus;
+  const isTransition = !!requestedStatus && projectStatus.resolveStatus(requestedStatus) !== status;
+
+  // Reject a request that would change nothing but locked fields
+  if (lockedFields.length > 0 && Object.keys(updates).length === 0 && !isTransition) {
+    throw new BadRequestError(MESSAGES.ERROR.PROJECT_FIELDS_LOCKED(status, lockedFields));
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    // Status changes sent with the edit still follow the workflow
+    if (isTransition) {
+      await projectStatus.transitionProject(
+        project,
+        { status: requestedStatus, reason: body.reason, endDate: body.endDate },
+        userId,
+        { transaction }
+      );
+    }
+
+    await project.update(updates, { transaction });
+
+    // New payment terms must still match the milestones already planned
+    if (!milestonesSent && fieldsChanged(before, project, MILESTONE_TERM_FIELDS)) {
+      await assertMilestoneTotals(project, { transaction });
+    }
+  });
+
+  return { updates, lockedFields, isTransition };
+};
+
+/**
+ * Drafts keep their milestones in Project.milestones until they are finished.
+ * Check the ones sent, or the ones saved when the amount or structure changes,
+ * so they never exceed projectAmount; the exact check runs on finish.
+ * @param {object} body - Normalized request body
+ * @param {object} [draft] - Draft being updated
+ */
+const checkDraftMilestones = (body, draft = null) => {
+  const sent = body.milestones !== undefined && body.milestones !== null;
+  const termsChanged = body.projectAmount !== undefined || body.paymentStructure !== undefined;
+  if (!sent && !termsChanged) return;
+
+  validateMilestoneList(
+    {
+      paymentStructure: body.paymentStructure ?? draft?.paymentStructure,
+      projectAmount: body.projectAmount ?? draft?.projectAmount,
+    },
+    sent ? body.milestones : readEmbedded(draft?.milestones)
+  );
+};
+
 /**
  * Client sync logic (unique by phone + store userId)
  * Uses contact* field names from mobile app
+ * @param {object} data - Project payload with projectId and userId
+ * @param {object} req - Express request (for the activity log)
  */
-const syncClient = async (data) => {
+const syncClient = async (data, req) => {
   try {
     logger.debug("Client sync started", { projectId: data.projectId });
 
@@ -65,10 +194,13 @@ const syncClient = async (data) => {
     });
 
     if (client) {
+      const before = snapshot(client);
       await client.update(clientData);
+      await recordActivity(req, { entityType: "client", entity: client, action: "update", before });
       logger.debug("Client updated", { clientId: client.cid });
     } else {
       client = await Client.create(clientData);
+      await recordActivity(req, { entityType: "client", entity: client, action: "create" });
       logger.debug("Client created", { clientId: client.cid });
     }
 
@@ -87,6 +219,8 @@ const syncClient = async (data) => {
 exports.Newproject = asyncHandler(async (req, res) => {
   logger.info("Create/Update project request");
   normalizeProjectStatus(req.body);
+  normalizeProjectTaxFields(req.body);
+  normalizeProjectTagFields(req.body);
 
   const requiredFields = [
     "projectName",
@@ -112,11 +246,35 @@ exports.Newproject = asyncHandler(async (req, res) => {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("userId"));
   }
 
+  // Milestones are stored in their own table; Project.milestones is rebuilt from it.
+  // A draft being finished brings the milestones it carried unless new ones are sent.
+  let { milestones } = req.body;
+  delete req.body.milestones;
+
+  if ((milestones === undefined || milestones === null) && req.body.pid && req.resource?.isDraft) {
+    const carried = readEmbedded(req.resource.milestones);
+    milestones = carried.length > 0 ? carried : null;
+  }
+
+  const hasMilestones = milestones !== undefined && milestones !== null;
+
+  if (hasMilestones) {
+    validateMilestoneList(
+      {
+        paymentStructure: req.body.paymentStructure ?? req.resource?.paymentStructure,
+        projectAmount: req.body.projectAmount ?? req.resource?.projectAmount,
+      },
+      milestones,
+      { exact: true }
+    );
+  }
+
   let project;
+  let lockedFields = [];
 
   if (req.body.pid) {
-    // Update existing project
-    project = await Project.findOne({ where: { pid: req.body.pid } });
+    // Update existing project (ownership checked by the policy layer)
+    project = req.resource;
 
     if (!project) {
       throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
@@ -130,58 +288,159 @@ exports.Newproject = asyncHandler(async (req, res) => {
       }
     }
 
-    await project.update({
-      ...req.body,
-      userId: req.body.userId,
-      isDraft: false,
+    const { projectStatus: requestedStatus, reason, ...fields } = req.body;
+    const before = snapshot(project);
+    let isTransition = false;
+    let paymentChange = null;
+
+    if (project.isDraft) {
+      // A draft becoming a project starts the workflow like a new project
+      const initialStatus = projectStatus.resolveInitialStatus(requestedStatus);
+      await db.sequelize.transaction(async (transaction) => {
+        await project.update(
+          {
+            ...fields,
+            projectStatus: initialStatus,
+            userId: req.body.userId,
+            isDraft: false,
+          },
+          { transaction }
+        );
+        await projectStatus.recordInitialStatus(project, req.actor?.uid, { transaction });
+      });
+    } else {
+      // A live project is edited exactly as through update_project
+      ({ lockedFields, isTransition } = await updateLiveProject(project, req.body, req.actor?.uid, {
+        milestonesSent: hasMilestones,
+      }));
+    }
+
+    if (hasMilestones) {
+      await replaceMilestones(project, milestones, { exact: true });
+    }
+
+    // Recurring terms may have changed (or stopped being recurring); a draft
+    // being finished gets its first schedule
+    const isRecurringDraft = before.isDraft && project.paymentStructure === "recurring";
+    const scheduleChanged = isRecurringDraft || scheduleTermsChanged(before, project);
+    if (scheduleChanged) {
+      await generateSchedule(project);
+    }
+
+    // New terms or due dates may leave the balance overdue (or settle it)
+    if (before.isDraft || hasMilestones || scheduleChanged || paymentTermsChanged(before, project)) {
+      paymentChange = await refreshPaymentStatus(project);
+      isTransition = isTransition || !!paymentChange;
+    }
+
+    await recordActivity(req, {
+      entityType: "project",
+      entity: project,
+      // A draft becoming a project is its creation as far as the timeline is concerned
+      action: before.isDraft ? "create" : isTransition ? "status_change" : "update",
+      before: before.isDraft ? null : before,
+      metadata: isTransition && (reason || paymentChange) ? { reason: reason || paymentChange.reason } : null,
     });
 
     logger.info("Project updated", { projectId: project.pid });
   } else {
+    const initialStatus = projectStatus.resolveInitialStatus(req.body.projectStatus);
+
     // Create new project
-    project = await Project.create({
-      ...req.body,
-      userId: req.body.userId,
-      isDraft: false,
+    project = await db.sequelize.transaction(async (transaction) => {
+      const created = await Project.create(
+        {
+          ...req.body,
+          projectStatus: initialStatus,
+          userId: req.body.userId,
+          isDraft: false,
+        },
+        { transaction }
+      );
+      await projectStatus.recordInitialStatus(created, req.actor?.uid, { transaction });
+      return created;
     });
 
+    if (hasMilestones) {
+      await replaceMilestones(project, milestones, { exact: true });
+    }
+
+    if (project.paymentStructure === "recurring") {
+      await generateSchedule(project);
+    }
+
+    // A project entered late may already be overdue
+    await refreshPaymentStatus(project);
+
+    await recordActivity(req, { entityType: "project", entity: project, action: "create" });
+
     logger.info("Project created", { projectId: project.pid });
   }
 
+  if (req.body.tags !== undefined) {
+    await syncProjectTags(project);
+  }
+
   // Sync client
-  const client = await syncClient({ ...req.body, projectId: project.pid });
+  const client = await syncClient({ ...req.body, projectId: project.pid }, req);
 
   res.status(req.body.pid ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json({
     success: true,
     message: MESSAGES.SUCCESS[req.body.pid ? "UPDATED" : "CREATED"]("Project"),
     project,
     client,
+    ...(lockedFields.length > 0 && { ignoredFields: lockedFields }),
   });
 });
 
 /**
- * @desc    Get all projects for user
- * @route   POST /project/all_projects
- * @access  Private
+ * Filters, sort and paging come from the query string and (legacy POST routes) the body
  */
-exports.allprojects = asyncHandler(async (req, res) => {
-  const userId = req.user?.uid || req.query.userId || req.body.userId;
+const listingParams = (req) => ({ ...req.query, ...(req.body || {}) });
 
-  if (!userId) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("User ID"));
-  }
+/**
+ * Scoped to the acting user by the policy layer; admins may pass userId
+ */
+const listingUserId = (req) => req.body?.userId || req.query.userId || req.actor.uid;
 
-  const projects = await Project.findAll({
-    where: { userId, isDraft: false },
-    order: [["createdAt", "DESC"]],
-  });
+/**
+ * Respond with a page of projects and their payment and tax figures
+ * @param {object} options - listProjects options ({ paginate })
+ */
+const sendProjects = async (req, res, options) => {
+  const { rows: projects, pagination } = await listProjects(listingUserId(req), listingParams(req), options);
+  const [totals, taxes] = await Promise.all([getReceivedTotals(projects), getProjectTaxes(projects)]);
 
   res.status(HTTP_STATUS.OK).json({
     success: true,
     message: MESSAGES.SUCCESS.FETCHED("Projects"),
     count: projects.length,
-    data: projects,
+    data: projects.map((project) => ({
+      ...project.toJSON(),
+      amountReceived: totals.get(project.pid).received,
+      amountOutstanding: totals.get(project.pid).outstanding,
+      tax: taxes.get(project.pid),
+    })),
+    pagination,
   });
+};
+
+/**
+ * @desc    List the acting user's projects (filters, search, sort, cursor pagination)
+ * @route   GET /project
+ * @access  Private
+ */
+exports.listProjects = asyncHandler(async (req, res) => {
+  await sendProjects(req, res, { paginate: true });
+});
+
+/**
+ * @desc    Get all projects for user (paged only when `limit` or `cursor` is sent)
+ * @route   POST /project/all_projects
+ * @access  Private
+ */
+exports.allprojects = asyncHandler(async (req, res) => {
+  await sendProjects(req, res, { paginate: false });
 });
 
 /**
@@ -195,14 +454,16 @@ exports.uploadProjectPictures = asyncHandler(async (req, res) => {
   }
 
   let project;
+  let before = null;
 
   if (req.body.projectId) {
-    project = await Project.findOne({ where: { pid: req.body.projectId } });
+    project = req.resource;
     if (!project) {
       throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
     }
+    before = snapshot(project);
   } else {
-    const status = req.body.projectStatus || req.body.status || "Discussion";
+    const status = projectStatus.resolveInitialStatus(req.body.projectStatus || req.body.status);
     project = await Project.create({
       userId: req.body.userId || null,
       projectName: req.body.projectName || "Untitled Project",
@@ -213,6 +474,7 @@ exports.uploadProjectPictures = asyncHandler(async (req, res) => {
       endDate: new Date(),
       media: JSON.stringify([]),
     });
+    await projectStatus.recordInitialStatus(project, req.actor?.uid);
   }
 
   // Extract Cloudinary URLs
@@ -232,6 +494,13 @@ exports.uploadProjectPictures = asyncHandler(async (req, res) => {
     media: JSON.stringify([...existingMedia, ...uploadedUrls]),
   });
 
+  await recordActivity(req, {
+    entityType: "project",
+    entity: project,
+    action: before ? "update" : "create",
+    before,
+  });
+
   logger.info("Pictures uploaded", { projectId: project.pid, count: uploadedUrls.length });
 
   res.status(HTTP_STATUS.OK).json({
@@ -247,18 +516,113 @@ exports.uploadProjectPictures = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getProjectById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  // Loaded and ownership-checked by the policy layer
+  const project = req.resource;
 
-  const project = await Project.findOne({ where: { pid: id } });
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Project"),
+    data: project,
+    workflow: projectStatus.describeWorkflow(project),
+    payments: await getPaymentSummary(project),
+    tax: await getProjectTax(project),
+  });
+});
 
-  if (!project) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
+/**
+ * @desc    Move a project to another status
+ * @route   POST /project/:id/transition
+ * @access  Private
+ */
+exports.transitionProject = asyncHandler(async (req, res) => {
+  const { status, reason, endDate } = req.body;
+
+  if (!status) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("status"));
   }
 
+  const project = req.resource;
+  const before = snapshot(project);
+  const entry = await projectStatus.transitionProject(project, { status, reason, endDate }, req.actor?.uid);
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: project,
+    action: "status_change",
+    before,
+    metadata: entry.reason ? { reason: entry.reason } : null,
+  });
+
+  logger.info("Project status changed", {
+    projectId: project.pid,
+    from: entry.fromStatus,
+    to: entry.toStatus,
+  });
+
   res.status(HTTP_STATUS.OK).json({
     success: true,
-    message: MESSAGES.SUCCESS.FETCHED("Project"),
-    data: project,
+    message: MESSAGES.SUCCESS.PROJECT_STATUS_CHANGED(entry.toStatus),
+    project,
+    workflow: projectStatus.describeWorkflow(project),
+    history: entry,
+  });
+});
+
+/**
+ * @desc    Get a project's status history
+ * @route   GET /project/:id/status-history
+ * @access  Private
+ */
+exports.getStatusHistory = asyncHandler(async (req, res) => {
+  const history = await projectStatus.getStatusHistory(req.resource.pid);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Status history"),
+    count: history.length,
+    data: history,
+  });
+});
+
+/**
+ * @desc    Get a project's activity timeline (project and client changes)
+ * @route   GET /project/:id/activity
+ * @access  Private
+ */
+exports.getProjectActivity = asyncHandler(async (req, res) => {
+  const { entries, pagination } = await getProjectActivity(req.resource.pid, req.query);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Project activity"),
+    data: entries,
+    pagination,
+  });
+});
+
+/**
+ * @desc    Show or hide a completed project on the owner's public profile
+ * @route   PUT /project/:id/portfolio
+ * @access  Private
+ */
+exports.setPortfolioVisibility = asyncHandler(async (req, res) => {
+  const { showInPortfolio } = req.body;
+
+  if (typeof showInPortfolio !== "boolean") {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("showInPortfolio (true or false)"));
+  }
+
+  const project = req.resource;
+  const before = snapshot(project);
+
+  await setPortfolioVisibility(project, showInPortfolio);
+  await recordActivity(req, { entityType: "project", entity: project, action: "update", before });
+  logger.info("Portfolio visibility changed", { projectId: project.pid, showInPortfolio });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Project"),
+    data: { pid: project.pid, showInPortfolio: project.showInPortfolio },
   });
 });
 
@@ -270,46 +634,52 @@ exports.getProjectById = asyncHandler(async (req, res) => {
 exports.updateProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
   normalizeProjectStatus(req.body);
+  normalizeProjectTagFields(req.body);
 
-  const project = await Project.findByPk(id);
-  if (!project) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
-  }
+  const project = req.resource;
+  const before = snapshot(project);
 
-  // Check current project status
-  const currentStatus = (project.projectStatus || "").toLowerCase();
-  const isDelayed = currentStatus === "delayed";
-  const isInDispute = currentStatus === "in dispute";
+  const { updates, lockedFields, isTransition: isEditTransition } = await updateLiveProject(
+    project,
+    req.body,
+    req.actor?.uid
+  );
+  let paymentChange = null;
 
-  // Determine updatable fields based on status
-  let updatableFields = [...UPDATABLE_PROJECT_FIELDS];
+  if (updates.tags !== undefined) {
+    await syncProjectTags(project);
+  }
 
-  if (isDelayed) {
-    logger.debug("Project is delayed - only endDate update allowed");
-    updatableFields = [...DELAYED_PROJECT_FIELDS];
+  // Paid installments stay; the rest are respread over the new terms
+  const scheduleChanged = scheduleTermsChanged(before, project);
+  if (scheduleChanged) {
+    await generateSchedule(project);
   }
 
-  if (isInDispute) {
-    logger.debug("Project is in dispute - only tags and media update allowed");
-    updatableFields = [...DISPUTE_PROJECT_FIELDS];
+  // A new amount, due date or schedule may leave the balance overdue (or settle it)
+  if (scheduleChanged || paymentTermsChanged(before, project)) {
+    paymentChange = await refreshPaymentStatus(project);
   }
 
-  const updates = {};
-  updatableFields.forEach((field) => {
-    if (req.body[field] !== undefined) {
-      updates[field] = req.body[field];
-    }
+  const isTransition = isEditTransition || !!paymentChange;
+  const reason = isEditTransition ? req.body.reason : paymentChange?.reason;
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: project,
+    action: isTransition ? "status_change" : "update",
+    before,
+    metadata: isTransition && reason ? { reason } : null,
   });
 
-  await project.update(updates);
-  logger.info("Project updated", { projectId: id });
+  logger.info("Project updated", { projectId: id, lockedFields });
 
   res.status(HTTP_STATUS.OK).json({
     success: true,
-    message: isDelayed
-      ? "Project end date updated successfully (project is delayed)"
-      : MESSAGES.SUCCESS.UPDATED("Project"),
+    message: MESSAGES.SUCCESS.UPDATED("Project"),
     project,
+    workflow: projectStatus.describeWorkflow(project),
+    ...(lockedFields.length > 0 && { ignoredFields: lockedFields }),
   });
 });
 
@@ -321,6 +691,8 @@ exports.updateProject = asyncHandler(async (req, res) => {
 exports.DraftProject = asyncHandler(async (req, res) => {
   logger.info("Create/Update draft project");
   normalizeProjectStatus(req.body);
+  normalizeProjectTaxFields(req.body);
+  normalizeProjectTagFields(req.body);
 
   const { pid, userId, startDate, endDate, dueDate, paymentStartDate, ...rest } = req.body;
 
@@ -328,6 +700,20 @@ exports.DraftProject = asyncHandler(async (req, res) => {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("userId"));
   }
 
+  // The policy layer loads any owned project with this pid; saving a live one
+  // here would turn it back into a draft
+  const existing = req.resource || null;
+  if (existing && !existing.isDraft) {
+    throw new ConflictError(MESSAGES.ERROR.PROJECT_NOT_DRAFT);
+  }
+
+  checkDraftMilestones(req.body, existing);
+
+  // A pid the policy layer didn't load is new, unless it belongs to a deleted project
+  if (pid && !existing && (await Project.findByPk(pid, { paranoid: false }))) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Draft project"));
+  }
+
   // Helper to validate/convert date
   const parseDateOrNull = (date) => {
     if (!date) return null;
@@ -350,6 +736,17 @@ exports.DraftProject = asyncHandler(async (req, res) => {
     returning: true,
   });
 
+  if (rest.tags !== undefined) {
+    await syncProjectTags(draft);
+  }
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: draft,
+    action: existing ? "update" : "create",
+    before: snapshot(existing),
+  });
+
   logger.info(created ? "Draft created" : "Draft updated", { draftId: draft.pid });
 
   res.status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
@@ -360,20 +757,13 @@ exports.DraftProject = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get all draft projects for user
- * @route   POST /project/all_draftProject
- * @access  Private
+ * Respond with a page of draft projects
+ * @param {object} options - listProjects options ({ paginate })
  */
-exports.allDraftprojects = asyncHandler(async (req, res) => {
-  const userId = req.user?.uid || req.query.userId || req.body.userId;
-
-  if (!userId) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("User ID"));
-  }
-
-  const draftProjects = await Project.findAll({
-    where: { userId, isDraft: true },
-    order: [["createdAt", "DESC"]],
+const sendDrafts = async (req, res, options) => {
+  const { rows: draftProjects, pagination } = await listProjects(listingUserId(req), listingParams(req), {
+    ...options,
+    isDraft: true,
   });
 
   res.status(HTTP_STATUS.OK).json({
@@ -381,7 +771,26 @@ exports.allDraftprojects = asyncHandler(async (req, res) => {
     message: MESSAGES.SUCCESS.FETCHED("Draft projects"),
     count: draftProjects.length,
     data: draftProjects,
+    pagination,
   });
+};
+
+/**
+ * @desc    List the acting user's drafts (filters, search, sort, cursor pagination)
+ * @route   GET /project/drafts
+ * @access  Private
+ */
+exports.listDraftProjects = asyncHandler(async (req, res) => {
+  await sendDrafts(req, res, { paginate: true });
+});
+
+/**
+ * @desc    Get all draft projects for user (paged only when `limit` or `cursor` is sent)
+ * @route   POST /project/all_draftProject
+ * @access  Private
+ */
+exports.allDraftprojects = asyncHandler(async (req, res) => {
+  await sendDrafts(req, res, { paginate: false });
 });
 
 /**
@@ -390,24 +799,8 @@ exports.allDraftprojects = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getSingleDraftProject = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user?.uid || req.query.userId || req.body.userId;
-
-  if (!id) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Draft project ID"));
-  }
-
-  if (!userId) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("User ID"));
-  }
-
-  const draftProject = await Project.findOne({
-    where: { pid: id, userId, isDraft: true },
-  });
-
-  if (!draftProject) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Draft project"));
-  }
+  // Loaded and ownership-checked by the policy layer
+  const draftProject = req.resource;
 
   res.status(HTTP_STATUS.OK).json({
     success: true,
@@ -423,25 +816,18 @@ exports.getSingleDraftProject = asyncHandler(async (req, res) => {
  */
 exports.deleteProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
-
-  if (!id) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Project ID"));
-  }
-
-  const project = await Project.findOne({ where: { pid: id } });
-
-  if (!project) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
-  }
+  const project = req.resource;
 
   // Prevent deletion of protected projects
-  const projectStatus = (project.projectStatus || "").toLowerCase();
+  const status = projectStatus.getCurrentStatus(project).toLowerCase();
 
-  if (PROTECTED_PROJECT_STATUSES.includes(projectStatus)) {
+  if (PROTECTED_PROJECT_STATUSES.includes(status)) {
     throw new ForbiddenError("Projects that are signed or completed cannot be deleted");
   }
 
   await project.destroy();
+  await refreshProjectTagUsage(project);
+  await recordActivity(req, { entityType: "project", entity: project, action: "delete" });
   logger.info("Project deleted", { projectId: id });
 
   res.status(HTTP_STATUS.OK).json({
@@ -458,17 +844,15 @@ exports.deleteProject = asyncHandler(async (req, res) => {
 exports.updateDraftProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
   normalizeProjectStatus(req.body);
-  const { startDate, endDate, dueDate, paymentStartDate, ...rest } = req.body;
-
-  if (!id) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Draft project ID"));
-  }
+  normalizeProjectTaxFields(req.body);
+  normalizeProjectTagFields(req.body);
+  // Ownership fields are never taken from the body
+  const { startDate, endDate, dueDate, paymentStartDate, userId, pid, ...rest } = req.body;
 
-  const draftProject = await Project.findOne({ where: { pid: id, isDraft: true } });
+  const draftProject = req.resource;
+  const before = snapshot(draftProject);
 
-  if (!draftProject) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Draft project"));
-  }
+  checkDraftMilestones(req.body, draftProject);
 
   // Helper to validate/convert date
   const parseDateOrNull = (date) => {
@@ -487,6 +871,10 @@ exports.updateDraftProject = asyncHandler(async (req, res) => {
   };
 
   await draftProject.update(updates);
+  if (rest.tags !== undefined) {
+    await syncProjectTags(draftProject);
+  }
+  await recordActivity(req, { entityType: "project", entity: draftProject, action: "update", before });
   logger.info("Draft project updated", { draftId: id });
 
   res.status(HTTP_STATUS.OK).json({
@@ -504,17 +892,16 @@ exports.updateDraftProject = asyncHandler(async (req, res) => {
 exports.deleteDraftProject = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (!id) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Draft project ID"));
-  }
-
-  const draftProject = await Project.findOne({ where: { pid: id, isDraft: true } });
+  const draftProject = req.resource;
 
-  if (!draftProject) {
-    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Draft project"));
+  // Loaded with the draft scope; checked again so a live project is never deleted here
+  if (!draftProject.isDraft) {
+    throw new ConflictError(MESSAGES.ERROR.PROJECT_NOT_DRAFT);
   }
 
   await draftProject.destroy();
+  await refreshProjectTagUsage(draftProject);
+  await recordActivity(req, { entityType: "project", entity: draftProject, action: "delete" });
   logger.info("Draft project deleted", { draftId: id });
 
   res.status(HTTP_STATUS.OK).json({
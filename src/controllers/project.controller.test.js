@@ -0,0 +1,321 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const controller = require("./project.controller");
+const { PROJECT_STATUS } = require("../utils/constants");
+
+/**
+ * Run a handler; resolves with { error } when it calls next, otherwise { status, body }
+ */
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler({ headers: {}, params: {}, query: {}, actor: { uid: "user-1" }, ...req }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+const makeProject = (values) => {
+  const project = db.Project.build({ pid: "p1", userId: "user-1", isDraft: false, ...values });
+  mock.method(project, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  mock.method(project, "destroy", async () => {});
+  return project;
+};
+
+/**
+ * Stub the payment ledger, milestone rows and activity log around an edit
+ * @param {object} [options] - { received: total paid so far, milestones: saved milestone rows }
+ */
+const mockLedger = ({ received = 0, milestones = [] } = {}) => {
+  mock.method(db.sequelize, "transaction", async (work) => work({}));
+  mock.method(db.Payment, "sum", async () => received);
+  mock.method(db.Payment, "count", async () => (received ? 1 : 0));
+  mock.method(db.Payment, "max", async () => null);
+  mock.method(db.ProjectMilestone, "findAll", async ({ where }) => (where.dueDate ? [] : milestones));
+  mock.method(db.ProjectInstallment, "count", async () => 0);
+  mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+  return mock.method(db.ActivityLog, "create", async (values) => values);
+};
+
+const makeInstallment = (values) => ({
+  status: "pending",
+  ...values,
+  update: mock.fn(async function (changes) {
+    Object.assign(this, changes);
+    return this;
+  }),
+  destroy: mock.fn(async () => {}),
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("updateProject", () => {
+  it("rejects edits that only touch fields locked in the current status", async () => {
+    const project = makeProject({ projectStatus: PROJECT_STATUS.PAYMENT_DUE });
+
+    const { error } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectName: "Renamed" },
+      resource: project,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(project.update.mock.callCount(), 0);
+  });
+
+  it("applies the transition and the allowed fields in one transaction", async () => {
+    const transaction = { id: "tx" };
+    const open = mock.method(db.sequelize, "transaction", async (work) => work(transaction));
+    mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+    const activity = mock.method(db.ActivityLog, "create", async (values) => values);
+    const project = makeProject({ projectStatus: PROJECT_STATUS.PAYMENT_DUE, projectName: "Logo" });
+
+    const { status, body } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { description: "Final files sent", projectName: "Renamed", status: "Completed" },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(open.mock.callCount(), 1);
+    assert.ok(project.update.mock.calls.every((call) => call.arguments[1].transaction === transaction));
+    assert.equal(project.projectStatus, PROJECT_STATUS.COMPLETED);
+    assert.equal(project.projectName, "Logo");
+    assert.deepEqual(body.ignoredFields, ["projectName"]);
+    assert.equal(activity.mock.calls[0].arguments[0].action, "status_change");
+  });
+
+  it("edits payment terms while the work is open", async () => {
+    mockLedger();
+    const project = makeProject({
+      projectStatus: PROJECT_STATUS.IN_PROGRESS,
+      projectAmount: 1000,
+      paymentStructure: "single",
+    });
+
+    const { status, body } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: 1200, dueDate: "2099-03-01" },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(Number(project.projectAmount), 1200);
+    assert.equal(new Date(project.dueDate).toISOString(), "2099-03-01T00:00:00.000Z");
+    assert.equal(body.ignoredFields, undefined);
+  });
+
+  it("refuses a new amount the saved milestones no longer add up to", async () => {
+    mockLedger({ milestones: [{ amount: 600 }, { amount: 400 }] });
+    const project = makeProject({
+      projectStatus: PROJECT_STATUS.SIGNED,
+      projectAmount: 1000,
+      paymentStructure: "multiple",
+    });
+
+    const { error } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: 1200 },
+      resource: project,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.errors[0].field, "milestones");
+  });
+
+  it("accepts unchanged terms resent with other edits", async () => {
+    mockLedger({ milestones: [{ amount: 600 }, { amount: 500 }] });
+    const project = makeProject({
+      projectStatus: PROJECT_STATUS.SIGNED,
+      projectAmount: 1000,
+      paymentStructure: "multiple",
+    });
+
+    const { status } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: "1000.00", paymentStructure: "multiple", description: "Two deliverables" },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(project.description, "Two deliverables");
+  });
+
+  it("completes a Payment Due project once a lower amount settles the balance", async () => {
+    const activity = mockLedger({ received: 800 });
+    const project = makeProject({
+      projectStatus: PROJECT_STATUS.PAYMENT_DUE,
+      projectAmount: 1000,
+      paymentStructure: "single",
+      dueDate: new Date("2020-01-01"),
+    });
+
+    const { status } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: 800 },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(project.projectStatus, PROJECT_STATUS.COMPLETED);
+    const entry = activity.mock.calls[0].arguments[0];
+    assert.equal(entry.action, "status_change");
+    assert.deepEqual(entry.metadata, { reason: "Paid in full" });
+  });
+
+  it("keeps a Payment Due project there while the lower amount is still unpaid", async () => {
+    mockLedger({ received: 500 });
+    const project = makeProject({
+      projectStatus: PROJECT_STATUS.PAYMENT_DUE,
+      projectAmount: 1000,
+      paymentStructure: "single",
+      dueDate: new Date("2020-01-01"),
+    });
+
+    const { status } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: 800 },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(project.projectStatus, PROJECT_STATUS.PAYMENT_DUE);
+  });
+
+  it("locks payment terms once the project is completed", async () => {
+    const project = makeProject({ projectStatus: PROJECT_STATUS.COMPLETED, projectAmount: 1000 });
+
+    const { error } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { projectAmount: 800 },
+      resource: project,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(Number(project.projectAmount), 1000);
+  });
+});
+
+describe("recurring terms", () => {
+  const recurring = {
+    projectStatus: PROJECT_STATUS.IN_PROGRESS,
+    paymentStructure: "recurring",
+    projectAmount: 3000,
+    paymentFrequency: "monthly",
+    paymentStartDate: new Date("2099-01-01"),
+    contractDuration: 3,
+  };
+
+  it("respread the unpaid installments when the frequency changes after one is paid", async () => {
+    mockLedger({ received: 1000 });
+    const installments = [
+      makeInstallment({ sequence: 1, dueDate: new Date("2099-01-01"), amount: "1000.00", status: "paid" }),
+      makeInstallment({ sequence: 2, dueDate: new Date("2099-02-01"), amount: "1000.00" }),
+      makeInstallment({ sequence: 3, dueDate: new Date("2099-03-01"), amount: "1000.00" }),
+    ];
+    mock.method(db.ProjectInstallment, "findAll", async () => installments);
+    const project = makeProject(recurring);
+
+    const { status } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { paymentFrequency: "quarterly" },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    const [paid, next, last] = installments;
+    assert.equal(paid.update.mock.callCount(), 0);
+    assert.deepEqual(next.update.mock.calls[0].arguments[0], {
+      sequence: 2,
+      dueDate: new Date("2099-04-01"),
+      amount: 2000,
+    });
+    assert.equal(last.destroy.mock.callCount(), 1);
+  });
+
+  it("leave the schedule alone when an edit doesn't touch them", async () => {
+    mockLedger();
+    const findAll = mock.method(db.ProjectInstallment, "findAll", async () => []);
+    const project = makeProject(recurring);
+
+    const { status } = await run(controller.updateProject, {
+      params: { id: "p1" },
+      body: { description: "Monthly retainer", paymentFrequency: "monthly", contractDuration: "3" },
+      resource: project,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(findAll.mock.callCount(), 0);
+  });
+});
+
+describe("draft routes", () => {
+  it("refuse to save over a project that is no longer a draft", async () => {
+    const project = makeProject({ projectStatus: PROJECT_STATUS.SIGNED });
+    const upsert = mock.method(db.Project, "upsert", async () => [project, false]);
+
+    const { error } = await run(controller.DraftProject, {
+      body: { pid: "p1", userId: "user-1", projectName: "Draft" },
+      resource: project,
+    });
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+
+  it("refuse to delete a live project", async () => {
+    const project = makeProject({ projectStatus: PROJECT_STATUS.SIGNED });
+
+    const { error } = await run(controller.deleteDraftProject, { params: { id: "p1" }, resource: project });
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(project.destroy.mock.callCount(), 0);
+  });
+});
+
+describe("draft milestones", () => {
+  it("must add up to projectAmount when the draft is finished", async () => {
+    const draft = makeProject({
+      isDraft: true,
+      paymentStructure: "multiple",
+      projectAmount: 1000,
+      milestones: JSON.stringify([{ deliverable: "Deposit", amount: 300 }]),
+    });
+
+    const { error } = await run(controller.Newproject, {
+      body: { pid: "p1", userId: "user-1", isDraft: false, projectAmount: 1000 },
+      resource: draft,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(draft.update.mock.callCount(), 0);
+  });
+
+  it("may not exceed projectAmount while the draft is saved", async () => {
+    const upsert = mock.method(db.Project, "upsert", async () => []);
+
+    const { error } = await run(controller.DraftProject, {
+      body: {
+        userId: "user-1",
+        paymentStructure: "multiple",
+        projectAmount: 500,
+        milestones: [{ title: "Everything", amount: 800 }],
+      },
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,153 @@
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { recordActivity } = require("../utils/activityLog");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const {
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  createDraftFromTemplate,
+  duplicateProject,
+} = require("../utils/projectTemplates");
+
+/**
+ * @desc    List the acting user's project templates
+ * @route   GET /project/templates
+ * @access  Private
+ */
+exports.listTemplates = asyncHandler(async (req, res) => {
+  // Scoped to the acting user by the policy layer; admins may pass userId
+  const templates = await listTemplates(req.query.userId || req.actor.uid);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Templates"),
+    count: templates.length,
+    data: templates,
+  });
+});
+
+/**
+ * @desc    Save a template from a project (projectId; other fields override the
+ *          project's) or from the fields sent
+ * @route   POST /project/templates
+ * @access  Private
+ */
+exports.createTemplate = asyncHandler(async (req, res) => {
+  // The project, when given, is loaded and ownership-checked by the policy layer
+  const project = req.resource || null;
+  const { projectId, userId, ...fields } = req.body;
+
+  const template = await createTemplate(project?.userId || userId, fields, project);
+
+  logger.info("Project template created", { templateId: template.id, projectId: project?.pid });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.CREATED("Template"),
+    data: template,
+  });
+});
+
+/**
+ * @desc    Get a template
+ * @route   GET /project/templates/:templateId
+ * @access  Private
+ */
+exports.getTemplate = asyncHandler(async (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Template"),
+    data: req.resource,
+  });
+});
+
+/**
+ * @desc    Update a template (name, defaults, date offsets, milestone layout)
+ * @route   PUT /project/templates/:templateId
+ * @access  Private
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const template = req.resource;
+  const { userId, sourceProjectId, ...fields } = req.body;
+
+  await updateTemplate(template, fields);
+
+  logger.info("Project template updated", { templateId: template.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Template"),
+    data: template,
+  });
+});
+
+/**
+ * @desc    Delete a template (drafts made from it are kept)
+ * @route   DELETE /project/templates/:templateId
+ * @access  Private
+ */
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+  const template = req.resource;
+
+  await template.destroy({ force: true });
+
+  logger.info("Project template deleted", { templateId: template.id });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETED("Template"),
+  });
+});
+
+/**
+ * @desc    Create a draft from a template (body: startDate, default today; projectName)
+ * @route   POST /project/templates/:templateId/draft
+ * @access  Private
+ */
+exports.createDraftFromTemplate = asyncHandler(async (req, res) => {
+  const template = req.resource;
+
+  const draft = await createDraftFromTemplate(template, req.body);
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: draft,
+    action: "create",
+    metadata: { templateId: template.id },
+  });
+  logger.info("Draft created from template", { draftId: draft.pid, templateId: template.id });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DRAFT_FROM_TEMPLATE(template.name),
+    draft,
+  });
+});
+
+/**
+ * @desc    Duplicate a project or draft as a new draft, moving its dates to
+ *          startDate (default today) or by shiftDays
+ * @route   POST /project/templates/duplicate
+ * @access  Private
+ */
+exports.duplicateProject = asyncHandler(async (req, res) => {
+  // Loaded and ownership-checked by the policy layer
+  const project = req.resource;
+
+  const draft = await duplicateProject(project, req.body);
+
+  await recordActivity(req, {
+    entityType: "project",
+    entity: draft,
+    action: "create",
+    metadata: { duplicatedFrom: project.pid },
+  });
+  logger.info("Project duplicated", { draftId: draft.pid, projectId: project.pid });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PROJECT_DUPLICATED,
+    draft,
+  });
+});
@@ -0,0 +1,106 @@
+const db = require("../models");
+const asyncHandler = require("../middlewares/asyncHandler");
+const logger = require("../utils/logger");
+const { recordActivity } = require("../utils/activityLog");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { listTags, renameTag, mergeTags, getTagRevenue } = require("../utils/tags");
+const { parseReportingCurrency, getReportingCurrency } = require("../utils/exchangeRates");
+
+/**
+ * Scoped to the acting user by the policy layer; admins may pass userId
+ */
+const tagUserId = (req) => req.query.userId || req.actor.uid;
+
+/**
+ * One timeline entry per project whose tags were rewritten
+ * @param {object[]} changes - [{ project, before }] from the tag utilities
+ * @param {object} metadata - Context stored with each entry
+ */
+const recordTagActivity = async (req, changes, metadata) => {
+  for (const { project, before } of changes) {
+    await recordActivity(req, { entityType: "project", entity: project, action: "update", before, metadata });
+  }
+};
+
+/**
+ * @desc    Autocomplete the acting user's tags (?q=, ?limit=); without either, every tag
+ * @route   GET /project/tags
+ * @access  Private
+ */
+exports.listTags = asyncHandler(async (req, res) => {
+  const tags = await listTags(tagUserId(req), req.query);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Tags"),
+    count: tags.length,
+    data: tags,
+  });
+});
+
+/**
+ * @desc    Revenue per tag across finished projects, after tax, in the user's
+ *          reporting currency (or ?currency=)
+ * @route   GET /project/tags/revenue
+ * @access  Private
+ */
+exports.getTagRevenue = asyncHandler(async (req, res) => {
+  const userId = tagUserId(req);
+  const currency =
+    parseReportingCurrency(req.query.currency, "currency") ||
+    getReportingCurrency(await db.User.findByPk(userId, { attributes: ["reportingCurrency"] }));
+
+  const revenue = await getTagRevenue(userId, currency);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Tag revenue"),
+    currency,
+    count: revenue.length,
+    data: revenue,
+  });
+});
+
+/**
+ * @desc    Rename a tag on every project that uses it
+ * @route   PUT /project/tags/:tagId
+ * @access  Private
+ */
+exports.renameTag = asyncHandler(async (req, res) => {
+  const tag = req.resource;
+  const previousName = tag.name;
+
+  const changes = await renameTag(tag, req.body.name);
+  await recordTagActivity(req, changes, { tagId: tag.id, renamedFrom: previousName });
+
+  logger.info("Tag renamed", { tagId: tag.id, from: previousName, to: tag.name, projects: changes.length });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Tag"),
+    data: tag,
+    projectsUpdated: changes.length,
+  });
+});
+
+/**
+ * @desc    Merge other tags into this one (body: sourceIds); their projects get this tag
+ * @route   POST /project/tags/:tagId/merge
+ * @access  Private
+ */
+exports.mergeTags = asyncHandler(async (req, res) => {
+  const tag = req.resource;
+
+  const { merged, projects } = await mergeTags(tag, req.body.sourceIds);
+  await tag.reload();
+  await recordTagActivity(req, projects, { tagId: tag.id, merged });
+
+  logger.info("Tags merged", { tagId: tag.id, merged, projects: projects.length });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.TAGS_MERGED(tag.name, merged),
+    data: tag,
+    projectsUpdated: projects.length,
+  });
+});
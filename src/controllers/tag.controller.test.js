@@ -0,0 +1,92 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const controller = require("./tag.controller");
+const { tagKey } = require("../utils/tags");
+
+/**
+ * Run a handler; resolves with { error } when it calls next, otherwise { status, body }
+ */
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler({ headers: {}, params: {}, query: {}, actor: { uid: "u1" }, ...req }, res, (error) => resolve({ error }));
+  });
+
+const makeTag = (id, name) => {
+  const tag = { id, name, key: tagKey(name), userId: "u1" };
+  tag.update = mock.fn(async (values) => Object.assign(tag, values));
+  tag.reload = mock.fn(async () => tag);
+  return tag;
+};
+
+const makeProject = (pid, tags) => {
+  const project = db.Project.build({ pid, userId: "u1", tags });
+  mock.method(project, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  return project;
+};
+
+/**
+ * Stub the taxonomy queries; every project is linked to every tag given
+ */
+const stubTaxonomy = (tags, projects) => {
+  mock.method(db.sequelize, "transaction", async (work) => work({ id: "tx" }));
+  mock.method(db.sequelize, "query", async () => []);
+  mock.method(db.Tag, "findOne", async () => null);
+  mock.method(db.Tag, "findAll", async ({ where }) => tags.filter((tag) => where.id.includes(tag.id)));
+  mock.method(db.Tag, "destroy", async () => 0);
+  mock.method(db.ProjectTag, "findAll", async ({ where }) =>
+    [].concat(where.tagId).flatMap((tagId) => projects.map((project) => ({ projectId: project.pid, tagId })))
+  );
+  mock.method(db.ProjectTag, "destroy", async () => 0);
+  mock.method(db.ProjectTag, "bulkCreate", async (rows) => rows);
+  mock.method(db.Project, "findAll", async () => projects);
+  return mock.method(db.ActivityLog, "create", async (values) => values);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("tag activity", () => {
+  it("records a project update for each project a rename rewrites", async () => {
+    const tag = makeTag("t1", "Insta");
+    const activity = stubTaxonomy([tag], [makeProject("p1", ["Insta"]), makeProject("p2", ["insta", "Reels"])]);
+
+    const { status, body } = await run(controller.renameTag, { resource: tag, body: { name: "Instagram" } });
+
+    assert.equal(status, 200);
+    assert.equal(body.projectsUpdated, 2);
+    assert.deepEqual(
+      activity.mock.calls.map(({ arguments: [entry] }) => [entry.entityId, entry.action, entry.metadata]),
+      [
+        ["p1", "update", { tagId: "t1", renamedFrom: "Insta" }],
+        ["p2", "update", { tagId: "t1", renamedFrom: "Insta" }],
+      ]
+    );
+    assert.ok(activity.mock.calls[0].arguments[0].changes.tags);
+  });
+
+  it("records a project update for each project a merge rewrites", async () => {
+    const target = makeTag("t1", "Instagram");
+    const activity = stubTaxonomy([target, makeTag("t2", "insta")], [makeProject("p1", ["insta"])]);
+
+    const { status, body } = await run(controller.mergeTags, { resource: target, body: { sourceIds: ["t2"] } });
+
+    assert.equal(status, 200);
+    assert.equal(body.projectsUpdated, 1);
+    assert.equal(target.reload.mock.callCount(), 1);
+    assert.deepEqual(activity.mock.calls[0].arguments[0].metadata, { tagId: "t1", merged: 1 });
+    assert.equal(activity.mock.calls[0].arguments[0].userId, "u1");
+  });
+});
@@ -0,0 +1,85 @@
+const db = require("../models");
+const asyncHandler = require("../middlewares/asyncHandler");
+const { NotFoundError } = require("../middlewares/errorHandler");
+const logger = require("../utils/logger");
+const { HTTP_STATUS, MESSAGES } = require("../utils/constants");
+const { listTaxRules, createTaxRule, updateTaxRule } = require("../utils/taxRules");
+
+const findRule = async (id) => {
+  const rule = await db.TaxRule.findByPk(id);
+  if (!rule) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Tax rule"));
+  }
+  return rule;
+};
+
+/**
+ * @desc    List tax rules (?kind=, ?province=, ?clientType=, ?active=)
+ * @route   GET /admin/tax-rules
+ * @access  Private (Admin, tax:manage)
+ */
+exports.listTaxRules = asyncHandler(async (req, res) => {
+  const rules = await listTaxRules(req.query);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Tax rules"),
+    count: rules.length,
+    data: rules,
+  });
+});
+
+/**
+ * @desc    Create a tax rule
+ * @route   POST /admin/tax-rules
+ * @access  Private (Admin, tax:manage)
+ */
+exports.createTaxRule = asyncHandler(async (req, res) => {
+  const rule = await createTaxRule(req.body);
+
+  logger.info("Tax rule created", { ruleId: rule.id, kind: rule.kind, rate: rule.rate, by: req.user.uid });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.CREATED("Tax rule"),
+    data: rule,
+  });
+});
+
+/**
+ * @desc    Update a tax rule (set effectiveTo or isActive=false to retire a rate)
+ * @route   PUT /admin/tax-rules/:id
+ * @access  Private (Admin, tax:manage)
+ */
+exports.updateTaxRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req.params.id);
+
+  await updateTaxRule(rule, req.body);
+
+  logger.info("Tax rule updated", { ruleId: rule.id, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.UPDATED("Tax rule"),
+    data: rule,
+  });
+});
+
+/**
+ * @desc    Delete a tax rule. Figures computed from it change too, so prefer
+ *          retiring rates that have been used
+ * @route   DELETE /admin/tax-rules/:id
+ * @access  Private (Admin, tax:manage)
+ */
+exports.deleteTaxRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req.params.id);
+
+  await rule.destroy();
+
+  logger.info("Tax rule deleted", { ruleId: rule.id, by: req.user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETED("Tax rule"),
+  });
+});
@@ -1,36 +1,47 @@
 const db = require("../models");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const axios = require("axios");
 const crypto = require("crypto");
-const admin = require("firebase-admin");
 
 const User = db.User;
 const asyncHandler = require("../middlewares/asyncHandler");
 const {
   BadRequestError,
+  UnauthorizedError,
   NotFoundError,
   ConflictError,
+  ForbiddenError,
 } = require("../middlewares/errorHandler");
 const logger = require("../utils/logger");
-const { HTTP_STATUS, MESSAGES, TOKEN_EXPIRY } = require("../utils/constants");
-const { sendPasswordResetEmail, sendPasswordResetLinkEmail, sendWelcomeEmail, sendEmail } = require("../utils/email");
-
-// Initialize Firebase Admin if not already initialized
-const initFirebaseAdmin = () => {
-  if (admin.apps.length === 0) {
-    try {
-      const adminConfig = require("../config/Firebase.config");
-      admin.initializeApp({
-        credential: admin.credential.cert(adminConfig),
-      });
-      logger.info("Firebase Admin initialized successfully");
-    } catch (error) {
-      logger.warn("Firebase Admin initialization failed:", error.message);
-    }
-  }
-  return admin;
-};
+const { initFirebaseAdmin } = require("../utils/firebase");
+const { HTTP_STATUS, MESSAGES, PRIVATE_USER_FIELDS, TWO_FACTOR } = require("../utils/constants");
+const { isAdminRole } = require("../utils/permissions");
+const { issueOtp, verifyOtp, issuePhoneProof, isPhoneProofValid } = require("../utils/otp");
+const { sendVerificationLink, confirmEmailVerification } = require("../utils/emailVerification");
+const { CLEARED_PIN, hasPin, setPin, verifyPin } = require("../utils/pin");
+const { requestAccountDeletion, cancelAccountDeletion } = require("../utils/accountDeletion");
+const { buildUserExport } = require("../utils/dataExport");
+const { replaceAvatar, removeAvatar } = require("../utils/avatar");
+const { checkUsername, updatePublicProfile, getPublicProfile } = require("../utils/publicProfile");
+const accountLinking = require("../utils/accountLinking");
+const { setPassword } = require("../utils/password");
+const { parseReportingCurrency, getReportingCurrency } = require("../utils/exchangeRates");
+const { assertLoginAllowed, recordLoginAttempt, getSigninActivity } = require("../utils/loginProtection");
+const {
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  issueChallenge,
+  readChallenge,
+} = require("../utils/twoFactor");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/session");
+const { sendPasswordResetLinkEmail, sendEmail } = require("../utils/email");
 
 /**
  * @desc    User signup
@@ -44,7 +55,17 @@ exports.signup = asyncHandler(async (req, res) => {
   
   logger.info("User signup attempt", { email: req.body.email });
 
-  const { phone, firstName, lastName, email, password, role, searchTerm } = req.body;
+  const { phone, firstName, lastName, email, password, role, searchTerm, phoneVerificationToken } = req.body;
+
+  // Admin accounts are created by other admins only
+  if (isAdminRole(role)) {
+    throw new ForbiddenError(MESSAGES.ERROR.FORBIDDEN);
+  }
+
+  // Phone must have been verified via /user/verify-otp (or Firebase phone auth)
+  if (!isPhoneProofValid(phoneVerificationToken, phone)) {
+    throw new BadRequestError(MESSAGES.ERROR.PHONE_NOT_VERIFIED);
+  }
 
   // Check if user already exists (only select necessary columns)
   const existingUser = await User.findOne({
@@ -80,9 +101,10 @@ exports.signup = asyncHandler(async (req, res) => {
 
   // Create new user with transaction
   const trans = await db.sequelize.transaction();
+  let user;
 
   try {
-    const user = await User.create(
+    user = await User.create(
       {
         phone,
         firstName,
@@ -97,41 +119,8 @@ exports.signup = asyncHandler(async (req, res) => {
       { transaction: trans }
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        uid: user.uid,
-        email: user.email,
-        role: user.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
-    );
-
     await trans.commit();
     logger.info("User signup successful", { userId: user.uid, firebaseUid });
-
-    const response = {
-      success: true,
-      message: MESSAGES.SUCCESS.SIGNUP,
-      token,
-      user: {
-        uid: user.uid,
-        phone: user.phone,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        full_name: user.full_name,
-        email: user.email,
-        role: user.role,
-        searchTerm: user.searchTerm,
-      },
-    };
-    
-    console.log("✅ ========== SIGNUP SUCCESS ==========");
-    console.log("📤 Response:", JSON.stringify(response, null, 2));
-    console.log("=======================================");
-    
-    res.status(HTTP_STATUS.CREATED).json(response);
   } catch (error) {
     await trans.rollback();
     // If local DB fails but Firebase succeeded, try to clean up Firebase user
@@ -146,8 +135,60 @@ exports.signup = asyncHandler(async (req, res) => {
     }
     throw error;
   }
+
+  // Start a session (access + refresh token pair)
+  const tokens = await createSession(user, req);
+
+  // Send the verification link without holding up signup
+  sendVerificationLink(user).catch((error) => {
+    logger.error("Verification email error", { userId: user.uid, error: error.message });
+  });
+
+  const response = {
+    success: true,
+    message: MESSAGES.SUCCESS.SIGNUP,
+    ...tokens,
+    user: {
+      uid: user.uid,
+      phone: user.phone,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      full_name: user.full_name,
+      email: user.email,
+      role: user.role,
+      searchTerm: user.searchTerm,
+      isEmailVerified: user.isEmailVerified,
+    },
+  };
+  
+  console.log("✅ ========== SIGNUP SUCCESS ==========");
+  console.log("📤 Response:", JSON.stringify(response, null, 2));
+  console.log("=======================================");
+  
+  res.status(HTTP_STATUS.CREATED).json(response);
 });
 
+// Columns needed to sign a user in (both signin steps)
+const SIGNIN_ATTRIBUTES = [
+  'uid',
+  'email',
+  'password',
+  'role',
+  'full_name',
+  'firstName',
+  'lastName',
+  'phone',
+  'searchTerm',
+  'permissions',
+  'isEmailVerified',
+  'pin',
+  'isDeleted',
+  'twoFactorEnabled',
+  'twoFactorSecret',
+  'twoFactorBackupCodes',
+  'twoFactorLastUsedStep',
+];
+
 /**
  * @desc    User signin
  * @route   POST /user/signin
@@ -155,46 +196,32 @@ exports.signup = asyncHandler(async (req, res) => {
  */
 exports.signin = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
+  const normalizedEmail = email.trim().toLowerCase();
 
   logger.info("User signin attempt", { email });
 
+  // Per-account / per-IP backoff after repeated failures
+  await assertLoginAllowed(normalizedEmail, req);
+
   // Find user (case-insensitive email lookup)
   const user = await User.findOne({ 
     where: db.Sequelize.where(
       db.Sequelize.fn('LOWER', db.Sequelize.col('email')),
-      email.trim().toLowerCase()
+      normalizedEmail
     ),
-    attributes: [
-      'uid',
-      'email',
-      'password',
-      'role',
-      'full_name',
-      'firstName',
-      'lastName',
-      'phone',
-      'searchTerm',
-    ]
+    attributes: SIGNIN_ATTRIBUTES,
   });
   
   logger.info("Signin attempt", { 
-    email: email.trim().toLowerCase(), 
+    email: normalizedEmail, 
     userFound: !!user 
   });
 
   if (!user) {
+    await recordLoginAttempt(req, { identifier: normalizedEmail, success: false, failureReason: "unknown_email" });
     throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
   }
 
-  // Compare password
-  logger.info("About to compare passwords", { 
-    email: user.email,
-    inputPassword: password,
-    inputPasswordLength: password?.length,
-    storedHash: user.password?.substring(0, 30) + "...",
-    storedHashLength: user.password?.length
-  });
-
   const isMatch = await bcrypt.compare(password, user.password);
   
   logger.info("Password comparison result", { 
@@ -203,21 +230,99 @@ exports.signin = asyncHandler(async (req, res) => {
   });
 
   if (!isMatch) {
+    await recordLoginAttempt(req, { identifier: normalizedEmail, user, success: false, failureReason: "invalid_password" });
     throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
   }
 
-  const token = jwt.sign(
-    { uid: user.uid, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: TOKEN_EXPIRY }
-  );
+  if (user.isDeleted) {
+    await recordLoginAttempt(req, { identifier: normalizedEmail, user, success: false, failureReason: "pending_deletion" });
+    throw new ForbiddenError(MESSAGES.ERROR.ACCOUNT_PENDING_DELETION);
+  }
+
+  // Second step required: no session until /user/signin/2fa succeeds
+  if (user.twoFactorEnabled) {
+    logger.info("Signin awaiting second factor", { userId: user.uid });
+
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.TWO_FACTOR_REQUIRED,
+      twoFactorRequired: true,
+      challengeToken: issueChallenge(user),
+      challengeExpiresIn: TWO_FACTOR.CHALLENGE_EXPIRY,
+    });
+  }
+
+  const tokens = await createSession(user, req);
+  await recordLoginAttempt(req, { identifier: normalizedEmail, user, success: true });
 
   logger.info("User signin successful", { userId: user.uid });
 
   res.status(HTTP_STATUS.OK).json({
     success: true,
     message: MESSAGES.SUCCESS.LOGIN,
-    token,
+    ...tokens,
+    user: {
+      uid: user.uid,
+      full_name: user.full_name,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      phone: user.phone,
+      email: user.email,
+      role: user.role,
+      searchTerm: user.searchTerm,
+      isEmailVerified: user.isEmailVerified,
+      hasPin: hasPin(user),
+    },
+  });
+});
+
+/**
+ * @desc    Complete signin with a TOTP or backup code
+ * @route   POST /user/signin/2fa
+ * @access  Public (challenge token)
+ */
+exports.signinTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Challenge token"));
+  }
+
+  if (!code) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Authentication code"));
+  }
+
+  const uid = readChallenge(challengeToken);
+  const user = await User.findOne({ where: { uid }, attributes: SIGNIN_ATTRIBUTES });
+
+  if (!user || user.isDeleted || !user.twoFactorEnabled) {
+    throw new UnauthorizedError(MESSAGES.ERROR.TWO_FACTOR_CHALLENGE_INVALID);
+  }
+
+  const identifier = (user.email || user.phone).toLowerCase();
+  await assertLoginAllowed(identifier, req, "two_factor");
+
+  if (!(await verifySecondFactor(user, String(code)))) {
+    logger.warn("Second factor rejected", { userId: user.uid });
+    await recordLoginAttempt(req, {
+      identifier,
+      user,
+      success: false,
+      method: "two_factor",
+      failureReason: "invalid_2fa_code",
+    });
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_CODE_INVALID);
+  }
+
+  const tokens = await createSession(user, req);
+  await recordLoginAttempt(req, { identifier, user, success: true, method: "two_factor" });
+
+  logger.info("User signin successful", { userId: user.uid, twoFactor: true });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.LOGIN,
+    ...tokens,
     user: {
       uid: user.uid,
       full_name: user.full_name,
@@ -227,6 +332,8 @@ exports.signin = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       searchTerm: user.searchTerm,
+      isEmailVerified: user.isEmailVerified,
+      hasPin: hasPin(user),
     },
   });
 });
@@ -238,7 +345,7 @@ exports.signin = asyncHandler(async (req, res) => {
  */
 exports.getAllUsers = asyncHandler(async (req, res) => {
   const users = await User.findAll({
-    attributes: { exclude: ["password"] },
+    attributes: { exclude: PRIVATE_USER_FIELDS },
     order: [["createdAt", "DESC"]],
   });
 
@@ -284,6 +391,26 @@ exports.checkEmail = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Check whether a username can be claimed
+ * @route   POST /user/check-username
+ * @access  Public
+ */
+exports.checkUsername = asyncHandler(async (req, res) => {
+  const { username } = req.body;
+
+  if (!username || typeof username !== "string") {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Username"));
+  }
+
+  const result = await checkUsername(username, req.user?.uid);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    ...result,
+  });
+});
+
 /**
  * @desc    Check phone and send OTP
  * @route   POST /user/check-phone
@@ -317,33 +444,38 @@ exports.checkPhoneAndSendOtp = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate OTP
-  const otpToSend = Math.floor(1000 + Math.random() * 9000);
+  const { expiresAt, resendAvailableAt } = await issueOtp(phone, "signup");
 
-  // Send OTP via external API
-  try {
-    await axios.post("https://bsms.its.com.pk/otpsms.php", null, {
-      params: {
-        key: process.env.SMS_API_KEY || "8aaf1d3a0b626b4840b6558792b4506b",
-        receiver: phone,
-        sender: "SmartLane",
-        otpcode: otpToSend,
-        param1: "Create App",
-        param2: "Verification",
-      },
-    });
+  res.status(HTTP_STATUS.OK).json({
+    exists: false,
+    message: MESSAGES.SUCCESS.OTP_SENT(phone),
+    expiresAt,
+    resendAvailableAt,
+  });
+});
 
-    logger.info("OTP sent successfully", { phone });
-  } catch (error) {
-    logger.error("Failed to send OTP", { phone, error: error.message });
-    // Continue even if SMS fails - return OTP for testing
+/**
+ * @desc    Verify OTP and issue a short-lived phone verification proof
+ * @route   POST /user/verify-otp
+ * @access  Public
+ */
+exports.verifyOtp = asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
+
+  if (!phone) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Phone number"));
+  }
+
+  if (!code) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Verification code"));
   }
 
+  const phoneVerificationToken = await verifyOtp(phone, code, "signup");
+
   res.status(HTTP_STATUS.OK).json({
-    exists: false,
-    message: MESSAGES.SUCCESS.OTP_SENT(phone),
-    // Include OTP in development only
-    ...(process.env.ENV !== "production" && { otp: otpToSend }),
+    success: true,
+    message: MESSAGES.SUCCESS.OTP_VERIFIED,
+    phoneVerificationToken,
   });
 });
 
@@ -354,7 +486,7 @@ exports.checkPhoneAndSendOtp = asyncHandler(async (req, res) => {
  */
 exports.updateProfile = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { firstName, lastName, phone, role, searchTerm } = req.body;
+  const { firstName, lastName, phone, role, searchTerm, reportingCurrency } = req.body;
 
   logger.info("Update profile attempt", { userId });
 
@@ -373,8 +505,16 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   if (firstName !== undefined) updatedFields.firstName = firstName;
   if (lastName !== undefined) updatedFields.lastName = lastName;
   if (phone !== undefined) updatedFields.phone = phone;
-  if (role !== undefined) updatedFields.role = role;
+  if (role !== undefined && role !== user.role) {
+    // Admin roles are managed through /admin/users only
+    if (isAdminRole(role) || isAdminRole(user.role)) {
+      throw new ForbiddenError(MESSAGES.ERROR.FORBIDDEN);
+    }
+    updatedFields.role = role;
+  }
   if (searchTerm !== undefined) updatedFields.searchTerm = searchTerm;
+  if (reportingCurrency !== undefined) updatedFields.reportingCurrency = parseReportingCurrency(reportingCurrency);
+  // avatar_url is only set through POST /user/avatar, never from a client-supplied URL
 
   // Update full_name if name changed
   if (firstName !== undefined || lastName !== undefined) {
@@ -396,6 +536,9 @@ exports.updateProfile = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       searchTerm: user.searchTerm,
+      avatarUrl: user.avatar_url,
+      avatarVariants: user.avatarVariants,
+      reportingCurrency: getReportingCurrency(user),
     },
   });
 });
@@ -414,7 +557,7 @@ exports.getUserById = asyncHandler(async (req, res) => {
 
   const user = await User.findOne({
     where: { uid: userId },
-    attributes: { exclude: ["password"] },
+    attributes: { exclude: PRIVATE_USER_FIELDS },
   });
 
   if (!user) {
@@ -432,6 +575,9 @@ exports.getUserById = asyncHandler(async (req, res) => {
       email: user.email,
       role: user.role,
       searchTerm: user.searchTerm,
+      avatarUrl: user.avatar_url,
+      avatarVariants: user.avatarVariants,
+      reportingCurrency: getReportingCurrency(user),
     },
   });
 });
@@ -467,43 +613,12 @@ exports.testPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Request password reset - sends secure reset link via email
- * @route   POST /user/forgot-password
- * @access  Public
+ * Generate a password reset token for a user and email them the reset link
+ * Email failures are logged, never thrown, so callers do not reveal them.
+ * @param {object} user - User instance
+ * @returns {Promise<{ resetUrl: string, resetToken: string }>}
  */
-exports.forgotPassword = asyncHandler(async (req, res) => {
-  const { email } = req.body;
-
-  if (!email) {
-    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Email"));
-  }
-
-  logger.info("Password reset requested", { email });
-
-  // Find user by email (case-insensitive lookup)
-  const user = await User.findOne({ 
-    where: db.Sequelize.where(
-      db.Sequelize.fn('LOWER', db.Sequelize.col('email')),
-      email.trim().toLowerCase()
-    )
-  });
-  
-  logger.info("User lookup for password reset", { 
-    email: email.trim().toLowerCase(), 
-    userFound: !!user,
-    userId: user?.uid 
-  });
-
-  // For security, always return success even if user not found
-  // This prevents email enumeration attacks
-  if (!user) {
-    logger.debug("Password reset requested for non-existent email", { email });
-    return res.status(HTTP_STATUS.OK).json({
-      success: true,
-      message: "If an account exists with this email, a reset link has been sent.",
-    });
-  }
-
+const sendResetLink = async (user) => {
   // Generate a secure random token (32 bytes = 64 hex chars)
   const resetToken = crypto.randomBytes(32).toString("hex");
   
@@ -548,6 +663,49 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
     // Don't throw - still return success for security
   }
 
+  return { resetUrl, resetToken };
+};
+
+/**
+ * @desc    Request password reset - sends secure reset link via email
+ * @route   POST /user/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Email"));
+  }
+
+  logger.info("Password reset requested", { email });
+
+  // Find user by email (case-insensitive lookup)
+  const user = await User.findOne({ 
+    where: db.Sequelize.where(
+      db.Sequelize.fn('LOWER', db.Sequelize.col('email')),
+      email.trim().toLowerCase()
+    )
+  });
+  
+  logger.info("User lookup for password reset", { 
+    email: email.trim().toLowerCase(), 
+    userFound: !!user,
+    userId: user?.uid 
+  });
+
+  // For security, always return success even if user not found
+  // This prevents email enumeration attacks
+  if (!user) {
+    logger.debug("Password reset requested for non-existent email", { email });
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: "If an account exists with this email, a reset link has been sent.",
+    });
+  }
+
+  const { resetUrl, resetToken } = await sendResetLink(user);
+
   const response = {
     success: true,
     message: "If an account exists with this email, a reset link has been sent.",
@@ -574,11 +732,6 @@ exports.resetPassword = asyncHandler(async (req, res) => {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("New password"));
   }
 
-  // Validate password strength
-  if (newPassword.length < 8) {
-    throw new BadRequestError("Password must be at least 8 characters long");
-  }
-
   let user;
 
   // If this is a Firebase-initiated reset, find user by email from Firebase
@@ -615,16 +768,17 @@ exports.resetPassword = asyncHandler(async (req, res) => {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Token or email"));
   }
 
-  // Hash new password
-  const hashedPassword = await bcrypt.hash(newPassword, 10);
-
-  // Update password and clear reset token
-  await user.update({
-    password: hashedPassword,
+  // Update password (policy + history checks) and clear reset token
+  // The app PIN is cleared too, so a forgotten or blocked PIN can be set again
+  await setPassword(user, newPassword, {
     resetPasswordToken: null,
     resetPasswordExpires: null,
+    ...CLEARED_PIN,
   });
 
+  // Whoever knew the old password is signed out everywhere
+  await revokeAllSessions(user.uid, "password_reset");
+
   logger.info("Password reset successful", { userId: user.uid });
 
   res.status(HTTP_STATUS.OK).json({
@@ -639,7 +793,7 @@ exports.resetPassword = asyncHandler(async (req, res) => {
  * @access  Public
  */
 exports.verifyFirebaseToken = asyncHandler(async (req, res) => {
-  const { idToken, phone, email, displayName } = req.body;
+  const { idToken } = req.body;
 
   if (!idToken) {
     throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Firebase ID token"));
@@ -657,31 +811,51 @@ exports.verifyFirebaseToken = asyncHandler(async (req, res) => {
       phone: decodedToken.phone_number 
     });
 
-    // Check if user exists with this phone number
-    const phoneNumber = phone || decodedToken.phone_number;
+    // Only the number Firebase verified counts; a client-supplied phone could name any account
+    const phoneNumber = decodedToken.phone_number;
     
     if (!phoneNumber) {
       throw new BadRequestError("Phone number not found in token");
     }
 
-    let user = await User.findOne({ 
-      where: { phone: phoneNumber },
-      attributes: ['uid', 'email', 'phone', 'firstName', 'lastName', 'full_name', 'role']
-    });
+    const firebaseAttributes = ['uid', 'email', 'phone', 'firstName', 'lastName', 'full_name', 'role', 'permissions', 'isDeleted', 'twoFactorEnabled', 'firebaseUid'];
+
+    // A linked Firebase user wins; otherwise fall back to the phone number
+    let user =
+      (await User.findOne({ where: { firebaseUid: decodedToken.uid }, attributes: firebaseAttributes })) ||
+      (await User.findOne({ where: { phone: phoneNumber }, attributes: firebaseAttributes }));
+
+    if (user?.isDeleted) {
+      throw new ForbiddenError(MESSAGES.ERROR.ACCOUNT_PENDING_DELETION);
+    }
+
+    // Phone sign-in does not skip 2FA; finish via /user/signin/2fa
+    if (user?.twoFactorEnabled) {
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: MESSAGES.SUCCESS.TWO_FACTOR_REQUIRED,
+        exists: true,
+        twoFactorRequired: true,
+        challengeToken: issueChallenge(user),
+        challengeExpiresIn: TWO_FACTOR.CHALLENGE_EXPIRY,
+      });
+    }
 
     if (user) {
-      // User exists - generate JWT
-      const token = jwt.sign(
-        { uid: user.uid, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: TOKEN_EXPIRY }
-      );
+      // Signed in by phone number only: remember the Firebase user for next time
+      if (!user.firebaseUid) {
+        await user.update({ firebaseUid: decodedToken.uid });
+      }
+
+      // User exists - start a session
+      const tokens = await createSession(user, req);
+      await recordLoginAttempt(req, { identifier: phoneNumber, user, success: true, method: "phone" });
 
       return res.status(HTTP_STATUS.OK).json({
         success: true,
         message: "Phone verified successfully",
         exists: true,
-        token,
+        ...tokens,
         user: {
           uid: user.uid,
           phone: user.phone,
@@ -701,8 +875,15 @@ exports.verifyFirebaseToken = asyncHandler(async (req, res) => {
       exists: false,
       firebaseUid: decodedToken.uid,
       phone: phoneNumber,
+      // Firebase verified the number, so signup can use this as its proof
+      phoneVerificationToken: issuePhoneProof(phoneNumber),
     });
   } catch (error) {
+    // Our own errors (e.g. account pending deletion) pass through unchanged
+    if (error.isOperational) {
+      throw error;
+    }
+
     logger.error("Firebase token verification failed", { error: error.message });
     
     if (error.code === 'auth/id-token-expired') {
@@ -809,3 +990,729 @@ exports.firebaseForgotPassword = asyncHandler(async (req, res) => {
     });
   }
 });
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /user/token/refresh
+ * @access  Public
+ */
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Refresh token"));
+  }
+
+  const tokens = await rotateSession(refreshToken, req);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.TOKEN_REFRESHED,
+    ...tokens,
+  });
+});
+
+/**
+ * @desc    Logout current session
+ * @route   POST /user/logout
+ * @access  Private
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  const { uid, sid } = req.user;
+
+  if (sid) {
+    await revokeSession(sid, uid, "logout");
+  }
+
+  logger.info("User logged out", { userId: uid, sessionId: sid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.LOGOUT,
+  });
+});
+
+/**
+ * @desc    Logout from all devices (revokes every session)
+ * @route   POST /user/logout-all
+ * @access  Private
+ */
+exports.logoutAll = asyncHandler(async (req, res) => {
+  const { uid } = req.user;
+
+  const revokedCount = await revokeAllSessions(uid, "logout_all");
+
+  logger.info("User logged out from all devices", { userId: uid, revokedCount });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.LOGOUT_ALL,
+    revokedCount,
+  });
+});
+
+/**
+ * @desc    Confirm email address from a verification link
+ * @route   POST /user/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Verification token"));
+  }
+
+  const user = await confirmEmailVerification(token);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.EMAIL_VERIFIED,
+    email: user.email,
+    isEmailVerified: true,
+  });
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /user/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    where: { uid: req.user.uid },
+    attributes: ["uid", "email", "firstName", "isEmailVerified"],
+  });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  if (user.isEmailVerified) {
+    return res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.EMAIL_VERIFIED,
+      isEmailVerified: true,
+    });
+  }
+
+  const sent = await sendVerificationLink(user);
+
+  if (!sent) {
+    throw new BadRequestError("Could not send verification email. Please try again");
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.EMAIL_VERIFICATION_SENT,
+    isEmailVerified: false,
+  });
+});
+
+// Columns needed to check and update the app PIN
+const PIN_ATTRIBUTES = ["uid", "email", "pin", "pinFailedAttempts", "pinLockedUntil"];
+
+const findPinUser = async (uid) => {
+  const user = await User.findOne({ where: { uid }, attributes: PIN_ATTRIBUTES });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Set the app PIN (first time only)
+ * @route   POST /user/pin
+ * @access  Private
+ */
+exports.setPin = asyncHandler(async (req, res) => {
+  const { pin } = req.body;
+
+  if (!pin) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("PIN"));
+  }
+
+  const user = await findPinUser(req.user.uid);
+
+  if (hasPin(user)) {
+    throw new ConflictError(MESSAGES.ERROR.PIN_ALREADY_SET);
+  }
+
+  await setPin(user, String(pin));
+  logger.info("PIN set", { userId: user.uid });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PIN_SET,
+    hasPin: true,
+  });
+});
+
+/**
+ * @desc    Verify the app PIN (quick unlock)
+ * @route   POST /user/pin/verify
+ * @access  Private
+ */
+exports.verifyPin = asyncHandler(async (req, res) => {
+  const { pin } = req.body;
+
+  if (!pin) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("PIN"));
+  }
+
+  const user = await findPinUser(req.user.uid);
+
+  await verifyPin(user, String(pin));
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PIN_VERIFIED,
+  });
+});
+
+/**
+ * @desc    Change the app PIN
+ * @route   PUT /user/pin
+ * @access  Private
+ */
+exports.changePin = asyncHandler(async (req, res) => {
+  const { currentPin, newPin } = req.body;
+
+  if (!currentPin) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Current PIN"));
+  }
+
+  if (!newPin) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("New PIN"));
+  }
+
+  const user = await findPinUser(req.user.uid);
+
+  // Wrong current PINs count towards the lockout
+  await verifyPin(user, String(currentPin));
+  await setPin(user, String(newPin));
+
+  logger.info("PIN changed", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PIN_CHANGED,
+  });
+});
+
+/**
+ * @desc    Forgot PIN - sends the forgot-password reset link; resetting clears the PIN
+ * @route   POST /user/pin/forgot
+ * @access  Private
+ */
+exports.forgotPin = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    where: { uid: req.user.uid },
+    attributes: ["uid", "email", "firstName", "full_name"],
+  });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  await sendResetLink(user);
+  logger.info("PIN reset requested", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: `A reset link has been sent to ${user.email}. Resetting your password also clears your PIN.`,
+  });
+});
+
+/**
+ * @desc    Delete own account (soft delete now, purged after the grace period)
+ * @route   DELETE /user/me
+ * @access  Private
+ */
+exports.deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body || {};
+
+  if (!password) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Password"));
+  }
+
+  const user = await User.findOne({ where: { uid: req.user.uid } });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  if (user.isDeleted) {
+    throw new ConflictError(MESSAGES.ERROR.DELETION_ALREADY_PENDING);
+  }
+
+  const isMatch = await bcrypt.compare(password, user.password);
+
+  if (!isMatch) {
+    throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
+  }
+
+  const scheduledFor = await requestAccountDeletion(user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETION_SCHEDULED(scheduledFor.toDateString()),
+    deletionScheduledFor: scheduledFor,
+  });
+});
+
+/**
+ * @desc    Cancel a pending account deletion using the emailed link token
+ * @route   POST /user/deletion/cancel
+ * @access  Public
+ */
+exports.cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Cancellation token"));
+  }
+
+  const user = await cancelAccountDeletion(token);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.DELETION_CANCELLED,
+    email: user.email,
+  });
+});
+
+/**
+ * @desc    Download everything stored about the current user
+ * @route   GET /user/me/export
+ * @access  Private
+ */
+exports.exportAccountData = asyncHandler(async (req, res) => {
+  const archive = await buildUserExport(req.user.uid);
+
+  if (!archive) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  logger.info("Personal data exported", { userId: req.user.uid });
+
+  const filename = `create-data-export-${new Date().toISOString().slice(0, 10)}.json`;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(HTTP_STATUS.OK).send(JSON.stringify(archive, null, 2));
+});
+
+// Columns needed to manage two-factor settings
+const TWO_FACTOR_ATTRIBUTES = [
+  "uid",
+  "email",
+  "password",
+  "twoFactorEnabled",
+  "twoFactorSecret",
+  "twoFactorBackupCodes",
+  "twoFactorLastUsedStep",
+];
+
+const findTwoFactorUser = async (uid) => {
+  const user = await User.findOne({ where: { uid }, attributes: TWO_FACTOR_ATTRIBUTES });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Start 2FA enrolment (returns the secret and otpauth URI)
+ * @route   POST /user/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findTwoFactorUser(req.user.uid);
+  const { secret, otpauthUri } = await beginEnrolment(user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Scan the QR code or enter the secret in your authenticator app, then confirm with a code",
+    secret,
+    otpauthUri,
+  });
+});
+
+/**
+ * @desc    Confirm 2FA enrolment with the first code
+ * @route   POST /user/2fa/confirm
+ * @access  Private
+ */
+exports.confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Authentication code"));
+  }
+
+  const user = await findTwoFactorUser(req.user.uid);
+  const backupCodes = await confirmEnrolment(user, String(code));
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.TWO_FACTOR_ENABLED,
+    backupCodes,
+  });
+});
+
+/**
+ * @desc    Replace backup codes (requires a current code)
+ * @route   POST /user/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await findTwoFactorUser(req.user.uid);
+
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_NOT_ENABLED);
+  }
+
+  if (!(await verifySecondFactor(user, String(code || "")))) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_CODE_INVALID);
+  }
+
+  const backupCodes = await regenerateBackupCodes(user);
+  logger.info("Backup codes regenerated", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.BACKUP_CODES_REGENERATED,
+    backupCodes,
+  });
+});
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /user/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Password"));
+  }
+
+  const user = await findTwoFactorUser(req.user.uid);
+
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_NOT_ENABLED);
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
+  }
+
+  if (!(await verifySecondFactor(user, String(code || "")))) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_CODE_INVALID);
+  }
+
+  await disableTwoFactor(user);
+  logger.info("Two-factor authentication disabled", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.TWO_FACTOR_DISABLED,
+  });
+});
+
+/**
+ * @desc    Recent sign-in activity for the current user
+ * @route   GET /user/me/signin-activity
+ * @access  Private
+ */
+exports.getSigninActivity = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const activity = await getSigninActivity(req.user.uid, limit);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Sign-in activity"),
+    count: activity.length,
+    activity,
+  });
+});
+
+/**
+ * @desc    Upload a new avatar (replaces the current one)
+ * @route   POST /user/avatar
+ * @access  Private
+ */
+exports.uploadAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ where: { uid: req.user.uid } });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  const { avatarUrl, variants } = await replaceAvatar(user, req.file);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.AVATAR_UPDATED,
+    avatarUrl,
+    avatarVariants: variants,
+  });
+});
+
+/**
+ * @desc    Remove the current avatar
+ * @route   DELETE /user/avatar
+ * @access  Private
+ */
+exports.deleteAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ where: { uid: req.user.uid } });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  await removeAvatar(user);
+  logger.info("Avatar removed", { userId: user.uid });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.AVATAR_REMOVED,
+  });
+});
+
+/**
+ * @desc    Claim a username and edit the public profile (bio, visibility)
+ * @route   PUT /user/me/public-profile
+ * @access  Private
+ */
+exports.updatePublicProfile = asyncHandler(async (req, res) => {
+  const { username, bio, isProfilePublic } = req.body;
+
+  const user = await User.findOne({ where: { uid: req.user.uid } });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  await updatePublicProfile(user, { username, bio, isProfilePublic });
+  logger.info("Public profile updated", { userId: user.uid, isProfilePublic: user.isProfilePublic });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PUBLIC_PROFILE_UPDATED,
+    profile: {
+      username: user.username,
+      bio: user.bio,
+      isProfilePublic: user.isProfilePublic,
+      url: user.username ? `${process.env.BACKEND_URL || ""}/u/${user.username}` : null,
+    },
+  });
+});
+
+/**
+ * @desc    Get a published creator profile with its portfolio
+ * @route   GET /user/profile/:username
+ * @access  Public
+ */
+exports.getPublicProfile = asyncHandler(async (req, res) => {
+  const profile = await getPublicProfile(req.params.username);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Profile"),
+    profile,
+  });
+});
+
+/**
+ * Load the current user with every column (identity changes need the password hash)
+ */
+const findCurrentUser = async (uid) => {
+  const user = await User.findOne({ where: { uid } });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("User"));
+  }
+
+  return user;
+};
+
+/**
+ * Reply to a link request: success, or 409 with the merge confirmation
+ */
+const sendLinkResult = (res, result, identityLabel) => {
+  if (result.mergeToken) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: MESSAGES.ERROR.IDENTITY_BELONGS_TO_OTHER_ACCOUNT(identityLabel),
+      ...result,
+    });
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.IDENTITY_LINKED(identityLabel),
+  });
+};
+
+/**
+ * @desc    List the sign-in identities on the current account
+ * @route   GET /user/me/identities
+ * @access  Private
+ */
+exports.getIdentities = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req.user.uid);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.FETCHED("Identities"),
+    identities: accountLinking.getIdentities(user),
+  });
+});
+
+/**
+ * @desc    Link a verified phone number (OTP proof or Firebase ID token)
+ * @route   POST /user/me/identities/phone
+ * @access  Private
+ */
+exports.linkPhone = asyncHandler(async (req, res) => {
+  const { phone, phoneVerificationToken, idToken } = req.body;
+
+  if (!idToken && !phoneVerificationToken) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("phoneVerificationToken or idToken"));
+  }
+
+  const user = await findCurrentUser(req.user.uid);
+  const result = await accountLinking.linkPhone(user, { phone, phoneVerificationToken, idToken });
+
+  sendLinkResult(res, result, "phone number");
+});
+
+/**
+ * @desc    Link an email and password (or prove ownership of another account's email)
+ * @route   POST /user/me/identities/email
+ * @access  Private
+ */
+exports.linkEmail = asyncHandler(async (req, res) => {
+  const { email, password, currentPassword } = req.body;
+
+  // Another account's password is checked here, so apply the sign-in throttle
+  await assertLoginAllowed(email, req);
+
+  const user = await findCurrentUser(req.user.uid);
+  let result;
+
+  try {
+    result = await accountLinking.linkEmail(user, { email, password, currentPassword });
+  } catch (error) {
+    if (error.message === MESSAGES.ERROR.INVALID_CREDENTIALS) {
+      await recordLoginAttempt(req, { identifier: email, success: false, failureReason: "link_invalid_password" });
+    }
+    throw error;
+  }
+
+  sendLinkResult(res, result, "email");
+});
+
+/**
+ * @desc    Unlink the phone number or email sign-in from the current account
+ * @route   DELETE /user/me/identities/:identity
+ * @access  Private
+ */
+exports.unlinkIdentity = asyncHandler(async (req, res) => {
+  const { identity } = req.params;
+  const { password } = req.body || {};
+
+  if (!["phone", "email"].includes(identity)) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Identity"));
+  }
+
+  if (!password) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Password"));
+  }
+
+  const user = await findCurrentUser(req.user.uid);
+
+  // Accounts without password sign-in are rejected by the unlink checks below
+  if (user.password && !(await bcrypt.compare(password, user.password))) {
+    throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
+  }
+
+  if (identity === "phone") {
+    await accountLinking.unlinkPhone(user);
+  } else {
+    await accountLinking.unlinkEmail(user);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.IDENTITY_UNLINKED(identity === "phone" ? "phone number" : "email sign-in"),
+    identities: accountLinking.getIdentities(user),
+  });
+});
+
+/**
+ * @desc    Merge the account that owns a linked identity into the current one
+ * @route   POST /user/me/identities/merge
+ * @access  Private
+ */
+exports.confirmAccountMerge = asyncHandler(async (req, res) => {
+  const { mergeToken } = req.body;
+
+  if (!mergeToken) {
+    throw new BadRequestError(MESSAGES.ERROR.REQUIRED("Merge token"));
+  }
+
+  const user = await findCurrentUser(req.user.uid);
+  const moved = await accountLinking.confirmMerge(user, mergeToken);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.ACCOUNTS_MERGED,
+    moved,
+    identities: accountLinking.getIdentities(user),
+  });
+});
+
+/**
+ * @desc    Change password (requires the current password; signs out other sessions)
+ * @route   PUT /user/me/password
+ * @access  Private
+ */
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await findCurrentUser(req.user.uid);
+
+  // Guessing the current password here is throttled like signin
+  await assertLoginAllowed(user.email, req);
+
+  if (!(await bcrypt.compare(currentPassword, user.password))) {
+    await recordLoginAttempt(req, {
+      identifier: user.email,
+      user,
+      success: false,
+      failureReason: "change_password_invalid",
+    });
+    throw new BadRequestError(MESSAGES.ERROR.CURRENT_PASSWORD_INVALID);
+  }
+
+  await setPassword(user, newPassword);
+  const revokedCount = await revokeAllSessions(user.uid, "password_changed", req.user.sid);
+
+  logger.info("Password changed", { userId: user.uid, revokedCount });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: MESSAGES.SUCCESS.PASSWORD_CHANGED,
+    revokedCount,
+  });
+});
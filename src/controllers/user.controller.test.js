@@ -0,0 +1,93 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const email = require("../utils/email");
+
+// Replaced before the controller's helpers take their references, so no email is sent
+Object.keys(email).forEach((name) => {
+  if (typeof email[name] === "function") email[name] = mock.fn(async () => true);
+});
+
+const controller = require("./user.controller");
+const totp = require("../utils/totp");
+const { beginEnrolment, confirmEnrolment, issueChallenge } = require("../utils/twoFactor");
+
+/**
+ * Run a handler; resolves with { error } when it calls next, otherwise { status, body }
+ */
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler({ ip: "10.0.0.1", headers: {}, params: {}, query: {}, body: {}, ...req }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+/**
+ * A user with 2FA switched on, and the secret to generate codes from
+ */
+const enrolUser = async (values) => {
+  const user = db.User.build({ uid: "user-1", role: "user", ...values });
+  mock.method(user, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  const { secret } = await beginEnrolment(user);
+  await confirmEnrolment(user, totp.generateCode(secret, totp.getStep() - 1));
+  return { user, secret };
+};
+
+/**
+ * Stub the sign-in audit trail; returns the LoginAttempt.create mock
+ */
+const mockSigninAudit = () => {
+  mock.method(db.LoginAttempt, "max", async () => null);
+  mock.method(db.LoginAttempt, "count", async () => 0);
+  mock.method(db.LoginAttempt, "findAll", async () => []);
+  return mock.method(db.LoginAttempt, "create", async (values) => values);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("signinTwoFactor", () => {
+  it("signs in a phone-only user, auditing the attempt under their phone", async () => {
+    const { user, secret } = await enrolUser({ phone: "+923001234567", email: null });
+    mock.method(db.User, "findOne", async () => user);
+    mock.method(db.User, "update", async () => [1]);
+    mock.method(db.Session, "create", async (values) => ({ id: "session-1", ...values }));
+    const audit = mockSigninAudit();
+
+    const { status, body } = await run(controller.signinTwoFactor, {
+      body: { challengeToken: issueChallenge(user), code: totp.generateCode(secret, totp.getStep()) },
+    });
+
+    assert.equal(status, 200);
+    assert.ok(body.accessToken);
+    assert.equal(audit.mock.calls[0].arguments[0].identifier, "+923001234567");
+    assert.equal(audit.mock.calls[0].arguments[0].success, true);
+  });
+
+  it("refuses a wrong code for a phone-only user", async () => {
+    const { user } = await enrolUser({ phone: "+923001234567", email: null });
+    mock.method(db.User, "findOne", async () => user);
+    const audit = mockSigninAudit();
+
+    const { error } = await run(controller.signinTwoFactor, {
+      body: { challengeToken: issueChallenge(user), code: "000000" },
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(audit.mock.calls[0].arguments[0].failureReason, "invalid_2fa_code");
+  });
+});
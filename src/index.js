@@ -12,6 +12,8 @@ const db = require("../src/models");
 const logger = require("./utils/logger");
 const { errorHandler, notFoundHandler } = require("./middlewares/errorHandler");
 const { sanitize } = require("./middlewares/validate");
+const { getPublicProfile } = require("./utils/publicProfile");
+const { escapeHtml } = require("./utils/email");
 
 const app = express();
 const PORT = process.env.SERVERPORT || 8080;
@@ -246,30 +248,385 @@ app.get("/reset-password", (req, res) => {
   res.send(resetPasswordHTML);
 });
 
-// Admin Analytics Login Endpoint
-app.post("/admin/analytics/login", (req, res) => {
-  const { email, password } = req.body;
-  
-  // Hardcoded admin credentials
-  if (email === 'admin@gmail.com' && password === 'admin') {
-    const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      { uid: 'admin', email: 'admin@gmail.com', role: 'admin' },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-    
-    return res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      token
+// Email Verification Page (served from backend) - confirms the link token via the API
+app.get("/verify-email", (req, res) => {
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data:; connect-src 'self'"
+  );
+  const verifyEmailHTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify Email - Create App</title>
+  <link href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    *{margin:0;padding:0;box-sizing:border-box}
+    body{font-family:'Plus Jakarta Sans',sans-serif;background:linear-gradient(135deg,#0a1628 0%,#0f1f35 50%,#162a45 100%);min-height:100vh;display:flex;justify-content:center;align-items:center;padding:20px}
+    .container{width:100%;max-width:440px;background:#fff;border-radius:20px;box-shadow:0 20px 25px -5px rgba(0,0,0,0.1);overflow:hidden}
+    .header{background:linear-gradient(135deg,#0a1628,#0f1f35);padding:40px 30px;text-align:center}
+    .logo{font-size:28px;font-weight:700;color:#fff}
+    .state{text-align:center;padding:40px 30px;display:none}
+    .state.show{display:block}
+    .icon{width:80px;height:80px;border-radius:50%;display:flex;align-items:center;justify-content:center;margin:0 auto 20px}
+    .icon svg{width:40px;height:40px}
+    .icon.success{background:#d1fae5}.icon.success svg{fill:#10b981}
+    .icon.error{background:#fee2e2}.icon.error svg{fill:#dc2626}
+    .spinner{width:40px;height:40px;margin:0 auto 20px;border:3px solid #0f1f35;border-top-color:transparent;border-radius:50%;animation:spin 0.8s linear infinite}
+    @keyframes spin{to{transform:rotate(360deg)}}
+    .state h2{color:#0f172a;font-size:24px;margin-bottom:12px}
+    .state p{color:#64748b;font-size:14px;margin-bottom:24px}
+    .btn{display:inline-block;padding:16px 32px;background:#0f1f35;color:#fff;border-radius:12px;font-size:16px;font-weight:600;text-decoration:none}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header"><div class="logo">Create</div></div>
+    <div id="loading" class="state show">
+      <div class="spinner"></div>
+      <h2>Verifying your email</h2>
+      <p>This will only take a moment.</p>
+    </div>
+    <div id="success" class="state">
+      <div class="icon success"><svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg></div>
+      <h2>Email Verified!</h2>
+      <p id="successText">Your email address has been confirmed.</p>
+      <a href="https://create-app-eight.vercel.app/login" class="btn">Go to Login</a>
+    </div>
+    <div id="failure" class="state">
+      <div class="icon error"><svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg></div>
+      <h2>Invalid Verification Link</h2>
+      <p id="failureText">This verification link is invalid or has expired. You can request a new one from the app.</p>
+    </div>
+  </div>
+  <script>
+    const token=new URLSearchParams(window.location.search).get('token');
+    function show(id){document.querySelectorAll('.state').forEach(function(el){el.classList.toggle('show',el.id===id)})}
+    async function verify(){
+      if(!token){show('failure');return}
+      try{
+        const res=await fetch('/user/verify-email',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({token})});
+        const data=await res.json();
+        if(res.ok && data.success){
+          if(data.email){document.getElementById('successText').textContent=data.email+' has been confirmed.'}
+          show('success');
+        }else{
+          if(data.message){document.getElementById('failureText').textContent=data.message}
+          show('failure');
+        }
+      }catch(err){console.error('Verify email error:', err);document.getElementById('failureText').textContent='An error occurred. Please try again.';show('failure')}
+    }
+    verify();
+  </script>
+</body>
+</html>`;
+  res.setHeader('Content-Type', 'text/html');
+  res.send(verifyEmailHTML);
+});
+
+// Cancel Account Deletion Page (served from backend) - confirms the link token via the API
+app.get("/cancel-deletion", (req, res) => {
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data:; connect-src 'self'"
+  );
+  const cancelDeletionHTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Cancel Account Deletion - Create App</title>
+  <link href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    *{margin:0;padding:0;box-sizing:border-box}
+    body{font-family:'Plus Jakarta Sans',sans-serif;background:linear-gradient(135deg,#0a1628 0%,#0f1f35 50%,#162a45 100%);min-height:100vh;display:flex;justify-content:center;align-items:center;padding:20px}
+    .container{width:100%;max-width:440px;background:#fff;border-radius:20px;box-shadow:0 20px 25px -5px rgba(0,0,0,0.1);overflow:hidden}
+    .header{background:linear-gradient(135deg,#0a1628,#0f1f35);padding:40px 30px;text-align:center}
+    .logo{font-size:28px;font-weight:700;color:#fff}
+    .state{text-align:center;padding:40px 30px;display:none}
+    .state.show{display:block}
+    .icon{width:80px;height:80px;border-radius:50%;display:flex;align-items:center;justify-content:center;margin:0 auto 20px}
+    .icon svg{width:40px;height:40px}
+    .icon.success{background:#d1fae5}.icon.success svg{fill:#10b981}
+    .icon.error{background:#fee2e2}.icon.error svg{fill:#dc2626}
+    .spinner{width:40px;height:40px;margin:0 auto 20px;border:3px solid #0f1f35;border-top-color:transparent;border-radius:50%;animation:spin 0.8s linear infinite}
+    @keyframes spin{to{transform:rotate(360deg)}}
+    .state h2{color:#0f172a;font-size:24px;margin-bottom:12px}
+    .state p{color:#64748b;font-size:14px;margin-bottom:24px}
+    .btn{display:inline-block;padding:16px 32px;background:#0f1f35;color:#fff;border-radius:12px;font-size:16px;font-weight:600;text-decoration:none}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header"><div class="logo">Create</div></div>
+    <div id="loading" class="state show">
+      <div class="spinner"></div>
+      <h2>Restoring your account</h2>
+      <p>This will only take a moment.</p>
+    </div>
+    <div id="success" class="state">
+      <div class="icon success"><svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg></div>
+      <h2>Deletion Cancelled</h2>
+      <p id="successText">Your account and data have been restored. You can log in again.</p>
+      <a href="https://create-app-eight.vercel.app/login" class="btn">Go to Login</a>
+    </div>
+    <div id="failure" class="state">
+      <div class="icon error"><svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg></div>
+      <h2>Invalid Cancellation Link</h2>
+      <p id="failureText">This cancellation link is invalid or has expired.</p>
+    </div>
+  </div>
+  <script>
+    const token=new URLSearchParams(window.location.search).get('token');
+    function show(id){document.querySelectorAll('.state').forEach(function(el){el.classList.toggle('show',el.id===id)})}
+    async function verify(){
+      if(!token){show('failure');return}
+      try{
+        const res=await fetch('/user/deletion/cancel',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({token})});
+        const data=await res.json();
+        if(res.ok && data.success){
+          show('success');
+        }else{
+          if(data.message){document.getElementById('failureText').textContent=data.message}
+          show('failure');
+        }
+      }catch(err){console.error('Cancel deletion error:', err);document.getElementById('failureText').textContent='An error occurred. Please try again.';show('failure')}
+    }
+    verify();
+  </script>
+</body>
+</html>`;
+  res.setHeader('Content-Type', 'text/html');
+  res.send(cancelDeletionHTML);
+});
+
+// Agreement Review Page (served from backend) - client reviews and accepts via the API
+app.get("/agreement", (req, res) => {
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data:; connect-src 'self'"
+  );
+  const agreementHTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Project Agreement - Create App</title>
+  <link href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    *{margin:0;padding:0;box-sizing:border-box}
+    body{font-family:'Plus Jakarta Sans',sans-serif;background:linear-gradient(135deg,#0a1628 0%,#0f1f35 50%,#162a45 100%);min-height:100vh;display:flex;justify-content:center;align-items:flex-start;padding:20px}
+    .container{width:100%;max-width:720px;background:#fff;border-radius:20px;box-shadow:0 20px 25px -5px rgba(0,0,0,0.1);overflow:hidden;margin:20px 0}
+    .header{background:linear-gradient(135deg,#0a1628,#0f1f35);padding:32px 30px;text-align:center}
+    .logo{font-size:28px;font-weight:700;color:#fff}
+    .state{padding:32px 30px;display:none}
+    .state.show{display:block}
+    .center{text-align:center}
+    .icon{width:80px;height:80px;border-radius:50%;display:flex;align-items:center;justify-content:center;margin:0 auto 20px}
+    .icon svg{width:40px;height:40px}
+    .icon.success{background:#d1fae5}.icon.success svg{fill:#10b981}
+    .icon.error{background:#fee2e2}.icon.error svg{fill:#dc2626}
+    .spinner{width:40px;height:40px;margin:0 auto 20px;border:3px solid #0f1f35;border-top-color:transparent;border-radius:50%;animation:spin 0.8s linear infinite}
+    @keyframes spin{to{transform:rotate(360deg)}}
+    .state h2{color:#0f172a;font-size:24px;margin-bottom:12px}
+    .state p{color:#64748b;font-size:14px;margin-bottom:20px}
+    .document{background:#f8fafc;border:1px solid #e2e8f0;border-radius:12px;padding:20px;font-family:ui-monospace,Menlo,Consolas,monospace;font-size:13px;line-height:1.6;color:#0f172a;white-space:pre-wrap;word-break:break-word;max-height:60vh;overflow:auto;margin-bottom:24px}
+    label{display:block;color:#0f172a;font-size:14px;font-weight:600;margin-bottom:8px}
+    input[type=text]{width:100%;padding:14px 16px;border:2px solid #e2e8f0;border-radius:12px;font-size:16px;font-family:inherit;margin-bottom:16px}
+    input[type=text]:focus{outline:none;border-color:#0f1f35}
+    .check{display:flex;gap:10px;align-items:flex-start;font-weight:400;color:#334155;margin-bottom:20px}
+    .check input{margin-top:3px}
+    .btn{display:inline-block;width:100%;padding:16px 32px;background:#0f1f35;color:#fff;border:none;border-radius:12px;font-size:16px;font-weight:600;font-family:inherit;text-decoration:none;text-align:center;cursor:pointer}
+    .btn:disabled{opacity:0.5;cursor:not-allowed}
+    .btn.secondary{background:#fff;color:#0f1f35;border:2px solid #0f1f35;margin-top:12px}
+    .error{color:#dc2626;font-size:14px;margin-bottom:16px;display:none}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header"><div class="logo">Create</div></div>
+    <div id="loading" class="state show center">
+      <div class="spinner"></div>
+      <h2>Loading agreement</h2>
+      <p>This will only take a moment.</p>
+    </div>
+    <div id="review" class="state">
+      <h2 id="title">Project Agreement</h2>
+      <p>Please read the terms below. To accept, type your full name and confirm.</p>
+      <div id="document" class="document"></div>
+      <form id="acceptForm">
+        <label for="name">Your full name</label>
+        <input type="text" id="name" maxlength="120" autocomplete="name" required>
+        <label class="check"><input type="checkbox" id="confirm"> I have read this agreement and accept its scope, timeline and payment terms.</label>
+        <div id="formError" class="error"></div>
+        <button type="submit" id="acceptBtn" class="btn" disabled>Accept Agreement</button>
+      </form>
+      <a id="reviewPdf" class="btn secondary" href="#">Download PDF</a>
+    </div>
+    <div id="success" class="state center">
+      <div class="icon success"><svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg></div>
+      <h2>Agreement Accepted</h2>
+      <p id="successText">Thank you. A record of your acceptance has been saved.</p>
+      <a id="successPdf" class="btn" href="#">Download Signed Agreement</a>
+    </div>
+    <div id="failure" class="state center">
+      <div class="icon error"><svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg></div>
+      <h2>Agreement Unavailable</h2>
+      <p id="failureText">This agreement link is invalid or has expired. Ask the sender for a new one.</p>
+    </div>
+  </div>
+  <script>
+    const token=new URLSearchParams(window.location.search).get('token');
+    const api='/agreements/'+encodeURIComponent(token||'');
+    let documentHash=null;
+    function show(id){document.querySelectorAll('.state').forEach(function(el){el.classList.toggle('show',el.id===id)})}
+    function accepted(data){
+      document.getElementById('successText').textContent='Accepted by '+data.acceptedName+' on '+new Date(data.acceptedAt).toUTCString()+'.';
+      show('success');
+    }
+    const nameInput=document.getElementById('name');
+    const confirmInput=document.getElementById('confirm');
+    const acceptBtn=document.getElementById('acceptBtn');
+    function toggle(){acceptBtn.disabled=!(nameInput.value.trim() && confirmInput.checked)}
+    nameInput.addEventListener('input',toggle);
+    confirmInput.addEventListener('change',toggle);
+    document.getElementById('reviewPdf').href=api+'.pdf';
+    document.getElementById('successPdf').href=api+'.pdf';
+    async function load(){
+      if(!token){show('failure');return}
+      try{
+        const res=await fetch(api);
+        const data=await res.json();
+        if(!res.ok || !data.success){
+          if(data.message){document.getElementById('failureText').textContent=data.message}
+          show('failure');return;
+        }
+        const agreement=data.data;
+        if(agreement.status==='accepted'){accepted(agreement);return}
+        documentHash=agreement.documentHash;
+        document.getElementById('title').textContent=(agreement.content.scope.projectName||'Project')+' - Agreement';
+        document.getElementById('document').textContent=agreement.lines.join('\\n');
+        show('review');
+      }catch(err){console.error('Load agreement error:', err);document.getElementById('failureText').textContent='An error occurred. Please try again.';show('failure')}
+    }
+    document.getElementById('acceptForm').addEventListener('submit',async function(e){
+      e.preventDefault();
+      const errorEl=document.getElementById('formError');
+      errorEl.style.display='none';
+      acceptBtn.disabled=true;
+      try{
+        const res=await fetch(api+'/accept',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({name:nameInput.value.trim(),documentHash})});
+        const data=await res.json();
+        if(res.ok && data.success){accepted(data.data);return}
+        errorEl.textContent=data.message||'Could not accept the agreement. Please try again.';
+        errorEl.style.display='block';
+      }catch(err){console.error('Accept agreement error:', err);errorEl.textContent='An error occurred. Please try again.';errorEl.style.display='block'}
+      toggle();
     });
+    load();
+  </script>
+</body>
+</html>`;
+  res.setHeader('Content-Type', 'text/html');
+  res.send(agreementHTML);
+});
+
+// Public Creator Profile Page (server-rendered for link sharing; JSON at /user/profile/:username)
+app.get("/u/:username", async (req, res) => {
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'none'; style-src 'unsafe-inline' https://fonts.googleapis.com; font-src https://fonts.gstatic.com; img-src 'self' data: https:"
+  );
+  res.setHeader('Content-Type', 'text/html');
+
+  let profile;
+  try {
+    profile = await getPublicProfile(req.params.username);
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      logger.error("Public profile page error", { username: req.params.username, error: error.message });
+    }
+    return res.status(error.statusCode === 404 ? 404 : 500).send(`<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Profile not found - Create App</title>
+<style>body{font-family:sans-serif;background:#0a1628;color:#fff;min-height:100vh;display:flex;justify-content:center;align-items:center;margin:0}p{color:#94a3b8}</style></head>
+<body><div style="text-align:center"><h1>Profile not found</h1><p>This profile doesn't exist or isn't public.</p></div></body></html>`);
   }
-  
-  return res.status(401).json({
-    success: false,
-    message: 'Invalid admin credentials'
-  });
+
+  const name = escapeHtml(profile.name);
+  const avatar = profile.avatarVariants?.["256"] || profile.avatarUrl;
+  const initials = escapeHtml((profile.name || "?").trim().charAt(0).toUpperCase());
+  const pageUrl = `${process.env.BACKEND_URL || ""}/u/${encodeURIComponent(profile.username)}`;
+  const description = escapeHtml((profile.bio || `${profile.name} on Create`).slice(0, 200));
+
+  const portfolioHTML = profile.portfolio.length
+    ? profile.portfolio
+        .map(
+          (project) => `
+      <article class="project">
+        ${project.media.length ? `<div class="media">${project.media.slice(0, 6).map((url) => `<img src="${escapeHtml(url)}" alt="" loading="lazy">`).join("")}</div>` : ""}
+        <h3>${escapeHtml(project.name || "Untitled project")}</h3>
+        ${project.type ? `<div class="type">${escapeHtml(project.type)}</div>` : ""}
+        ${project.description ? `<p>${escapeHtml(project.description)}</p>` : ""}
+        ${project.tags.length ? `<div class="tags">${project.tags.map((tag) => `<span>${escapeHtml(tag)}</span>`).join("")}</div>` : ""}
+      </article>`
+        )
+        .join("")
+    : '<p class="empty">No projects to show yet.</p>';
+
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${name} (@${escapeHtml(profile.username)}) - Create App</title>
+  <meta name="description" content="${description}">
+  <meta property="og:type" content="profile">
+  <meta property="og:title" content="${name} on Create">
+  <meta property="og:description" content="${description}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  ${avatar ? `<meta property="og:image" content="${escapeHtml(avatar)}">` : ""}
+  <link href="https://fonts.googleapis.com/css2?family=Plus+Jakarta+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    *{margin:0;padding:0;box-sizing:border-box}
+    body{font-family:'Plus Jakarta Sans',sans-serif;background:#f1f5f9;color:#0f172a;min-height:100vh}
+    .header{background:linear-gradient(135deg,#0a1628 0%,#0f1f35 50%,#162a45 100%);padding:48px 20px 72px;text-align:center;color:#fff}
+    .avatar{width:112px;height:112px;border-radius:50%;border:4px solid #fff;object-fit:cover;background:#dbeafe;color:#0f1f35;display:flex;align-items:center;justify-content:center;font-size:40px;font-weight:700;margin:0 auto 16px}
+    .header h1{font-size:26px;font-weight:700}
+    .handle{color:#94a3b8;margin-top:4px}
+    .bio{max-width:560px;margin:16px auto 0;color:#cbd5e1;line-height:1.6;white-space:pre-line}
+    .content{max-width:960px;margin:-40px auto 40px;padding:0 20px}
+    .content h2{font-size:18px;margin:0 0 16px;color:#fff}
+    .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(280px,1fr));gap:20px}
+    .project{background:#fff;border-radius:16px;padding:20px;box-shadow:0 10px 15px -3px rgba(0,0,0,0.08)}
+    .media{display:grid;grid-template-columns:repeat(3,1fr);gap:6px;margin-bottom:14px}
+    .media img{width:100%;aspect-ratio:1;object-fit:cover;border-radius:8px}
+    .media img:first-child:nth-last-child(1){grid-column:span 3;aspect-ratio:16/9}
+    .project h3{font-size:16px}
+    .type{font-size:13px;color:#64748b;margin-top:2px}
+    .project p{font-size:14px;color:#334155;margin-top:10px;line-height:1.5}
+    .tags{margin-top:12px;display:flex;flex-wrap:wrap;gap:6px}
+    .tags span{background:#e0e7ff;color:#3730a3;font-size:12px;padding:4px 10px;border-radius:999px}
+    .empty{background:#fff;border-radius:16px;padding:32px;text-align:center;color:#64748b}
+    .footer{text-align:center;color:#94a3b8;font-size:13px;padding:0 20px 40px}
+  </style>
+</head>
+<body>
+  <header class="header">
+    ${avatar ? `<img class="avatar" src="${escapeHtml(avatar)}" alt="${name}">` : `<div class="avatar">${initials}</div>`}
+    <h1>${name}</h1>
+    <div class="handle">@${escapeHtml(profile.username)}</div>
+    ${profile.bio ? `<p class="bio">${escapeHtml(profile.bio)}</p>` : ""}
+  </header>
+  <main class="content">
+    <h2>Portfolio</h2>
+    <div class="grid">${portfolioHTML}
+    </div>
+  </main>
+  <div class="footer">Made with Create</div>
+</body>
+</html>`);
 });
 
 // Analytics Admin Dashboard Page (served from backend)
@@ -606,7 +963,18 @@ app.get("/admin/analytics", (req, res) => {
             password: document.getElementById('password').value
           })
         });
-        const data = await res.json();
+        let data = await res.json();
+        
+        // Admins with 2FA finish signing in with an authenticator or backup code
+        if (data.success && data.twoFactorRequired) {
+          const code = prompt('Enter the code from your authenticator app (or a backup code)');
+          const twoFactorRes = await fetch(API_BASE + '/user/signin/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: data.challengeToken, code: code || '' })
+          });
+          data = await twoFactorRes.json();
+        }
         
         if (data.success && data.token) {
           authToken = data.token;
@@ -1000,7 +1368,16 @@ app.get("/admin/funnel-analytics", (req, res) => {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ email: document.getElementById('email').value, password: document.getElementById('password').value })
         });
-        const data = await res.json();
+        let data = await res.json();
+        if (data.success && data.twoFactorRequired) {
+          const code = prompt('Enter the code from your authenticator app (or a backup code)');
+          const twoFactorRes = await fetch(API + '/user/signin/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: data.challengeToken, code: code || '' })
+          });
+          data = await twoFactorRes.json();
+        }
         if (data.success && data.token) {
           token = data.token;
           localStorage.setItem('analytics_token', data.token);
@@ -1374,7 +1751,16 @@ app.get("/admin/notifications", (req, res) => {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ email: document.getElementById('email').value, password: document.getElementById('password').value })
         });
-        const data = await res.json();
+        let data = await res.json();
+        if (data.success && data.twoFactorRequired) {
+          const code = prompt('Enter the code from your authenticator app (or a backup code)');
+          const twoFactorRes = await fetch(API + '/user/signin/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeToken: data.challengeToken, code: code || '' })
+          });
+          data = await twoFactorRes.json();
+        }
         if (data.success && data.token) {
           token = data.token;
           localStorage.setItem('analytics_token', data.token);
@@ -1591,7 +1977,7 @@ app.listen(PORT, () => {
 });
 
 // Handle unhandled promise rejections
-process.on("unhandledRejection", (reason, promise) => {
+process.on("unhandledRejection", (reason) => {
   logger.error("Unhandled Rejection", { reason: reason?.toString() });
 });
 
@@ -1,11 +1,37 @@
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("./errorHandler");
+const db = require("../models");
+const { UnauthorizedError, ForbiddenError } = require("./errorHandler");
+const { isSessionActive } = require("../utils/session");
+const { getEffectivePermissions } = require("../utils/permissions");
+const { MESSAGES } = require("../utils/constants");
+
+/**
+ * Verify an access token and make sure its session has not been revoked.
+ * Tokens issued before sessions existed carry no `sid` and are accepted
+ * until they expire.
+ * @param {string} token - Bearer token
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-specific tokens (phone proofs, challenges, links) carry a `type`
+  // claim and must never be accepted as access tokens
+  if (decoded.type) {
+    throw new UnauthorizedError("Invalid token");
+  }
+
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw new UnauthorizedError("Session has been revoked");
+  }
+
+  return decoded;
+};
 
 /**
  * Authentication Middleware
  * Verifies JWT token and attaches user to request
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -19,7 +45,7 @@ const authenticate = (req, res, next) => {
       throw new UnauthorizedError("No token provided");
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (error) {
@@ -35,22 +61,25 @@ const authenticate = (req, res, next) => {
 
 /**
  * Optional Authentication Middleware
- * Attaches user if token exists, but doesn't require it
+ * Attaches user if token exists, but doesn't require it. A token that fails
+ * verification is kept on `req.authError` so later middleware can refuse to
+ * fall back to unauthenticated handling.
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
     if (authHeader && authHeader.startsWith("Bearer ")) {
       const token = authHeader.split(" ")[1];
       if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
         req.user = decoded;
       }
     }
     next();
   } catch (error) {
     // Token invalid, continue without user
+    req.authError = error;
     next();
   }
 };
@@ -66,17 +95,68 @@ const authorize = (...roles) => {
     }
 
     if (!roles.includes(req.user.role)) {
-      return next(new UnauthorizedError("Insufficient permissions"));
+      return next(new ForbiddenError("Insufficient permissions"));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Permission-based Authorization Middleware
+ * Requires every listed permission (e.g. "notifications:send")
+ * @param {string[]} permissions - Required permissions
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError("Authentication required"));
+    }
+
+    const granted = getEffectivePermissions(req.user);
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return next(new ForbiddenError(`Missing permission: ${missing.join(", ")}`));
     }
 
     next();
   };
 };
 
+/**
+ * Verified Email Middleware
+ * For sensitive actions (e.g. sending contracts or invoices to clients).
+ * Reads the flag from the database so a verification takes effect
+ * without a new token.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError("Authentication required"));
+  }
+
+  try {
+    const user = await db.User.findOne({
+      where: { uid: req.user.uid },
+      attributes: ["uid", "isEmailVerified"],
+    });
+
+    if (!user?.isEmailVerified) {
+      return next(new ForbiddenError(MESSAGES.ERROR.EMAIL_NOT_VERIFIED));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   authenticate,
   verifyToken: authenticate, // Alias for consistency
   optionalAuth,
   authorize,
+  requirePermission,
+  requireVerifiedEmail,
 };
 
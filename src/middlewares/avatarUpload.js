@@ -0,0 +1,36 @@
+const multer = require("multer");
+const { BadRequestError } = require("./errorHandler");
+const { AVATAR, MESSAGES } = require("../utils/constants");
+
+// Kept in memory: the avatar service checks the bytes and uploads the variants itself
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR.MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR.ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new BadRequestError(MESSAGES.ERROR.AVATAR_INVALID_TYPE));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept a single avatar image from `field`, turning multer errors into 400s
+ * @param {string} [field="avatar"]
+ */
+const uploadAvatar = (field = "avatar") => (req, res, next) => {
+  avatarUpload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        new BadRequestError(
+          err.code === "LIMIT_FILE_SIZE"
+            ? MESSAGES.ERROR.AVATAR_TOO_LARGE(AVATAR.MAX_SIZE_MB)
+            : MESSAGES.ERROR.AVATAR_REQUIRED
+        )
+      );
+    }
+    next(err);
+  });
+};
+
+module.exports = uploadAvatar;
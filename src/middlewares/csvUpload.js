@@ -0,0 +1,39 @@
+const multer = require("multer");
+const { BadRequestError } = require("./errorHandler");
+const { EXCHANGE_RATES, MESSAGES } = require("../utils/constants");
+
+// Browsers and spreadsheet apps label CSV files inconsistently, so the extension counts too
+const CSV_TYPES = ["text/csv", "application/csv", "application/vnd.ms-excel", "text/plain"];
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EXCHANGE_RATES.MAX_CSV_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!CSV_TYPES.includes(file.mimetype) && !/\.csv$/i.test(file.originalname)) {
+      return cb(new BadRequestError(MESSAGES.ERROR.EXCHANGE_RATES_CSV_INVALID(EXCHANGE_RATES.CSV_COLUMNS)));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept an optional CSV file from `field`, turning multer errors into 400s.
+ * Requests without a file (e.g. JSON bodies) pass straight through.
+ * @param {string} [field=EXCHANGE_RATES.CSV_FIELD]
+ */
+const uploadCsv = (field = EXCHANGE_RATES.CSV_FIELD) => (req, res, next) => {
+  csvUpload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        new BadRequestError(
+          err.code === "LIMIT_FILE_SIZE"
+            ? MESSAGES.ERROR.EXCHANGE_RATES_FILE_TOO_LARGE(EXCHANGE_RATES.MAX_CSV_SIZE_MB)
+            : MESSAGES.ERROR.EXCHANGE_RATES_REQUIRED(field)
+        )
+      );
+    }
+    next(err);
+  });
+};
+
+module.exports = uploadCsv;
@@ -42,6 +42,13 @@ class ConflictError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", retryAfterSeconds = null) {
+    super(message, 429);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
 class ValidationError extends AppError {
   constructor(message = "Validation failed", errors = []) {
     super(message, 400);
@@ -52,6 +59,8 @@ class ValidationError extends AppError {
 /**
  * Global Error Handler Middleware
  */
+// Express recognizes error handlers by their four parameters, so `next` stays
+// eslint-disable-next-line no-unused-vars
 const errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || "error";
@@ -104,10 +113,15 @@ const errorHandler = (err, req, res, next) => {
 
   // Operational, trusted error: send message to client
   if (err.isOperational) {
+    if (err.retryAfterSeconds) {
+      res.setHeader("Retry-After", String(err.retryAfterSeconds));
+    }
+
     return res.status(err.statusCode).json({
       success: false,
       message: err.message,
       ...(err.errors && { errors: err.errors }),
+      ...(err.retryAfterSeconds && { retryAfter: err.retryAfterSeconds }),
     });
   }
 
@@ -135,6 +149,7 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   ValidationError,
   errorHandler,
   notFoundHandler,
@@ -4,7 +4,13 @@
  */
 
 const asyncHandler = require("./asyncHandler");
-const { authenticate, optionalAuth, authorize } = require("./auth");
+const {
+  authenticate,
+  optionalAuth,
+  authorize,
+  requirePermission,
+  requireVerifiedEmail,
+} = require("./auth");
 const {
   AppError,
   BadRequestError,
@@ -12,11 +18,13 @@ const {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   ValidationError,
   errorHandler,
   notFoundHandler,
 } = require("./errorHandler");
 const upload = require("./upload");
+const uploadAvatar = require("./avatarUpload");
 const { validate, sanitize, validators, schemas } = require("./validate");
 
 module.exports = {
@@ -27,6 +35,8 @@ module.exports = {
   authenticate,
   optionalAuth,
   authorize,
+  requirePermission,
+  requireVerifiedEmail,
 
   // Error Handling
   AppError,
@@ -35,12 +45,14 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   ValidationError,
   errorHandler,
   notFoundHandler,
 
   // File Upload
   upload,
+  uploadAvatar,
 
   // Validation
   validate,
@@ -0,0 +1,232 @@
+/**
+ * Resource Ownership Policies
+ * Resolves the acting user from the JWT and checks that they own (or, as an
+ * admin, may manage) the resource a route touches before the controller runs.
+ *
+ * Legacy mobile builds that call without a token are still served when
+ * LEGACY_AUTH_ENABLED is set, until LEGACY_AUTH_SUNSET, identified by the userId
+ * they send, and every such response carries Deprecation/Sunset headers so the
+ * app can prompt an update. A request that sends a token which fails
+ * verification (expired, revoked) never falls back to the legacy path.
+ */
+
+const db = require("../models");
+const logger = require("../utils/logger");
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require("./errorHandler");
+const {
+  MESSAGES,
+  ROLES,
+  LEGACY_AUTH_ENABLED,
+  LEGACY_AUTH_SUNSET,
+} = require("../utils/constants");
+
+/**
+ * Resource definitions: how to load a resource and who owns it
+ */
+const RESOURCES = {
+  project: {
+    label: "Project",
+    model: () => db.Project,
+    key: "pid",
+    scope: {},
+  },
+  draft: {
+    label: "Draft project",
+    model: () => db.Project,
+    key: "pid",
+    scope: { isDraft: true },
+  },
+  client: {
+    label: "Client",
+    model: () => db.Client,
+    key: "cid",
+    scope: {},
+  },
+  invoice: {
+    label: "Invoice",
+    model: () => db.Invoice,
+    key: "id",
+    scope: {},
+  },
+  tag: {
+    label: "Tag",
+    model: () => db.Tag,
+    key: "id",
+    scope: {},
+  },
+  template: {
+    label: "Template",
+    model: () => db.ProjectTemplate,
+    key: "id",
+    scope: {},
+  },
+};
+
+const isLegacyAllowed = () => LEGACY_AUTH_ENABLED && new Date() < new Date(LEGACY_AUTH_SUNSET);
+
+/**
+ * Error for a request whose Authorization header was sent but not accepted
+ */
+const rejectedTokenError = (error) => {
+  if (error?.name === "TokenExpiredError") return new UnauthorizedError("Token expired");
+  if (error instanceof UnauthorizedError) return error;
+  return new UnauthorizedError(MESSAGES.ERROR.TOKEN_INVALID);
+};
+
+const setDeprecationHeaders = (res) => {
+  res.setHeader("Deprecation", "true");
+  res.setHeader("Sunset", new Date(LEGACY_AUTH_SUNSET).toUTCString());
+  res.setHeader(
+    "Warning",
+    `299 - "Unauthenticated access is deprecated and stops working on ${LEGACY_AUTH_SUNSET}"`
+  );
+};
+
+/**
+ * Resolve the acting user into `req.actor`
+ * Must run after `optionalAuth` (or `authenticate`).
+ */
+const resolveActor = (req, res, next) => {
+  if (req.user) {
+    req.actor = {
+      uid: req.user.uid,
+      role: req.user.role,
+      isAdmin: req.user.role === ROLES.ADMIN,
+      legacy: false,
+    };
+    return next();
+  }
+
+  // A token was sent but rejected: never treat it as a legacy tokenless call,
+  // or a revoked session could keep acting by naming its userId
+  if (req.headers.authorization || req.authError) {
+    return next(rejectedTokenError(req.authError));
+  }
+
+  // A route param names whose data is asked for, not who is asking; taking the
+  // actor from it would let authorizeSelf approve any :userId
+  const claimedUserId = req.body?.userId || req.query?.userId;
+
+  if (!isLegacyAllowed() || !claimedUserId) {
+    return next(new UnauthorizedError(MESSAGES.ERROR.UPGRADE_REQUIRED));
+  }
+
+  setDeprecationHeaders(res);
+  logger.warn("Legacy unauthenticated request", {
+    method: req.method,
+    url: req.originalUrl,
+    claimedUserId,
+  });
+
+  req.actor = {
+    uid: claimedUserId,
+    role: ROLES.CREATOR,
+    isAdmin: false,
+    legacy: true,
+  };
+  next();
+};
+
+/**
+ * Force `userId` in body/query to the acting user
+ * Admins may act on behalf of another user by passing userId explicitly.
+ */
+const scopeToActor = (req, res, next) => {
+  const { actor } = req;
+  const requested = req.body?.userId || req.query?.userId;
+
+  if (actor.isAdmin && requested) {
+    return next();
+  }
+
+  if (req.body && typeof req.body === "object") {
+    req.body.userId = actor.uid;
+  }
+  if (req.query?.userId) {
+    // req.query is a getter in Express 5; redefine it with the scoped value
+    Object.defineProperty(req, "query", {
+      value: { ...req.query, userId: actor.uid },
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check whether the actor may access a resource owned by `ownerId`
+ * @param {object} actor - req.actor
+ * @param {string} ownerId - Owner uid of the resource
+ */
+const canAccess = (actor, ownerId) => actor.isAdmin || (!!ownerId && ownerId === actor.uid);
+
+/**
+ * Load a resource and require ownership before the controller runs
+ * The loaded instance is attached to `req.resource`.
+ * @param {string} type - Resource type (project, draft, client, invoice, tag, template)
+ * @param {object} options
+ * @param {string} [options.param="id"] - Route param holding the id
+ * @param {string} [options.bodyField] - Read the id from req.body instead
+ * @param {boolean} [options.optional=false] - Skip when no id is supplied (create-or-update routes)
+ */
+const authorizeResource = (type, { param = "id", bodyField, optional = false } = {}) => {
+  const definition = RESOURCES[type];
+
+  if (!definition) {
+    throw new Error(`Unknown policy resource type: ${type}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const id = bodyField ? req.body?.[bodyField] : req.params[param];
+
+      if (!id) {
+        return optional ? next() : next(new NotFoundError(MESSAGES.ERROR.NOT_FOUND(definition.label)));
+      }
+
+      const resource = await definition.model().findOne({
+        where: { [definition.key]: id, ...definition.scope },
+      });
+
+      if (!resource) {
+        // Create-or-update routes may reference a record that does not exist yet
+        return optional ? next() : next(new NotFoundError(MESSAGES.ERROR.NOT_FOUND(definition.label)));
+      }
+
+      if (!canAccess(req.actor, resource.userId)) {
+        logger.warn("Resource access denied", {
+          type,
+          id,
+          actorId: req.actor.uid,
+          legacy: req.actor.legacy,
+        });
+        return next(new ForbiddenError(MESSAGES.ERROR.FORBIDDEN));
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Require that a user id route param refers to the actor (or actor is admin)
+ * @param {string} [param="userId"] - Route param holding the user id
+ */
+const authorizeSelf = (param = "userId") => (req, res, next) => {
+  if (!canAccess(req.actor, req.params[param])) {
+    return next(new ForbiddenError(MESSAGES.ERROR.FORBIDDEN));
+  }
+  next();
+};
+
+module.exports = {
+  resolveActor,
+  scopeToActor,
+  authorizeResource,
+  authorizeSelf,
+  canAccess,
+};
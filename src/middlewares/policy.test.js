@@ -0,0 +1,209 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { resolveActor, scopeToActor, authorizeResource } = require("./policy");
+const { authenticate } = require("./auth");
+const { UnauthorizedError } = require("./errorHandler");
+const { ROLES, MESSAGES } = require("../utils/constants");
+
+const res = { setHeader: () => {} };
+
+/**
+ * Run a middleware and resolve with the error it passed to next (or undefined)
+ */
+const run = (middleware, req) => new Promise((resolve) => middleware(req, res, resolve));
+
+const request = (overrides = {}) => ({ headers: {}, body: {}, query: {}, params: {}, ...overrides });
+
+/**
+ * policy.js and the user routes as loaded with legacy access on (the flag is read once, at startup)
+ */
+const loadWithLegacyAuth = () => {
+  const paths = ["./policy", "../utils/constants", "../routes/user.route"].map((path) => require.resolve(path));
+  const cached = paths.map((path) => require.cache[path]);
+
+  process.env.LEGACY_AUTH_ENABLED = "true";
+  process.env.LEGACY_AUTH_SUNSET = "2999-12-31";
+  paths.forEach((path) => delete require.cache[path]);
+
+  try {
+    let userRouter;
+    require("../routes/user.route")({ use: (prefix, mounted) => (userRouter = mounted) });
+    return { policy: require("./policy"), userRouter };
+  } finally {
+    delete process.env.LEGACY_AUTH_ENABLED;
+    delete process.env.LEGACY_AUTH_SUNSET;
+    paths.forEach((path, index) => {
+      if (cached[index]) require.cache[path] = cached[index];
+      else delete require.cache[path];
+    });
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("resolveActor", () => {
+  it("takes the actor from a verified token", async () => {
+    const req = request({ user: { uid: "user-1", role: ROLES.ADMIN } });
+
+    assert.equal(await run(resolveActor, req), undefined);
+    assert.deepEqual(req.actor, { uid: "user-1", role: ROLES.ADMIN, isAdmin: true, legacy: false });
+  });
+
+  it("refuses tokenless calls naming a userId unless legacy access is enabled", async () => {
+    const req = request({ body: { userId: "user-1" } });
+
+    const error = await run(resolveActor, req);
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, MESSAGES.ERROR.UPGRADE_REQUIRED);
+    assert.equal(req.actor, undefined);
+  });
+
+  it("never falls back to the claimed userId when a sent token failed", async () => {
+    const req = request({
+      headers: { authorization: "Bearer revoked" },
+      authError: new UnauthorizedError("Session has been revoked"),
+      body: { userId: "user-1" },
+    });
+
+    const error = await run(resolveActor, req);
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, "Session has been revoked");
+    assert.equal(req.actor, undefined);
+  });
+
+  it("reports an expired token as such", async () => {
+    const expired = Object.assign(new Error("jwt expired"), { name: "TokenExpiredError" });
+    const req = request({ headers: { authorization: "Bearer old" }, authError: expired });
+
+    assert.equal((await run(resolveActor, req)).message, "Token expired");
+  });
+});
+
+describe("legacy tokenless access", () => {
+  const { policy, userRouter } = loadWithLegacyAuth();
+
+  /**
+   * Run a route's middleware (everything before the controller) and resolve with the first error
+   */
+  const runGuards = async (method, path, req) => {
+    const { route } = userRouter.stack.find((layer) => layer.route?.path === path && layer.route.methods[method]);
+    for (const { handle } of route.stack.slice(0, -1)) {
+      const error = await run(handle, req);
+      if (error) return error;
+    }
+    return undefined;
+  };
+
+  it("serves a call naming its userId in the body or query, with deprecation headers", async () => {
+    const headers = {};
+    const req = request({ query: { userId: "user-1" } });
+
+    await new Promise((resolve) =>
+      policy.resolveActor(req, { setHeader: (name, value) => (headers[name] = value) }, resolve)
+    );
+    assert.deepEqual(req.actor, { uid: "user-1", role: ROLES.CREATOR, isAdmin: false, legacy: true });
+    assert.equal(headers.Deprecation, "true");
+  });
+
+  it("never takes the actor from a route param", async () => {
+    const req = request({ params: { userId: "user-2" } });
+
+    const error = await run(policy.resolveActor, req);
+    assert.equal(error.statusCode, 401);
+    assert.equal(req.actor, undefined);
+  });
+
+  it("refuses reading another user's profile by naming it in the path", async () => {
+    const error = await runGuards("get", "/:userId", request({ params: { userId: "user-2" } }));
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("refuses updating another user's profile by naming it in the path", async () => {
+    const params = { userId: "user-2" };
+
+    assert.equal((await runGuards("put", "/update/:userId", request({ params }))).statusCode, 401);
+    const claimed = request({ params, body: { userId: "user-1", firstName: "Mallory" } });
+    assert.equal((await runGuards("put", "/update/:userId", claimed)).statusCode, 403);
+  });
+});
+
+describe("project routes", () => {
+  // The routes the legacy app called; only these may still fall back to a claimed userId
+  const LEGACY_PATHS = [
+    "/new_project",
+    "/all_projects",
+    "/:id",
+    "/update_project/:id",
+    "/delete_project/:id",
+    "/upload_pictures",
+    "/draftProject",
+    "/all_draftProject",
+    "/draft/:id",
+    "/update_draft/:id",
+    "/delete_draft/:id",
+  ];
+
+  it("require a token everywhere the legacy app never called", () => {
+    let router;
+    require("../routes/project.route")({ use: (prefix, mounted) => (router = mounted) });
+
+    const unguarded = router.stack
+      .filter(({ route }) => route && !LEGACY_PATHS.includes(route.path))
+      .filter(({ route }) => route.stack[0].handle !== authenticate)
+      .map(({ route }) => route.path);
+
+    assert.deepEqual(unguarded, []);
+  });
+});
+
+describe("scopeToActor", () => {
+  it("overwrites the userId a creator sends with their own", async () => {
+    const req = request({ actor: { uid: "user-1", isAdmin: false }, body: { userId: "someone-else" } });
+
+    await run(scopeToActor, req);
+    assert.equal(req.body.userId, "user-1");
+  });
+
+  it("lets an admin act for another user", async () => {
+    const req = request({ actor: { uid: "admin-1", isAdmin: true }, body: { userId: "user-2" } });
+
+    await run(scopeToActor, req);
+    assert.equal(req.body.userId, "user-2");
+  });
+});
+
+describe("authorizeResource", () => {
+  it("loads an owned resource onto the request", async () => {
+    const project = { pid: "p1", userId: "user-1" };
+    mock.method(db.Project, "findOne", async () => project);
+    const req = request({ params: { id: "p1" }, actor: { uid: "user-1", isAdmin: false } });
+
+    assert.equal(await run(authorizeResource("project"), req), undefined);
+    assert.equal(req.resource, project);
+  });
+
+  it("refuses another user's resource", async () => {
+    mock.method(db.Project, "findOne", async () => ({ pid: "p1", userId: "user-2" }));
+    const req = request({ params: { id: "p1" }, actor: { uid: "user-1", isAdmin: false } });
+
+    assert.equal((await run(authorizeResource("project"), req)).statusCode, 403);
+  });
+
+  it("only matches drafts for draft routes", async () => {
+    const findOne = mock.method(db.Project, "findOne", async () => null);
+    const req = request({ params: { id: "p1" }, actor: { uid: "user-1", isAdmin: false } });
+
+    assert.equal((await run(authorizeResource("draft"), req)).statusCode, 404);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].where, { pid: "p1", isDraft: true });
+  });
+
+  it("skips create-or-update routes when no id is sent", async () => {
+    const req = request({ actor: { uid: "user-1", isAdmin: false } });
+
+    assert.equal(await run(authorizeResource("project", { bodyField: "pid", optional: true }), req), undefined);
+    assert.equal(req.resource, undefined);
+  });
+});
@@ -1,4 +1,5 @@
 const { ValidationError } = require("./errorHandler");
+const { getPasswordErrors } = require("../utils/password");
 
 /**
  * Validation Schemas using a simple validation approach
@@ -36,7 +37,7 @@ const validators = {
   phone: (value, fieldName) => {
     if (!value) return null;
     // Remove spaces, dashes, parentheses for validation
-    const cleanedPhone = value.replace(/[\s\-\(\)]/g, '');
+    const cleanedPhone = value.replace(/[\s\-()]/g, '');
     // Accept +92 followed by 10 digits (e.g., +923312344567)
     const phoneRegex = /^\+92\d{10}$/;
     if (!phoneRegex.test(cleanedPhone)) {
@@ -57,6 +58,14 @@ const validators = {
     return null;
   },
 
+  /**
+   * Check a new password against the password policy (reports the first broken rule)
+   */
+  password: (value) => {
+    if (!value) return null;
+    return getPasswordErrors(value)[0] || null;
+  },
+
   /**
    * Check if value is valid date
    */
@@ -79,7 +88,8 @@ const schemas = {
     firstName: [validators.required, validators.minLength(2)],
     lastName: [validators.required, validators.minLength(2)],
     email: [validators.required, validators.email],
-    password: [validators.required, validators.minLength(6)],
+    password: [validators.required, validators.password],
+    phoneVerificationToken: [validators.required],
   },
 
   signin: {
@@ -87,6 +97,16 @@ const schemas = {
     password: [validators.required],
   },
 
+  linkEmail: {
+    email: [validators.required, validators.email],
+    password: [validators.required],
+  },
+
+  changePassword: {
+    currentPassword: [validators.required],
+    newPassword: [validators.required, validators.password],
+  },
+
   createProject: {
     projectName: [validators.required],
     projectType: [validators.required],
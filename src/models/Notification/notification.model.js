@@ -122,6 +122,7 @@ module.exports = (sequelize, Sequelize) => {
     {
       tableName: "notification",
       timestamps: true,
+      paranoid: true, // soft delete (account deletion can be cancelled)
       indexes: [
         {
           fields: ["userId"],
@@ -71,6 +71,7 @@ module.exports = (sequelize, Sequelize) => {
     {
       tableName: "push_token",
       timestamps: true,
+      paranoid: true, // soft delete (account deletion can be cancelled)
       indexes: [
         {
           unique: true,
@@ -0,0 +1,96 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ActivityLog = sequelize.define(
+    "activity_log",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // What was changed
+      entityType: {
+        type: DataTypes.ENUM("project", "client"),
+        allowNull: false,
+      },
+
+      entityId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Project timeline the entry belongs to (null for clients without a project)
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      action: {
+        type: DataTypes.ENUM("create", "update", "delete", "status_change"),
+        allowNull: false,
+      },
+
+      // Who made the change (null for system changes)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Changed fields: { field: { from, to } }
+      changes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      // Extra context, e.g. { reason } for status changes
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      // Client context
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+
+      deviceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "activity_log",
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["projectId", "createdAt"],
+          name: "activity_log_project_created_idx",
+        },
+        {
+          fields: ["entityType", "entityId", "createdAt"],
+          name: "activity_log_entity_created_idx",
+        },
+        {
+          fields: ["userId"],
+          name: "activity_log_user_idx",
+        },
+      ],
+    }
+  );
+
+  return ActivityLog;
+};
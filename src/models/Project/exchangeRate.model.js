@@ -0,0 +1,51 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ExchangeRate = sequelize.define(
+    "exchange_rate",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // One of CURRENCIES
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+      },
+
+      // Day the rate applies from; it holds until the currency's next rate
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // Price of 1 unit of `currency` in EXCHANGE_RATES.BASE_CURRENCY
+      rate: {
+        type: DataTypes.DECIMAL(18, 8),
+        allowNull: false,
+      },
+
+      // Where the rate came from, e.g. "csv:rates-2026-q3.csv" or "admin"
+      source: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "exchange_rates",
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["currency", "date"],
+          name: "exchange_rates_currency_date_unique",
+        },
+      ],
+    }
+  );
+
+  return ExchangeRate;
+};
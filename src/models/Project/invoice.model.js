@@ -0,0 +1,191 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const Invoice = sequelize.define(
+    "invoice",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // Creator issuing the invoice
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "user",
+          key: "uid",
+        },
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      // Per-creator running number; `number` is the formatted version printed on the invoice
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      number: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM("draft", "sent", "paid", "void"),
+        allowNull: false,
+        defaultValue: "draft",
+      },
+
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+      },
+
+      issueDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      dueDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Snapshots taken when the invoice is drafted, so later profile/project edits don't change it
+      issuer: {
+        type: DataTypes.JSON, // { name, email, phone }
+        allowNull: true,
+      },
+
+      billTo: {
+        type: DataTypes.JSON, // { name, brand, email, phone }
+        allowNull: true,
+      },
+
+      // [{ description, quantity, unitPrice, amount, milestoneId?, installmentId? }]
+      lineItems: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      // One of TAX_MODES: whether the line amounts already include sales tax
+      taxMode: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // [{ label, rate, amount, kind, included, deducted, ruleId }]; see utils/tax computeTax
+      taxLines: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      subtotal: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+      },
+
+      // Sales tax (charged on top, or contained in the lines when inclusive)
+      taxTotal: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // Gross: taxable value plus sales tax
+      total: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+      },
+
+      // Withholding the client deducts before paying
+      withholdingTotal: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // total - withholdingTotal (null on invoices drafted before tax rules)
+      amountPayable: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: true,
+      },
+
+      // Taxable value - withholdingTotal: what the creator keeps
+      netAmount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: true,
+      },
+
+      // One of INVOICES.PAYMENT_DETAIL_FIELDS per key
+      paymentDetails: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Last address the invoice was emailed to
+      sentTo: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      voidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      voidReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "invoices",
+      timestamps: true,
+      indexes: [
+        {
+          // Not unique: numbers stay as issued when accounts are merged
+          fields: ["userId", "sequence"],
+          name: "invoices_user_sequence_idx",
+        },
+        {
+          fields: ["projectId"],
+          name: "invoices_project_idx",
+        },
+        {
+          fields: ["userId", "status"],
+          name: "invoices_user_status_idx",
+        },
+      ],
+    }
+  );
+
+  return Invoice;
+};
@@ -0,0 +1,121 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const Payment = sequelize.define(
+    "payment",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      // Milestone the payment settles (optional)
+      milestoneId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "project_milestones",
+          key: "id",
+        },
+      },
+
+      // Installment the payment settles (recurring projects, optional)
+      installmentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "project_installments",
+          key: "id",
+        },
+      },
+
+      // Project owner the payment was received by
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "user",
+          key: "uid",
+        },
+      },
+
+      amount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+      },
+
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+      },
+
+      // One of PAYMENT_METHODS
+      method: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Bank/wallet transaction reference
+      referenceNumber: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Screenshot or receipt
+      proofUrl: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      proofPublicId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "payments",
+      timestamps: true,
+      paranoid: true,
+      indexes: [
+        {
+          fields: ["projectId", "paidAt"],
+          name: "payments_project_paid_idx",
+        },
+        {
+          fields: ["milestoneId"],
+          name: "payments_milestone_idx",
+        },
+        {
+          fields: ["installmentId"],
+          name: "payments_installment_idx",
+        },
+        {
+          fields: ["userId"],
+          name: "payments_user_idx",
+        },
+      ],
+    }
+  );
+
+  return Payment;
+};
@@ -28,7 +28,8 @@ module.exports = (sequelize, Sequelize) => {
       dueDate: DataTypes.DATE,
       projectAmount: DataTypes.DECIMAL(15, 2),
       currency: DataTypes.STRING,
-      taxHandling: DataTypes.STRING,
+      taxHandling: DataTypes.STRING, // one of TAX_MODES (older rows hold free text)
+      taxProvince: DataTypes.STRING, // one of TAX_PROVINCES; picks the province's tax rules
       paymentFrequency: DataTypes.ENUM("weekly", "monthly", "quarterly"),
       paymentStartDate: DataTypes.DATE,
       contractDuration: DataTypes.INTEGER, // months
@@ -47,6 +48,12 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
       },
+      // Shown on the owner's public profile (completed projects only)
+      showInPortfolio: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
       contactName: DataTypes.STRING,
       contactEmail: DataTypes.STRING,
       contactNumber: DataTypes.STRING,
@@ -63,6 +70,13 @@ module.exports = (sequelize, Sequelize) => {
       tableName: "projects", // ✅ Explicitly define table name
       timestamps: true,
       paranoid: true, // optional if you want soft deletes
+      indexes: [
+        {
+          // Project/draft listings (default sort)
+          fields: ["userId", "isDraft", "createdAt"],
+          name: "projects_user_draft_created_idx",
+        },
+      ],
     }
   );
 
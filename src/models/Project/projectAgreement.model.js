@@ -0,0 +1,123 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectAgreement = sequelize.define(
+    "project_agreement",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      // Creator who sent the agreement
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "user",
+          key: "uid",
+        },
+      },
+
+      // 1 for the first agreement sent for the project, +1 for each resend
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM("pending", "accepted", "superseded"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // Project terms as sent (scope, dates, amount, payment structure, milestones)
+      content: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+
+      // SHA-256 of the content; what the client accepts
+      documentHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+
+      // SHA-256 of the link token (the raw token is only in the emailed link)
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      sentTo: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // First time the client opened the link
+      viewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Name the client typed to accept
+      acceptedName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      acceptedIp: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      acceptedUserAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+
+      supersededAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "project_agreements",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["projectId", "version"],
+          name: "project_agreements_project_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectAgreement;
+};
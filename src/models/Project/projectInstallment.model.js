@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectInstallment = sequelize.define(
+    "project_installment",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      // 1-based position in the schedule
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      dueDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      amount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM("pending", "paid"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "project_installments",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["projectId", "sequence"],
+          name: "project_installments_project_idx",
+        },
+        {
+          fields: ["status", "dueDate"],
+          name: "project_installments_status_due_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectInstallment;
+};
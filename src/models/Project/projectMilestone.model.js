@@ -0,0 +1,86 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectMilestone = sequelize.define(
+    "project_milestone",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      amount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // Share of projectAmount, as entered by the mobile app
+      percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+      },
+
+      dueDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      status: {
+        type: DataTypes.ENUM("pending", "in_progress", "delivered", "paid"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // What the creator hands over, e.g. ["2 reels", "1 story"]
+      deliverables: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Display order within the project
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "project_milestones",
+      timestamps: true,
+      paranoid: true, // Soft deleted only with the owner's account; edits delete for good
+      indexes: [
+        {
+          fields: ["projectId", "position"],
+          name: "project_milestones_project_idx",
+        },
+        {
+          fields: ["status", "dueDate"],
+          name: "project_milestones_status_due_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectMilestone;
+};
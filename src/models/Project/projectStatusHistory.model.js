@@ -0,0 +1,65 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectStatusHistory = sequelize.define(
+    "project_status_history",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "projects",
+          key: "pid",
+        },
+      },
+
+      // Who made the change (null for system changes)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // null when the project was created in `toStatus`
+      fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // Required for some transitions (e.g. In Dispute, Delayed)
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // Other transition inputs, e.g. { endDate } when delayed
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "project_status_history",
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["projectId", "createdAt"],
+          name: "project_status_history_project_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectStatusHistory;
+};
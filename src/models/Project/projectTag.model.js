@@ -0,0 +1,41 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectTag = sequelize.define(
+    "project_tag",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      projectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      tagId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "project_tags",
+      timestamps: true,
+      updatedAt: false,
+      paranoid: true, // Soft deleted only with the owner's account; untagging deletes for good
+      indexes: [
+        {
+          unique: true,
+          fields: ["projectId", "tagId"],
+          name: "project_tags_project_tag_unique",
+        },
+        {
+          fields: ["tagId"],
+          name: "project_tags_tag_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectTag;
+};
@@ -0,0 +1,67 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const ProjectTemplate = sequelize.define(
+    "project_template",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+
+      // Project it was saved from (kept for reference; the project may change or go)
+      sourceProjectId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Defaults copied into new drafts (see PROJECT_TEMPLATES.FIELDS)
+      projectType: DataTypes.STRING,
+      client: DataTypes.STRING,
+      description: DataTypes.TEXT,
+      tags: DataTypes.JSON,
+      currency: DataTypes.STRING,
+      projectAmount: DataTypes.DECIMAL(15, 2),
+      paymentStructure: DataTypes.ENUM("single", "recurring", "multiple"),
+      paymentType: DataTypes.STRING,
+      paymentMethod: DataTypes.STRING,
+      paymentFrequency: DataTypes.ENUM("weekly", "monthly", "quarterly"),
+      contractDuration: DataTypes.INTEGER, // months
+      financing: DataTypes.STRING,
+      taxHandling: DataTypes.STRING, // one of TAX_MODES
+      taxProvince: DataTypes.STRING, // one of TAX_PROVINCES
+
+      // Days from the new project's start date; null leaves the date empty
+      endOffsetDays: DataTypes.INTEGER,
+      dueOffsetDays: DataTypes.INTEGER,
+      paymentStartOffsetDays: DataTypes.INTEGER,
+
+      // Milestone layout: [{ title, deliverables, percent, amount, offsetDays }]
+      milestones: DataTypes.JSON,
+    },
+    {
+      tableName: "project_templates",
+      timestamps: true,
+      paranoid: true, // Soft deleted only with the owner's account; deleting a template is final
+      indexes: [
+        {
+          fields: ["userId", "name"],
+          name: "project_templates_user_name_idx",
+        },
+      ],
+    }
+  );
+
+  return ProjectTemplate;
+};
@@ -0,0 +1,53 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const Tag = sequelize.define(
+    "tag",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // Owner; every user has their own taxonomy
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Display name, as first entered (or as renamed)
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+
+      // Lower-cased name with whitespace collapsed; "Instagram" and " instagram" share one
+      key: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+
+      // Live projects and drafts carrying the tag (kept up to date by utils/tags)
+      usageCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      tableName: "tags",
+      timestamps: true,
+      paranoid: true, // Soft deleted only with the owner's account; merges delete for good
+      indexes: [
+        {
+          unique: true,
+          fields: ["userId", "key"],
+          name: "tags_user_key_unique",
+        },
+      ],
+    }
+  );
+
+  return Tag;
+};
@@ -0,0 +1,77 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const TaxRule = sequelize.define(
+    "tax_rule",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // Printed on invoices and reports, e.g. "Punjab sales tax on services"
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      kind: {
+        type: DataTypes.ENUM("sales_tax", "withholding_tax"),
+        allowNull: false,
+      },
+
+      // Percent of the taxable value (the amount before sales tax)
+      rate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+      },
+
+      // One of TAX_PROVINCES; null applies in every province
+      province: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // One of CLIENT_TYPES; null applies to every client type
+      clientType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Window the rate applies in (by project start / invoice issue date); open-ended when null
+      effectiveFrom: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+
+      effectiveTo: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "tax_rules",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["kind", "isActive"],
+          name: "tax_rules_kind_active_idx",
+        },
+      ],
+    }
+  );
+
+  return TaxRule;
+};
@@ -0,0 +1,97 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const LoginAttempt = sequelize.define(
+    "login_attempt",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // User reference (null when the email is unknown)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "user",
+          key: "uid",
+        },
+      },
+
+      // Normalized (lowercase) email or phone the attempt was made for
+      identifier: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // How the user signed in
+      method: {
+        type: DataTypes.ENUM("password", "two_factor", "phone", "admin"),
+        allowNull: false,
+        defaultValue: "password",
+      },
+
+      success: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+      },
+
+      // e.g. invalid_credentials, invalid_2fa_code, throttled
+      failureReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Successful sign-in from an unfamiliar device/network (user was emailed)
+      suspicious: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      // Client context
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+
+      deviceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "login_attempts",
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["identifier", "createdAt"],
+          name: "login_attempts_identifier_created_idx",
+        },
+        {
+          fields: ["ipAddress", "createdAt"],
+          name: "login_attempts_ip_created_idx",
+        },
+        {
+          fields: ["userId", "createdAt"],
+          name: "login_attempts_user_created_idx",
+        },
+      ],
+    }
+  );
+
+  return LoginAttempt;
+};
@@ -0,0 +1,86 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const Otp = sequelize.define(
+    "otp_code",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // Recipient phone number (+92XXXXXXXXXX)
+      phone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // What the code is for (e.g. "signup")
+      purpose: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "signup",
+      },
+
+      // HMAC of the code (never store plain codes)
+      codeHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Failed verification attempts for the current code
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // Resend throttling
+      sendCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      sendWindowStartedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      lastSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Provider that delivered the last code
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      consumedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "otp_code",
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["phone", "purpose"],
+          name: "otp_code_phone_purpose_unique",
+        },
+      ],
+    }
+  );
+
+  return Otp;
+};
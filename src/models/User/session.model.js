@@ -0,0 +1,104 @@
+const { DataTypes } = require("sequelize");
+
+module.exports = (sequelize, Sequelize) => {
+  const Session = sequelize.define(
+    "user_session",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+
+      // User reference
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "user",
+          key: "uid",
+        },
+      },
+
+      // SHA-256 hash of the current refresh token (never store plain tokens)
+      refreshTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+
+      // Hash of the previous refresh token, used to detect token reuse after rotation
+      previousRefreshTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+
+      // Device info
+      deviceId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      deviceName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Lifecycle
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      revokedReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "user_session",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["userId"],
+          name: "user_session_user_idx",
+        },
+        {
+          unique: true,
+          fields: ["refreshTokenHash"],
+          name: "user_session_refresh_token_unique",
+        },
+        {
+          fields: ["previousRefreshTokenHash"],
+          name: "user_session_previous_token_idx",
+        },
+      ],
+    }
+  );
+
+  return Session;
+};
@@ -25,10 +25,28 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.STRING,
         allowNull: false,
       },
+      // bcrypt hashes of previous passwords (newest first), to block reuse
+      passwordHistory: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // bcrypt hash of the quick-unlock PIN; null (or the legacy "0000") = not set
       pin: {
         type: DataTypes.STRING,
+        allowNull: true,
+      },
+      pinFailedAttempts: {
+        type: DataTypes.INTEGER,
         allowNull: false,
-        defaultValue: "0000", // or some default PIN
+        defaultValue: 0,
+      },
+      pinLockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
       },
 
       // New fields
@@ -59,10 +77,64 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      // Square variants keyed by size in px, e.g. { "64": url, "256": url, "512": url }
+      avatarVariants: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      // Storage ID of the current avatar, used to delete it when replaced
+      avatarPublicId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Currency revenue totals are converted to (one of CURRENCIES); EXCHANGE_RATES.BASE_CURRENCY when null
+      reportingCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: true,
+      },
+
+      // Public profile at /u/:username (opt-in)
+      bio: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      isProfilePublic: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
       role: {
         type: DataTypes.STRING,
         defaultValue: "creator", // e.g., creator, admin
       },
+      // Fine-grained admin permissions (e.g. ["analytics:read"]); null = role defaults
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      // TOTP two-factor authentication
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Encrypted base32 secret (set at enrolment, active once confirmed)
+      twoFactorSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Hashes of unused backup codes
+      twoFactorBackupCodes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
 
       // Password reset
       resetPasswordToken: {
@@ -79,6 +151,11 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      // Set on an account closed by merging it into another one
+      mergedIntoUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
 
       // Flags / status
       isEmailVerified: {
@@ -89,6 +166,16 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
       },
+
+      // Self-service deletion (grace period before the account is purged)
+      deletionRequestedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      deletionScheduledFor: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       tableName: "user", // Explicit table name to match foreign key references
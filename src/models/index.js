@@ -43,6 +43,21 @@ db.Client = require("./Client/client.model")(sequelize, Sequelize);
 db.Analytics = require("./Analytics/analytics.model")(sequelize, Sequelize);
 db.PushToken = require("./Notification/pushToken.model")(sequelize, Sequelize);
 db.Notification = require("./Notification/notification.model")(sequelize, Sequelize);
+db.Session = require("./User/session.model")(sequelize, Sequelize);
+db.Otp = require("./User/otp.model")(sequelize, Sequelize);
+db.LoginAttempt = require("./User/loginAttempt.model")(sequelize, Sequelize);
+db.ProjectStatusHistory = require("./Project/projectStatusHistory.model")(sequelize, Sequelize);
+db.ActivityLog = require("./Project/activityLog.model")(sequelize, Sequelize);
+db.ProjectMilestone = require("./Project/projectMilestone.model")(sequelize, Sequelize);
+db.ProjectInstallment = require("./Project/projectInstallment.model")(sequelize, Sequelize);
+db.Payment = require("./Project/payment.model")(sequelize, Sequelize);
+db.Invoice = require("./Project/invoice.model")(sequelize, Sequelize);
+db.ProjectAgreement = require("./Project/projectAgreement.model")(sequelize, Sequelize);
+db.TaxRule = require("./Project/taxRule.model")(sequelize, Sequelize);
+db.ExchangeRate = require("./Project/exchangeRate.model")(sequelize, Sequelize);
+db.Tag = require("./Project/tag.model")(sequelize, Sequelize);
+db.ProjectTag = require("./Project/projectTag.model")(sequelize, Sequelize);
+db.ProjectTemplate = require("./Project/projectTemplate.model")(sequelize, Sequelize);
 
 
 // ✅ Associations
@@ -102,5 +117,194 @@ db.User.hasMany(db.Notification, {
   as: "notifications",
 });
 
+// Session ↔ User Association
+db.Session.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.User.hasMany(db.Session, {
+  foreignKey: "userId",
+  as: "sessions",
+});
+
+// LoginAttempt ↔ User Association
+db.LoginAttempt.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "SET NULL",
+  onUpdate: "CASCADE",
+});
+db.User.hasMany(db.LoginAttempt, {
+  foreignKey: "userId",
+  as: "loginAttempts",
+});
+
+// ProjectStatusHistory ↔ Project Association
+db.ProjectStatusHistory.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.ProjectStatusHistory, {
+  foreignKey: "projectId",
+  as: "statusHistory",
+});
+
+// ProjectMilestone ↔ Project Association
+db.ProjectMilestone.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.ProjectMilestone, {
+  foreignKey: "projectId",
+  as: "milestoneItems",
+});
+
+// ProjectInstallment ↔ Project Association
+db.ProjectInstallment.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.ProjectInstallment, {
+  foreignKey: "projectId",
+  as: "installments",
+});
+
+// Payment ↔ Project / ProjectMilestone / ProjectInstallment / User Associations
+db.Payment.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.Payment, {
+  foreignKey: "projectId",
+  as: "payments",
+});
+db.Payment.belongsTo(db.ProjectMilestone, {
+  foreignKey: "milestoneId",
+  as: "milestone",
+  onDelete: "SET NULL",
+  onUpdate: "CASCADE",
+});
+db.ProjectMilestone.hasMany(db.Payment, {
+  foreignKey: "milestoneId",
+  as: "payments",
+});
+db.Payment.belongsTo(db.ProjectInstallment, {
+  foreignKey: "installmentId",
+  as: "installment",
+  onDelete: "SET NULL",
+  onUpdate: "CASCADE",
+});
+db.ProjectInstallment.hasMany(db.Payment, {
+  foreignKey: "installmentId",
+  as: "payments",
+});
+db.Payment.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+
+// Invoice ↔ Project / User Associations
+db.Invoice.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.Invoice, {
+  foreignKey: "projectId",
+  as: "invoices",
+});
+db.Invoice.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.User.hasMany(db.Invoice, {
+  foreignKey: "userId",
+  as: "invoices",
+});
+
+// ProjectAgreement ↔ Project / User Associations
+db.ProjectAgreement.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.ProjectAgreement, {
+  foreignKey: "projectId",
+  as: "agreements",
+});
+db.ProjectAgreement.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+
+// Tag ↔ User / ProjectTag ↔ Project / Tag Associations
+db.Tag.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.User.hasMany(db.Tag, {
+  foreignKey: "userId",
+  as: "tags",
+});
+db.ProjectTag.belongsTo(db.Project, {
+  foreignKey: "projectId",
+  as: "project",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Project.hasMany(db.ProjectTag, {
+  foreignKey: "projectId",
+  as: "tagLinks",
+});
+db.ProjectTag.belongsTo(db.Tag, {
+  foreignKey: "tagId",
+  as: "tag",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.Tag.hasMany(db.ProjectTag, {
+  foreignKey: "tagId",
+  as: "projectLinks",
+});
+
+// ProjectTemplate ↔ User Association
+db.ProjectTemplate.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "user",
+  onDelete: "CASCADE",
+  onUpdate: "CASCADE",
+});
+db.User.hasMany(db.ProjectTemplate, {
+  foreignKey: "userId",
+  as: "projectTemplates",
+});
+
+// ActivityLog ↔ User Association (entries outlive the account, so no FK constraint)
+db.ActivityLog.belongsTo(db.User, {
+  foreignKey: "userId",
+  as: "actor",
+  constraints: false,
+});
+
 module.exports = db;
 
@@ -0,0 +1,156 @@
+const router = require("express").Router();
+const rateLimit = require("express-rate-limit");
+const adminController = require("../controllers/admin.controller");
+const taxRuleController = require("../controllers/taxRule.controller");
+const exchangeRateController = require("../controllers/exchangeRate.controller");
+const uploadCsv = require("../middlewares/csvUpload");
+const { authenticate, authorize, requirePermission } = require("../middlewares/auth");
+const { sanitize } = require("../middlewares/validate");
+const { ROLES, PERMISSIONS } = require("../utils/constants");
+
+// Rate limiter for admin login to slow down credential guessing
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 attempts per 15 minutes
+  message: {
+    success: false,
+    message: "Too many login attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
+});
+
+module.exports = (app) => {
+  // Apply sanitization to all routes
+  router.use(sanitize);
+
+  // ========== Public Routes ==========
+
+  // Admin login (used by the analytics/notifications dashboards)
+  router.post(
+    "/analytics/login",
+    adminLoginLimiter,
+    adminController.adminLogin
+  );
+
+  // ========== Admin Account Management ==========
+
+  // List admin accounts
+  router.get(
+    "/users",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.ADMINS_MANAGE),
+    adminController.listAdmins
+  );
+
+  // Create admin (or promote existing user)
+  router.post(
+    "/users",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.ADMINS_MANAGE),
+    adminController.createAdmin
+  );
+
+  // Update admin permissions / revoke admin access
+  router.put(
+    "/users/:userId",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.ADMINS_MANAGE),
+    adminController.updateAdmin
+  );
+
+  // ========== User Account Support ==========
+
+  // Force-reset a user's 2FA (lost authenticator)
+  router.post(
+    "/users/:userId/2fa/reset",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    adminController.resetTwoFactor
+  );
+
+  // Merge a duplicate account into another
+  router.post(
+    "/users/merge",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    adminController.mergeUsers
+  );
+
+  // ========== Tax Rules ==========
+
+  // List tax rules
+  router.get(
+    "/tax-rules",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.TAX_MANAGE),
+    taxRuleController.listTaxRules
+  );
+
+  // Create a tax rule
+  router.post(
+    "/tax-rules",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.TAX_MANAGE),
+    taxRuleController.createTaxRule
+  );
+
+  // Update a tax rule
+  router.put(
+    "/tax-rules/:id",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.TAX_MANAGE),
+    taxRuleController.updateTaxRule
+  );
+
+  // Delete a tax rule
+  router.delete(
+    "/tax-rules/:id",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.TAX_MANAGE),
+    taxRuleController.deleteTaxRule
+  );
+
+  // ========== Exchange Rates ==========
+
+  // List exchange rates
+  router.get(
+    "/exchange-rates",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE),
+    exchangeRateController.listRates
+  );
+
+  // Import exchange rates (CSV upload or JSON rows)
+  router.post(
+    "/exchange-rates",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE),
+    uploadCsv(),
+    exchangeRateController.importRates
+  );
+
+  // Delete an exchange rate
+  router.delete(
+    "/exchange-rates/:id",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.EXCHANGE_RATES_MANAGE),
+    exchangeRateController.deleteRate
+  );
+
+  // Mount router on /admin
+  app.use("/admin", router);
+};
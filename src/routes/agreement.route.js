@@ -0,0 +1,31 @@
+const router = require("express").Router();
+const agreementController = require("../controllers/agreement.controller");
+const { sanitize } = require("../middlewares/validate");
+
+module.exports = (app) => {
+  // Apply sanitization to all routes
+  router.use(sanitize);
+
+  // ========== Client Agreement Routes (public, authorized by the link token) ==========
+
+  // Download agreement PDF (before /:token so ".pdf" isn't read as part of the token)
+  router.get(
+    "/:token.pdf",
+    agreementController.downloadAgreement
+  );
+
+  // Agreement for review
+  router.get(
+    "/:token",
+    agreementController.viewAgreement
+  );
+
+  // Accept the agreement
+  router.post(
+    "/:token/accept",
+    agreementController.acceptAgreement
+  );
+
+  // Mount router on /agreements
+  app.use("/agreements", router);
+};
@@ -1,19 +1,27 @@
 const analyticsController = require("../controllers/analytics.controller");
-const { verifyToken, optionalAuth } = require("../middlewares/auth");
+const { verifyToken, optionalAuth, authorize, requirePermission } = require("../middlewares/auth");
+const { ROLES, PERMISSIONS } = require("../utils/constants");
+
+// Admin-only guard for analytics read endpoints
+const analyticsAdmin = [
+  verifyToken,
+  authorize(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.ANALYTICS_READ),
+];
 
 module.exports = (app) => {
   // Public tracking endpoints (optional auth - works with or without token)
   app.post("/api/analytics/track", optionalAuth, analyticsController.trackEvent);
   app.post("/api/analytics/track-batch", optionalAuth, analyticsController.trackBatch);
 
-  // Admin-only endpoints (require authentication)
-  app.get("/api/analytics/summary", verifyToken, analyticsController.getSummary);
-  app.get("/api/analytics/events", verifyToken, analyticsController.getEvents);
-  app.get("/api/analytics/realtime", verifyToken, analyticsController.getRealtime);
-  app.get("/api/analytics/session/:sessionId", verifyToken, analyticsController.getSessionJourney);
-  app.get("/api/analytics/user/:userId", verifyToken, analyticsController.getUserAnalytics);
+  // Admin-only endpoints (require admin role + analytics:read)
+  app.get("/api/analytics/summary", ...analyticsAdmin, analyticsController.getSummary);
+  app.get("/api/analytics/events", ...analyticsAdmin, analyticsController.getEvents);
+  app.get("/api/analytics/realtime", ...analyticsAdmin, analyticsController.getRealtime);
+  app.get("/api/analytics/session/:sessionId", ...analyticsAdmin, analyticsController.getSessionJourney);
+  app.get("/api/analytics/user/:userId", ...analyticsAdmin, analyticsController.getUserAnalytics);
   
   // Admin dashboard with users, projects, and clients
-  app.get("/api/analytics/admin-dashboard", verifyToken, analyticsController.getAdminDashboard);
+  app.get("/api/analytics/admin-dashboard", ...analyticsAdmin, analyticsController.getAdminDashboard);
 };
 
@@ -1,18 +1,24 @@
 const router = require("express").Router();
 const clientController = require("../controllers/client.controller");
-const { authenticate, optionalAuth } = require("../middlewares/auth");
+const { authenticate, optionalAuth, authorize, requirePermission } = require("../middlewares/auth");
+const { resolveActor, scopeToActor, authorizeResource, authorizeSelf } = require("../middlewares/policy");
+const { ROLES, PERMISSIONS } = require("../utils/constants");
 const { validate, sanitize } = require("../middlewares/validate");
 
+// Resolve the acting user (token, or legacy userId until the sunset date)
+const actor = [optionalAuth, resolveActor];
+
 module.exports = (app) => {
   // Apply sanitization to all routes
   router.use(sanitize);
 
   // ========== Client Routes ==========
 
-  // Create new client (authenticated)
+  // Create new client for the acting user
   router.post(
     "/new_client",
-    optionalAuth,
+    ...actor,
+    scopeToActor,
     validate("createClient"),
     clientController.createClient
   );
@@ -21,34 +27,40 @@ module.exports = (app) => {
   router.get(
     "/all",
     authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.CLIENTS_READ),
     clientController.getAllClients
   );
 
   // Get all clients for a user (POST - used by mobile)
   router.post(
     "/all_clients",
-    optionalAuth,
+    ...actor,
+    scopeToActor,
     clientController.getClientsByUserPost
   );
 
   // Get all clients for a user (GET)
   router.get(
     "/user/:userId",
-    optionalAuth,
+    ...actor,
+    authorizeSelf("userId"),
     clientController.getClientsByUser
   );
 
   // Get single client by ID
   router.get(
     "/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("client"),
     clientController.getClientById
   );
 
-  // Update client (authenticated)
+  // Update client
   router.put(
     "/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("client"),
     clientController.updateClient
   );
 
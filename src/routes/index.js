@@ -4,4 +4,7 @@ module.exports = (app) => {
   require("./client.route")(app);
   require("./analytics.route")(app);
   require("./notification.route")(app);
+  require("./invoice.route")(app);
+  require("./agreement.route")(app);
+  require("./admin.route")(app);
 };
\ No newline at end of file
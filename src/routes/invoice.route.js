@@ -0,0 +1,75 @@
+const router = require("express").Router();
+const invoiceController = require("../controllers/invoice.controller");
+const { authenticate, requireVerifiedEmail } = require("../middlewares/auth");
+const { resolveActor, scopeToActor, authorizeResource } = require("../middlewares/policy");
+const { sanitize } = require("../middlewares/validate");
+
+// Resolve the acting user from the token (invoices were never part of the legacy app)
+const actor = [authenticate, resolveActor];
+
+module.exports = (app) => {
+  // Apply sanitization to all routes
+  router.use(sanitize);
+
+  // ========== Invoice Routes ==========
+
+  // List the acting user's invoices
+  router.get(
+    "/",
+    ...actor,
+    scopeToActor,
+    invoiceController.listInvoices
+  );
+
+  // Draft an invoice for a project
+  router.post(
+    "/",
+    ...actor,
+    authorizeResource("project", { bodyField: "projectId" }),
+    invoiceController.createInvoice
+  );
+
+  // Download invoice PDF (before /:id so ".pdf" isn't read as part of the id)
+  router.get(
+    "/:id.pdf",
+    ...actor,
+    authorizeResource("invoice"),
+    invoiceController.downloadInvoicePdf
+  );
+
+  // Get single invoice
+  router.get(
+    "/:id",
+    ...actor,
+    authorizeResource("invoice"),
+    invoiceController.getInvoice
+  );
+
+  // Edit a draft invoice
+  router.put(
+    "/:id",
+    ...actor,
+    authorizeResource("invoice"),
+    invoiceController.updateInvoice
+  );
+
+  // Change invoice status (sent / paid / void)
+  router.post(
+    "/:id/status",
+    ...actor,
+    authorizeResource("invoice"),
+    invoiceController.changeInvoiceStatus
+  );
+
+  // Email the invoice PDF to the client
+  router.post(
+    "/:id/send",
+    ...actor,
+    requireVerifiedEmail,
+    authorizeResource("invoice"),
+    invoiceController.sendInvoice
+  );
+
+  // Mount router on /invoices
+  app.use("/invoices", router);
+};
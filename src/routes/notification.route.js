@@ -1,5 +1,6 @@
 const notificationController = require("../controllers/notification.controller");
-const { authenticate, authorize } = require("../middlewares/auth");
+const { authenticate, authorize, requirePermission } = require("../middlewares/auth");
+const { ROLES, PERMISSIONS } = require("../utils/constants");
 
 module.exports = (app) => {
   const router = require("express").Router();
@@ -64,21 +65,39 @@ module.exports = (app) => {
    * @desc    Send a notification to a specific user
    * @access  Private (Admin)
    */
-  router.post("/send", authenticate, notificationController.sendNotification);
+  router.post(
+    "/send",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.NOTIFICATIONS_SEND),
+    notificationController.sendNotification
+  );
 
   /**
    * @route   POST /notifications/broadcast
    * @desc    Send notification to multiple users
    * @access  Private (Admin)
    */
-  router.post("/broadcast", authenticate, notificationController.broadcastNotification);
+  router.post(
+    "/broadcast",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.NOTIFICATIONS_SEND),
+    notificationController.broadcastNotification
+  );
 
   /**
    * @route   GET /notifications/stats
    * @desc    Get notification statistics
    * @access  Private (Admin)
    */
-  router.get("/stats", authenticate, notificationController.getStats);
+  router.get(
+    "/stats",
+    authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.NOTIFICATIONS_READ),
+    notificationController.getStats
+  );
 
   // Register routes
   app.use("/notifications", router);
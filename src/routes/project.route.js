@@ -1,93 +1,374 @@
 const router = require("express").Router();
 const projectController = require("../controllers/project.controller");
+const milestoneController = require("../controllers/milestone.controller");
+const paymentController = require("../controllers/payment.controller");
+const agreementController = require("../controllers/agreement.controller");
+const tagController = require("../controllers/tag.controller");
+const projectTemplateController = require("../controllers/projectTemplate.controller");
 const upload = require("../middlewares/upload");
-const { authenticate, optionalAuth } = require("../middlewares/auth");
+const { PAYMENTS } = require("../utils/constants");
+const { authenticate, optionalAuth, requireVerifiedEmail } = require("../middlewares/auth");
+const { resolveActor, scopeToActor, authorizeResource } = require("../middlewares/policy");
 const { validate, sanitize } = require("../middlewares/validate");
 
+// Resolve the acting user (token, or legacy userId until the sunset date)
+const actor = [optionalAuth, resolveActor];
+
+// Endpoints the legacy app never called always require a token
+const authed = [authenticate, resolveActor];
+
 module.exports = (app) => {
   // Apply sanitization to all routes
   router.use(sanitize);
 
   // ========== Project Routes ==========
 
-  // Create new project (authenticated)
+  // Create new project (or update when `pid` is supplied)
   router.post(
     "/new_project",
-    optionalAuth, // Use optionalAuth for backward compatibility
+    ...actor,
+    scopeToActor,
+    authorizeResource("project", { bodyField: "pid", optional: true }),
     validate("createProject"),
     projectController.Newproject
   );
 
-  // Get all projects for a user (authenticated)
+  // List the acting user's projects (filters incl. tags, search, sort, cursor pagination)
+  router.get(
+    "/",
+    ...authed,
+    scopeToActor,
+    projectController.listProjects
+  );
+
+  // List the acting user's drafts (same parameters)
+  // Registered before /:id so "drafts" isn't read as a project id
+  router.get(
+    "/drafts",
+    ...authed,
+    scopeToActor,
+    projectController.listDraftProjects
+  );
+
+  // ========== Tag Routes ==========
+  // Registered before /:id so "tags" isn't read as a project id
+
+  // Autocomplete the acting user's tags (?q=, ?limit=)
+  router.get(
+    "/tags",
+    ...authed,
+    scopeToActor,
+    tagController.listTags
+  );
+
+  // Revenue per tag (?currency=)
+  router.get(
+    "/tags/revenue",
+    ...authed,
+    scopeToActor,
+    tagController.getTagRevenue
+  );
+
+  // Rename a tag on every project using it
+  router.put(
+    "/tags/:tagId",
+    ...authed,
+    authorizeResource("tag", { param: "tagId" }),
+    tagController.renameTag
+  );
+
+  // Merge other tags (sourceIds) into this one
+  router.post(
+    "/tags/:tagId/merge",
+    ...authed,
+    authorizeResource("tag", { param: "tagId" }),
+    tagController.mergeTags
+  );
+
+  // ========== Template Routes ==========
+  // Registered before /:id so "templates" isn't read as a project id
+
+  // List the acting user's templates
+  router.get(
+    "/templates",
+    ...authed,
+    scopeToActor,
+    projectTemplateController.listTemplates
+  );
+
+  // Save a template (from projectId, or from the fields sent)
+  router.post(
+    "/templates",
+    ...authed,
+    scopeToActor,
+    authorizeResource("project", { bodyField: "projectId", optional: true }),
+    projectTemplateController.createTemplate
+  );
+
+  // Duplicate a project or draft as a new draft (projectId; startDate or shiftDays)
+  router.post(
+    "/templates/duplicate",
+    ...authed,
+    scopeToActor,
+    authorizeResource("project", { bodyField: "projectId" }),
+    projectTemplateController.duplicateProject
+  );
+
+  // Get a template
+  router.get(
+    "/templates/:templateId",
+    ...authed,
+    authorizeResource("template", { param: "templateId" }),
+    projectTemplateController.getTemplate
+  );
+
+  // Update a template
+  router.put(
+    "/templates/:templateId",
+    ...authed,
+    authorizeResource("template", { param: "templateId" }),
+    projectTemplateController.updateTemplate
+  );
+
+  // Delete a template
+  router.delete(
+    "/templates/:templateId",
+    ...authed,
+    authorizeResource("template", { param: "templateId" }),
+    projectTemplateController.deleteTemplate
+  );
+
+  // Create a draft from a template (startDate, projectName)
+  router.post(
+    "/templates/:templateId/draft",
+    ...authed,
+    authorizeResource("template", { param: "templateId" }),
+    projectTemplateController.createDraftFromTemplate
+  );
+
+  // Get all projects for the acting user (legacy; same parameters in the body)
   router.post(
     "/all_projects",
-    optionalAuth,
+    ...actor,
+    scopeToActor,
     projectController.allprojects
   );
 
   // Get single project by ID
   router.get(
     "/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("project"),
     projectController.getProjectById
   );
 
-  // Update project (authenticated)
+  // Update project
   router.put(
     "/update_project/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("project"),
     projectController.updateProject
   );
 
-  // Delete project (authenticated)
+  // Show/hide a completed project on the public profile
+  router.put(
+    "/:id/portfolio",
+    ...authed,
+    authorizeResource("project"),
+    projectController.setPortfolioVisibility
+  );
+
+  // Move a project to another status (see PROJECT_WORKFLOW)
+  router.post(
+    "/:id/transition",
+    ...authed,
+    authorizeResource("project"),
+    projectController.transitionProject
+  );
+
+  // Status change history
+  router.get(
+    "/:id/status-history",
+    ...authed,
+    authorizeResource("project"),
+    projectController.getStatusHistory
+  );
+
+  // Activity timeline (?page=&limit=)
+  router.get(
+    "/:id/activity",
+    ...authed,
+    authorizeResource("project"),
+    projectController.getProjectActivity
+  );
+
+  // ========== Milestone Routes ==========
+
+  // List milestones (?status=, ?overdue=true)
+  router.get(
+    "/:id/milestones",
+    ...authed,
+    authorizeResource("project"),
+    milestoneController.listMilestones
+  );
+
+  // Add a milestone
+  router.post(
+    "/:id/milestones",
+    ...authed,
+    authorizeResource("project"),
+    milestoneController.createMilestone
+  );
+
+  // Replace all milestones
+  router.put(
+    "/:id/milestones",
+    ...authed,
+    authorizeResource("project"),
+    milestoneController.replaceMilestones
+  );
+
+  // Update a milestone
+  router.put(
+    "/:id/milestones/:milestoneId",
+    ...authed,
+    authorizeResource("project"),
+    milestoneController.updateMilestone
+  );
+
+  // Delete a milestone
+  router.delete(
+    "/:id/milestones/:milestoneId",
+    ...authed,
+    authorizeResource("project"),
+    milestoneController.deleteMilestone
+  );
+
+  // ========== Payment Routes ==========
+
+  // List payments with received/outstanding totals
+  router.get(
+    "/:id/payments",
+    ...authed,
+    authorizeResource("project"),
+    paymentController.listPayments
+  );
+
+  // Record a payment (optional proof image)
+  router.post(
+    "/:id/payments",
+    ...authed,
+    authorizeResource("project"),
+    upload.single(PAYMENTS.PROOF_FIELD),
+    paymentController.recordPayment
+  );
+
+  // Installment schedule (recurring payments)
+  router.get(
+    "/:id/schedule",
+    ...authed,
+    authorizeResource("project"),
+    paymentController.getSchedule
+  );
+
+  // Delete a payment
+  router.delete(
+    "/:id/payments/:paymentId",
+    ...authed,
+    authorizeResource("project"),
+    paymentController.deletePayment
+  );
+
+  // ========== Agreement Routes ==========
+
+  // Generate an agreement from the project terms and email the client a review link
+  router.post(
+    "/:id/agreement",
+    ...authed,
+    requireVerifiedEmail,
+    authorizeResource("project"),
+    agreementController.sendAgreement
+  );
+
+  // Agreement versions sent for the project
+  router.get(
+    "/:id/agreement",
+    ...authed,
+    authorizeResource("project"),
+    agreementController.listAgreements
+  );
+
+  // Download the agreement PDF (latest accepted, else latest sent)
+  router.get(
+    "/:id/agreement.pdf",
+    ...authed,
+    authorizeResource("project"),
+    agreementController.downloadProjectAgreement
+  );
+
+  // Delete project
   router.delete(
     "/delete_project/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("project"),
     projectController.deleteProject
   );
 
-  // Multiple images upload (authenticated)
+  // Multiple images upload
+  // Multipart bodies are only parsed by multer, so the policy runs after it
   router.post(
     "/upload_pictures",
     optionalAuth,
     upload.array("images", 5),
+    resolveActor,
+    scopeToActor,
+    authorizeResource("project", { bodyField: "projectId", optional: true }),
     projectController.uploadProjectPictures
   );
 
   // ========== Draft Project Routes ==========
 
   // Create/Update draft project
+  // Ownership is checked against any project with this pid, not just drafts,
+  // so an upsert can never overwrite another user's project; the controller
+  // then refuses pids of projects that are no longer drafts
   router.post(
     "/draftProject",
-    optionalAuth,
+    ...actor,
+    scopeToActor,
+    authorizeResource("project", { bodyField: "pid", optional: true }),
     projectController.DraftProject
   );
 
-  // Get all draft projects for a user
+  // Get all draft projects for the acting user (legacy; same parameters in the body)
   router.post(
     "/all_draftProject",
-    optionalAuth,
+    ...actor,
+    scopeToActor,
     projectController.allDraftprojects
   );
 
   // Get single draft by ID
   router.get(
     "/draft/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("draft"),
     projectController.getSingleDraftProject
   );
 
   // Update draft project
   router.put(
     "/update_draft/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("draft"),
     projectController.updateDraftProject
   );
 
   // Delete draft project
   router.delete(
     "/delete_draft/:id",
-    optionalAuth,
+    ...actor,
+    authorizeResource("draft"),
     projectController.deleteDraftProject
   );
 
@@ -1,8 +1,18 @@
 const router = require("express").Router();
 const rateLimit = require("express-rate-limit");
 const userController = require("../controllers/user.controller");
-const { authenticate, optionalAuth } = require("../middlewares/auth");
+const {
+  authenticate,
+  optionalAuth,
+  authorize,
+  requirePermission,
+  requireVerifiedEmail,
+} = require("../middlewares/auth");
+const { resolveActor, authorizeSelf } = require("../middlewares/policy");
+const { ROLES, PERMISSIONS, EMAIL_VERIFICATION, ACCOUNT_DELETION } = require("../utils/constants");
 const { validate, sanitize } = require("../middlewares/validate");
+const uploadAvatar = require("../middlewares/avatarUpload");
+const { readChallenge } = require("../utils/twoFactor");
 
 // Rate limiter for password reset to prevent abuse
 const passwordResetLimiter = rateLimit({
@@ -17,6 +27,69 @@ const passwordResetLimiter = rateLimit({
   validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
 });
 
+// Rate limiter for OTP send/verify (per-phone limits are enforced by the OTP service)
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 OTP requests per 15 minutes
+  message: {
+    success: false,
+    message: "Too many verification attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
+});
+
+// Rate limiter for verification email resends, keyed per user
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: EMAIL_VERIFICATION.MAX_RESENDS_PER_HOUR,
+  keyGenerator: (req) => req.user.uid,
+  message: {
+    success: false,
+    message: "Too many verification emails requested. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
+});
+
+// Rate limiter for personal data exports, keyed per user
+const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: ACCOUNT_DELETION.MAX_EXPORTS_PER_HOUR,
+  keyGenerator: (req) => req.user.uid,
+  message: {
+    success: false,
+    message: "Too many export requests. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
+});
+
+// Rate limiter for the second signin step, keyed per account being signed in to.
+// Only a challenge whose signature checks out names the account; anything else
+// counts against the IP, so forged challenges can't lock someone else out.
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 code attempts per account per 15 minutes
+  keyGenerator: (req) => {
+    try {
+      return `uid:${readChallenge(req.body?.challengeToken)}`;
+    } catch {
+      return `ip:${req.ip}`;
+    }
+  },
+  message: {
+    success: false,
+    message: "Too many authentication code attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false }, // Disable validation (handled by trust proxy)
+});
+
 module.exports = (app) => {
   // Apply sanitization to all routes
   router.use(sanitize);
@@ -37,18 +110,46 @@ module.exports = (app) => {
     userController.signin
   );
 
+  // Complete signin with a 2FA code (after signin returned twoFactorRequired)
+  router.post(
+    "/signin/2fa",
+    twoFactorLimiter,
+    userController.signinTwoFactor
+  );
+
   // Check phone and send OTP
   router.post(
     "/check-phone",
+    otpLimiter,
     userController.checkPhoneAndSendOtp
   );
 
+  // Verify OTP (returns a phone verification proof for signup)
+  router.post(
+    "/verify-otp",
+    otpLimiter,
+    userController.verifyOtp
+  );
+
   // Check email availability
   router.post(
     "/check-email",
     userController.checkEmail
   );
 
+  // Check username availability (also validates format and reserved words)
+  router.post(
+    "/check-username",
+    optionalAuth,
+    userController.checkUsername
+  );
+
+  // Published creator profile (JSON for the app; HTML page at /u/:username)
+  router.get(
+    "/profile/:username",
+    userController.getPublicProfile
+  );
+
   // Forgot password - request reset (sends email with reset link)
   router.post(
     "/forgot-password",
@@ -74,6 +175,24 @@ module.exports = (app) => {
     userController.resetPassword
   );
 
+  // Confirm email from a verification link
+  router.post(
+    "/verify-email",
+    userController.verifyEmail
+  );
+
+  // Cancel a pending account deletion (token from the emailed link)
+  router.post(
+    "/deletion/cancel",
+    userController.cancelAccountDeletion
+  );
+
+  // Exchange refresh token for a new token pair
+  router.post(
+    "/token/refresh",
+    userController.refreshToken
+  );
+
   // ========== Firebase Auth Routes ==========
 
   // Verify Firebase ID token (for phone auth)
@@ -90,10 +209,189 @@ module.exports = (app) => {
 
   // ========== Protected Routes ==========
 
+  // Logout current session
+  router.post(
+    "/logout",
+    authenticate,
+    userController.logout
+  );
+
+  // Logout from all devices
+  router.post(
+    "/logout-all",
+    authenticate,
+    userController.logoutAll
+  );
+
+  // Resend email verification link
+  router.post(
+    "/verify-email/resend",
+    authenticate,
+    verificationEmailLimiter,
+    userController.resendVerificationEmail
+  );
+
+  // ========== Account Routes ==========
+
+  // Delete own account (grace period, cancellable from the emailed link)
+  router.delete(
+    "/me",
+    authenticate,
+    userController.deleteAccount
+  );
+
+  // Recent sign-in activity
+  router.get(
+    "/me/signin-activity",
+    authenticate,
+    userController.getSigninActivity
+  );
+
+  // Download personal data archive (sent only to a verified owner)
+  router.get(
+    "/me/export",
+    authenticate,
+    requireVerifiedEmail,
+    dataExportLimiter,
+    userController.exportAccountData
+  );
+
+  // Change password (current password required)
+  router.put(
+    "/me/password",
+    authenticate,
+    validate("changePassword"),
+    userController.changePassword
+  );
+
+  // ========== Linked Identities ==========
+
+  // List linked sign-in identities
+  router.get(
+    "/me/identities",
+    authenticate,
+    userController.getIdentities
+  );
+
+  // Link a verified phone number (409 + merge token if another account owns it)
+  router.post(
+    "/me/identities/phone",
+    authenticate,
+    otpLimiter,
+    userController.linkPhone
+  );
+
+  // Link an email and password (409 + merge token if another account owns it)
+  router.post(
+    "/me/identities/email",
+    authenticate,
+    validate("linkEmail"),
+    userController.linkEmail
+  );
+
+  // Confirm merging the other account into this one
+  router.post(
+    "/me/identities/merge",
+    authenticate,
+    userController.confirmAccountMerge
+  );
+
+  // Unlink phone or email sign-in (one sign-in method must remain)
+  router.delete(
+    "/me/identities/:identity",
+    authenticate,
+    userController.unlinkIdentity
+  );
+
+  // Claim username and edit public profile
+  router.put(
+    "/me/public-profile",
+    authenticate,
+    userController.updatePublicProfile
+  );
+
+  // Upload avatar (multipart, single image in the "avatar" field)
+  router.post(
+    "/avatar",
+    authenticate,
+    uploadAvatar("avatar"),
+    userController.uploadAvatar
+  );
+
+  // Remove avatar
+  router.delete(
+    "/avatar",
+    authenticate,
+    userController.deleteAvatar
+  );
+
+  // ========== Two-Factor Authentication Routes ==========
+
+  // Start enrolment (secret + otpauth URI)
+  router.post(
+    "/2fa/setup",
+    authenticate,
+    userController.setupTwoFactor
+  );
+
+  // Confirm enrolment with the first code (returns backup codes)
+  router.post(
+    "/2fa/confirm",
+    authenticate,
+    userController.confirmTwoFactor
+  );
+
+  // Regenerate backup codes
+  router.post(
+    "/2fa/backup-codes",
+    authenticate,
+    userController.regenerateBackupCodes
+  );
+
+  // Disable 2FA
+  router.post(
+    "/2fa/disable",
+    authenticate,
+    userController.disableTwoFactor
+  );
+
+  // ========== App PIN Routes ==========
+
+  // Set PIN (first time)
+  router.post(
+    "/pin",
+    authenticate,
+    userController.setPin
+  );
+
+  // Change PIN
+  router.put(
+    "/pin",
+    authenticate,
+    userController.changePin
+  );
+
+  // Verify PIN (quick unlock)
+  router.post(
+    "/pin/verify",
+    authenticate,
+    userController.verifyPin
+  );
+
+  // Forgot PIN (emails the forgot-password reset link)
+  router.post(
+    "/pin/forgot",
+    authenticate,
+    passwordResetLimiter,
+    userController.forgotPin
+  );
+
   // Get all users (admin only)
   router.get(
     "/all",
     authenticate,
+    authorize(ROLES.ADMIN),
+    requirePermission(PERMISSIONS.USERS_READ),
     userController.getAllUsers
   );
 
@@ -101,6 +399,8 @@ module.exports = (app) => {
   router.get(
     "/:userId",
     optionalAuth,
+    resolveActor,
+    authorizeSelf("userId"),
     userController.getUserById
   );
 
@@ -108,6 +408,8 @@ module.exports = (app) => {
   router.put(
     "/update/:userId",
     optionalAuth,
+    resolveActor,
+    authorizeSelf("userId"),
     userController.updateProfile
   );
 
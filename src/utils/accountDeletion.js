@@ -0,0 +1,283 @@
+/**
+ * Account Deletion Service
+ * Self-service deletion runs in two steps:
+ *  1. Request: the user's projects (with their milestones, payments and tag
+ *     links), tags, templates, clients, notifications and push tokens are soft
+ *     deleted and an emailed link can cancel (restore) it during the grace
+ *     period.
+ *  2. Purge (scripts/purge-deleted-accounts.js): once the grace period is
+ *     over, analytics rows are anonymized, the avatar is deleted and the user
+ *     record is scrubbed and soft deleted.
+ */
+
+const jwt = require("jsonwebtoken");
+const db = require("../models");
+const logger = require("./logger");
+const { revokeAllSessions } = require("./session");
+const { initFirebaseAdmin } = require("./firebase");
+const { CLEARED_PIN } = require("./pin");
+const { sendAccountDeletionEmail } = require("./email");
+const { deleteStoredAvatar } = require("./avatar");
+const { BadRequestError } = require("../middlewares/errorHandler");
+const { MESSAGES, ACCOUNT_DELETION } = require("./constants");
+
+const { Op } = db.Sequelize;
+
+const CANCEL_TOKEN_TYPE = "account_deletion_cancel";
+
+// Models soft deleted together with the account: keyed by userId, or
+// (byProject) rows that belong to the user's projects
+const CASCADE_MODELS = () => [
+  { model: db.Project },
+  { model: db.Client },
+  { model: db.Notification },
+  { model: db.PushToken },
+  { model: db.ProjectMilestone, byProject: true },
+  { model: db.Payment },
+  { model: db.Tag },
+  { model: db.ProjectTag, byProject: true },
+  { model: db.ProjectTemplate },
+];
+
+/**
+ * Where clause selecting a cascade model's rows for a user
+ * @param {object} entry - CASCADE_MODELS entry
+ * @param {string} uid - User ID
+ * @param {string[]} projectIds - Every project of the user, deleted ones included
+ */
+const cascadeWhere = ({ byProject }, uid, projectIds) => (byProject ? { projectId: projectIds } : { userId: uid });
+
+const findProjectIds = async (uid, transaction) =>
+  (await db.Project.findAll({ where: { userId: uid }, attributes: ["pid"], paranoid: false, transaction })).map(
+    (project) => project.pid
+  );
+
+const getBaseUrl = () => process.env.BACKEND_URL || "https://createbackend.vercel.app";
+
+/**
+ * Build the signed cancellation link for a pending deletion
+ * @param {object} user - User instance with deletionRequestedAt set
+ */
+const createCancelUrl = (user) => {
+  const token = jwt.sign(
+    {
+      type: CANCEL_TOKEN_TYPE,
+      uid: user.uid,
+      requestedAt: user.deletionRequestedAt.toISOString(),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCOUNT_DELETION.GRACE_PERIOD_DAYS}d` }
+  );
+
+  return `${getBaseUrl()}/cancel-deletion?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Schedule a user's account for deletion
+ * @param {object} user - User instance
+ * @returns {Promise<Date>} When the account will be purged
+ */
+const requestAccountDeletion = async (user) => {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(
+    requestedAt.getTime() + ACCOUNT_DELETION.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await db.sequelize.transaction(async (transaction) => {
+    const projectIds = await findProjectIds(user.uid, transaction);
+
+    for (const entry of CASCADE_MODELS()) {
+      await entry.model.destroy({ where: cascadeWhere(entry, user.uid, projectIds), transaction });
+    }
+
+    await user.update(
+      {
+        isDeleted: true,
+        deletionRequestedAt: requestedAt,
+        deletionScheduledFor: scheduledFor,
+      },
+      { transaction }
+    );
+  });
+
+  await revokeAllSessions(user.uid, "account_deleted");
+  logger.info("Account deletion scheduled", { userId: user.uid, scheduledFor });
+
+  try {
+    const sent = await sendAccountDeletionEmail(
+      user.email,
+      createCancelUrl(user),
+      scheduledFor,
+      user.firstName || "User"
+    );
+
+    if (!sent) {
+      logger.error("Failed to send account deletion email", { userId: user.uid });
+    }
+  } catch (error) {
+    logger.error("Account deletion email error", { userId: user.uid, error: error.message });
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a pending deletion from its emailed link, restoring the user's data
+ * Only rows removed by the deletion request are restored, not ones the user
+ * deleted earlier.
+ * @param {string} token - Token from the cancellation link
+ * @returns {Promise<object>} The restored user
+ */
+const cancelAccountDeletion = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new BadRequestError(MESSAGES.ERROR.DELETION_CANCEL_INVALID);
+  }
+
+  if (decoded.type !== CANCEL_TOKEN_TYPE) {
+    throw new BadRequestError(MESSAGES.ERROR.DELETION_CANCEL_INVALID);
+  }
+
+  const user = await db.User.findOne({ where: { uid: decoded.uid } });
+
+  if (!user || !user.isDeleted || !user.deletionRequestedAt) {
+    throw new BadRequestError(MESSAGES.ERROR.DELETION_NOT_PENDING);
+  }
+
+  // Links from an earlier (already cancelled) request are not valid
+  if (user.deletionRequestedAt.toISOString() !== decoded.requestedAt) {
+    throw new BadRequestError(MESSAGES.ERROR.DELETION_CANCEL_INVALID);
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    const projectIds = await findProjectIds(user.uid, transaction);
+
+    for (const entry of CASCADE_MODELS()) {
+      await entry.model.restore({
+        where: {
+          ...cascadeWhere(entry, user.uid, projectIds),
+          deletedAt: { [Op.gte]: user.deletionRequestedAt },
+        },
+        transaction,
+      });
+    }
+
+    await user.update(
+      {
+        isDeleted: false,
+        deletionRequestedAt: null,
+        deletionScheduledFor: null,
+      },
+      { transaction }
+    );
+  });
+
+  logger.info("Account deletion cancelled", { userId: user.uid });
+
+  return user;
+};
+
+/**
+ * Permanently remove personal data for an account past its grace period
+ * @param {object} user - User instance pending deletion
+ */
+const purgeAccount = async (user) => {
+  const { uid, phone, firebaseUid, avatarPublicId } = user;
+
+  await db.sequelize.transaction(async (transaction) => {
+    // Keep events for aggregate stats, without anything that identifies the user
+    await db.Analytics.update(
+      { userId: null, ipAddress: null, city: null, properties: {} },
+      { where: { userId: uid }, transaction }
+    );
+
+    await db.Session.destroy({ where: { userId: uid }, transaction });
+    // Project timelines stay intact; only the network details go
+    await db.ActivityLog.update(
+      { ipAddress: null, userAgent: null, deviceName: null, platform: null },
+      { where: { userId: uid }, transaction }
+    );
+    await db.LoginAttempt.destroy({
+      where: { [Op.or]: [{ userId: uid }, { identifier: user.email.toLowerCase() }] },
+      transaction,
+    });
+
+    if (phone) {
+      await db.Otp.destroy({ where: { phone }, transaction });
+    }
+
+    await user.update(
+      {
+        email: `deleted-${uid}@deleted.invalid`,
+        username: null,
+        phone: null,
+        firstName: null,
+        lastName: null,
+        full_name: null,
+        searchTerm: null,
+        avatar_url: null,
+        avatarVariants: null,
+        avatarPublicId: null,
+        bio: null,
+        isProfilePublic: false,
+        firebaseUid: null,
+        password: "",
+        passwordHistory: null,
+        permissions: null,
+        resetPasswordToken: null,
+        resetPasswordExpires: null,
+        ...CLEARED_PIN,
+      },
+      { transaction }
+    );
+
+    await user.destroy({ transaction });
+  });
+
+  await deleteStoredAvatar(avatarPublicId);
+
+  if (firebaseUid) {
+    try {
+      await initFirebaseAdmin().auth().deleteUser(firebaseUid);
+    } catch (error) {
+      logger.warn("Failed to delete Firebase user", { userId: uid, error: error.message });
+    }
+  }
+
+  logger.info("Account purged", { userId: uid });
+};
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts purged
+ */
+const purgeDueAccounts = async () => {
+  const users = await db.User.findAll({
+    where: {
+      isDeleted: true,
+      deletionScheduledFor: { [Op.lte]: new Date() },
+    },
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged += 1;
+    } catch (error) {
+      logger.error("Account purge failed", { userId: user.uid, error: error.message });
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -0,0 +1,130 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const email = require("./email");
+
+// Replaced before accountDeletion takes its reference, so no email is sent
+email.sendAccountDeletionEmail = mock.fn(async () => true);
+
+const { requestAccountDeletion, cancelAccountDeletion } = require("./accountDeletion");
+const { buildUserExport } = require("./dataExport");
+
+const { Op } = db.Sequelize;
+
+const CASCADED = [
+  "Project",
+  "Client",
+  "Notification",
+  "PushToken",
+  "ProjectMilestone",
+  "Payment",
+  "Tag",
+  "ProjectTag",
+  "ProjectTemplate",
+];
+const BY_PROJECT = ["ProjectMilestone", "ProjectTag"];
+
+const makeUser = (values = {}) => {
+  const user = { uid: "user-1", email: "user@example.com", isDeleted: false, ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  return user;
+};
+
+/**
+ * Run transactions inline and list the user's projects (one already deleted)
+ */
+const stubDatabase = () => {
+  mock.method(db.sequelize, "transaction", async (work) => work({}));
+  mock.method(db.Project, "findAll", async () => [{ pid: "p1" }, { pid: "p2" }]);
+  mock.method(db.Session, "update", async () => [0]);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("requestAccountDeletion", () => {
+  it("soft deletes the user's rows in every cascaded model", async () => {
+    stubDatabase();
+    const destroys = Object.fromEntries(
+      CASCADED.map((name) => [name, mock.method(db[name], "destroy", async () => 0)])
+    );
+    const user = makeUser();
+
+    const scheduledFor = await requestAccountDeletion(user);
+
+    assert.ok(scheduledFor > new Date());
+    assert.match(email.sendAccountDeletionEmail.mock.calls[0].arguments[1], /cancel-deletion\?token=/);
+    assert.equal(user.isDeleted, true);
+    for (const name of CASCADED) {
+      const { where, force } = destroys[name].mock.calls[0].arguments[0];
+      assert.equal(force, undefined, `${name} must be soft deleted`);
+      assert.deepEqual(where, BY_PROJECT.includes(name) ? { projectId: ["p1", "p2"] } : { userId: "user-1" });
+    }
+  });
+
+  it("keeps the cascaded models restorable", () => {
+    for (const name of CASCADED) {
+      assert.ok(db[name].options.paranoid, `${name} must be paranoid`);
+    }
+  });
+});
+
+describe("cancelAccountDeletion", () => {
+  it("restores only rows removed by the deletion request", async () => {
+    stubDatabase();
+    const restores = Object.fromEntries(
+      CASCADED.map((name) => [name, mock.method(db[name], "restore", async () => {})])
+    );
+    const requestedAt = new Date("2026-01-01T00:00:00.000Z");
+    const user = makeUser({ isDeleted: true, deletionRequestedAt: requestedAt });
+    mock.method(db.User, "findOne", async () => user);
+    const token = jwt.sign(
+      { type: "account_deletion_cancel", uid: "user-1", requestedAt: requestedAt.toISOString() },
+      process.env.JWT_SECRET
+    );
+
+    await cancelAccountDeletion(token);
+
+    assert.equal(user.isDeleted, false);
+    for (const name of CASCADED) {
+      const { where } = restores[name].mock.calls[0].arguments[0];
+      assert.deepEqual(where.deletedAt, { [Op.gte]: requestedAt });
+    }
+  });
+
+  it("rejects a link from an earlier request", async () => {
+    const user = makeUser({ isDeleted: true, deletionRequestedAt: new Date("2026-02-01T00:00:00.000Z") });
+    mock.method(db.User, "findOne", async () => user);
+    const token = jwt.sign(
+      { type: "account_deletion_cancel", uid: "user-1", requestedAt: "2026-01-01T00:00:00.000Z" },
+      process.env.JWT_SECRET
+    );
+
+    await assert.rejects(cancelAccountDeletion(token), { statusCode: 400 });
+  });
+});
+
+describe("buildUserExport", () => {
+  it("includes the user's project data and leaves secrets out", async () => {
+    const findAll = (rows) => async () => rows;
+    for (const name of Object.keys(db)) {
+      if (db[name]?.findAll && name !== "Project") mock.method(db[name], "findAll", findAll([]));
+    }
+    mock.method(db.User, "findOne", async () => ({ uid: "user-1" }));
+    mock.method(db.Project, "findAll", findAll([{ pid: "p1", isDraft: false }, { pid: "p2", isDraft: true }]));
+
+    const archive = await buildUserExport("user-1");
+
+    assert.deepEqual(archive.projects, [{ pid: "p1", isDraft: false }]);
+    assert.deepEqual(archive.drafts, [{ pid: "p2", isDraft: true }]);
+    for (const key of ["projectMilestones", "tags", "projectTags", "projectTemplates", "payments"]) {
+      assert.ok(Array.isArray(archive[key]), `${key} missing from the export`);
+    }
+    const session = db.Session.findAll.mock.calls[0].arguments[0];
+    assert.deepEqual(session.attributes.exclude, ["refreshTokenHash", "previousRefreshTokenHash"]);
+    assert.deepEqual(db.ProjectTag.findAll.mock.calls[0].arguments[0].where, { projectId: ["p1", "p2"] });
+  });
+});
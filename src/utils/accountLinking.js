@@ -0,0 +1,411 @@
+/**
+ * Account Linking
+ * A user has at most one email identity (email + password) and one phone
+ * identity (phone, plus the Firebase UID used for phone auth). Identities can
+ * be linked and unlinked on the current account as long as one way to sign in
+ * remains. Linking an identity that belongs to another account returns a
+ * short-lived merge token instead; confirming it moves that account's data
+ * into the current one (also used by the admin merge tool).
+ */
+
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const db = require("../models");
+const logger = require("./logger");
+const { initFirebaseAdmin } = require("./firebase");
+const { isPhoneProofValid } = require("./otp");
+const { revokeAllSessions } = require("./session");
+const { sendVerificationLink } = require("./emailVerification");
+const { setPassword } = require("./password");
+const { isAdminRole } = require("./permissions");
+const { mergeUserTags } = require("./tags");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../middlewares/errorHandler");
+const { MESSAGES, ACCOUNT_LINKING } = require("./constants");
+
+const { Op } = db.Sequelize;
+
+const MERGE_TOKEN_TYPE = "account_merge";
+
+// Models whose rows follow their owner when accounts are merged (all keyed by userId)
+const MERGED_MODELS = () => [
+  db.Project,
+  db.Client,
+  db.Payment,
+  db.Invoice,
+  db.ProjectAgreement,
+  db.ProjectTemplate,
+  db.Notification,
+  db.Analytics,
+  db.LoginAttempt,
+];
+
+const hasPassword = (user) => Boolean(user.password);
+
+const maskEmail = (email) => {
+  const [name, domain] = String(email || "").split("@");
+  return domain ? `${name.slice(0, 2)}***@${domain}` : null;
+};
+
+const maskPhone = (phone) => (phone ? `***${String(phone).slice(-4)}` : null);
+
+/**
+ * Sign-in identities on an account
+ * @param {object} user - User instance
+ */
+const getIdentities = (user) => ({
+  email: {
+    email: user.email,
+    isVerified: Boolean(user.isEmailVerified),
+    canSignIn: hasPassword(user),
+  },
+  phone: user.phone
+    ? { phone: user.phone, firebaseLinked: Boolean(user.firebaseUid) }
+    : null,
+});
+
+/**
+ * Build the collision response for an identity owned by another account
+ * Self-service merges are refused when the other account is protected by
+ * more than the identity just proven (2FA, admin role) or is being deleted.
+ */
+const buildCollision = async (target, source, identity) => {
+  if (
+    source.twoFactorEnabled ||
+    source.isDeleted ||
+    isAdminRole(source.role) ||
+    isAdminRole(target.role)
+  ) {
+    throw new ForbiddenError(MESSAGES.ERROR.MERGE_NOT_ALLOWED);
+  }
+
+  const [projects, clients] = await Promise.all([
+    db.Project.count({ where: { userId: source.uid } }),
+    db.Client.count({ where: { userId: source.uid } }),
+  ]);
+
+  const mergeToken = jwt.sign(
+    {
+      type: MERGE_TOKEN_TYPE,
+      sourceUid: source.uid,
+      targetUid: target.uid,
+      identity: identity.type,
+      value: identity.value,
+      firebaseUid: identity.firebaseUid || null,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCOUNT_LINKING.MERGE_TOKEN_EXPIRY }
+  );
+
+  return {
+    collision: {
+      identity: identity.type,
+      account: {
+        email: maskEmail(source.email),
+        phone: maskPhone(source.phone),
+        projects,
+        clients,
+        createdAt: source.createdAt,
+      },
+    },
+    mergeToken,
+    mergeTokenExpiresIn: ACCOUNT_LINKING.MERGE_TOKEN_EXPIRY,
+  };
+};
+
+/**
+ * Resolve the phone being linked from an OTP proof or a Firebase ID token
+ * @returns {Promise<{ phone: string, firebaseUid: string|null }>}
+ */
+const resolvePhoneProof = async ({ phone, phoneVerificationToken, idToken }) => {
+  if (idToken) {
+    let decoded;
+
+    try {
+      decoded = await initFirebaseAdmin().auth().verifyIdToken(idToken);
+    } catch (error) {
+      throw new BadRequestError("Invalid Firebase token");
+    }
+
+    if (!decoded.phone_number) {
+      throw new BadRequestError("Phone number not found in token");
+    }
+
+    return { phone: decoded.phone_number, firebaseUid: decoded.uid };
+  }
+
+  if (!phone || !isPhoneProofValid(phoneVerificationToken, phone)) {
+    throw new BadRequestError(MESSAGES.ERROR.PHONE_NOT_VERIFIED);
+  }
+
+  return { phone, firebaseUid: null };
+};
+
+/**
+ * Link a verified phone number to the current account (replacing any old one)
+ * @param {object} user - User instance
+ * @param {object} proof - { phone, phoneVerificationToken } or { idToken }
+ * @returns {Promise<{ linked: true }|object>} Collision details when another account owns the phone
+ */
+const linkPhone = async (user, proof) => {
+  const { phone, firebaseUid } = await resolvePhoneProof(proof);
+
+  const owner = await db.User.findOne({
+    where: {
+      uid: { [Op.ne]: user.uid },
+      [Op.or]: [{ phone }, ...(firebaseUid ? [{ firebaseUid }] : [])],
+    },
+  });
+
+  if (owner) {
+    return buildCollision(user, owner, { type: "phone", value: phone, firebaseUid });
+  }
+
+  await user.update({
+    phone,
+    // Keep an existing Firebase user (created at signup); phone sign-in also matches by number
+    ...(firebaseUid && !user.firebaseUid && { firebaseUid }),
+  });
+
+  logger.info("Phone identity linked", { userId: user.uid });
+  return { linked: true };
+};
+
+/**
+ * Link an email and password to the current account
+ * When the email belongs to another account, `password` must be that
+ * account's password; otherwise it becomes this account's new password.
+ * @param {object} user - User instance
+ * @param {object} params
+ * @param {string} params.email
+ * @param {string} params.password
+ * @param {string} [params.currentPassword] - Required when the account already has a password
+ * @returns {Promise<{ linked: true }|object>} Collision details when another account owns the email
+ */
+const linkEmail = async (user, { email, password, currentPassword }) => {
+  const normalized = String(email || "").trim().toLowerCase();
+
+  const owner = await db.User.findOne({
+    where: {
+      uid: { [Op.ne]: user.uid },
+      [Op.and]: db.sequelize.where(db.sequelize.fn("lower", db.sequelize.col("email")), normalized),
+    },
+  });
+
+  if (owner) {
+    if (!hasPassword(owner) || !(await bcrypt.compare(password, owner.password))) {
+      throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
+    }
+
+    return buildCollision(user, owner, { type: "email", value: owner.email });
+  }
+
+  // Changing the email or password of an account that can already sign in with one
+  if (hasPassword(user) && !(currentPassword && (await bcrypt.compare(currentPassword, user.password)))) {
+    throw new BadRequestError(MESSAGES.ERROR.INVALID_CREDENTIALS);
+  }
+
+  const emailChanged = normalized !== String(user.email).toLowerCase();
+
+  await setPassword(user, password, {
+    email: emailChanged ? normalized : user.email,
+    ...(emailChanged && { isEmailVerified: false }),
+  });
+
+  if (emailChanged) {
+    sendVerificationLink(user).catch((error) => {
+      logger.error("Verification email error", { userId: user.uid, error: error.message });
+    });
+  }
+
+  logger.info("Email identity linked", { userId: user.uid, emailChanged });
+  return { linked: true };
+};
+
+/**
+ * Remove the phone identity (password sign-in must remain)
+ * @param {object} user - User instance
+ */
+const unlinkPhone = async (user) => {
+  if (!user.phone) {
+    throw new BadRequestError(MESSAGES.ERROR.IDENTITY_NOT_LINKED("phone number"));
+  }
+
+  if (!hasPassword(user)) {
+    throw new BadRequestError(MESSAGES.ERROR.LAST_SIGNIN_METHOD);
+  }
+
+  await user.update({ phone: null });
+
+  // Otherwise Firebase phone sign-in would still resolve to the same Firebase user
+  if (user.firebaseUid) {
+    try {
+      await initFirebaseAdmin().auth().updateUser(user.firebaseUid, { phoneNumber: null });
+    } catch (error) {
+      logger.warn("Failed to remove phone from Firebase user", { userId: user.uid, error: error.message });
+    }
+  }
+
+  logger.info("Phone identity unlinked", { userId: user.uid });
+};
+
+/**
+ * Remove password sign-in (phone sign-in must remain)
+ * The email is kept as the account's contact address.
+ * @param {object} user - User instance
+ */
+const unlinkEmail = async (user) => {
+  if (!hasPassword(user)) {
+    throw new BadRequestError(MESSAGES.ERROR.IDENTITY_NOT_LINKED("email sign-in"));
+  }
+
+  if (!user.phone) {
+    throw new BadRequestError(MESSAGES.ERROR.LAST_SIGNIN_METHOD);
+  }
+
+  await user.update({ password: "" });
+  logger.info("Email identity unlinked", { userId: user.uid });
+};
+
+/**
+ * Move everything owned by `source` to `target` and close `source`
+ * Identities the target lacks are taken over from the source.
+ * @param {object} source - User instance to close
+ * @param {object} target - User instance that keeps the data
+ * @param {object} [options]
+ * @param {object} [options.phone] - Phone identity to set on the target ({ phone, firebaseUid })
+ * @returns {Promise<object>} Number of rows moved per model
+ */
+const mergeAccounts = async (source, target, { phone } = {}) => {
+  if (source.uid === target.uid) {
+    throw new BadRequestError("Cannot merge an account into itself");
+  }
+
+  const moved = {};
+
+  await db.sequelize.transaction(async (transaction) => {
+    for (const Model of MERGED_MODELS()) {
+      const [count] = await Model.update(
+        { userId: target.uid },
+        { where: { userId: source.uid }, paranoid: false, transaction }
+      );
+      moved[Model.name] = count;
+    }
+
+    // Same device registered on both accounts: keep the target's row
+    const targetTokens = await db.PushToken.findAll({
+      where: { userId: target.uid },
+      attributes: ["token"],
+      paranoid: false,
+      transaction,
+    });
+    await db.PushToken.destroy({
+      where: { userId: source.uid, token: targetTokens.map((row) => row.token) },
+      force: true,
+      transaction,
+    });
+    const [tokens] = await db.PushToken.update(
+      { userId: target.uid },
+      { where: { userId: source.uid }, paranoid: false, transaction }
+    );
+    moved[db.PushToken.name] = tokens;
+
+    // Tags follow the projects; ones the target already has are merged into its own
+    moved[db.Tag.name] = await mergeUserTags(source.uid, target.uid, { transaction });
+
+    const takeover = {};
+    if (phone) {
+      Object.assign(takeover, {
+        phone: phone.phone,
+        firebaseUid: target.firebaseUid || phone.firebaseUid || source.firebaseUid,
+      });
+    } else if (!target.phone && source.phone) {
+      Object.assign(takeover, { phone: source.phone, firebaseUid: source.firebaseUid });
+    }
+    if (!hasPassword(target) && hasPassword(source)) {
+      Object.assign(takeover, {
+        email: source.email,
+        password: source.password,
+        passwordHistory: source.passwordHistory,
+        isEmailVerified: source.isEmailVerified,
+      });
+    }
+
+    // Free the source's unique identities before the target takes them
+    await source.update(
+      {
+        email: `merged-${source.uid}@merged.invalid`,
+        username: null,
+        phone: null,
+        firebaseUid: null,
+        password: "",
+        passwordHistory: null,
+        isDeleted: true,
+        mergedIntoUserId: target.uid,
+      },
+      { transaction }
+    );
+    await source.destroy({ transaction });
+
+    if (Object.keys(takeover).length > 0) {
+      await target.update(takeover, { transaction });
+    }
+  });
+
+  await revokeAllSessions(source.uid, "account_merged");
+  logger.info("Accounts merged", { sourceUserId: source.uid, targetUserId: target.uid, moved });
+
+  return moved;
+};
+
+/**
+ * Confirm a merge proposed when linking an identity
+ * @param {object} user - Current user (the merge target)
+ * @param {string} token - Merge token from the link response
+ * @returns {Promise<object>} Rows moved per model
+ */
+const confirmMerge = async (user, token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new BadRequestError(MESSAGES.ERROR.MERGE_TOKEN_INVALID);
+  }
+
+  if (decoded.type !== MERGE_TOKEN_TYPE || decoded.targetUid !== user.uid) {
+    throw new BadRequestError(MESSAGES.ERROR.MERGE_TOKEN_INVALID);
+  }
+
+  const source = await db.User.findOne({ where: { uid: decoded.sourceUid } });
+
+  if (!source) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Account to merge"));
+  }
+
+  // The identity must still belong to the account it was proven against
+  const stillOwned =
+    decoded.identity === "phone"
+      ? source.phone === decoded.value || (decoded.firebaseUid && source.firebaseUid === decoded.firebaseUid)
+      : source.email === decoded.value;
+
+  if (!stillOwned || source.twoFactorEnabled || source.isDeleted) {
+    throw new BadRequestError(MESSAGES.ERROR.MERGE_TOKEN_INVALID);
+  }
+
+  return mergeAccounts(source, user, {
+    phone:
+      decoded.identity === "phone"
+        ? { phone: decoded.value, firebaseUid: decoded.firebaseUid }
+        : undefined,
+  });
+};
+
+module.exports = {
+  getIdentities,
+  linkPhone,
+  linkEmail,
+  unlinkPhone,
+  unlinkEmail,
+  mergeAccounts,
+  confirmMerge,
+};
@@ -0,0 +1,112 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const { issuePhoneProof } = require("./otp");
+const { linkPhone, unlinkPhone, unlinkEmail, mergeAccounts, confirmMerge } = require("./accountLinking");
+
+const phone = "+96891234567";
+
+const makeUser = (values = {}) => {
+  const user = { uid: "user-1", email: "user@example.com", password: "hash", role: "creator", ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  user.destroy = mock.fn(async () => {});
+  return user;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("linkPhone", () => {
+  it("links a phone proven by OTP", async () => {
+    mock.method(db.User, "findOne", async () => null);
+    const user = makeUser();
+
+    assert.deepEqual(await linkPhone(user, { phone, phoneVerificationToken: issuePhoneProof(phone) }), {
+      linked: true,
+    });
+    assert.equal(user.phone, phone);
+  });
+
+  it("refuses a proof issued for another number", async () => {
+    await assert.rejects(
+      linkPhone(makeUser(), { phone, phoneVerificationToken: issuePhoneProof("+96899999999") }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("offers a merge when another account owns the phone", async () => {
+    mock.method(db.User, "findOne", async () => makeUser({ uid: "user-2", phone, email: "other@example.com" }));
+    mock.method(db.Project, "count", async () => 4);
+    mock.method(db.Client, "count", async () => 1);
+
+    const result = await linkPhone(makeUser(), { phone, phoneVerificationToken: issuePhoneProof(phone) });
+
+    assert.equal(result.collision.account.email, "ot***@example.com");
+    assert.equal(result.collision.account.projects, 4);
+    assert.equal(jwt.verify(result.mergeToken, process.env.JWT_SECRET).sourceUid, "user-2");
+  });
+
+  it("never offers to merge an account protected by 2FA", async () => {
+    mock.method(db.User, "findOne", async () => makeUser({ uid: "user-2", phone, twoFactorEnabled: true }));
+
+    await assert.rejects(linkPhone(makeUser(), { phone, phoneVerificationToken: issuePhoneProof(phone) }), {
+      statusCode: 403,
+    });
+  });
+});
+
+describe("unlinking", () => {
+  it("keeps at least one way to sign in", async () => {
+    await assert.rejects(unlinkPhone(makeUser({ phone, password: "" })), { statusCode: 400 });
+    await assert.rejects(unlinkEmail(makeUser({ phone: null })), { statusCode: 400 });
+  });
+});
+
+describe("mergeAccounts", () => {
+  it("moves the source's rows and frees its identities for the target", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    // Nothing but the projects to move in the other per-user tables
+    for (const Model of Object.values(db).filter((model) => model?.rawAttributes?.userId && model !== db.Project)) {
+      mock.method(Model, "update", async () => [0]);
+      mock.method(Model, "findAll", async () => []);
+    }
+    mock.method(db.PushToken, "destroy", async () => 0);
+    const projectUpdate = mock.method(db.Project, "update", async () => [2]);
+    const source = makeUser({ uid: "user-2", phone, firebaseUid: "fb-2", password: "" });
+    const target = makeUser({ phone: null });
+
+    const moved = await mergeAccounts(source, target);
+
+    assert.equal(moved.Project, 2);
+    assert.deepEqual(projectUpdate.mock.calls[0].arguments[1].where, { userId: "user-2" });
+    assert.equal(source.phone, null);
+    assert.equal(source.mergedIntoUserId, "user-1");
+    assert.equal(source.destroy.mock.callCount(), 1);
+    assert.equal(target.phone, phone);
+    assert.equal(target.firebaseUid, "fb-2");
+  });
+});
+
+describe("confirmMerge", () => {
+  it("only accepts a token issued to the current user", async () => {
+    const token = jwt.sign(
+      { type: "account_merge", sourceUid: "user-2", targetUid: "user-3", identity: "phone", value: phone },
+      process.env.JWT_SECRET
+    );
+
+    await assert.rejects(confirmMerge(makeUser(), token), { statusCode: 400 });
+  });
+
+  it("refuses when the identity has since left the source account", async () => {
+    mock.method(db.User, "findOne", async () => makeUser({ uid: "user-2", phone: "+96800000000" }));
+    const token = jwt.sign(
+      { type: "account_merge", sourceUid: "user-2", targetUid: "user-1", identity: "phone", value: phone },
+      process.env.JWT_SECRET
+    );
+
+    await assert.rejects(confirmMerge(makeUser(), token), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Project Activity Log
+ * Audit entries for every create, update, delete and status change on
+ * projects and clients: who made it, from where, and a before/after diff of
+ * the changed fields. Read back as a paginated timeline per project.
+ */
+
+const db = require("../models");
+const logger = require("./logger");
+const { getClientContext } = require("./session");
+const { PAGINATION } = require("./constants");
+
+// Bookkeeping columns that never appear in a diff
+const IGNORED_FIELDS = ["createdAt", "updatedAt", "deletedAt"];
+
+const MODELS = {
+  project: () => db.Project,
+  client: () => db.Client,
+};
+
+const ENTITY_LABELS = {
+  project: "Project",
+  client: "Client",
+};
+
+/**
+ * Plain copy of an instance's values, taken before it is changed
+ * @param {object} instance - Sequelize instance
+ */
+const snapshot = (instance) => (instance ? { ...instance.get({ plain: true }) } : null);
+
+/**
+ * Comparable form of a column value (dates as ISO strings, decimals as numbers)
+ */
+const normalizeValue = (attribute, value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const type = attribute?.type?.key;
+
+  if (type === "DATE" || type === "DATEONLY" || value instanceof Date) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+  if (type === "DECIMAL" || type === "INTEGER" || type === "FLOAT") {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+
+  return value;
+};
+
+const isSameValue = (a, b) =>
+  typeof a === "object" || typeof b === "object" ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+
+/**
+ * Fields that differ between two snapshots
+ * @param {string} entityType - "project" | "client"
+ * @param {object|null} before - Values before the change (null for creates)
+ * @param {object} after - Values after the change
+ * @returns {object} { field: { from, to } }
+ */
+const diffChanges = (entityType, before, after) => {
+  const attributes = MODELS[entityType]().rawAttributes;
+  const changes = {};
+
+  Object.keys(attributes).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = normalizeValue(attributes[field], before?.[field]);
+    const to = normalizeValue(attributes[field], after?.[field]);
+
+    if (!isSameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an audit entry (never throws; a failed write is only logged)
+ * @param {object} req - Express request (actor and client context)
+ * @param {object} entry
+ * @param {string} entry.entityType - "project" | "client"
+ * @param {object} entry.entity - Instance after the change
+ * @param {string} entry.action - "create" | "update" | "delete" | "status_change"
+ * @param {object} [entry.before] - Snapshot taken before the change
+ * @param {object} [entry.metadata] - Extra context, e.g. { reason }
+ */
+const recordActivity = async (req, { entityType, entity, action, before = null, metadata = null }) => {
+  try {
+    const changes = action === "delete" ? null : diffChanges(entityType, before, snapshot(entity));
+
+    // Nothing actually changed
+    if (changes && Object.keys(changes).length === 0 && action !== "create") {
+      return null;
+    }
+
+    const { ipAddress, userAgent, deviceName, platform } = getClientContext(req);
+
+    return await db.ActivityLog.create({
+      entityType,
+      entityId: entityType === "project" ? entity.pid : entity.cid,
+      projectId: entityType === "project" ? entity.pid : entity.projectId || null,
+      action,
+      userId: req.actor?.uid || req.user?.uid || null,
+      changes,
+      metadata,
+      ipAddress,
+      userAgent,
+      deviceName,
+      platform,
+    });
+  } catch (error) {
+    logger.error("Failed to record activity", { entityType, action, error: error.message });
+    return null;
+  }
+};
+
+// "projectAmount" -> "project amount"
+const toLabel = (field) => field.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/_/g, " ").toLowerCase();
+
+const formatValue = (value) => {
+  if (value === null) return "empty";
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T00:00:00\.000Z$/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return String(value);
+};
+
+const describeChange = (field, { from, to }) => {
+  const label = toLabel(field);
+
+  if (typeof from === "object" && from !== null) return `${label} updated`;
+  if (typeof to === "object" && to !== null) return `${label} updated`;
+
+  return `${label} changed from ${formatValue(from)} to ${formatValue(to)}`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * One-line description of an entry
+ * @param {object} entry - ActivityLog row
+ */
+const summarize = (entry) => {
+  const subject = ENTITY_LABELS[entry.entityType];
+  const changes = entry.changes || {};
+
+  switch (entry.action) {
+    case "create":
+      return `${subject} created`;
+    case "delete":
+      return `${subject} deleted`;
+    case "status_change": {
+      const { from, to } = changes.projectStatus || {};
+      const reason = entry.metadata?.reason ? ` (${entry.metadata.reason})` : "";
+      return `Status changed from ${from || "none"} to ${to}${reason}`;
+    }
+    default: {
+      const descriptions = Object.keys(changes).map((field) => describeChange(field, changes[field]));
+      return `${subject}: ${descriptions.join("; ")}`;
+    }
+  }
+};
+
+/**
+ * Timeline entry for API responses
+ * @param {object} entry - ActivityLog row (with actor loaded)
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  entityType: entry.entityType,
+  entityId: entry.entityId,
+  action: entry.action,
+  summary: capitalize(summarize(entry)),
+  changes: !entry.changes
+    ? []
+    : Object.keys(entry.changes).map((field) => ({
+        field,
+        label: toLabel(field),
+        from: entry.changes[field].from,
+        to: entry.changes[field].to,
+      })),
+  metadata: entry.metadata,
+  actor: entry.actor
+    ? { uid: entry.actor.uid, name: entry.actor.full_name || entry.actor.username || null }
+    : null,
+  source: {
+    ipAddress: entry.ipAddress,
+    device: entry.deviceName || entry.platform || entry.userAgent,
+  },
+  createdAt: entry.createdAt,
+});
+
+/**
+ * Paginated activity timeline for a project, newest first
+ * @param {string} projectId
+ * @param {object} [options] - { page, limit } from the query string
+ */
+const getProjectActivity = async (projectId, { page, limit } = {}) => {
+  const pageNumber = Math.max(parseInt(page) || PAGINATION.DEFAULT_PAGE, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+  const { count, rows } = await db.ActivityLog.findAndCountAll({
+    where: { projectId },
+    include: [{ model: db.User, as: "actor", attributes: ["uid", "full_name", "username"], paranoid: false }],
+    order: [["createdAt", "DESC"]],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize,
+  });
+
+  return {
+    entries: rows.map(formatEntry),
+    pagination: {
+      total: count,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(count / pageSize),
+    },
+  };
+};
+
+module.exports = {
+  snapshot,
+  diffChanges,
+  recordActivity,
+  getProjectActivity,
+};
@@ -0,0 +1,108 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { snapshot, diffChanges, recordActivity, getProjectActivity } = require("./activityLog");
+
+const req = { actor: { uid: "user-1" }, headers: { "user-agent": "node-test" }, ip: "10.0.0.1", body: {} };
+
+afterEach(() => mock.restoreAll());
+
+describe("diffChanges", () => {
+  it("compares dates and decimals by value, not by representation", () => {
+    const changes = diffChanges(
+      "project",
+      { projectAmount: "1500.00", startDate: new Date("2026-03-01"), projectName: "Logo" },
+      { projectAmount: 1500, startDate: "2026-03-01T00:00:00.000Z", projectName: "Logo v2" }
+    );
+
+    assert.deepEqual(changes, { projectName: { from: "Logo", to: "Logo v2" } });
+  });
+
+  it("treats empty strings as empty and ignores bookkeeping columns", () => {
+    const changes = diffChanges(
+      "project",
+      { description: "", updatedAt: new Date(0) },
+      { description: null, updatedAt: new Date() }
+    );
+
+    assert.deepEqual(changes, {});
+  });
+});
+
+describe("recordActivity", () => {
+  it("stores who changed what, and from where", async () => {
+    const create = mock.method(db.ActivityLog, "create", async (values) => values);
+    const project = db.Project.build({ pid: "p1", projectName: "Logo" });
+    const before = snapshot(project);
+    project.projectName = "Logo v2";
+
+    await recordActivity(req, { entityType: "project", entity: project, action: "update", before });
+
+    const entry = create.mock.calls[0].arguments[0];
+    assert.equal(entry.projectId, "p1");
+    assert.equal(entry.userId, "user-1");
+    assert.deepEqual(entry.changes, { projectName: { from: "Logo", to: "Logo v2" } });
+    assert.equal(entry.ipAddress, "10.0.0.1");
+  });
+
+  it("skips updates that changed nothing", async () => {
+    const create = mock.method(db.ActivityLog, "create", async (values) => values);
+    const project = db.Project.build({ pid: "p1", projectName: "Logo" });
+
+    const entry = await recordActivity(req, {
+      entityType: "project",
+      entity: project,
+      action: "update",
+      before: snapshot(project),
+    });
+
+    assert.equal(entry, null);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("never throws when the write fails", async () => {
+    mock.method(db.ActivityLog, "create", async () => {
+      throw new Error("database unavailable");
+    });
+
+    const entry = await recordActivity(req, { entityType: "project", entity: { pid: "p1" }, action: "delete" });
+
+    assert.equal(entry, null);
+  });
+});
+
+describe("getProjectActivity", () => {
+  it("summarizes each entry for the timeline", async () => {
+    mock.method(db.ActivityLog, "findAndCountAll", async () => ({
+      count: 2,
+      rows: [
+        {
+          entityType: "project",
+          action: "status_change",
+          changes: { projectStatus: { from: "Signed", to: "In Progress" } },
+          metadata: null,
+        },
+        {
+          entityType: "project",
+          action: "update",
+          changes: {
+            projectAmount: { from: 1000, to: 1500 },
+            dueDate: { from: null, to: "2026-05-01T00:00:00.000Z" },
+          },
+          actor: { uid: "user-1", full_name: "Jane Doe" },
+        },
+      ],
+    }));
+
+    const { entries, pagination } = await getProjectActivity("p1", { limit: 500 });
+
+    assert.equal(entries[0].summary, "Status changed from Signed to In Progress");
+    assert.equal(
+      entries[1].summary,
+      "Project: project amount changed from 1000 to 1500; due date changed from empty to 2026-05-01"
+    );
+    assert.equal(entries[1].actor.name, "Jane Doe");
+    assert.ok(pagination.limit < 500);
+  });
+});
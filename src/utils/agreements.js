@@ -0,0 +1,447 @@
+/**
+ * Project Agreements
+ * Turns the project terms (scope, dates, amount, payment structure,
+ * milestones) into a versioned agreement, emails the client contact a
+ * tokenized link to review it, and records their acceptance: typed name,
+ * time, IP and the hash of the version they accepted. Acceptance sets the
+ * project's `agree` flag and moves it from Discussion to Signed.
+ */
+
+const crypto = require("crypto");
+const db = require("../models");
+const logger = require("./logger");
+const projectStatus = require("./projectStatus");
+const { buildPdf, wrapLine } = require("./pdf");
+const { hashToken } = require("./session");
+const { sendAgreementEmail } = require("./email");
+const { listMilestones } = require("./milestones");
+const { snapshot } = require("./activityLog");
+const { validators } = require("../middlewares/validate");
+const { BadRequestError, ConflictError, NotFoundError, ValidationError } = require("../middlewares/errorHandler");
+const { MESSAGES, AGREEMENT_STATUS, AGREEMENTS, PAYMENTS, PROJECT_STATUS } = require("./constants");
+
+const ProjectAgreement = db.ProjectAgreement;
+
+// Characters per PDF line (A4, 11pt Courier)
+const PDF_WIDTH = 74;
+
+const getBaseUrl = () => process.env.BACKEND_URL || "https://createbackend.vercel.app";
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "-");
+
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const displayName = (person) =>
+  person.full_name || [person.firstName, person.lastName].filter(Boolean).join(" ") || person.username || null;
+
+/**
+ * Hash of an agreement's content, identifying the exact version the client accepts
+ * @param {object} content
+ */
+const hashDocument = (content) => crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+
+/**
+ * Snapshot the project terms into agreement content
+ * Values are normalized (ISO dates, plain numbers) so the hash is stable.
+ */
+const buildContent = async (project, version) => {
+  const [creator, milestones, installments] = await Promise.all([
+    db.User.findByPk(project.userId),
+    listMilestones(project.pid),
+    db.ProjectInstallment.findAll({ where: { projectId: project.pid }, order: [["sequence", "ASC"]] }),
+  ]);
+
+  return {
+    version,
+    issuedAt: new Date().toISOString(),
+    creator: {
+      name: creator ? displayName(creator) : null,
+      email: creator?.email || null,
+      phone: creator?.phone || null,
+    },
+    client: {
+      name: project.contactName || project.clientName || null,
+      brand: project.contactBrand || project.client || null,
+      role: project.contactRole || null,
+      email: project.contactEmail || null,
+      phone: project.contactNumber || null,
+    },
+    scope: {
+      projectName: project.projectName,
+      projectType: project.projectType || null,
+      description: project.description || null,
+    },
+    dates: {
+      startDate: toIso(project.startDate),
+      endDate: toIso(project.endDate),
+      paymentDueDate: toIso(project.dueDate),
+    },
+    payment: {
+      amount: toAmount(project.projectAmount),
+      currency: project.currency || PAYMENTS.DEFAULT_CURRENCY,
+      structure: project.paymentStructure || null,
+      method: project.paymentMethod || null,
+      taxHandling: project.taxHandling || null,
+      recurring:
+        project.paymentStructure === "recurring"
+          ? {
+              frequency: project.paymentFrequency || null,
+              startDate: toIso(project.paymentStartDate),
+              contractDurationMonths: project.contractDuration || null,
+            }
+          : null,
+    },
+    milestones: milestones.map((milestone) => ({
+      title: milestone.title,
+      amount: toAmount(milestone.amount),
+      percent: toAmount(milestone.percent),
+      dueDate: toIso(milestone.dueDate),
+      deliverables: milestone.deliverables || [],
+    })),
+    installments: installments.map((installment) => ({
+      sequence: installment.sequence,
+      dueDate: toIso(installment.dueDate),
+      amount: toAmount(installment.amount),
+    })),
+  };
+};
+
+/**
+ * Text of an agreement, used for the review page and the PDF
+ * @param {object} agreement - Agreement instance or plain object
+ * @returns {string[]}
+ */
+const agreementLines = (agreement) => {
+  const { content } = agreement;
+  const { creator, client, scope, dates, payment } = content;
+  const lines = [];
+  const push = (text = "", indent = "") =>
+    wrapLine(text, PDF_WIDTH - indent.length).forEach((line) => lines.push(`${indent}${line}`));
+  const party = (person) =>
+    [person.name, person.brand && `(${person.brand})`, person.email && `<${person.email}>`].filter(Boolean).join(" ") || "-";
+
+  push(`PROJECT AGREEMENT - VERSION ${content.version}`);
+  push(`Project: ${scope.projectName || "-"}`);
+  push(`Issued: ${formatDate(content.issuedAt)}`);
+  push();
+  push(`Creator: ${party(creator)}`);
+  push(`Client:  ${party(client)}${client.role ? `, ${client.role}` : ""}`);
+  push();
+
+  push("1. SCOPE");
+  if (scope.projectType) push(`Type: ${scope.projectType}`, "   ");
+  String(scope.description || "No description provided.")
+    .split("\n")
+    .forEach((paragraph) => push(paragraph, "   "));
+  push();
+
+  push("2. TIMELINE");
+  push(`Start: ${formatDate(dates.startDate)}    End: ${formatDate(dates.endDate)}`, "   ");
+  if (dates.paymentDueDate) push(`Payment due: ${formatDate(dates.paymentDueDate)}`, "   ");
+  push();
+
+  push("3. PAYMENT");
+  push(`Total: ${payment.amount === null ? "To be agreed" : `${payment.currency} ${formatAmount(payment.amount)}`}`, "   ");
+  if (payment.taxHandling) push(`Tax: ${payment.taxHandling}`, "   ");
+  if (payment.structure) push(`Structure: ${payment.structure}`, "   ");
+  if (payment.method) push(`Method: ${payment.method}`, "   ");
+  if (payment.recurring) {
+    push(
+      `Recurring: ${payment.recurring.frequency || "-"} from ${formatDate(payment.recurring.startDate)} for ${
+        payment.recurring.contractDurationMonths || "-"
+      } month(s)`,
+      "   "
+    );
+  }
+  push();
+
+  if (content.milestones.length > 0) {
+    push("4. MILESTONES");
+    content.milestones.forEach((milestone, index) => {
+      const amount = milestone.amount === null ? "" : ` - ${payment.currency} ${formatAmount(milestone.amount)}`;
+      push(`${index + 1}. ${milestone.title}${amount} (due ${formatDate(milestone.dueDate)})`, "   ");
+      milestone.deliverables.forEach((deliverable) => push(`- ${deliverable}`, "      "));
+    });
+    push();
+  }
+
+  if (content.installments.length > 0) {
+    push(`${content.milestones.length > 0 ? 5 : 4}. INSTALLMENTS`);
+    content.installments.forEach((installment) =>
+      push(`${installment.sequence}. ${formatDate(installment.dueDate)} - ${payment.currency} ${formatAmount(installment.amount)}`, "   ")
+    );
+    push();
+  }
+
+  push("ACCEPTANCE");
+  push("By accepting, the client agrees to the scope, timeline and payment terms above.", "   ");
+  push(`Document hash (SHA-256): ${agreement.documentHash}`, "   ");
+
+  if (agreement.status === AGREEMENT_STATUS.ACCEPTED) {
+    push(`Accepted by: ${agreement.acceptedName}`, "   ");
+    push(`Accepted at: ${new Date(agreement.acceptedAt).toUTCString()}`, "   ");
+    if (agreement.acceptedIp) push(`IP address: ${agreement.acceptedIp}`, "   ");
+  } else {
+    push("Not yet accepted.", "   ");
+  }
+
+  return lines;
+};
+
+/**
+ * Agreement without its token hash, for the creator
+ */
+const toOwnerView = (agreement) => {
+  const { tokenHash, ...rest } = agreement.toJSON();
+  return rest;
+};
+
+/**
+ * What the client sees through their link
+ */
+const toClientView = (agreement) => ({
+  id: agreement.id,
+  version: agreement.version,
+  status: agreement.status,
+  content: agreement.content,
+  documentHash: agreement.documentHash,
+  lines: agreementLines(agreement),
+  sentAt: agreement.sentAt,
+  expiresAt: agreement.expiresAt,
+  acceptedAt: agreement.acceptedAt,
+  acceptedName: agreement.acceptedName,
+});
+
+/**
+ * Create a new agreement version from the project terms and email the link
+ * Earlier versions still awaiting acceptance stop working.
+ * @param {object} project - Project instance
+ * @param {object} [options] - { email } to override the project's contactEmail
+ * @returns {Promise<object>} { agreement, url, sentTo, emailSent }
+ */
+const sendAgreement = async (project, { email } = {}) => {
+  if (project.isDraft) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_DRAFT_PROJECT);
+  }
+
+  const to = email || project.contactEmail;
+  if (!to) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_NO_RECIPIENT);
+  }
+
+  const emailError = validators.email(to, "email");
+  if (emailError) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [{ field: "email", message: emailError }]);
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + AGREEMENTS.LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const agreement = await db.sequelize.transaction(async (transaction) => {
+    const last = await ProjectAgreement.max("version", { where: { projectId: project.pid }, transaction });
+    const version = (last || 0) + 1;
+    const content = await buildContent(project, version);
+
+    await ProjectAgreement.update(
+      { status: AGREEMENT_STATUS.SUPERSEDED, supersededAt: new Date() },
+      { where: { projectId: project.pid, status: AGREEMENT_STATUS.PENDING }, transaction }
+    );
+
+    return ProjectAgreement.create(
+      {
+        projectId: project.pid,
+        userId: project.userId,
+        version,
+        content,
+        documentHash: hashDocument(content),
+        tokenHash: hashToken(token),
+        expiresAt,
+        sentTo: to,
+        sentAt: new Date(),
+      },
+      { transaction }
+    );
+  });
+
+  const url = `${getBaseUrl()}/agreement?token=${token}`;
+  const emailSent = await sendAgreementEmail(to, {
+    issuerName: agreement.content.creator.name,
+    projectName: project.projectName,
+    url,
+    expiresAt,
+    version: agreement.version,
+  });
+
+  if (!emailSent) {
+    logger.error("Failed to send agreement email", { projectId: project.pid, agreementId: agreement.id });
+  }
+
+  return { agreement, url, sentTo: to, emailSent };
+};
+
+/**
+ * Find the agreement for a link token
+ * Accepted agreements stay readable after the link expires so the client can download them.
+ * @param {string} token
+ */
+const findByToken = async (token) => {
+  const agreement = token ? await ProjectAgreement.findOne({ where: { tokenHash: hashToken(token) } }) : null;
+
+  if (!agreement) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_LINK_INVALID);
+  }
+
+  if (agreement.status === AGREEMENT_STATUS.SUPERSEDED) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_SUPERSEDED);
+  }
+
+  if (agreement.status === AGREEMENT_STATUS.PENDING && new Date(agreement.expiresAt) < new Date()) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_LINK_INVALID);
+  }
+
+  return agreement;
+};
+
+/**
+ * Agreement for the client's review page (records the first view)
+ * @param {string} token
+ */
+const viewAgreement = async (token) => {
+  const agreement = await findByToken(token);
+
+  if (!agreement.viewedAt) {
+    await agreement.update({ viewedAt: new Date() });
+  }
+
+  return toClientView(agreement);
+};
+
+/**
+ * Record the client's acceptance and move the project to Signed
+ * @param {string} token
+ * @param {object} input - { name, documentHash } (the hash shown on the page they reviewed)
+ * @param {object} context - { ipAddress, userAgent } from getClientContext
+ * @returns {Promise<object>} { agreement, project, before (project snapshot), statusChange }
+ */
+const acceptAgreement = async (token, { name, documentHash } = {}, { ipAddress, userAgent } = {}) => {
+  const agreement = await findByToken(token);
+
+  if (agreement.status === AGREEMENT_STATUS.ACCEPTED) {
+    throw new ConflictError(MESSAGES.ERROR.AGREEMENT_ALREADY_ACCEPTED);
+  }
+
+  const typedName = typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "";
+  if (!typedName || typedName.length > AGREEMENTS.NAME_MAX_LENGTH) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "name", message: MESSAGES.ERROR.AGREEMENT_NAME_REQUIRED(AGREEMENTS.NAME_MAX_LENGTH) },
+    ]);
+  }
+
+  if (documentHash && documentHash !== agreement.documentHash) {
+    throw new BadRequestError(MESSAGES.ERROR.AGREEMENT_CHANGED);
+  }
+
+  const project = await db.Project.findByPk(agreement.projectId);
+  if (!project) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Project"));
+  }
+  const before = snapshot(project);
+
+  await db.sequelize.transaction(async (transaction) => {
+    // Only a still-pending agreement can be accepted (guards against a double submit)
+    const [accepted] = await ProjectAgreement.update(
+      {
+        status: AGREEMENT_STATUS.ACCEPTED,
+        acceptedAt: new Date(),
+        acceptedName: typedName,
+        acceptedIp: ipAddress || null,
+        acceptedUserAgent: userAgent ? userAgent.substring(0, 500) : null,
+      },
+      { where: { id: agreement.id, status: AGREEMENT_STATUS.PENDING }, transaction }
+    );
+
+    if (accepted === 0) {
+      throw new ConflictError(MESSAGES.ERROR.AGREEMENT_ALREADY_ACCEPTED);
+    }
+
+    await project.update({ agree: true }, { transaction });
+  });
+
+  await agreement.reload();
+
+  // Projects already past Discussion keep their status
+  let statusChange = null;
+  if (projectStatus.getCurrentStatus(project) === PROJECT_STATUS.DISCUSSION) {
+    statusChange = await projectStatus.transitionProject(project, {
+      status: PROJECT_STATUS.SIGNED,
+      reason: `Agreement v${agreement.version} accepted by ${typedName}`,
+    });
+  }
+
+  return { agreement, project, before, statusChange };
+};
+
+/**
+ * A project's agreements, newest version first
+ * @param {string} projectId
+ */
+const listAgreements = async (projectId) => {
+  const agreements = await ProjectAgreement.findAll({
+    where: { projectId },
+    order: [["version", "DESC"]],
+  });
+
+  return agreements.map(toOwnerView);
+};
+
+/**
+ * The agreement to download for a project: the latest accepted one, else the latest sent
+ * @param {string} projectId
+ */
+const getCurrentAgreement = async (projectId) => {
+  const agreement =
+    (await ProjectAgreement.findOne({
+      where: { projectId, status: AGREEMENT_STATUS.ACCEPTED },
+      order: [["version", "DESC"]],
+    })) ||
+    (await ProjectAgreement.findOne({ where: { projectId }, order: [["version", "DESC"]] }));
+
+  if (!agreement) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Agreement"));
+  }
+
+  return agreement;
+};
+
+/**
+ * Render an agreement to PDF
+ * @returns {Buffer}
+ */
+const renderAgreementPdf = (agreement) => buildPdf(agreementLines(agreement));
+
+/**
+ * File name for an agreement PDF
+ */
+const pdfFileName = (agreement) =>
+  `agreement-${String(agreement.content.scope.projectName || "project")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")}-v${agreement.version}.pdf`;
+
+module.exports = {
+  hashDocument,
+  sendAgreement,
+  findByToken,
+  viewAgreement,
+  acceptAgreement,
+  listAgreements,
+  getCurrentAgreement,
+  toOwnerView,
+  renderAgreementPdf,
+  pdfFileName,
+};
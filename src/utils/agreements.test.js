@@ -0,0 +1,124 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const email = require("./email");
+
+// Replaced before agreements takes its reference, so no email is sent
+email.sendAgreementEmail = mock.fn(async () => true);
+
+const { sendAgreement, acceptAgreement } = require("./agreements");
+const { hashToken } = require("./session");
+const { AGREEMENT_STATUS, PROJECT_STATUS } = require("./constants");
+
+const makeProject = (values = {}) => {
+  const project = db.Project.build({
+    pid: "p1",
+    userId: "user-1",
+    projectName: "Brand identity",
+    projectAmount: 1000,
+    contactEmail: "client@example.com",
+    projectStatus: PROJECT_STATUS.DISCUSSION,
+    isDraft: false,
+    ...values,
+  });
+  mock.method(project, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  return project;
+};
+
+const makeAgreement = (values = {}) => {
+  const agreement = {
+    id: "a1",
+    projectId: "p1",
+    version: 2,
+    status: AGREEMENT_STATUS.PENDING,
+    documentHash: "hash-v2",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...values,
+  };
+  agreement.reload = async () => agreement;
+  return agreement;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("sendAgreement", () => {
+  it("creates the next version, supersedes pending ones and stores only the token hash", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    mock.method(db.ProjectAgreement, "max", async () => 1);
+    const supersede = mock.method(db.ProjectAgreement, "update", async () => [1]);
+    const create = mock.method(db.ProjectAgreement, "create", async (values) => values);
+    mock.method(db.User, "findByPk", async () => ({ firstName: "Jane", email: "jane@example.com" }));
+    mock.method(db.ProjectMilestone, "findAll", async () => []);
+    mock.method(db.ProjectInstallment, "findAll", async () => []);
+
+    const { agreement, url, sentTo } = await sendAgreement(makeProject());
+
+    const token = new URL(url).searchParams.get("token");
+    assert.equal(agreement.version, 2);
+    assert.equal(agreement.tokenHash, hashToken(token));
+    assert.ok(!JSON.stringify(create.mock.calls[0].arguments[0]).includes(token));
+    assert.deepEqual(supersede.mock.calls[0].arguments[1].where, {
+      projectId: "p1",
+      status: AGREEMENT_STATUS.PENDING,
+    });
+    assert.equal(agreement.content.payment.amount, 1000);
+    assert.equal(sentTo, "client@example.com");
+    assert.equal(email.sendAgreementEmail.mock.calls.at(-1).arguments[1].url, url);
+  });
+
+  it("needs a live project with a contact email", async () => {
+    await assert.rejects(sendAgreement(makeProject({ isDraft: true })), { statusCode: 400 });
+    await assert.rejects(sendAgreement(makeProject({ contactEmail: null })), { statusCode: 400 });
+  });
+});
+
+describe("acceptAgreement", () => {
+  it("records the acceptance and moves the project from Discussion to Signed", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    mock.method(db.ProjectAgreement, "findOne", async () => makeAgreement());
+    const accept = mock.method(db.ProjectAgreement, "update", async () => [1]);
+    const project = makeProject();
+    mock.method(db.Project, "findByPk", async () => project);
+    mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+
+    const { statusChange } = await acceptAgreement(
+      "token",
+      { name: "  Sam   Client ", documentHash: "hash-v2" },
+      { ipAddress: "10.0.0.1" }
+    );
+
+    const [values, { where }] = accept.mock.calls[0].arguments;
+    assert.equal(values.acceptedName, "Sam Client");
+    assert.equal(where.status, AGREEMENT_STATUS.PENDING);
+    assert.equal(project.agree, true);
+    assert.equal(project.projectStatus, PROJECT_STATUS.SIGNED);
+    assert.equal(statusChange.reason, "Agreement v2 accepted by Sam Client");
+  });
+
+  it("refuses a version other than the one reviewed", async () => {
+    mock.method(db.ProjectAgreement, "findOne", async () => makeAgreement());
+
+    await assert.rejects(acceptAgreement("token", { name: "Sam", documentHash: "hash-v1" }), { statusCode: 400 });
+  });
+
+  it("refuses superseded and expired links", async () => {
+    mock.method(db.ProjectAgreement, "findOne", async () => makeAgreement({ status: AGREEMENT_STATUS.SUPERSEDED }));
+    await assert.rejects(acceptAgreement("token", { name: "Sam" }), { statusCode: 400 });
+
+    mock.method(db.ProjectAgreement, "findOne", async () => makeAgreement({ expiresAt: new Date(Date.now() - 1000) }));
+    await assert.rejects(acceptAgreement("token", { name: "Sam" }), { statusCode: 400 });
+  });
+
+  it("accepts only once when two submits race", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    mock.method(db.ProjectAgreement, "findOne", async () => makeAgreement());
+    mock.method(db.ProjectAgreement, "update", async () => [0]);
+    mock.method(db.Project, "findByPk", async () => makeProject());
+
+    await assert.rejects(acceptAgreement("token", { name: "Sam" }), { statusCode: 409 });
+  });
+});
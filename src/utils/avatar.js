@@ -0,0 +1,121 @@
+/**
+ * Avatar Service
+ * Stores profile pictures in Cloudinary. Each upload is re-encoded on the way
+ * in (downscaled, EXIF/GPS metadata dropped) and square variants are
+ * generated eagerly, so clients can use the URLs straight away. The previous
+ * avatar and its variants are removed once the new one is saved.
+ */
+
+const { cloudinary } = require("../config/cloudinary");
+const logger = require("./logger");
+const { BadRequestError } = require("../middlewares/errorHandler");
+const { AVATAR, MESSAGES } = require("./constants");
+
+// File signatures, so a renamed non-image is rejected whatever its mimetype claims
+const SIGNATURES = {
+  "image/jpeg": (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  "image/png": (buf) =>
+    buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (buf) =>
+    buf.subarray(0, 4).toString("ascii") === "RIFF" && buf.subarray(8, 12).toString("ascii") === "WEBP",
+};
+
+const detectImageType = (buffer) =>
+  Object.keys(SIGNATURES).find((type) => buffer.length >= 12 && SIGNATURES[type](buffer)) || null;
+
+const uploadBuffer = (buffer, options) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (error, result) =>
+      error ? reject(error) : resolve(result)
+    );
+    stream.end(buffer);
+  });
+
+/**
+ * Delete a stored avatar and its derived variants (best effort)
+ * @param {string} publicId
+ */
+const deleteStoredAvatar = async (publicId) => {
+  if (!publicId) {
+    return;
+  }
+
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: "image", invalidate: true });
+  } catch (error) {
+    logger.warn("Failed to delete old avatar", { publicId, error: error.message });
+  }
+};
+
+/**
+ * Replace a user's avatar
+ * @param {object} user - User instance
+ * @param {object} file - Multer file held in memory
+ * @returns {Promise<{ avatarUrl: string, variants: object }>}
+ */
+const replaceAvatar = async (user, file) => {
+  if (!file || !file.buffer) {
+    throw new BadRequestError(MESSAGES.ERROR.AVATAR_REQUIRED);
+  }
+
+  if (!detectImageType(file.buffer)) {
+    throw new BadRequestError(MESSAGES.ERROR.AVATAR_INVALID_TYPE);
+  }
+
+  const result = await uploadBuffer(file.buffer, {
+    folder: `${AVATAR.FOLDER}/${user.uid}`,
+    public_id: String(Date.now()),
+    resource_type: "image",
+    image_metadata: false,
+    // Incoming transformation: the stored original is re-encoded, which drops its metadata
+    transformation: [
+      { width: AVATAR.MAX_ORIGINAL_PX, height: AVATAR.MAX_ORIGINAL_PX, crop: "limit" },
+      { quality: "auto" },
+    ],
+    eager: AVATAR.VARIANT_SIZES.map((size) => ({
+      width: size,
+      height: size,
+      crop: "fill",
+      gravity: "face",
+      quality: "auto",
+      fetch_format: "auto",
+    })),
+  });
+
+  const variants = {};
+  AVATAR.VARIANT_SIZES.forEach((size, index) => {
+    variants[size] = result.eager?.[index]?.secure_url || result.secure_url;
+  });
+
+  const previousPublicId = user.avatarPublicId;
+  const avatarUrl = variants[Math.max(...AVATAR.VARIANT_SIZES)];
+
+  await user.update({
+    avatar_url: avatarUrl,
+    avatarVariants: variants,
+    avatarPublicId: result.public_id,
+  });
+
+  await deleteStoredAvatar(previousPublicId);
+
+  logger.info("Avatar updated", { userId: user.uid, publicId: result.public_id });
+
+  return { avatarUrl, variants };
+};
+
+/**
+ * Remove a user's avatar
+ * @param {object} user - User instance
+ */
+const removeAvatar = async (user) => {
+  const previousPublicId = user.avatarPublicId;
+
+  await user.update({ avatar_url: null, avatarVariants: null, avatarPublicId: null });
+  await deleteStoredAvatar(previousPublicId);
+};
+
+module.exports = {
+  replaceAvatar,
+  removeAvatar,
+  deleteStoredAvatar,
+};
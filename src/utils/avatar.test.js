@@ -0,0 +1,73 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { cloudinary } = require("../config/cloudinary");
+const { replaceAvatar, removeAvatar } = require("./avatar");
+const { AVATAR } = require("./constants");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+
+const makeUser = (values = {}) => {
+  const user = { uid: "user-1", avatarPublicId: null, ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  return user;
+};
+
+/**
+ * Stand in for Cloudinary: uploads return one eager URL per variant size
+ */
+const stubCloudinary = () => {
+  const upload = mock.method(cloudinary.uploader, "upload_stream", (options, callback) => ({
+    end: () =>
+      callback(null, {
+        public_id: `${options.folder}/${options.public_id}`,
+        secure_url: "https://cdn.example.com/original.png",
+        eager: options.eager.map(({ width }) => ({ secure_url: `https://cdn.example.com/${width}.png` })),
+      }),
+  }));
+  const destroy = mock.method(cloudinary.uploader, "destroy", async () => ({ result: "ok" }));
+  return { upload, destroy };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("replaceAvatar", () => {
+  it("stores the variants, strips metadata and removes the previous avatar", async () => {
+    const { upload, destroy } = stubCloudinary();
+    const user = makeUser({ avatarPublicId: "avatars/user-1/old" });
+
+    const { avatarUrl, variants } = await replaceAvatar(user, { buffer: PNG });
+
+    const options = upload.mock.calls[0].arguments[0];
+    assert.equal(options.image_metadata, false);
+    assert.equal(options.folder, `${AVATAR.FOLDER}/user-1`);
+    assert.deepEqual(Object.keys(variants).map(Number), AVATAR.VARIANT_SIZES);
+    assert.equal(avatarUrl, `https://cdn.example.com/${Math.max(...AVATAR.VARIANT_SIZES)}.png`);
+    assert.equal(user.avatar_url, avatarUrl);
+    assert.equal(destroy.mock.calls[0].arguments[0], "avatars/user-1/old");
+  });
+
+  it("rejects a file that is not really an image, whatever its mimetype", async () => {
+    const { upload } = stubCloudinary();
+
+    await assert.rejects(
+      replaceAvatar(makeUser(), { buffer: Buffer.from("<?php echo 'hi'; ?>"), mimetype: "image/png" }),
+      { statusCode: 400 }
+    );
+    assert.equal(upload.mock.callCount(), 0);
+  });
+});
+
+describe("removeAvatar", () => {
+  it("clears the columns even when Cloudinary cannot delete the file", async () => {
+    mock.method(cloudinary.uploader, "destroy", async () => {
+      throw new Error("network down");
+    });
+    const user = makeUser({ avatar_url: "https://cdn.example.com/512.png", avatarPublicId: "avatars/user-1/1" });
+
+    await removeAvatar(user);
+
+    assert.equal(user.avatar_url, null);
+    assert.equal(user.avatarPublicId, null);
+  });
+});
@@ -13,6 +13,7 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -25,8 +26,40 @@ const MESSAGES = {
     FETCHED: (resource) => `${resource} fetched successfully`,
     LOGIN: "Login successful",
     LOGOUT: "Logout successful",
+    LOGOUT_ALL: "Logged out from all devices",
+    TOKEN_REFRESHED: "Token refreshed successfully",
     SIGNUP: "User signup successful",
     OTP_SENT: (phone) => `OTP sent successfully to ${phone}`,
+    OTP_VERIFIED: "Phone number verified successfully",
+    EMAIL_VERIFIED: "Email verified successfully",
+    EMAIL_VERIFICATION_SENT: "Verification email sent. Check your inbox.",
+    PIN_SET: "PIN set successfully",
+    PIN_CHANGED: "PIN changed successfully",
+    PIN_VERIFIED: "PIN verified",
+    DELETION_SCHEDULED: (date) => `Your account will be deleted on ${date}. Use the link in your email to cancel.`,
+    DELETION_CANCELLED: "Account deletion cancelled. Welcome back!",
+    TWO_FACTOR_ENABLED: "Two-factor authentication enabled. Store your backup codes somewhere safe",
+    TWO_FACTOR_DISABLED: "Two-factor authentication disabled",
+    TWO_FACTOR_REQUIRED: "Enter the code from your authenticator app to finish signing in",
+    BACKUP_CODES_REGENERATED: "New backup codes generated. Previous codes no longer work",
+    AVATAR_UPDATED: "Avatar updated successfully",
+    AVATAR_REMOVED: "Avatar removed",
+    PUBLIC_PROFILE_UPDATED: "Public profile updated",
+    IDENTITY_LINKED: (identity) => `Your ${identity} is now linked to this account`,
+    IDENTITY_UNLINKED: (identity) => `Your ${identity} has been unlinked from this account`,
+    ACCOUNTS_MERGED: "Accounts merged successfully",
+    PASSWORD_CHANGED: "Password changed. You have been signed out on your other devices",
+    PROJECT_STATUS_CHANGED: (status) => `Project moved to ${status}`,
+    MILESTONES_REPLACED: "Milestones updated",
+    PAYMENT_RECORDED: "Payment recorded",
+    INVOICE_STATUS_CHANGED: (number, status) => `Invoice ${number} marked as ${status}`,
+    INVOICE_SENT: (number, email) => `Invoice ${number} emailed to ${email}`,
+    AGREEMENT_SENT: (email) => `Agreement sent to ${email}`,
+    AGREEMENT_ACCEPTED: "Agreement accepted. Thank you!",
+    EXCHANGE_RATES_IMPORTED: (count) => `${count} exchange rate${count === 1 ? "" : "s"} imported`,
+    TAGS_MERGED: (name, count) => `${count} tag${count === 1 ? "" : "s"} merged into "${name}"`,
+    DRAFT_FROM_TEMPLATE: (name) => `Draft created from template "${name}"`,
+    PROJECT_DUPLICATED: "Project duplicated as a new draft",
   },
 
   // Error messages
@@ -41,10 +74,264 @@ const MESSAGES = {
     INVALID_CREDENTIALS: "Invalid email or password",
     TOKEN_EXPIRED: "Token has expired",
     TOKEN_INVALID: "Invalid token",
+    SESSION_REVOKED: "Session has been revoked",
+    OTP_INVALID: "Invalid verification code",
+    OTP_EXPIRED: "Verification code has expired. Please request a new one",
+    OTP_TOO_MANY_ATTEMPTS: "Too many incorrect attempts. Please request a new code",
+    PHONE_NOT_VERIFIED: "Phone number must be verified before signup",
+    EMAIL_NOT_VERIFIED: "Please verify your email address to continue",
+    EMAIL_VERIFICATION_INVALID: "Email verification link is invalid or has expired",
+    PIN_INVALID_FORMAT: "PIN must be 4 to 6 digits",
+    PIN_NOT_SET: "No PIN has been set for this account",
+    PIN_ALREADY_SET: "A PIN is already set. Use change PIN instead",
+    PIN_INCORRECT: (remaining) => `Incorrect PIN. ${remaining} attempt(s) left before a temporary lock`,
+    PIN_LOCKED: (seconds) => `Too many incorrect PIN attempts. Try again in ${Math.ceil(seconds / 60)} minute(s)`,
+    PIN_BLOCKED: "PIN is blocked after too many incorrect attempts. Reset it using forgot password",
+    DELETION_CANCEL_INVALID: "Cancellation link is invalid or has expired",
+    DELETION_NOT_PENDING: "This account has no pending deletion",
+    DELETION_ALREADY_PENDING: "Account deletion is already scheduled",
+    ACCOUNT_PENDING_DELETION: "This account is scheduled for deletion. Use the link in your email to cancel it",
+    TWO_FACTOR_ALREADY_ENABLED: "Two-factor authentication is already enabled",
+    TWO_FACTOR_NOT_ENABLED: "Two-factor authentication is not enabled",
+    TWO_FACTOR_SETUP_REQUIRED: "Start two-factor setup before confirming",
+    TWO_FACTOR_CODE_INVALID: "Invalid authentication code",
+    TWO_FACTOR_CHALLENGE_INVALID: "Sign-in challenge is invalid or has expired. Please sign in again",
+    LOGIN_THROTTLED: (seconds) => `Too many failed sign-in attempts. Try again in ${seconds} second(s)`,
+    AVATAR_REQUIRED: "Attach an image in the \"avatar\" field",
+    AVATAR_INVALID_TYPE: "Avatar must be a JPEG, PNG or WebP image",
+    AVATAR_TOO_LARGE: (mb) => `Avatar must be ${mb} MB or smaller`,
+    USERNAME_INVALID: (min, max) =>
+      `Username must be ${min}-${max} characters: lowercase letters, numbers, "_" or "." (no "." at the start or end)`,
+    USERNAME_RESERVED: "This username is reserved",
+    USERNAME_TAKEN: "This username is already taken",
+    USERNAME_REQUIRED_FOR_PUBLIC: "Claim a username before publishing your profile",
+    BIO_TOO_LONG: (max) => `Bio must be ${max} characters or fewer`,
+    PORTFOLIO_REQUIRES_COMPLETED: "Only completed projects can be shown in your portfolio",
+    IDENTITY_BELONGS_TO_OTHER_ACCOUNT: (identity) =>
+      `This ${identity} belongs to another account. Confirm to merge that account into yours`,
+    IDENTITY_NOT_LINKED: (identity) => `No ${identity} is linked to this account`,
+    LAST_SIGNIN_METHOD: "You can't remove your only way to sign in. Link another one first",
+    MERGE_TOKEN_INVALID: "Merge confirmation is invalid or has expired. Link the identity again",
+    MERGE_NOT_ALLOWED: "This account can't be merged automatically. Please contact support",
+    PASSWORD_POLICY: "Password does not meet the requirements",
+    PASSWORD_TOO_SHORT: (min) => `Password must be at least ${min} characters`,
+    PASSWORD_TOO_LONG: (max) => `Password must be at most ${max} characters`,
+    PASSWORD_NEEDS_LOWERCASE: "Password must contain a lowercase letter",
+    PASSWORD_NEEDS_UPPERCASE: "Password must contain an uppercase letter",
+    PASSWORD_NEEDS_NUMBER: "Password must contain a number",
+    PASSWORD_NEEDS_SYMBOL: "Password must contain a symbol",
+    PASSWORD_BREACHED: "This password has appeared in data breaches. Choose a different one",
+    PASSWORD_REUSED: (count) => `Password must be different from your last ${count} passwords`,
+    CURRENT_PASSWORD_INVALID: "Current password is incorrect",
+    PROJECT_STATUS_UNKNOWN: (status, allowed) => `Unknown project status "${status}". Use one of: ${allowed.join(", ")}`,
+    PROJECT_INITIAL_STATUS: (allowed) => `New projects must start in one of: ${allowed.join(", ")}`,
+    PROJECT_TRANSITION_INVALID: (from, to, allowed) =>
+      `Cannot move a project from ${from} to ${to}. Allowed next statuses: ${allowed.join(", ") || "none"}`,
+    PROJECT_TRANSITION_REQUIRES: (status, fields) => `Moving to ${status} requires: ${fields.join(", ")}`,
+    MILESTONE_STATUS_INVALID: (allowed) => `Milestone status must be one of: ${allowed.join(", ")}`,
+    MILESTONE_AMOUNT_INVALID: "Milestone amount must be a number of zero or more",
+    MILESTONES_EXCEED_AMOUNT: (allocated, total) =>
+      `Milestones add up to ${allocated}, which is more than the project amount of ${total}`,
+    MILESTONES_NOT_RECONCILED: (allocated, total) =>
+      `Milestones add up to ${allocated} but the project amount is ${total}`,
+    PAYMENT_AMOUNT_INVALID: "Payment amount must be greater than zero",
+    PAYMENT_METHOD_INVALID: (allowed) => `Payment method must be one of: ${allowed.join(", ")}`,
+    PAYMENT_CURRENCY_MISMATCH: (currency) => `Payments for this project must be in ${currency}`,
+    PAYMENT_DATE_INVALID: "Payment date must be a valid date that isn't in the future",
+    PAYMENT_EXCEEDS_BALANCE: (outstanding, currency) =>
+      `Payment is more than the outstanding balance of ${currency} ${outstanding}`,
+    MILESTONE_PAID_LOCKED: "Paid milestones can't be changed or removed",
+    INVOICE_DRAFT_PROJECT: "Finish the project draft before invoicing it",
+    INVOICE_NO_ITEMS: "An invoice needs at least one line item. Set a project amount or pick milestones, installments or items",
+    INVOICE_ITEM_INVALID: "Each item needs a description, a quantity above zero and a unit price of zero or more",
+    INVOICE_TAX_INVALID: (max) => `Each tax line needs a label and a rate between 0 and ${max}`,
+    TAX_MODE_INVALID: (allowed) => `Tax handling must be one of: ${allowed.join(", ")}`,
+    TAX_KIND_INVALID: (allowed) => `Tax kind must be one of: ${allowed.join(", ")}`,
+    TAX_RATE_INVALID: (max) => `Tax rate must be a number between 0 and ${max}`,
+    TAX_PROVINCE_INVALID: (allowed) => `Province must be one of: ${allowed.join(", ")}`,
+    TAX_CLIENT_TYPE_INVALID: (allowed) => `Client type must be one of: ${allowed.join(", ")}`,
+    TAX_RULE_NAME_REQUIRED: (max) => `Rule name is required (up to ${max} characters)`,
+    TAX_RULE_DATES_INVALID: "effectiveTo must be on or after effectiveFrom",
+    LISTING_SORT_INVALID: (allowed) => `sort must be one of: ${allowed.join(", ")}`,
+    LISTING_ORDER_INVALID: 'order must be "asc" or "desc"',
+    LISTING_CURSOR_INVALID: "This cursor is invalid or was made for a different sort. Start again without a cursor",
+    LISTING_RANGE_INVALID: (from, to) => `${from} must be on or before ${to}`,
+    LISTING_AMOUNT_INVALID: (field) => `${field} must be a number of zero or more`,
+    LISTING_SEARCH_TOO_LONG: (max) => `Search text can be at most ${max} characters`,
+    LISTING_TAG_MATCH_INVALID: 'tagMatch must be "any" or "all"',
+    TAG_NAME_INVALID: (max) => `Each tag must be text of 1 to ${max} characters`,
+    TAGS_TOO_MANY: (max) => `A project can have at most ${max} tags`,
+    TAG_EXISTS: (name) => `You already have a tag named "${name}". Merge the two tags instead`,
+    TAG_MERGE_SOURCES_REQUIRED: (max) => `Send sourceIds: 1 to ${max} of your other tags to merge into this one`,
+    TEMPLATE_NAME_REQUIRED: (max) => `Template name is required (up to ${max} characters)`,
+    TEMPLATE_LIMIT_REACHED: (max) => `You can keep at most ${max} templates. Delete one to save another`,
+    TEMPLATE_OFFSET_INVALID: (max) => `Day offsets must be whole numbers between -${max} and ${max}`,
+    TEMPLATE_MILESTONES_INVALID: (max) =>
+      `milestones must be a list of up to ${max} items, each with a title and an amount or percent`,
+    CURRENCY_INVALID: (allowed) => `Currency must be one of: ${allowed.join(", ")}`,
+    EXCHANGE_RATE_INVALID: "Rate must be a number greater than zero",
+    EXCHANGE_RATES_REQUIRED: (field) => `Upload a CSV file in "${field}" or send a "rates" array`,
+    EXCHANGE_RATES_CSV_INVALID: (columns) => `The CSV needs a header row with the columns: ${columns.join(", ")}`,
+    EXCHANGE_RATES_TOO_MANY: (max) => `Import at most ${max} rates at a time`,
+    EXCHANGE_RATES_FILE_TOO_LARGE: (maxMb) => `The CSV file must be ${maxMb}MB or smaller`,
+    INVOICE_ALREADY_BILLED: (label, number) => `${label} is already billed on invoice ${number}`,
+    INVOICE_NOT_EDITABLE: (status) => `Only draft invoices can be changed. This invoice is ${status}`,
+    INVOICE_STATUS_INVALID: (allowed) => `Invoice status must be one of: ${allowed.join(", ")}`,
+    INVOICE_TRANSITION_INVALID: (from, to, allowed) =>
+      `Cannot move an invoice from ${from} to ${to}. Allowed next statuses: ${allowed.join(", ") || "none"}`,
+    INVOICE_VOID: "Void invoices can't be sent",
+    INVOICE_NO_RECIPIENT: "Add a contact email to the project (or pass one) before emailing the invoice",
+    INVOICE_EMAIL_FAILED: "The invoice email could not be sent. Please try again later",
+    AGREEMENT_DRAFT_PROJECT: "Finish the project draft before sending an agreement",
+    AGREEMENT_NO_RECIPIENT: "Add a contact email to the project (or pass one) before sending the agreement",
+    AGREEMENT_LINK_INVALID: "This agreement link is invalid or has expired. Ask the sender for a new one",
+    AGREEMENT_SUPERSEDED: "This agreement has been replaced by a newer version. Use the latest link you were sent",
+    AGREEMENT_ALREADY_ACCEPTED: "This agreement has already been accepted",
+    AGREEMENT_NAME_REQUIRED: (max) => `Type your full name (up to ${max} characters) to accept`,
+    AGREEMENT_CHANGED: "The agreement changed since you opened it. Reload the page and review it again",
+    PROJECT_FIELDS_LOCKED: (status, fields) =>
+      `These fields can't be changed while the project is ${status}: ${fields.join(", ")}`,
+    PROJECT_NOT_DRAFT: "This project is no longer a draft. Edit it with update_project instead",
+    UPGRADE_REQUIRED: "Please sign in again or update the app to continue",
     VALIDATION_FAILED: "Validation failed",
   },
 };
 
+const ROLES = {
+  CREATOR: "creator",
+  ADMIN: "admin",
+};
+
+// Roles that can only be granted by another admin (never via signup/profile update)
+const ADMIN_ROLES = [ROLES.ADMIN];
+
+const PERMISSIONS = {
+  ANALYTICS_READ: "analytics:read",
+  NOTIFICATIONS_SEND: "notifications:send",
+  NOTIFICATIONS_READ: "notifications:read",
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  CLIENTS_READ: "clients:read",
+  ADMINS_MANAGE: "admins:manage",
+  TAX_MANAGE: "tax:manage",
+  EXCHANGE_RATES_MANAGE: "exchange_rates:manage",
+};
+
+// Default permissions per role (an admin's `permissions` column narrows these)
+const ROLE_PERMISSIONS = {
+  [ROLES.CREATOR]: [],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+const OTP = {
+  LENGTH: 4, // Matches the 4-digit input in the mobile app
+  EXPIRY_MINUTES: 5,
+  MAX_ATTEMPTS: 5,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_SENDS_PER_HOUR: 5,
+  PROOF_EXPIRY: "30m", // Lifetime of the "phone verified" proof used by signup
+};
+
+const EMAIL_VERIFICATION = {
+  LINK_EXPIRY: "24h",
+  MAX_RESENDS_PER_HOUR: 3,
+};
+
+const PIN = {
+  MIN_LENGTH: 4,
+  MAX_LENGTH: 6,
+  LEGACY_DEFAULT: "0000", // Column default before PINs were hashed; means "no PIN set"
+  ATTEMPTS_PER_LOCKOUT: 5, // Failed attempts before each lockout
+  LOCKOUT_MINUTES: [1, 5, 15, 60], // Successive lockouts get longer, capped at the last value
+  MAX_FAILED_ATTEMPTS: 20, // After this the PIN is blocked until reset via forgot-password
+};
+
+const ACCOUNT_DELETION = {
+  GRACE_PERIOD_DAYS: 30, // Account can be restored via the cancellation link until then
+  MAX_EXPORTS_PER_HOUR: 3,
+};
+
+const TWO_FACTOR = {
+  ISSUER: "Create App", // Name shown in authenticator apps
+  CHALLENGE_EXPIRY: "5m", // Lifetime of the signin challenge token
+  BACKUP_CODE_COUNT: 10,
+};
+
+const LOGIN_PROTECTION = {
+  WINDOW_MINUTES: 15, // Failures older than this are forgotten
+  FREE_ATTEMPTS: 3, // Failures allowed before backoff starts
+  BASE_DELAY_SECONDS: 2, // Backoff doubles with every further failure
+  LOCKOUT_THRESHOLD: 10, // Failures per account before a temporary lockout
+  LOCKOUT_MINUTES: 15,
+  IP_LOCKOUT_THRESHOLD: 50, // Failures per IP (across accounts) before a lockout
+  KNOWN_DEVICE_LOOKBACK: 50, // Successful sign-ins checked when spotting new devices
+};
+
+const AVATAR = {
+  MAX_SIZE_MB: 5,
+  ALLOWED_TYPES: ["image/jpeg", "image/png", "image/webp"],
+  MAX_ORIGINAL_PX: 1024, // Stored original is downscaled to fit this box
+  VARIANT_SIZES: [64, 256, 512], // Square crops generated on upload
+  FOLDER: "avatars",
+};
+
+// Password rules; each can be tuned through the environment
+const PASSWORD_POLICY = {
+  MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  MAX_LENGTH: 128, // bcrypt only uses the first 72 bytes, but long passphrases are fine
+  REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  REQUIRE_NUMBER: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+  HISTORY_SIZE: parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5, // Includes the current password
+};
+
+const ACCOUNT_LINKING = {
+  MERGE_TOKEN_EXPIRY: "15m", // Time to confirm a merge after a collision is detected
+};
+
+const USERNAME = {
+  MIN_LENGTH: 3,
+  MAX_LENGTH: 30,
+  // Lowercase letters, digits, "_" and "."; no leading/trailing or repeated "."
+  PATTERN: /^[a-z0-9_](?:[a-z0-9_]|\.(?!\.))*[a-z0-9_]$/,
+  // Handles that could be mistaken for the app, staff or a route
+  RESERVED: [
+    "about", "account", "admin", "administrator", "analytics", "api", "app",
+    "billing", "client", "clients", "contact", "create", "createapp", "dashboard",
+    "help", "invoice", "invoices", "login", "logout", "me", "moderator", "null",
+    "official", "privacy", "project", "projects", "root", "security", "settings",
+    "signin", "signup", "staff", "support", "system", "team", "terms", "u",
+    "undefined", "user", "users", "www",
+  ],
+};
+
+const PUBLIC_PROFILE = {
+  BIO_MAX_LENGTH: 500,
+  MAX_PORTFOLIO_ITEMS: 50,
+};
+
+// User columns that must never be returned by the API
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "passwordHistory",
+  "pin",
+  "pinFailedAttempts",
+  "pinLockedUntil",
+  "resetPasswordToken",
+  "resetPasswordExpires",
+  "twoFactorSecret",
+  "twoFactorBackupCodes",
+  "twoFactorLastUsedStep",
+  "avatarPublicId",
+];
+
+// Requests without a token (old mobile builds) are only served when the deployment
+// opts in with LEGACY_AUTH_ENABLED=true, and then only until this date, with
+// Deprecation/Sunset headers; afterwards they are rejected.
+const LEGACY_AUTH_ENABLED = process.env.LEGACY_AUTH_ENABLED === "true";
+const LEGACY_AUTH_SUNSET = process.env.LEGACY_AUTH_SUNSET || "2027-01-31";
+
 const PROJECT_STATUS = {
   DISCUSSION: "Discussion",
   SIGNED: "Signed",
@@ -57,7 +344,8 @@ const PROJECT_STATUS = {
 
 const PROTECTED_PROJECT_STATUSES = ["signed", "completed"];
 
-const UPDATABLE_PROJECT_FIELDS = [
+// Project details editable while work hasn't been delivered
+const EDITABLE_PROJECT_FIELDS = [
   "projectName",
   "projectType",
   "clientName",
@@ -67,14 +355,176 @@ const UPDATABLE_PROJECT_FIELDS = [
   "description",
   "tags",
   "media",
-  "projectStatus",
 ];
 
-const DELAYED_PROJECT_FIELDS = ["endDate", "projectStatus"];
-const DISPUTE_PROJECT_FIELDS = ["tags", "media", "projectStatus"];
+// Payment terms, editable until the work is delivered (Payment Due may still
+// change the amount and due date)
+const EDITABLE_PAYMENT_TERMS = [
+  "projectAmount",
+  "dueDate",
+  "paymentStructure",
+  "paymentFrequency",
+  "paymentStartDate",
+  "contractDuration",
+];
+
+/**
+ * Project status state machine
+ *  - next: statuses reachable from this one (via POST /project/:id/transition)
+ *  - editable: fields PUT /project/update_project/:id may change in this status
+ *  - requires: inputs a transition INTO this status must supply
+ * Status is never edited directly; it only changes through a transition.
+ */
+const PROJECT_WORKFLOW = {
+  [PROJECT_STATUS.DISCUSSION]: {
+    next: [PROJECT_STATUS.SIGNED],
+    editable: [...EDITABLE_PROJECT_FIELDS, ...EDITABLE_PAYMENT_TERMS],
+    requires: [],
+  },
+  [PROJECT_STATUS.SIGNED]: {
+    next: [PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.IN_DISPUTE],
+    editable: [...EDITABLE_PROJECT_FIELDS, ...EDITABLE_PAYMENT_TERMS],
+    requires: [],
+  },
+  [PROJECT_STATUS.IN_PROGRESS]: {
+    next: [
+      PROJECT_STATUS.DELAYED,
+      PROJECT_STATUS.PAYMENT_DUE,
+      PROJECT_STATUS.COMPLETED,
+      PROJECT_STATUS.IN_DISPUTE,
+    ],
+    editable: [...EDITABLE_PROJECT_FIELDS, ...EDITABLE_PAYMENT_TERMS],
+    requires: [],
+  },
+  [PROJECT_STATUS.DELAYED]: {
+    next: [
+      PROJECT_STATUS.IN_PROGRESS,
+      PROJECT_STATUS.PAYMENT_DUE,
+      PROJECT_STATUS.COMPLETED,
+      PROJECT_STATUS.IN_DISPUTE,
+    ],
+    editable: ["endDate"],
+    requires: ["reason", "endDate"], // Why, and the new expected end date
+  },
+  [PROJECT_STATUS.PAYMENT_DUE]: {
+    next: [PROJECT_STATUS.COMPLETED, PROJECT_STATUS.IN_DISPUTE],
+    // A reduced amount or an extended due date can clear the balance
+    editable: ["description", "tags", "media", "projectAmount", "dueDate"],
+    requires: [],
+  },
+  [PROJECT_STATUS.IN_DISPUTE]: {
+    next: [PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.PAYMENT_DUE, PROJECT_STATUS.COMPLETED],
+    editable: ["tags", "media"],
+    requires: ["reason"],
+  },
+  [PROJECT_STATUS.COMPLETED]: {
+    next: [PROJECT_STATUS.IN_DISPUTE],
+    editable: ["description", "tags", "media"],
+    requires: [],
+  },
+};
+
+const MILESTONE_STATUS = {
+  PENDING: "pending",
+  IN_PROGRESS: "in_progress",
+  DELIVERED: "delivered",
+  PAID: "paid",
+};
+
+// Rounding slack when milestone amounts are compared with projectAmount
+const MILESTONE_AMOUNT_TOLERANCE = 0.01;
+
+const INSTALLMENT_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+};
+
+// Step between installments for each paymentFrequency
+const INSTALLMENT_INTERVALS = {
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+};
+
+// Terms a recurring project needs before a schedule can be generated
+const RECURRING_PAYMENT_TERMS = ["projectAmount", "paymentFrequency", "paymentStartDate", "contractDuration"];
+
+const INVOICE_STATUS = {
+  DRAFT: "draft",
+  SENT: "sent",
+  PAID: "paid",
+  VOID: "void",
+};
+
+// Allowed invoice status changes; paid and void invoices are final
+const INVOICE_TRANSITIONS = {
+  [INVOICE_STATUS.DRAFT]: [INVOICE_STATUS.SENT, INVOICE_STATUS.VOID],
+  [INVOICE_STATUS.SENT]: [INVOICE_STATUS.PAID, INVOICE_STATUS.VOID],
+  [INVOICE_STATUS.PAID]: [],
+  [INVOICE_STATUS.VOID]: [],
+};
+
+const INVOICES = {
+  NUMBER_PREFIX: "INV", // INV-00001, numbered per creator
+  NUMBER_DIGITS: 5,
+  DEFAULT_DUE_DAYS: 14,
+  MAX_TAX_RATE: 100, // percent
+  // Creator payment details printed on the invoice
+  PAYMENT_DETAIL_FIELDS: ["method", "accountTitle", "bankName", "accountNumber", "iban", "walletNumber", "instructions"],
+};
+
+const AGREEMENT_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  SUPERSEDED: "superseded", // a newer version was sent before this one was accepted
+};
+
+const AGREEMENTS = {
+  LINK_EXPIRY_DAYS: 30,
+  NAME_MAX_LENGTH: 120,
+};
+
+// Payment ledger
+const PAYMENTS = {
+  PROOF_FIELD: "paymentProof", // multipart field (and Cloudinary folder) for proof images
+  BALANCE_TOLERANCE: 0.01,
+  DEFAULT_CURRENCY: "PKR",
+};
+
+// Statuses a project may be created in
+const INITIAL_PROJECT_STATUSES = [PROJECT_STATUS.DISCUSSION, PROJECT_STATUS.SIGNED];
 
 const CLIENT_TYPES = ["brand", "individual", "agency", "startup"];
 
+// How a project's amount relates to sales tax (Project.taxHandling)
+const TAX_MODES = {
+  EXCLUSIVE: "exclusive", // sales tax is charged on top of the amount
+  INCLUSIVE: "inclusive", // the amount already contains sales tax
+  EXEMPT: "exempt", // no sales tax; withholding still applies
+};
+
+const TAX_KINDS = {
+  SALES: "sales_tax", // charged to the client and passed on to the tax authority
+  WITHHOLDING: "withholding_tax", // deducted by the client before paying
+};
+
+// Tax jurisdictions a project (and a tax rule) can be tied to
+const TAX_PROVINCES = [
+  "punjab",
+  "sindh",
+  "khyber_pakhtunkhwa",
+  "balochistan",
+  "islamabad",
+  "gilgit_baltistan",
+  "azad_kashmir",
+];
+
+const TAX = {
+  DEFAULT_MODE: TAX_MODES.EXCLUSIVE, // projects with no (or unrecognised) taxHandling
+  MAX_RATE: 100, // percent
+  RULE_NAME_MAX_LENGTH: 100,
+};
+
 const PAYMENT_STRUCTURES = ["single", "multiple", "recurring"];
 
 const PAYMENT_METHODS = [
@@ -87,7 +537,18 @@ const PAYMENT_METHODS = [
 
 const CURRENCIES = ["PKR", "USD", "EUR", "GBP", "AED", "SAR", "CAD", "AUD"];
 
-const TOKEN_EXPIRY = "7d";
+// Local exchange-rate table (no live API); rates are imported by an admin
+const EXCHANGE_RATES = {
+  BASE_CURRENCY: "PKR", // every rate is the price of 1 unit of a currency in this one
+  CSV_FIELD: "file", // multipart field for the CSV upload
+  CSV_COLUMNS: ["currency", "date", "rate"],
+  MAX_CSV_SIZE_MB: 1,
+  MAX_ROWS: 5000,
+};
+
+// Short-lived access tokens, paired with rotating refresh tokens stored per session
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRY_DAYS = 30;
 
 const PAGINATION = {
   DEFAULT_PAGE: 1,
@@ -95,19 +556,135 @@ const PAGINATION = {
   MAX_LIMIT: 100,
 };
 
+// Project and draft listings (GET /project, GET /project/drafts and the legacy POST routes)
+const PROJECT_LISTING = {
+  SORT_FIELDS: [
+    "createdAt",
+    "updatedAt",
+    "projectName",
+    "projectType",
+    "projectStatus",
+    "client",
+    "clientName",
+    "paymentStructure",
+    "currency",
+    "startDate",
+    "endDate",
+    "dueDate",
+    "projectAmount",
+  ],
+  DEFAULT_SORT: "createdAt",
+  DEFAULT_ORDER: "desc",
+  // Columns the free-text search (`q`) looks in
+  SEARCH_FIELDS: ["projectName", "description", "clientName", "contactName", "contactBrand"],
+  SEARCH_MAX_LENGTH: 100,
+};
+
+// Reusable project setups; dates are kept as day offsets from the project's start date
+const PROJECT_TEMPLATES = {
+  NAME_MAX_LENGTH: 100,
+  MAX_PER_USER: 100,
+  MAX_MILESTONES: 50,
+  MAX_OFFSET_DAYS: 3650,
+  // Project columns a template copies as they are
+  FIELDS: [
+    "projectType",
+    "client",
+    "description",
+    "tags",
+    "currency",
+    "projectAmount",
+    "paymentStructure",
+    "paymentType",
+    "paymentMethod",
+    "paymentFrequency",
+    "contractDuration",
+    "financing",
+    "taxHandling",
+    "taxProvince",
+  ],
+  // Project dates a template keeps as offsets from startDate: column -> template field
+  DATE_OFFSETS: {
+    endDate: "endOffsetDays",
+    dueDate: "dueOffsetDays",
+    paymentStartDate: "paymentStartOffsetDays",
+  },
+  // Project columns a duplicate leaves behind (ids, workflow state, delivered media)
+  DUPLICATE_EXCLUDED_FIELDS: [
+    "pid",
+    "projectStatus",
+    "isDraft",
+    "showInPortfolio",
+    "agree",
+    "media",
+    "milestones",
+    "createdAt",
+    "updatedAt",
+    "deletedAt",
+  ],
+};
+
+// Per-user tag taxonomy (tags + project_tags); Project.tags keeps the display names
+const TAGS = {
+  NAME_MAX_LENGTH: 50,
+  MAX_PER_PROJECT: 20,
+  AUTOCOMPLETE_LIMIT: 10,
+  MAX_AUTOCOMPLETE_LIMIT: 50,
+  MAX_MERGE_SOURCES: 50,
+};
+
 module.exports = {
   HTTP_STATUS,
   MESSAGES,
+  ROLES,
+  ADMIN_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  LEGACY_AUTH_ENABLED,
+  LEGACY_AUTH_SUNSET,
+  OTP,
+  EMAIL_VERIFICATION,
+  PIN,
+  ACCOUNT_DELETION,
+  TWO_FACTOR,
+  LOGIN_PROTECTION,
+  AVATAR,
+  PASSWORD_POLICY,
+  ACCOUNT_LINKING,
+  USERNAME,
+  PUBLIC_PROFILE,
+  PRIVATE_USER_FIELDS,
   PROJECT_STATUS,
   PROTECTED_PROJECT_STATUSES,
-  UPDATABLE_PROJECT_FIELDS,
-  DELAYED_PROJECT_FIELDS,
-  DISPUTE_PROJECT_FIELDS,
+  EDITABLE_PROJECT_FIELDS,
+  EDITABLE_PAYMENT_TERMS,
+  PROJECT_WORKFLOW,
+  INITIAL_PROJECT_STATUSES,
+  MILESTONE_STATUS,
+  MILESTONE_AMOUNT_TOLERANCE,
+  INSTALLMENT_STATUS,
+  INSTALLMENT_INTERVALS,
+  RECURRING_PAYMENT_TERMS,
+  INVOICE_STATUS,
+  INVOICE_TRANSITIONS,
+  INVOICES,
+  AGREEMENT_STATUS,
+  AGREEMENTS,
+  PAYMENTS,
   CLIENT_TYPES,
+  TAX_MODES,
+  TAX_KINDS,
+  TAX_PROVINCES,
+  TAX,
   PAYMENT_STRUCTURES,
   PAYMENT_METHODS,
   CURRENCIES,
-  TOKEN_EXPIRY,
+  EXCHANGE_RATES,
+  ACCESS_TOKEN_EXPIRY,
+  REFRESH_TOKEN_EXPIRY_DAYS,
   PAGINATION,
+  PROJECT_LISTING,
+  TAGS,
+  PROJECT_TEMPLATES,
 };
 
@@ -0,0 +1,133 @@
+/**
+ * Currency Conversion
+ * Converts amounts between CURRENCIES with rows of the local exchange-rate
+ * table, at the rate in force on a given day, and totals figures kept in
+ * several currencies into one reporting currency. Pure functions with no
+ * database access, so scripts can use them on raw rows.
+ */
+
+const { EXCHANGE_RATES, PAYMENTS } = require("./constants");
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const toDay = (value) => new Date(value || Date.now()).toISOString().slice(0, 10);
+
+/**
+ * Index exchange-rate rows by currency, oldest first
+ * @param {object[]} rows - [{ currency, date, rate }]
+ * @returns {Map<string, object[]>} currency -> [{ date, rate }]
+ */
+const buildRateTable = (rows) => {
+  const table = new Map();
+
+  rows.forEach((row) => {
+    if (!table.has(row.currency)) table.set(row.currency, []);
+    table.get(row.currency).push({ date: toDay(row.date), rate: Number(row.rate) });
+  });
+  table.forEach((entries) => entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)));
+
+  return table;
+};
+
+/**
+ * Rate for a currency on a day: its latest rate on or before the day, or its
+ * earliest rate for days before the table starts
+ * @returns {object|null} { date, rate }; null when the currency has no rates
+ */
+const findRate = (table, currency, date) => {
+  if (currency === EXCHANGE_RATES.BASE_CURRENCY) return { date: null, rate: 1 };
+
+  const entries = table.get(currency);
+  if (!entries || entries.length === 0) return null;
+
+  const day = toDay(date);
+  let found = entries[0];
+  for (const entry of entries) {
+    if (entry.date > day) break;
+    found = entry;
+  }
+  return found;
+};
+
+/**
+ * Convert an amount at the rates in force on `date`
+ * @param {number} amount
+ * @param {string} from - Currency of the amount (PAYMENTS.DEFAULT_CURRENCY when empty)
+ * @param {string} to - Target currency
+ * @param {Date|string} date
+ * @param {Map} table - From buildRateTable
+ * @returns {object|null} { amount, rate, rateDate }; null when a rate is missing
+ */
+const convertAmount = (amount, from, to, date, table) => {
+  const source = from || PAYMENTS.DEFAULT_CURRENCY;
+  const target = to || EXCHANGE_RATES.BASE_CURRENCY;
+
+  if (source === target) return { amount: round(amount || 0), rate: 1, rateDate: null };
+
+  const sourceRate = findRate(table, source, date);
+  const targetRate = findRate(table, target, date);
+  if (!sourceRate || !targetRate) return null;
+
+  const rate = sourceRate.rate / targetRate.rate;
+  const rateDates = [sourceRate.date, targetRate.date].filter(Boolean).sort();
+
+  return {
+    amount: round((amount || 0) * rate),
+    rate: Math.round(rate * 1e8) / 1e8,
+    rateDate: rateDates[rateDates.length - 1] || null,
+  };
+};
+
+/**
+ * Total figures kept in several currencies, in one reporting currency. Each
+ * entry converts at the rate for its own date; entries with no rate are left
+ * out of the converted totals and counted in `unconverted`.
+ * @param {object[]} entries - [{ currency, date, figures: { name: amount } }]
+ * @param {string} currency - Reporting currency
+ * @param {Map} table - From buildRateTable
+ * @returns {object} { currency, totals, byCurrency: [{ currency, count, original, converted, unconverted }], unconverted }
+ */
+const summarizeInCurrency = (entries, currency, table) => {
+  const target = currency || EXCHANGE_RATES.BASE_CURRENCY;
+  const totals = {};
+  const groups = new Map();
+  let unconverted = 0;
+
+  const add = (sums, key, value) => {
+    sums[key] = round((sums[key] || 0) + value);
+  };
+
+  entries.forEach(({ currency: source, date, figures }) => {
+    const code = source || PAYMENTS.DEFAULT_CURRENCY;
+    if (!groups.has(code)) groups.set(code, { currency: code, count: 0, original: {}, converted: {}, unconverted: 0 });
+    const group = groups.get(code);
+    group.count += 1;
+
+    const rate = convertAmount(1, code, target, date, table);
+    if (!rate) {
+      unconverted += 1;
+      group.unconverted += 1;
+    }
+
+    Object.entries(figures).forEach(([key, value]) => {
+      const converted = rate ? convertAmount(Number(value) || 0, code, target, date, table).amount : 0;
+      add(group.original, key, Number(value) || 0);
+      add(group.converted, key, converted);
+      add(totals, key, converted);
+    });
+  });
+
+  return {
+    currency: target,
+    totals,
+    byCurrency: [...groups.values()],
+    unconverted,
+  };
+};
+
+module.exports = {
+  buildRateTable,
+  findRate,
+  convertAmount,
+  summarizeInCurrency,
+};
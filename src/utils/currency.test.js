@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildRateTable, findRate, convertAmount, summarizeInCurrency } = require("./currency");
+
+const table = buildRateTable([
+  { currency: "USD", date: "2026-02-01", rate: "285" },
+  { currency: "USD", date: "2026-01-01", rate: "280" },
+  { currency: "EUR", date: "2026-01-01", rate: "300" },
+]);
+
+describe("findRate", () => {
+  it("uses the latest rate on or before the day, or the earliest before the table starts", () => {
+    assert.deepEqual(findRate(table, "USD", "2026-01-15"), { date: "2026-01-01", rate: 280 });
+    assert.deepEqual(findRate(table, "USD", "2026-02-10"), { date: "2026-02-01", rate: 285 });
+    assert.deepEqual(findRate(table, "USD", "2025-12-01"), { date: "2026-01-01", rate: 280 });
+  });
+
+  it("prices the base currency at 1 and returns null for a currency with no rates", () => {
+    assert.deepEqual(findRate(table, "PKR", "2026-01-15"), { date: null, rate: 1 });
+    assert.equal(findRate(table, "GBP", "2026-01-15"), null);
+  });
+});
+
+describe("convertAmount", () => {
+  it("converts into and out of the base currency", () => {
+    assert.deepEqual(convertAmount(100, "USD", "PKR", "2026-01-15", table), {
+      amount: 28000,
+      rate: 280,
+      rateDate: "2026-01-01",
+    });
+    assert.deepEqual(convertAmount(2800, "", "USD", "2026-01-15", table), {
+      amount: 10,
+      rate: 0.00357143,
+      rateDate: "2026-01-01",
+    });
+  });
+
+  it("crosses two currencies through the base, dated by the newer rate", () => {
+    assert.deepEqual(convertAmount(100, "USD", "EUR", "2026-02-10", table), {
+      amount: 95,
+      rate: 0.95,
+      rateDate: "2026-02-01",
+    });
+  });
+
+  it("returns null when a rate is missing", () => {
+    assert.equal(convertAmount(100, "GBP", "PKR", "2026-01-15", table), null);
+  });
+});
+
+describe("summarizeInCurrency", () => {
+  it("totals entries at their own dates and counts those without a rate", () => {
+    const summary = summarizeInCurrency(
+      [
+        { currency: "USD", date: "2026-01-15", figures: { amount: 100, received: 50 } },
+        { currency: "USD", date: "2026-02-15", figures: { amount: 100, received: 0 } },
+        { currency: null, date: "2026-01-15", figures: { amount: 1000, received: 1000 } },
+        { currency: "GBP", date: "2026-01-15", figures: { amount: 10, received: 0 } },
+      ],
+      "PKR",
+      table
+    );
+
+    assert.equal(summary.currency, "PKR");
+    assert.deepEqual(summary.totals, { amount: 57500, received: 15000 });
+    assert.equal(summary.unconverted, 1);
+    assert.deepEqual(summary.byCurrency[0], {
+      currency: "USD",
+      count: 2,
+      original: { amount: 200, received: 50 },
+      converted: { amount: 56500, received: 14000 },
+      unconverted: 0,
+    });
+    assert.deepEqual(summary.byCurrency[2], {
+      currency: "GBP",
+      count: 1,
+      original: { amount: 10, received: 0 },
+      converted: { amount: 0, received: 0 },
+      unconverted: 1,
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Personal Data Export
+ * Collects everything stored about a user into one JSON archive for
+ * GET /user/me/export. Secrets (password/PIN hashes, refresh token hashes,
+ * push tokens) are left out.
+ */
+
+const db = require("../models");
+const { PRIVATE_USER_FIELDS } = require("./constants");
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Build the export archive for a user
+ * @param {string} uid - User ID
+ * @returns {Promise<object|null>} Archive, or null when the user does not exist
+ */
+const buildUserExport = async (uid) => {
+  const profile = await db.User.findOne({
+    where: { uid },
+    attributes: { exclude: PRIVATE_USER_FIELDS },
+    raw: true,
+  });
+
+  if (!profile) {
+    return null;
+  }
+
+  const byUser = { where: { userId: uid }, order: [["createdAt", "ASC"]], raw: true };
+
+  const [
+    projects,
+    clients,
+    notifications,
+    devices,
+    sessions,
+    signinActivity,
+    analyticsEvents,
+    payments,
+    invoices,
+    projectTemplates,
+    tags,
+  ] = await Promise.all([
+    db.Project.findAll(byUser),
+    db.Client.findAll(byUser),
+    db.Notification.findAll(byUser),
+    db.PushToken.findAll({ ...byUser, attributes: { exclude: ["token"] } }),
+    db.Session.findAll({
+      ...byUser,
+      attributes: { exclude: ["refreshTokenHash", "previousRefreshTokenHash"] },
+    }),
+    db.LoginAttempt.findAll(byUser),
+    db.Analytics.findAll(byUser),
+    db.Payment.findAll({ ...byUser, order: [["paidAt", "ASC"]] }),
+    db.Invoice.findAll({ ...byUser, order: [["sequence", "ASC"]] }),
+    db.ProjectTemplate.findAll(byUser),
+    db.Tag.findAll({ ...byUser, order: [["name", "ASC"]] }),
+  ]);
+
+  const projectIds = projects.map((project) => project.pid);
+  const [
+    projectStatusHistory,
+    projectActivity,
+    projectMilestones,
+    projectInstallments,
+    agreements,
+    projectTags,
+  ] = await Promise.all([
+    db.ProjectStatusHistory.findAll({
+      where: { projectId: projectIds },
+      order: [["createdAt", "ASC"]],
+      raw: true,
+    }),
+    db.ActivityLog.findAll({
+      where: { projectId: projectIds },
+      order: [["createdAt", "ASC"]],
+      raw: true,
+    }),
+    db.ProjectMilestone.findAll({
+      where: { projectId: projectIds },
+      order: [["projectId", "ASC"], ["position", "ASC"]],
+      raw: true,
+    }),
+    db.ProjectInstallment.findAll({
+      where: { projectId: projectIds },
+      order: [["projectId", "ASC"], ["sequence", "ASC"]],
+      raw: true,
+    }),
+    db.ProjectAgreement.findAll({
+      where: { projectId: projectIds },
+      attributes: { exclude: ["tokenHash"] },
+      order: [["projectId", "ASC"], ["version", "ASC"]],
+      raw: true,
+    }),
+    db.ProjectTag.findAll({
+      where: { projectId: projectIds },
+      order: [["projectId", "ASC"], ["createdAt", "ASC"]],
+      raw: true,
+    }),
+  ]);
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    profile,
+    projects: projects.filter((project) => !project.isDraft),
+    drafts: projects.filter((project) => project.isDraft),
+    projectTemplates,
+    tags,
+    projectTags,
+    projectStatusHistory,
+    projectActivity,
+    projectMilestones,
+    payments,
+    projectInstallments,
+    invoices,
+    agreements,
+    clients,
+    notifications,
+    devices,
+    sessions,
+    signinActivity,
+    analyticsEvents,
+  };
+};
+
+module.exports = {
+  buildUserExport,
+};
@@ -21,15 +21,13 @@ const createGmailTransporter = () => {
   });
 };
 
-// Default sender
-const DEFAULT_FROM = process.env.GMAIL_USER || process.env.RESEND_FROM_EMAIL || "info@createit.pk";
-
 /**
  * Send email using Gmail SMTP (primary) or Resend (fallback)
  * @param {Object} options - Email options
+ * @param {Object[]} [options.attachments] - [{ filename, content (Buffer), contentType }]
  * @returns {Promise<boolean>}
  */
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, attachments }) => {
   logger.info("Attempting to send email", { 
     to, 
     subject,
@@ -50,6 +48,7 @@ const sendEmail = async ({ to, subject, html, text }) => {
         subject: subject,
         html: html,
         text: text,
+        attachments,
       });
 
       logger.info("Email sent via Gmail SMTP", { messageId: result.messageId, to });
@@ -78,6 +77,7 @@ const sendEmail = async ({ to, subject, html, text }) => {
         subject: subject,
         html: html,
         text: text,
+        attachments: attachments?.map(({ filename, content }) => ({ filename, content })),
       });
 
       if (error) {
@@ -302,9 +302,421 @@ const sendPasswordResetLinkEmail = async (to, resetUrl, firstName = "User") => {
   });
 };
 
+/**
+ * Send email verification link after signup (or on resend)
+ */
+const sendEmailVerificationEmail = async (to, verifyUrl, firstName = "User") => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Verify Your Email</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
+        <tr>
+          <td align="center">
+            <table width="100%" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+              <tr>
+                <td style="background-color: #0a1a33; padding: 30px; text-align: center;">
+                  <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">Create</h1>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 40px 30px;">
+                  <h2 style="margin: 0 0 20px; color: #0a1a33; font-size: 24px; font-weight: 600;">Verify Your Email</h2>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Hello ${firstName},
+                  </p>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Please confirm this is your email address so you can send contracts and invoices to your clients:
+                  </p>
+                  <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                    <tr>
+                      <td align="center">
+                        <a href="${verifyUrl}" 
+                           style="display: inline-block; padding: 16px 40px; background-color: #0a1a33; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 8px;">
+                          Verify Email
+                        </a>
+                      </td>
+                    </tr>
+                  </table>
+                  <p style="margin: 0 0 10px; color: #666666; font-size: 14px; line-height: 1.6;">
+                    Or copy and paste this link into your browser:
+                  </p>
+                  <p style="margin: 0 0 20px; color: #0a1a33; font-size: 14px; word-break: break-all;">
+                    ${verifyUrl}
+                  </p>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 14px; line-height: 1.6;">
+                    <strong>This link will expire in 24 hours.</strong>
+                  </p>
+                  <hr style="border: none; border-top: 1px solid #eeeeee; margin: 30px 0;">
+                  <p style="margin: 0; color: #999999; font-size: 13px; line-height: 1.5;">
+                    If you didn't create a Create App account, you can safely ignore this email.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="background-color: #f9f9f9; padding: 25px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                  <p style="margin: 0; color: #999999; font-size: 12px;">
+                    © ${new Date().getFullYear()} Create App. All rights reserved.
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+
+  const text = `Hello ${firstName},\n\nPlease verify your email address by opening the link below:\n${verifyUrl}\n\nThis link will expire in 24 hours.\n\nIf you didn't create a Create App account, you can safely ignore this email.\n\n- The Create App Team`;
+
+  return sendEmail({
+    to,
+    subject: "Verify your Create App email",
+    html,
+    text,
+  });
+};
+
+/**
+ * Send account deletion confirmation with a cancellation link
+ */
+const sendAccountDeletionEmail = async (to, cancelUrl, scheduledFor, firstName = "User") => {
+  const deletionDate = new Date(scheduledFor).toDateString();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Deletion Scheduled</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
+        <tr>
+          <td align="center">
+            <table width="100%" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+              <tr>
+                <td style="background-color: #0a1a33; padding: 30px; text-align: center;">
+                  <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">Create</h1>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 40px 30px;">
+                  <h2 style="margin: 0 0 20px; color: #0a1a33; font-size: 24px; font-weight: 600;">Account Deletion Scheduled</h2>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Hello ${firstName},
+                  </p>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    We received a request to delete your Create App account. Your account and data will be permanently deleted on <strong>${deletionDate}</strong>. Changed your mind? Cancel before then:
+                  </p>
+                  <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                    <tr>
+                      <td align="center">
+                        <a href="${cancelUrl}" 
+                           style="display: inline-block; padding: 16px 40px; background-color: #0a1a33; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 8px;">
+                          Cancel Deletion
+                        </a>
+                      </td>
+                    </tr>
+                  </table>
+                  <p style="margin: 0 0 10px; color: #666666; font-size: 14px; line-height: 1.6;">
+                    Or copy and paste this link into your browser:
+                  </p>
+                  <p style="margin: 0 0 20px; color: #0a1a33; font-size: 14px; word-break: break-all;">
+                    ${cancelUrl}
+                  </p>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 14px; line-height: 1.6;">
+                    <strong>This link works until your account is deleted.</strong>
+                  </p>
+                  <hr style="border: none; border-top: 1px solid #eeeeee; margin: 30px 0;">
+                  <p style="margin: 0; color: #999999; font-size: 13px; line-height: 1.5;">
+                    If you didn't request this, cancel the deletion and change your password.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="background-color: #f9f9f9; padding: 25px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                  <p style="margin: 0; color: #999999; font-size: 12px;">
+                    © ${new Date().getFullYear()} Create App. All rights reserved.
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+
+  const text = `Hello ${firstName},\n\nWe received a request to delete your Create App account. Your account and data will be permanently deleted on ${deletionDate}.\n\nTo cancel, open the link below:\n${cancelUrl}\n\nIf you didn't request this, cancel the deletion and change your password.\n\n- The Create App Team`;
+
+  return sendEmail({
+    to,
+    subject: "Your Create App account is scheduled for deletion",
+    html,
+    text,
+  });
+};
+
+// Escape client-supplied values (e.g. user agents) before putting them in HTML
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[char]);
+
+/**
+ * Send a new sign-in alert (unfamiliar device or network)
+ */
+const sendSuspiciousSigninEmail = async (to, { time, ipAddress, device }, firstName = "User") => {
+  const signedInAt = new Date(time).toUTCString();
+  const safeIp = escapeHtml(ipAddress || "Unknown");
+  const safeDevice = escapeHtml(device || "Unknown");
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>New Sign-in</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
+        <tr>
+          <td align="center">
+            <table width="100%" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+              <tr>
+                <td style="background-color: #0a1a33; padding: 30px; text-align: center;">
+                  <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">Create</h1>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 40px 30px;">
+                  <h2 style="margin: 0 0 20px; color: #0a1a33; font-size: 24px; font-weight: 600;">New Sign-in to Your Account</h2>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Hello ${firstName},
+                  </p>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Your Create App account was just signed in to from a device or network we haven't seen before:
+                  </p>
+                  <table width="100%" cellpadding="0" cellspacing="0" style="margin: 0 0 20px; background-color: #f0f4f8; border-radius: 8px;">
+                    <tr>
+                      <td style="padding: 20px; color: #333333; font-size: 14px; line-height: 1.8;">
+                        <strong>When:</strong> ${signedInAt}<br>
+                        <strong>IP address:</strong> ${safeIp}<br>
+                        <strong>Device:</strong> ${safeDevice}
+                      </td>
+                    </tr>
+                  </table>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    If this was you, you can ignore this email.
+                  </p>
+                  <hr style="border: none; border-top: 1px solid #eeeeee; margin: 30px 0;">
+                  <p style="margin: 0; color: #999999; font-size: 13px; line-height: 1.5;">
+                    If this wasn't you, reset your password right away and sign out of all devices from the app.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="background-color: #f9f9f9; padding: 25px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                  <p style="margin: 0; color: #999999; font-size: 12px;">
+                    © ${new Date().getFullYear()} Create App. All rights reserved.
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+
+  const text = `Hello ${firstName},\n\nYour Create App account was just signed in to from a device or network we haven't seen before.\n\nWhen: ${signedInAt}\nIP address: ${ipAddress || "Unknown"}\nDevice: ${device || "Unknown"}\n\nIf this was you, you can ignore this email. If this wasn't you, reset your password right away and sign out of all devices from the app.\n\n- The Create App Team`;
+
+  return sendEmail({
+    to,
+    subject: "New sign-in to your Create App account",
+    html,
+    text,
+  });
+};
+
+/**
+ * Send an invoice to the client with the PDF attached
+ */
+const sendInvoiceEmail = async (to, { number, issuerName, projectName, currency, total, dueDate }, pdf) => {
+  const safeIssuer = escapeHtml(issuerName || "Your creator");
+  const safeProject = escapeHtml(projectName || "your project");
+  const amount = `${currency} ${Number(total).toFixed(2)}`;
+  const due = dueDate ? new Date(dueDate).toDateString() : null;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Invoice ${number}</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
+        <tr>
+          <td align="center">
+            <table width="100%" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+              <tr>
+                <td style="background-color: #0a1a33; padding: 30px; text-align: center;">
+                  <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">Create</h1>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 40px 30px;">
+                  <h2 style="margin: 0 0 20px; color: #0a1a33; font-size: 24px; font-weight: 600;">Invoice ${number}</h2>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    ${safeIssuer} has sent you an invoice for ${safeProject}.
+                  </p>
+                  <table width="100%" cellpadding="0" cellspacing="0" style="margin: 0 0 20px; background-color: #f0f4f8; border-radius: 8px;">
+                    <tr>
+                      <td style="padding: 20px; color: #333333; font-size: 14px; line-height: 1.8;">
+                        <strong>Amount due:</strong> ${amount}<br>
+                        ${due ? `<strong>Due date:</strong> ${due}` : ""}
+                      </td>
+                    </tr>
+                  </table>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    The invoice is attached as a PDF, including the payment details.
+                  </p>
+                  <hr style="border: none; border-top: 1px solid #eeeeee; margin: 30px 0;">
+                  <p style="margin: 0; color: #999999; font-size: 13px; line-height: 1.5;">
+                    Questions about this invoice? Reply to ${safeIssuer} directly.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="background-color: #f9f9f9; padding: 25px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                  <p style="margin: 0; color: #999999; font-size: 12px;">
+                    © ${new Date().getFullYear()} Create App. All rights reserved.
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+
+  const text = `${issuerName || "Your creator"} has sent you invoice ${number} for ${projectName || "your project"}.\n\nAmount due: ${amount}${due ? `\nDue date: ${due}` : ""}\n\nThe invoice is attached as a PDF, including the payment details.\n\n- The Create App Team`;
+
+  return sendEmail({
+    to,
+    subject: `Invoice ${number} from ${issuerName || "Create App"}`,
+    html,
+    text,
+    attachments: [{ filename: `${number}.pdf`, content: pdf, contentType: "application/pdf" }],
+  });
+};
+
+/**
+ * Send a project agreement link to the client for review and acceptance
+ */
+const sendAgreementEmail = async (to, { issuerName, projectName, url, expiresAt, version }) => {
+  const safeIssuer = escapeHtml(issuerName || "Your creator");
+  const safeProject = escapeHtml(projectName || "your project");
+  const expires = new Date(expiresAt).toDateString();
+  const revised = version > 1 ? " (revised)" : "";
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Agreement for ${safeProject}</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
+        <tr>
+          <td align="center">
+            <table width="100%" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+              <tr>
+                <td style="background-color: #0a1a33; padding: 30px; text-align: center;">
+                  <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">Create</h1>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding: 40px 30px;">
+                  <h2 style="margin: 0 0 20px; color: #0a1a33; font-size: 24px; font-weight: 600;">Agreement for ${safeProject}${revised}</h2>
+                  <p style="margin: 0 0 20px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    ${safeIssuer} has sent you an agreement covering the scope, dates and payment terms for ${safeProject}.
+                  </p>
+                  <p style="margin: 0 0 30px; color: #333333; font-size: 16px; line-height: 1.6;">
+                    Review the terms and accept them online:
+                  </p>
+                  <table width="100%" cellpadding="0" cellspacing="0">
+                    <tr>
+                      <td align="center">
+                        <a href="${url}" style="display: inline-block; background-color: #0a1a33; color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-size: 16px; font-weight: 600;">Review Agreement</a>
+                      </td>
+                    </tr>
+                  </table>
+                  <p style="margin: 30px 0 0; color: #666666; font-size: 14px; line-height: 1.6;">
+                    This link is personal to you and works until ${expires}.
+                  </p>
+                  <hr style="border: none; border-top: 1px solid #eeeeee; margin: 30px 0;">
+                  <p style="margin: 0; color: #999999; font-size: 13px; line-height: 1.5;">
+                    If the button doesn't work, copy and paste this link into your browser:<br>
+                    <a href="${url}" style="color: #0a1a33; word-break: break-all;">${url}</a>
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="background-color: #f9f9f9; padding: 25px 30px; text-align: center; border-top: 1px solid #eeeeee;">
+                  <p style="margin: 0; color: #999999; font-size: 12px;">
+                    © ${new Date().getFullYear()} Create App. All rights reserved.
+                  </p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+    </html>
+  `;
+
+  const text = `${issuerName || "Your creator"} has sent you an agreement${revised} covering the scope, dates and payment terms for ${projectName || "your project"}.\n\nReview and accept it here:\n${url}\n\nThis link is personal to you and works until ${expires}.\n\n- The Create App Team`;
+
+  return sendEmail({
+    to,
+    subject: `Agreement for ${projectName || "your project"}${revised} from ${issuerName || "Create App"}`,
+    html,
+    text,
+  });
+};
+
 module.exports = {
   sendEmail,
   sendPasswordResetEmail,
   sendPasswordResetLinkEmail,
   sendWelcomeEmail,
+  sendEmailVerificationEmail,
+  sendAccountDeletionEmail,
+  sendSuspiciousSigninEmail,
+  sendInvoiceEmail,
+  sendAgreementEmail,
+  escapeHtml,
 };
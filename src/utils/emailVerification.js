@@ -0,0 +1,94 @@
+/**
+ * Email Verification
+ * Signs expiring verification links, sends them and confirms them, setting
+ * the user's isEmailVerified flag. The link token is bound to the email it
+ * was sent to, so it stops working if the address changes.
+ */
+
+const jwt = require("jsonwebtoken");
+const db = require("../models");
+const logger = require("./logger");
+const { sendEmailVerificationEmail } = require("./email");
+const { BadRequestError } = require("../middlewares/errorHandler");
+const { MESSAGES, EMAIL_VERIFICATION } = require("./constants");
+
+const User = db.User;
+
+const TOKEN_TYPE = "email_verification";
+
+const getBaseUrl = () => process.env.BACKEND_URL || "https://createbackend.vercel.app";
+
+/**
+ * Build a signed verification link for a user
+ * @param {object} user - User instance (uid, email)
+ * @returns {string}
+ */
+const createVerificationUrl = (user) => {
+  const token = jwt.sign(
+    { type: TOKEN_TYPE, uid: user.uid, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION.LINK_EXPIRY }
+  );
+
+  return `${getBaseUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send a verification link to the user's email
+ * @param {object} user - User instance (uid, email, firstName)
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendVerificationLink = async (user) => {
+  const sent = await sendEmailVerificationEmail(
+    user.email,
+    createVerificationUrl(user),
+    user.firstName || "User"
+  );
+
+  if (sent) {
+    logger.info("Verification email sent", { userId: user.uid });
+  } else {
+    logger.error("Failed to send verification email", { userId: user.uid });
+  }
+
+  return sent;
+};
+
+/**
+ * Confirm a verification token and mark the email as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<object>} The verified user
+ */
+const confirmEmailVerification = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new BadRequestError(MESSAGES.ERROR.EMAIL_VERIFICATION_INVALID);
+  }
+
+  if (decoded.type !== TOKEN_TYPE) {
+    throw new BadRequestError(MESSAGES.ERROR.EMAIL_VERIFICATION_INVALID);
+  }
+
+  const user = await User.findOne({ where: { uid: decoded.uid } });
+
+  // Links sent to a previous address are no longer valid
+  if (!user || user.email !== decoded.email) {
+    throw new BadRequestError(MESSAGES.ERROR.EMAIL_VERIFICATION_INVALID);
+  }
+
+  if (!user.isEmailVerified) {
+    await user.update({ isEmailVerified: true });
+    logger.info("Email verified", { userId: user.uid });
+  }
+
+  return user;
+};
+
+module.exports = {
+  createVerificationUrl,
+  sendVerificationLink,
+  confirmEmailVerification,
+};
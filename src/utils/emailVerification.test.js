@@ -0,0 +1,67 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const { createVerificationUrl, confirmEmailVerification } = require("./emailVerification");
+const { requireVerifiedEmail } = require("../middlewares/auth");
+
+const tokenFrom = (url) => new URL(url).searchParams.get("token");
+
+const run = (middleware, req) => new Promise((resolve) => middleware(req, {}, resolve));
+
+afterEach(() => mock.restoreAll());
+
+describe("confirmEmailVerification", () => {
+  it("marks the address verified", async () => {
+    const user = { uid: "user-1", email: "user@example.com", isEmailVerified: false };
+    user.update = mock.fn(async (changes) => Object.assign(user, changes));
+    mock.method(db.User, "findOne", async () => user);
+
+    await confirmEmailVerification(tokenFrom(createVerificationUrl(user)));
+
+    assert.equal(user.isEmailVerified, true);
+  });
+
+  it("rejects a link sent to the user's previous address", async () => {
+    const token = tokenFrom(createVerificationUrl({ uid: "user-1", email: "old@example.com" }));
+    mock.method(db.User, "findOne", async () => ({ uid: "user-1", email: "new@example.com" }));
+
+    await assert.rejects(confirmEmailVerification(token), { statusCode: 400 });
+  });
+
+  it("rejects a tampered token", async () => {
+    await assert.rejects(confirmEmailVerification("not-a-token"), { statusCode: 400 });
+  });
+});
+
+describe("requireVerifiedEmail", () => {
+  it("blocks users whose email is not verified", async () => {
+    mock.method(db.User, "findOne", async () => ({ uid: "user-1", isEmailVerified: false }));
+
+    assert.equal((await run(requireVerifiedEmail, { user: { uid: "user-1" } })).statusCode, 403);
+  });
+
+  it("lets verified users through", async () => {
+    mock.method(db.User, "findOne", async () => ({ uid: "user-1", isEmailVerified: true }));
+
+    assert.equal(await run(requireVerifiedEmail, { user: { uid: "user-1" } }), undefined);
+  });
+
+  it("is applied to the routes that send mail on the user's behalf", () => {
+    const mount = (register) => {
+      let router;
+      register({ use: (prefix, mounted) => (router = mounted) });
+      return router;
+    };
+    const guarded = (router, method, path) =>
+      router.stack
+        .find((layer) => layer.route?.path === path && layer.route.methods[method])
+        .route.stack.some((layer) => layer.handle === requireVerifiedEmail);
+
+    assert.ok(guarded(mount(require("../routes/user.route")), "get", "/me/export"));
+    assert.ok(guarded(mount(require("../routes/invoice.route")), "post", "/:id/send"));
+    assert.ok(guarded(mount(require("../routes/project.route")), "post", "/:id/agreement"));
+  });
+});
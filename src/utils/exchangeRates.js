@@ -0,0 +1,168 @@
+/**
+ * Exchange Rates
+ * The local exchange-rate table: CSV / JSON imports by an admin (or the
+ * import script), listing and loading the rates for conversions, and each
+ * user's reporting currency. The conversion itself lives in ./currency so
+ * scripts can share it.
+ */
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { buildRateTable } = require("./currency");
+const { MESSAGES, CURRENCIES, EXCHANGE_RATES } = require("./constants");
+
+const { Op } = db.Sequelize;
+const ExchangeRate = db.ExchangeRate;
+
+const isValidDate = (value) => !!value && !isNaN(new Date(value).getTime());
+
+/**
+ * Split a CSV file into row objects keyed by the (lower-cased) header
+ * @param {string} text - CSV contents; the first non-empty line is the header
+ * @returns {object[]} [{ line, currency, date, rate }]
+ */
+const parseRatesCsv = (text) => {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "") // byte-order mark added by spreadsheet exports
+    .split(/\r?\n/)
+    .map((line, index) => ({
+      number: index + 1,
+      cells: line.split(",").map((cell) => cell.trim().replace(/^"|"$/g, "")),
+    }))
+    .filter(({ cells }) => cells.some(Boolean));
+
+  const header = lines.shift()?.cells.map((cell) => cell.toLowerCase()) || [];
+  if (!EXCHANGE_RATES.CSV_COLUMNS.every((column) => header.includes(column))) {
+    throw new BadRequestError(MESSAGES.ERROR.EXCHANGE_RATES_CSV_INVALID(EXCHANGE_RATES.CSV_COLUMNS));
+  }
+
+  return lines.map(({ number, cells }) => {
+    const row = { line: number };
+    EXCHANGE_RATES.CSV_COLUMNS.forEach((column) => {
+      row[column] = cells[header.indexOf(column)];
+    });
+    return row;
+  });
+};
+
+/**
+ * Validate rate rows; a later row for the same currency and day replaces an earlier one
+ * @param {object[]} rows - [{ currency, date, rate, line? }]
+ * @returns {object[]} [{ currency, date, rate }]
+ */
+const parseRates = (rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new BadRequestError(MESSAGES.ERROR.EXCHANGE_RATES_REQUIRED(EXCHANGE_RATES.CSV_FIELD));
+  }
+  if (rows.length > EXCHANGE_RATES.MAX_ROWS) {
+    throw new BadRequestError(MESSAGES.ERROR.EXCHANGE_RATES_TOO_MANY(EXCHANGE_RATES.MAX_ROWS));
+  }
+
+  const errors = [];
+  const rates = new Map();
+
+  rows.forEach((row, index) => {
+    const field = row?.line ? `line ${row.line}` : `rates[${index}]`;
+    const currency = String(row?.currency || "").trim().toUpperCase();
+    const rate = Number(row?.rate);
+
+    if (!CURRENCIES.includes(currency) || currency === EXCHANGE_RATES.BASE_CURRENCY) {
+      errors.push({
+        field,
+        message: MESSAGES.ERROR.CURRENCY_INVALID(CURRENCIES.filter((code) => code !== EXCHANGE_RATES.BASE_CURRENCY)),
+      });
+      return;
+    }
+    if (!isValidDate(row.date)) {
+      errors.push({ field, message: MESSAGES.ERROR.INVALID("date") });
+      return;
+    }
+    if (row.rate === undefined || row.rate === "" || isNaN(rate) || rate <= 0) {
+      errors.push({ field, message: MESSAGES.ERROR.EXCHANGE_RATE_INVALID });
+      return;
+    }
+
+    const date = new Date(row.date).toISOString().slice(0, 10);
+    rates.set(`${currency}:${date}`, { currency, date, rate });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return [...rates.values()];
+};
+
+/**
+ * Store rates, replacing any already held for the same currency and day
+ * @param {object[]} rows - Unvalidated rows (JSON body or parsed CSV)
+ * @param {object} [options] - { source }
+ * @returns {Promise<number>} rates written
+ */
+const importRates = async (rows, { source = null } = {}) => {
+  const rates = parseRates(rows);
+
+  await ExchangeRate.bulkCreate(
+    rates.map((rate) => ({ ...rate, source })),
+    { updateOnDuplicate: ["rate", "source", "updatedAt"], conflictAttributes: ["currency", "date"] }
+  );
+
+  return rates.length;
+};
+
+/**
+ * Rates for the admin list (?currency=, ?from=, ?to=), newest first
+ */
+const listRates = ({ currency, from, to } = {}) =>
+  ExchangeRate.findAll({
+    where: {
+      ...(currency && { currency: String(currency).toUpperCase() }),
+      ...((isValidDate(from) || isValidDate(to)) && {
+        date: {
+          ...(isValidDate(from) && { [Op.gte]: from }),
+          ...(isValidDate(to) && { [Op.lte]: to }),
+        },
+      }),
+    },
+    order: [
+      ["date", "DESC"],
+      ["currency", "ASC"],
+    ],
+  });
+
+/**
+ * The whole exchange-rate table, indexed for convertAmount / summarizeInCurrency
+ */
+const loadRateTable = async () =>
+  buildRateTable(await ExchangeRate.findAll({ attributes: ["currency", "date", "rate"], raw: true }));
+
+/**
+ * Validate a reporting currency from a request
+ * @returns {string|null} currency code, or null to use the default
+ */
+const parseReportingCurrency = (value, field = "reportingCurrency") => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const currency = String(value).trim().toUpperCase();
+  if (!CURRENCIES.includes(currency)) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field, message: MESSAGES.ERROR.CURRENCY_INVALID(CURRENCIES) },
+    ]);
+  }
+  return currency;
+};
+
+/**
+ * A user's reporting currency
+ * @param {object|null} user - User row (or null)
+ */
+const getReportingCurrency = (user) => user?.reportingCurrency || EXCHANGE_RATES.BASE_CURRENCY;
+
+module.exports = {
+  parseRatesCsv,
+  importRates,
+  listRates,
+  loadRateTable,
+  parseReportingCurrency,
+  getReportingCurrency,
+};
@@ -0,0 +1,87 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { parseRatesCsv, importRates, parseReportingCurrency, getReportingCurrency } = require("./exchangeRates");
+
+afterEach(() => mock.restoreAll());
+
+describe("parseRatesCsv", () => {
+  it("reads rows by header, ignoring a byte-order mark, quotes and blank lines", () => {
+    const rows = parseRatesCsv('\uFEFFDate,"Currency",Rate\r\n2026-01-01,usd,280\r\n\r\n"2026-01-02",EUR,300\n');
+
+    assert.deepEqual(rows, [
+      { line: 2, currency: "usd", date: "2026-01-01", rate: "280" },
+      { line: 4, currency: "EUR", date: "2026-01-02", rate: "300" },
+    ]);
+  });
+
+  it("rejects a file without the expected columns", () => {
+    assert.throws(() => parseRatesCsv("currency,day,rate\nUSD,2026-01-01,280"), BadRequestError);
+  });
+});
+
+describe("importRates", () => {
+  it("writes one rate per currency and day, the later row winning", async () => {
+    const bulkCreate = mock.method(db.ExchangeRate, "bulkCreate", async () => []);
+
+    const count = await importRates(
+      [
+        { currency: "usd", date: "2026-01-01", rate: "280" },
+        { currency: "USD", date: "2026-01-01T12:00:00Z", rate: 281 },
+        { currency: "EUR", date: "2026-01-01", rate: 300 },
+      ],
+      { source: "csv" }
+    );
+
+    assert.equal(count, 2);
+    const [rows, options] = bulkCreate.mock.calls[0].arguments;
+    assert.deepEqual(rows, [
+      { currency: "USD", date: "2026-01-01", rate: 281, source: "csv" },
+      { currency: "EUR", date: "2026-01-01", rate: 300, source: "csv" },
+    ]);
+    assert.deepEqual(options.conflictAttributes, ["currency", "date"]);
+  });
+
+  it("names the line of every invalid row and writes nothing", async () => {
+    const bulkCreate = mock.method(db.ExchangeRate, "bulkCreate", async () => []);
+
+    await assert.rejects(
+      importRates([
+        { line: 2, currency: "PKR", date: "2026-01-01", rate: 1 },
+        { line: 3, currency: "USD", date: "someday", rate: 280 },
+        { line: 4, currency: "USD", date: "2026-01-01", rate: 0 },
+      ]),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(
+          error.errors.map((entry) => entry.field),
+          ["line 2", "line 3", "line 4"]
+        );
+        return true;
+      }
+    );
+    assert.equal(bulkCreate.mock.callCount(), 0);
+  });
+
+  it("rejects an empty upload", async () => {
+    await assert.rejects(importRates([]), BadRequestError);
+  });
+});
+
+describe("reporting currency", () => {
+  it("accepts a known code in any case and defaults to the base currency", () => {
+    assert.equal(parseReportingCurrency(" usd "), "USD");
+    assert.equal(parseReportingCurrency(""), null);
+    assert.equal(getReportingCurrency(null), "PKR");
+    assert.equal(getReportingCurrency({ reportingCurrency: "EUR" }), "EUR");
+  });
+
+  it("rejects an unknown code against the given field", () => {
+    assert.throws(
+      () => parseReportingCurrency("XYZ", "currency"),
+      (error) => error instanceof ValidationError && error.errors[0].field === "currency"
+    );
+  });
+});
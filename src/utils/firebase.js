@@ -0,0 +1,25 @@
+/**
+ * Firebase Admin
+ * Lazily initializes the Firebase Admin SDK from config/Firebase.config.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("./logger");
+
+// Initialize Firebase Admin if not already initialized
+const initFirebaseAdmin = () => {
+  if (admin.apps.length === 0) {
+    try {
+      const adminConfig = require("../config/Firebase.config");
+      admin.initializeApp({
+        credential: admin.credential.cert(adminConfig),
+      });
+      logger.info("Firebase Admin initialized successfully");
+    } catch (error) {
+      logger.warn("Firebase Admin initialization failed:", error.message);
+    }
+  }
+  return admin;
+};
+
+module.exports = { initFirebaseAdmin };
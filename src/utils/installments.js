@@ -0,0 +1,251 @@
+/**
+ * Installment Schedule
+ * Turns the recurring payment terms (projectAmount, paymentFrequency,
+ * paymentStartDate, contractDuration in months) into concrete installments.
+ * Amounts are rounded to 2 decimals with the remainder on the last
+ * installment. Regenerating after the terms change keeps paid installments
+ * and spreads what is left over the remaining dates.
+ */
+
+const db = require("../models");
+const { NotFoundError } = require("../middlewares/errorHandler");
+const {
+  MESSAGES,
+  INSTALLMENT_STATUS,
+  INSTALLMENT_INTERVALS,
+  RECURRING_PAYMENT_TERMS,
+  PAYMENTS,
+} = require("./constants");
+
+const ProjectInstallment = db.ProjectInstallment;
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Add months in UTC, clamping to the last day of shorter months (Jan 31 + 1 = Feb 28/29)
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+
+  return result;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+
+const nextDueDate = (date, frequency) => {
+  const interval = INSTALLMENT_INTERVALS[frequency];
+  return interval.months ? addMonths(date, interval.months) : addDays(date, interval.days);
+};
+
+/**
+ * Recurring terms the project is missing
+ * @param {object} project
+ */
+const getMissingTerms = (project) =>
+  RECURRING_PAYMENT_TERMS.filter((term) => {
+    const value = project[term];
+    if (value === null || value === undefined || value === "") return true;
+    if (term === "projectAmount" || term === "contractDuration") return !(Number(value) > 0);
+    if (term === "paymentFrequency") return !INSTALLMENT_INTERVALS[value];
+    return isNaN(new Date(value).getTime());
+  });
+
+/**
+ * Installment due dates for the contract: one per interval from the start
+ * date until the contract ends (always at least one)
+ * @param {object} project - Recurring payment terms
+ * @returns {Date[]}
+ */
+const computeDueDates = (project) => {
+  const start = new Date(project.paymentStartDate);
+  const end = addMonths(start, Number(project.contractDuration));
+  const interval = INSTALLMENT_INTERVALS[project.paymentFrequency];
+  const dates = [];
+
+  // Each date is computed from the start so month clamping doesn't drift
+  for (let index = 0; ; index += 1) {
+    const dueDate = interval.months ? addMonths(start, interval.months * index) : addDays(start, interval.days * index);
+
+    if (index > 0 && dueDate >= end) break;
+    dates.push(dueDate);
+  }
+
+  return dates;
+};
+
+/**
+ * Split an amount into `count` parts, rounding each and putting the remainder on the last
+ * @param {number} total
+ * @param {number} count
+ * @returns {number[]}
+ */
+const splitAmount = (total, count) => {
+  if (count <= 0) return [];
+
+  const share = Math.floor((total / count) * 100) / 100;
+  const amounts = Array(count - 1).fill(share);
+
+  amounts.push(round(total - share * (count - 1)));
+  return amounts;
+};
+
+/**
+ * The full schedule the terms produce, ignoring anything already paid
+ * @param {object} project - Recurring payment terms
+ * @returns {object[]} [{ sequence, dueDate, amount }]
+ */
+const computeSchedule = (project) => {
+  if (getMissingTerms(project).length > 0) return [];
+
+  const dates = computeDueDates(project);
+  const amounts = splitAmount(round(project.projectAmount), dates.length);
+
+  return dates.map((dueDate, index) => ({ sequence: index + 1, dueDate, amount: amounts[index] }));
+};
+
+const listInstallments = (projectId, { transaction } = {}) =>
+  ProjectInstallment.findAll({
+    where: { projectId },
+    order: [["sequence", "ASC"]],
+    transaction,
+  });
+
+/**
+ * Create or refresh a project's installments from its current terms
+ * Paid installments are kept as they are. The balance left after them is
+ * spread over the dates that follow the last paid one; existing unpaid rows
+ * are updated in place so payments linked to them stay linked.
+ * Projects that aren't recurring (or lack terms) lose their unpaid installments.
+ * @param {object} project - Project instance
+ * @returns {Promise<object[]>} The schedule
+ */
+const generateSchedule = (project) =>
+  db.sequelize.transaction(async (transaction) => {
+    const existing = await listInstallments(project.pid, { transaction });
+    const paid = existing.filter((installment) => installment.status === INSTALLMENT_STATUS.PAID);
+    const unpaid = existing.filter((installment) => installment.status !== INSTALLMENT_STATUS.PAID);
+
+    const isRecurring = project.paymentStructure === "recurring" && getMissingTerms(project).length === 0;
+    let planned = [];
+
+    if (isRecurring) {
+      const lastPaidDate = paid.reduce((latest, item) => (item.dueDate > latest ? item.dueDate : latest), null);
+      const dates = computeDueDates(project).filter((date) => !lastPaidDate || date > lastPaidDate);
+      const remaining = round(
+        Number(project.projectAmount) - paid.reduce((sum, item) => sum + Number(item.amount), 0)
+      );
+
+      if (remaining > PAYMENTS.BALANCE_TOLERANCE) {
+        // Terms that end before the last paid installment still leave one installment for the balance
+        const dueDates = dates.length > 0 ? dates : [nextDueDate(lastPaidDate, project.paymentFrequency)];
+        const amounts = splitAmount(remaining, dueDates.length);
+
+        planned = dueDates.map((dueDate, index) => ({
+          sequence: paid.length + index + 1,
+          dueDate,
+          amount: amounts[index],
+        }));
+      }
+    }
+
+    for (const [index, values] of planned.entries()) {
+      if (unpaid[index]) {
+        await unpaid[index].update(values, { transaction });
+      } else {
+        await ProjectInstallment.create({ ...values, projectId: project.pid }, { transaction });
+      }
+    }
+
+    for (const installment of unpaid.slice(planned.length)) {
+      await installment.destroy({ transaction });
+    }
+
+    // Paid installments keep their order ahead of the regenerated ones
+    for (const [index, installment] of [...paid].sort((a, b) => a.dueDate - b.dueDate).entries()) {
+      if (installment.sequence !== index + 1) {
+        await installment.update({ sequence: index + 1 }, { transaction });
+      }
+    }
+
+    return listInstallments(project.pid, { transaction });
+  });
+
+/**
+ * Mark an installment paid once its payments cover it, or reopen it when they no longer do
+ * @param {object} project - Project instance
+ * @param {string} installmentId
+ * @param {object} [options] - { transaction }
+ */
+const settleInstallment = async (project, installmentId, { transaction } = {}) => {
+  const installment = await ProjectInstallment.findOne({
+    where: { id: installmentId, projectId: project.pid },
+    transaction,
+  });
+
+  if (!installment) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Installment"));
+  }
+
+  const [received, lastPaidAt] = await Promise.all([
+    db.Payment.sum("amount", { where: { installmentId }, transaction }),
+    db.Payment.max("paidAt", { where: { installmentId }, transaction }),
+  ]);
+
+  const covered = round(received || 0) + PAYMENTS.BALANCE_TOLERANCE >= round(installment.amount);
+  const isPaid = installment.status === INSTALLMENT_STATUS.PAID;
+
+  if (covered && !isPaid) {
+    await installment.update({ status: INSTALLMENT_STATUS.PAID, paidAt: lastPaidAt }, { transaction });
+  } else if (!covered && isPaid) {
+    await installment.update({ status: INSTALLMENT_STATUS.PENDING, paidAt: null }, { transaction });
+  }
+
+  return installment;
+};
+
+/**
+ * Schedule with totals for the payment timeline
+ * @param {object} project - Project instance
+ */
+const getSchedule = async (project) => {
+  const installments = await listInstallments(project.pid);
+  const now = new Date();
+
+  const total = round(installments.reduce((sum, item) => sum + Number(item.amount), 0));
+  const paidItems = installments.filter((item) => item.status === INSTALLMENT_STATUS.PAID);
+  const paid = round(paidItems.reduce((sum, item) => sum + Number(item.amount), 0));
+  const nextDue = installments.find((item) => item.status !== INSTALLMENT_STATUS.PAID) || null;
+
+  return {
+    installments: installments.map((item) => ({
+      ...item.toJSON(),
+      overdue: item.status !== INSTALLMENT_STATUS.PAID && new Date(item.dueDate) < now,
+    })),
+    summary: {
+      paymentStructure: project.paymentStructure,
+      paymentFrequency: project.paymentFrequency,
+      currency: project.currency || PAYMENTS.DEFAULT_CURRENCY,
+      count: installments.length,
+      paidCount: paidItems.length,
+      total,
+      paid,
+      remaining: round(total - paid),
+      nextDue: nextDue ? { id: nextDue.id, dueDate: nextDue.dueDate, amount: Number(nextDue.amount) } : null,
+      missingTerms: project.paymentStructure === "recurring" ? getMissingTerms(project) : [],
+    },
+  };
+};
+
+module.exports = {
+  computeSchedule,
+  generateSchedule,
+  settleInstallment,
+  getSchedule,
+};
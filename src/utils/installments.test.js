@@ -0,0 +1,77 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { computeSchedule, generateSchedule } = require("./installments");
+const { INSTALLMENT_STATUS } = require("./constants");
+
+const terms = {
+  pid: "p1",
+  paymentStructure: "recurring",
+  projectAmount: 1000,
+  paymentFrequency: "monthly",
+  paymentStartDate: "2026-01-31T00:00:00.000Z",
+  contractDuration: 3,
+};
+
+const makeInstallment = (values) => {
+  const installment = db.ProjectInstallment.build({ projectId: "p1", status: INSTALLMENT_STATUS.PENDING, ...values });
+  mock.method(installment, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  mock.method(installment, "destroy", async () => {});
+  return installment;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("computeSchedule", () => {
+  it("clamps month ends and puts the rounding remainder on the last installment", () => {
+    const schedule = computeSchedule(terms);
+
+    assert.deepEqual(
+      schedule.map(({ dueDate }) => dueDate.toISOString().slice(0, 10)),
+      ["2026-01-31", "2026-02-28", "2026-03-31"]
+    );
+    assert.deepEqual(schedule.map(({ amount }) => amount), [333.33, 333.33, 333.34]);
+  });
+
+  it("is empty until every recurring term is set", () => {
+    assert.deepEqual(computeSchedule({ ...terms, paymentFrequency: "yearly" }), []);
+    assert.deepEqual(computeSchedule({ ...terms, contractDuration: 0 }), []);
+  });
+});
+
+describe("generateSchedule", () => {
+  it("keeps paid installments and spreads the new balance over the rest", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    const paid = makeInstallment({
+      sequence: 1,
+      dueDate: new Date("2026-01-31"),
+      amount: 333.33,
+      status: INSTALLMENT_STATUS.PAID,
+    });
+    const second = makeInstallment({ sequence: 2, dueDate: new Date("2026-02-28"), amount: 333.33 });
+    const third = makeInstallment({ sequence: 3, dueDate: new Date("2026-03-31"), amount: 333.34 });
+    mock.method(db.ProjectInstallment, "findAll", async () => [paid, second, third]);
+    const create = mock.method(db.ProjectInstallment, "create", async (values) => values);
+
+    await generateSchedule({ ...terms, projectAmount: 1200 });
+
+    assert.equal(paid.update.mock.callCount(), 0);
+    assert.equal(Number(second.amount), 433.33);
+    assert.equal(Number(third.amount), 433.34);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("drops unpaid installments when the project stops being recurring", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    const unpaid = makeInstallment({ sequence: 1, dueDate: new Date("2026-01-31"), amount: 1000 });
+    mock.method(db.ProjectInstallment, "findAll", async () => [unpaid]);
+
+    await generateSchedule({ ...terms, paymentStructure: "single" });
+
+    assert.equal(unpaid.destroy.mock.callCount(), 1);
+  });
+});
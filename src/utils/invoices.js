@@ -0,0 +1,628 @@
+/**
+ * Invoicing
+ * Drafts invoices for a project (the whole amount, selected milestones or
+ * installments, or custom items) with tax lines and the creator's payment
+ * details, numbers them per creator, renders them to PDF and emails them to
+ * the project's contact. Tax lines come from the project's tax rules unless
+ * given explicitly.
+ */
+
+const db = require("../models");
+const logger = require("./logger");
+const { buildPdf, wrapLine } = require("./pdf");
+const { sendInvoiceEmail } = require("./email");
+const { parseTaxMode, normalizeTaxMode, selectRules, computeTax } = require("./tax");
+const { loadTaxRules } = require("./taxRules");
+const { validators } = require("../middlewares/validate");
+const { AppError, BadRequestError, ValidationError } = require("../middlewares/errorHandler");
+const {
+  HTTP_STATUS,
+  MESSAGES,
+  INVOICE_STATUS,
+  INVOICE_TRANSITIONS,
+  INVOICES,
+  PAYMENTS,
+  TAX_MODES,
+  TAX_KINDS,
+} = require("./constants");
+
+const Invoice = db.Invoice;
+
+// Line-item sources; sending any of them replaces the invoice's lines
+const LINE_SOURCES = ["milestoneIds", "installmentIds", "items"];
+
+const PAYMENT_DETAIL_LABELS = {
+  method: "Method",
+  accountTitle: "Account title",
+  bankName: "Bank",
+  accountNumber: "Account number",
+  iban: "IBAN",
+  walletNumber: "Wallet number",
+  instructions: "Instructions",
+};
+
+// Characters per PDF line (A4, 11pt Courier)
+const PDF_WIDTH = 74;
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const formatNumber = (sequence) =>
+  `${INVOICES.NUMBER_PREFIX}-${String(sequence).padStart(INVOICES.NUMBER_DIGITS, "0")}`;
+
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "-");
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+const toIdList = (value) => (Array.isArray(value) ? value.filter(Boolean) : value ? [value] : []);
+
+const displayName = (person) =>
+  person.full_name || [person.firstName, person.lastName].filter(Boolean).join(" ") || person.username || null;
+
+/**
+ * Milestones and installments already on another live (non-void) invoice of the project
+ * @returns {Promise<Map<string, string>>} milestone/installment id (or "project") -> invoice number
+ */
+const getBilledItems = async (projectId, excludeInvoiceId) => {
+  const invoices = await Invoice.findAll({
+    where: {
+      projectId,
+      status: { [db.Sequelize.Op.ne]: INVOICE_STATUS.VOID },
+      ...(excludeInvoiceId && { id: { [db.Sequelize.Op.ne]: excludeInvoiceId } }),
+    },
+    attributes: ["number", "lineItems"],
+  });
+
+  const billed = new Map();
+  invoices.forEach((invoice) => {
+    (invoice.lineItems || []).forEach((item) => {
+      const key = item.milestoneId || item.installmentId || (item.wholeProject && "project");
+      if (key) billed.set(key, invoice.number);
+    });
+  });
+
+  return billed;
+};
+
+/**
+ * Build line items from selected milestones/installments and custom items,
+ * falling back to a single line for the whole project amount
+ * @param {object} project - Project instance
+ * @param {object} input - { milestoneIds, installmentIds, items }
+ * @param {string} [invoiceId] - Invoice being edited (its own lines don't count as billed)
+ * @returns {Promise<object[]>}
+ */
+const buildLineItems = async (project, input, invoiceId) => {
+  const errors = [];
+  const lineItems = [];
+  const billed = await getBilledItems(project.pid, invoiceId);
+
+  const milestoneIds = toIdList(input.milestoneIds);
+  if (milestoneIds.length > 0) {
+    const milestones = await db.ProjectMilestone.findAll({
+      where: { id: milestoneIds, projectId: project.pid },
+      order: [["position", "ASC"]],
+    });
+
+    if (milestones.length !== new Set(milestoneIds).size) {
+      errors.push({ field: "milestoneIds", message: MESSAGES.ERROR.NOT_FOUND("Milestone") });
+    }
+
+    milestones.forEach((milestone) => {
+      if (billed.has(milestone.id)) {
+        errors.push({
+          field: "milestoneIds",
+          message: MESSAGES.ERROR.INVOICE_ALREADY_BILLED(`Milestone "${milestone.title}"`, billed.get(milestone.id)),
+        });
+      }
+      lineItems.push({
+        description: milestone.title,
+        quantity: 1,
+        unitPrice: round(milestone.amount || 0),
+        amount: round(milestone.amount || 0),
+        milestoneId: milestone.id,
+        dueDate: milestone.dueDate || null,
+      });
+    });
+  }
+
+  const installmentIds = toIdList(input.installmentIds);
+  if (installmentIds.length > 0) {
+    const [installments, count] = await Promise.all([
+      db.ProjectInstallment.findAll({
+        where: { id: installmentIds, projectId: project.pid },
+        order: [["sequence", "ASC"]],
+      }),
+      db.ProjectInstallment.count({ where: { projectId: project.pid } }),
+    ]);
+
+    if (installments.length !== new Set(installmentIds).size) {
+      errors.push({ field: "installmentIds", message: MESSAGES.ERROR.NOT_FOUND("Installment") });
+    }
+
+    installments.forEach((installment) => {
+      const label = `Installment ${installment.sequence} of ${count}`;
+      if (billed.has(installment.id)) {
+        errors.push({
+          field: "installmentIds",
+          message: MESSAGES.ERROR.INVOICE_ALREADY_BILLED(label, billed.get(installment.id)),
+        });
+      }
+      lineItems.push({
+        description: `${label} (due ${formatDate(installment.dueDate)})`,
+        quantity: 1,
+        unitPrice: round(installment.amount),
+        amount: round(installment.amount),
+        installmentId: installment.id,
+        dueDate: installment.dueDate,
+      });
+    });
+  }
+
+  const items = Array.isArray(input.items) ? input.items : [];
+  items.forEach((item, index) => {
+    const description = item?.description ? String(item.description).trim() : "";
+    const quantity = item?.quantity === undefined || item?.quantity === "" ? 1 : Number(item.quantity);
+    const unitPrice = Number(item?.unitPrice);
+
+    if (!description || isNaN(quantity) || quantity <= 0 || item?.unitPrice === undefined || isNaN(unitPrice) || unitPrice < 0) {
+      errors.push({ field: `items[${index}]`, message: MESSAGES.ERROR.INVOICE_ITEM_INVALID });
+      return;
+    }
+
+    lineItems.push({ description, quantity, unitPrice: round(unitPrice), amount: round(quantity * unitPrice) });
+  });
+
+  // Nothing selected: bill the whole project
+  if (lineItems.length === 0 && errors.length === 0) {
+    if (!(Number(project.projectAmount) > 0)) {
+      errors.push({ field: "items", message: MESSAGES.ERROR.INVOICE_NO_ITEMS });
+    } else if (billed.has("project")) {
+      errors.push({
+        field: "items",
+        message: MESSAGES.ERROR.INVOICE_ALREADY_BILLED(`"${project.projectName}"`, billed.get("project")),
+      });
+    } else {
+      lineItems.push({
+        description: project.projectName,
+        quantity: 1,
+        unitPrice: round(project.projectAmount),
+        amount: round(project.projectAmount),
+        wholeProject: true,
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return lineItems;
+};
+
+/**
+ * Validate explicit tax lines
+ * @param {object[]} taxes - [{ label, rate, kind? }]; rate is a percentage, kind defaults to sales tax
+ * @returns {object[]} Tax definitions for computeTax
+ */
+const parseTaxes = (taxes = []) => {
+  const errors = [];
+  const kinds = Object.values(TAX_KINDS);
+
+  const definitions = (Array.isArray(taxes) ? taxes : []).map((tax, index) => {
+    const label = tax?.label ? String(tax.label).trim() : "";
+    const rate = Number(tax?.rate);
+    const kind = tax?.kind || TAX_KINDS.SALES;
+
+    if (!label || tax?.rate === undefined || isNaN(rate) || rate < 0 || rate > INVOICES.MAX_TAX_RATE) {
+      errors.push({ field: `taxes[${index}]`, message: MESSAGES.ERROR.INVOICE_TAX_INVALID(INVOICES.MAX_TAX_RATE) });
+      return null;
+    }
+    if (!kinds.includes(kind)) {
+      errors.push({ field: `taxes[${index}]`, message: MESSAGES.ERROR.TAX_KIND_INVALID(kinds) });
+      return null;
+    }
+
+    return { label, rate, kind, ruleId: tax.ruleId || null };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return definitions;
+};
+
+/**
+ * Tax mode and lines for an invoice: explicit `taxes`, else (on a new invoice,
+ * or with `taxes: null`) the project's tax rules as of the issue date, else the
+ * invoice's current lines
+ * @param {object} project - Project instance
+ * @param {object} input - { taxes, taxMode }
+ * @param {object|null} invoice - Invoice being edited
+ * @param {number} subtotal
+ * @param {Date} issueDate
+ * @returns {Promise<object>} computeTax breakdown
+ */
+const resolveTaxes = async (project, input, invoice, subtotal, issueDate) => {
+  let mode = invoice?.taxMode || normalizeTaxMode(project.taxHandling);
+
+  if (input.taxMode !== undefined) {
+    mode = parseTaxMode(input.taxMode);
+    if (!mode) {
+      throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+        { field: "taxMode", message: MESSAGES.ERROR.TAX_MODE_INVALID(Object.values(TAX_MODES)) },
+      ]);
+    }
+  }
+
+  let definitions;
+  if (Array.isArray(input.taxes)) {
+    definitions = parseTaxes(input.taxes);
+  } else if (input.taxes === null || !invoice) {
+    definitions = selectRules(await loadTaxRules(), {
+      province: project.taxProvince || null,
+      clientType: project.client || null,
+      date: issueDate,
+    });
+  } else {
+    // Lines from before tax rules have no kind; they were all sales tax
+    definitions = (invoice.taxLines || []).map((tax) => ({ ...tax, kind: tax.kind || TAX_KINDS.SALES }));
+  }
+
+  return computeTax(subtotal, mode, definitions);
+};
+
+/**
+ * Creator payment details, limited to the known fields
+ */
+const pickPaymentDetails = (input, project) => {
+  const details = {};
+  const source = input && typeof input === "object" ? input : {};
+
+  INVOICES.PAYMENT_DETAIL_FIELDS.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null && String(source[field]).trim() !== "") {
+      details[field] = String(source[field]).trim();
+    }
+  });
+
+  if (!details.method && project.paymentMethod) {
+    details.method = project.paymentMethod;
+  }
+
+  return details;
+};
+
+/**
+ * Due date: explicit, else the latest due date of the billed items, else DEFAULT_DUE_DAYS from issue
+ */
+const resolveDueDate = (value, issueDate, lineItems) => {
+  if (value) {
+    if (!isValidDate(value)) {
+      throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+        { field: "dueDate", message: MESSAGES.ERROR.INVALID("due date") },
+      ]);
+    }
+    return new Date(value);
+  }
+
+  const itemDates = lineItems
+    .map((item) => item.dueDate && new Date(item.dueDate))
+    .filter((date) => date && date >= issueDate);
+  if (itemDates.length > 0) {
+    return new Date(Math.max(...itemDates));
+  }
+
+  return new Date(issueDate.getTime() + INVOICES.DEFAULT_DUE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const billToSnapshot = (project) => ({
+  name: project.contactName || project.clientName || null,
+  brand: project.contactBrand || project.client || null,
+  email: project.contactEmail || null,
+  phone: project.contactNumber || null,
+});
+
+const issuerSnapshot = (user) =>
+  user ? { name: displayName(user), email: user.email || null, phone: user.phone || null } : null;
+
+/**
+ * Line items, taxes and totals for an invoice payload
+ * @param {object} project - Project instance
+ * @param {object} input - Request payload
+ * @param {object} [invoice] - Invoice being edited; unspecified parts are kept
+ */
+const parseInvoice = async (project, input = {}, invoice = null) => {
+  const replacesLines = !invoice || LINE_SOURCES.some((field) => input[field] !== undefined);
+  const lineItems = replacesLines ? await buildLineItems(project, input, invoice?.id) : invoice.lineItems;
+
+  const subtotal = round(lineItems.reduce((sum, item) => sum + Number(item.amount), 0));
+
+  const issueDate = invoice?.issueDate ? new Date(invoice.issueDate) : new Date();
+  const keepDueDate = invoice && input.dueDate === undefined && !replacesLines;
+  const tax = await resolveTaxes(project, input, invoice, subtotal, issueDate);
+
+  return {
+    lineItems,
+    taxMode: tax.mode,
+    taxLines: tax.lines,
+    subtotal,
+    taxTotal: tax.salesTax,
+    total: tax.gross,
+    withholdingTotal: tax.withholdingTax,
+    amountPayable: tax.receivable,
+    netAmount: tax.net,
+    issueDate,
+    dueDate: keepDueDate ? invoice.dueDate : resolveDueDate(input.dueDate, issueDate, lineItems),
+    paymentDetails:
+      input.paymentDetails !== undefined || !invoice
+        ? pickPaymentDetails(input.paymentDetails, project)
+        : invoice.paymentDetails,
+    notes: input.notes !== undefined ? (input.notes ? String(input.notes).trim() : null) : invoice?.notes || null,
+    billTo: billToSnapshot(project),
+  };
+};
+
+/**
+ * Draft a new invoice with the creator's next invoice number
+ * @param {object} project - Project instance
+ * @param {object} input - { milestoneIds, installmentIds, items, taxes, taxMode, dueDate, paymentDetails, notes }
+ */
+const createInvoice = async (project, input) => {
+  if (project.isDraft) {
+    throw new BadRequestError(MESSAGES.ERROR.INVOICE_DRAFT_PROJECT);
+  }
+
+  const fields = await parseInvoice(project, input);
+
+  return db.sequelize.transaction(async (transaction) => {
+    // Lock the creator row so concurrent drafts can't take the same number
+    const user = await db.User.findByPk(project.userId, { lock: transaction.LOCK.UPDATE, transaction });
+    const last = await Invoice.max("sequence", { where: { userId: project.userId }, transaction });
+    const sequence = (last || 0) + 1;
+
+    return Invoice.create(
+      {
+        ...fields,
+        userId: project.userId,
+        projectId: project.pid,
+        sequence,
+        number: formatNumber(sequence),
+        status: INVOICE_STATUS.DRAFT,
+        currency: project.currency || PAYMENTS.DEFAULT_CURRENCY,
+        issuer: issuerSnapshot(user),
+      },
+      { transaction }
+    );
+  });
+};
+
+/**
+ * Edit a draft invoice
+ * @param {object} invoice - Invoice instance
+ * @param {object} project - Its project
+ * @param {object} input - Same fields as createInvoice; omitted ones are kept
+ */
+const updateInvoice = async (invoice, project, input) => {
+  if (invoice.status !== INVOICE_STATUS.DRAFT) {
+    throw new BadRequestError(MESSAGES.ERROR.INVOICE_NOT_EDITABLE(invoice.status));
+  }
+
+  const fields = await parseInvoice(project, input, invoice);
+  const user = await db.User.findByPk(invoice.userId);
+
+  return invoice.update({ ...fields, issuer: issuerSnapshot(user) });
+};
+
+/**
+ * Move an invoice along draft -> sent -> paid (or to void)
+ * @param {object} invoice - Invoice instance
+ * @param {object} input - { status, reason, paidAt }
+ */
+const changeInvoiceStatus = async (invoice, { status, reason, paidAt } = {}) => {
+  const statuses = Object.values(INVOICE_STATUS);
+
+  if (!statuses.includes(status)) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "status", message: MESSAGES.ERROR.INVOICE_STATUS_INVALID(statuses) },
+    ]);
+  }
+
+  const allowed = INVOICE_TRANSITIONS[invoice.status] || [];
+  if (!allowed.includes(status)) {
+    throw new ValidationError(MESSAGES.ERROR.INVOICE_TRANSITION_INVALID(invoice.status, status, allowed), [
+      { field: "status", message: MESSAGES.ERROR.INVOICE_TRANSITION_INVALID(invoice.status, status, allowed), allowed },
+    ]);
+  }
+
+  const now = new Date();
+  const updates = { status };
+
+  if (status === INVOICE_STATUS.SENT) {
+    updates.sentAt = invoice.sentAt || now;
+  } else if (status === INVOICE_STATUS.PAID) {
+    if (paidAt && (!isValidDate(paidAt) || new Date(paidAt) > now)) {
+      throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+        { field: "paidAt", message: MESSAGES.ERROR.PAYMENT_DATE_INVALID },
+      ]);
+    }
+    updates.paidAt = paidAt ? new Date(paidAt) : now;
+  } else if (status === INVOICE_STATUS.VOID) {
+    updates.voidedAt = now;
+    updates.voidReason = reason ? String(reason).trim() : null;
+  }
+
+  return invoice.update(updates);
+};
+
+const padRight = (text, width) => (text.length >= width ? text : text + " ".repeat(width - text.length));
+const padLeft = (text, width) => (text.length >= width ? text : " ".repeat(width - text.length) + text);
+
+/**
+ * Text lines for the invoice PDF
+ * @param {object} invoice - Invoice instance
+ * @param {object} project - Its project
+ * @returns {string[]}
+ */
+const invoiceLines = (invoice, project) => {
+  const lines = [];
+  const issuer = invoice.issuer || {};
+  const billTo = invoice.billTo || {};
+  const contact = (person) => [person.email, person.phone].filter(Boolean).join(" / ");
+
+  lines.push(padRight("INVOICE", PDF_WIDTH - invoice.number.length) + invoice.number);
+  lines.push(`Status: ${invoice.status.toUpperCase()}`);
+  lines.push(`Issue date: ${formatDate(invoice.issueDate)}    Due date: ${formatDate(invoice.dueDate)}`);
+  lines.push("");
+
+  lines.push(`From:    ${issuer.name || "-"}`);
+  if (contact(issuer)) lines.push(`         ${contact(issuer)}`);
+  lines.push(`Bill to: ${[billTo.name, billTo.brand && `(${billTo.brand})`].filter(Boolean).join(" ") || "-"}`);
+  if (contact(billTo)) lines.push(`         ${contact(billTo)}`);
+  lines.push("");
+  wrapLine(`Project: ${project?.projectName || "-"}`, PDF_WIDTH).forEach((line) => lines.push(line));
+  lines.push("");
+
+  const columns = { description: 38, quantity: 6, unitPrice: 14, amount: 16 };
+  lines.push(
+    padRight("Description", columns.description) +
+      padLeft("Qty", columns.quantity) +
+      padLeft("Unit price", columns.unitPrice) +
+      padLeft("Amount", columns.amount)
+  );
+  lines.push("-".repeat(PDF_WIDTH));
+
+  invoice.lineItems.forEach((item) => {
+    const [first, ...rest] = wrapLine(String(item.description || "-"), columns.description - 2);
+    lines.push(
+      padRight(first, columns.description) +
+        padLeft(String(item.quantity), columns.quantity) +
+        padLeft(formatAmount(item.unitPrice), columns.unitPrice) +
+        padLeft(formatAmount(item.amount), columns.amount)
+    );
+    rest.forEach((line) => lines.push(`  ${line}`));
+  });
+
+  lines.push("-".repeat(PDF_WIDTH));
+
+  const totalLine = (label, amount) => lines.push(padLeft(label, PDF_WIDTH - 16) + padLeft(formatAmount(amount), 16));
+  const taxLines = invoice.taxLines || [];
+  const withholding = taxLines.filter((tax) => tax.deducted);
+
+  totalLine("Subtotal", invoice.subtotal);
+  taxLines
+    .filter((tax) => !tax.deducted)
+    .forEach((tax) => totalLine(`${tax.label} (${tax.rate}%${tax.included ? ", included" : ""})`, tax.amount));
+  totalLine(`Total ${invoice.currency}`, invoice.total);
+
+  if (withholding.length > 0) {
+    withholding.forEach((tax) => totalLine(`Less ${tax.label} (${tax.rate}%)`, -tax.amount));
+    totalLine(`Amount payable ${invoice.currency}`, invoice.amountPayable);
+  }
+
+  const details = Object.entries(invoice.paymentDetails || {}).filter(([, value]) => value);
+  if (details.length > 0) {
+    lines.push("");
+    lines.push("Payment details");
+    details.forEach(([field, value]) =>
+      wrapLine(`  ${PAYMENT_DETAIL_LABELS[field] || field}: ${value}`, PDF_WIDTH).forEach((line) => lines.push(line))
+    );
+  }
+
+  if (invoice.notes) {
+    lines.push("");
+    lines.push("Notes");
+    String(invoice.notes)
+      .split("\n")
+      .forEach((paragraph) => wrapLine(`  ${paragraph}`, PDF_WIDTH).forEach((line) => lines.push(line)));
+  }
+
+  if (invoice.status === INVOICE_STATUS.VOID) {
+    lines.push("");
+    lines.push(`VOID${invoice.voidReason ? `: ${invoice.voidReason}` : ""}`);
+  }
+
+  return lines;
+};
+
+/**
+ * Render an invoice to PDF
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice, project) => buildPdf(invoiceLines(invoice, project));
+
+/**
+ * Email an invoice PDF to the project's contact (or `email`); drafts become sent
+ * @param {object} invoice - Invoice instance
+ * @param {object} project - Its project
+ * @param {object} [options] - { email }
+ * @returns {Promise<object>} { invoice, sentTo }
+ */
+const sendInvoice = async (invoice, project, { email } = {}) => {
+  if (invoice.status === INVOICE_STATUS.VOID) {
+    throw new BadRequestError(MESSAGES.ERROR.INVOICE_VOID);
+  }
+
+  const to = email || project.contactEmail || invoice.billTo?.email;
+  if (!to) {
+    throw new BadRequestError(MESSAGES.ERROR.INVOICE_NO_RECIPIENT);
+  }
+
+  const emailError = validators.email(to, "email");
+  if (emailError) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [{ field: "email", message: emailError }]);
+  }
+
+  // Render as it will read once sent
+  const status = invoice.status === INVOICE_STATUS.DRAFT ? INVOICE_STATUS.SENT : invoice.status;
+  const pdf = renderInvoicePdf({ ...invoice.toJSON(), status }, project);
+
+  const sent = await sendInvoiceEmail(
+    to,
+    {
+      number: invoice.number,
+      issuerName: invoice.issuer?.name,
+      projectName: project.projectName,
+      currency: invoice.currency,
+      total: invoice.amountPayable ?? invoice.total,
+      dueDate: invoice.dueDate,
+    },
+    pdf
+  );
+
+  if (!sent) {
+    logger.error("Invoice email failed", { invoiceId: invoice.id, to });
+    throw new AppError(MESSAGES.ERROR.INVOICE_EMAIL_FAILED, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+
+  await invoice.update({ status, sentAt: new Date(), sentTo: to });
+
+  return { invoice, sentTo: to };
+};
+
+/**
+ * A creator's invoices, newest number first
+ * @param {string} userId
+ * @param {object} [filters] - { status, projectId }
+ */
+const listInvoices = (userId, { status, projectId } = {}) =>
+  Invoice.findAll({
+    where: {
+      userId,
+      ...(status && { status }),
+      ...(projectId && { projectId }),
+    },
+    order: [["sequence", "DESC"]],
+  });
+
+module.exports = {
+  formatNumber,
+  createInvoice,
+  updateInvoice,
+  changeInvoiceStatus,
+  renderInvoicePdf,
+  sendInvoice,
+  listInvoices,
+};
@@ -0,0 +1,124 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const email = require("./email");
+
+// Replaced before invoices takes its reference, so no email is sent
+email.sendInvoiceEmail = mock.fn(async () => true);
+
+const { createInvoice, updateInvoice, changeInvoiceStatus, sendInvoice } = require("./invoices");
+const { INVOICE_STATUS } = require("./constants");
+
+const project = {
+  pid: "p1",
+  userId: "user-1",
+  projectName: "Brand identity",
+  projectAmount: 1000,
+  currency: "PKR",
+  taxHandling: "exclusive",
+  contactEmail: "client@example.com",
+  isDraft: false,
+};
+
+const makeInvoice = (values) => {
+  const invoice = db.Invoice.build({ id: "i1", userId: "user-1", projectId: "p1", ...values });
+  mock.method(invoice, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  return invoice;
+};
+
+/**
+ * Run transactions inline with no other invoices on the project yet
+ */
+const stubDatabase = ({ lastSequence = null, invoices = [] } = {}) => {
+  mock.method(db.sequelize, "transaction", async (work) => work({ LOCK: { UPDATE: "UPDATE" } }));
+  mock.method(db.Invoice, "findAll", async () => invoices);
+  mock.method(db.Invoice, "max", async () => lastSequence);
+  mock.method(db.User, "findByPk", async () => ({ firstName: "Jane", lastName: "Doe", email: "jane@example.com" }));
+  return mock.method(db.Invoice, "create", async (values) => values);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("createInvoice", () => {
+  it("bills the whole project with the creator's next number and the taxes given", async () => {
+    stubDatabase({ lastSequence: 4 });
+
+    const invoice = await createInvoice(project, { taxes: [{ label: "Sales tax", rate: 16 }] });
+
+    assert.equal(invoice.number, "INV-00005");
+    assert.equal(invoice.status, INVOICE_STATUS.DRAFT);
+    assert.equal(invoice.lineItems[0].wholeProject, true);
+    assert.equal(invoice.subtotal, 1000);
+    assert.equal(invoice.total, 1160);
+    assert.equal(invoice.issuer.name, "Jane Doe");
+  });
+
+  it("refuses to bill the project twice", async () => {
+    stubDatabase({ invoices: [{ number: "INV-00001", lineItems: [{ wholeProject: true }] }] });
+
+    await assert.rejects(createInvoice(project, { taxes: [] }), (error) => {
+      assert.match(error.errors[0].message, /INV-00001/);
+      return true;
+    });
+  });
+
+  it("refuses draft projects and invalid custom items", async () => {
+    await assert.rejects(createInvoice({ ...project, isDraft: true }, {}), { statusCode: 400 });
+
+    stubDatabase();
+    await assert.rejects(createInvoice(project, { items: [{ description: "", unitPrice: -5 }], taxes: [] }), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("invoice status", () => {
+  it("only lets drafts be edited", async () => {
+    await assert.rejects(updateInvoice(makeInvoice({ status: INVOICE_STATUS.SENT }), project, {}), {
+      statusCode: 400,
+    });
+  });
+
+  it("follows draft -> sent -> paid, with void as the way out", async () => {
+    const invoice = makeInvoice({ status: INVOICE_STATUS.DRAFT });
+
+    await assert.rejects(changeInvoiceStatus(invoice, { status: INVOICE_STATUS.PAID }), { statusCode: 400 });
+    await changeInvoiceStatus(invoice, { status: INVOICE_STATUS.SENT });
+    await changeInvoiceStatus(invoice, { status: INVOICE_STATUS.PAID });
+
+    assert.ok(invoice.sentAt instanceof Date);
+    assert.ok(invoice.paidAt instanceof Date);
+    await assert.rejects(changeInvoiceStatus(invoice, { status: INVOICE_STATUS.VOID }), { statusCode: 400 });
+  });
+});
+
+describe("sendInvoice", () => {
+  it("emails a PDF to the project contact and marks a draft sent", async () => {
+    const invoice = makeInvoice({
+      number: "INV-00001",
+      status: INVOICE_STATUS.DRAFT,
+      currency: "PKR",
+      lineItems: [{ description: "Brand identity", quantity: 1, unitPrice: 1000, amount: 1000 }],
+      subtotal: 1000,
+      total: 1000,
+      issueDate: new Date(),
+      dueDate: new Date(),
+    });
+
+    const { sentTo } = await sendInvoice(invoice, project);
+
+    const [to, , pdf] = email.sendInvoiceEmail.mock.calls.at(-1).arguments;
+    assert.equal(sentTo, "client@example.com");
+    assert.equal(to, "client@example.com");
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+    assert.equal(invoice.status, INVOICE_STATUS.SENT);
+  });
+
+  it("refuses a void invoice", async () => {
+    await assert.rejects(sendInvoice(makeInvoice({ status: INVOICE_STATUS.VOID }), project), { statusCode: 400 });
+  });
+});
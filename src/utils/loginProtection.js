@@ -0,0 +1,217 @@
+/**
+ * Login Protection
+ * Per-account and per-IP brute-force protection backed by the
+ * `login_attempts` audit table. Failed attempts within the window trigger an
+ * exponential backoff and then a temporary lockout; successful sign-ins from
+ * an unfamiliar device or network are flagged and emailed to the user.
+ */
+
+const db = require("../models");
+const logger = require("./logger");
+const { sendSuspiciousSigninEmail } = require("./email");
+const { TooManyRequestsError } = require("../middlewares/errorHandler");
+const { MESSAGES, LOGIN_PROTECTION } = require("./constants");
+
+const { Op } = db.Sequelize;
+const LoginAttempt = db.LoginAttempt;
+
+// Attempts rejected by the throttle itself don't extend the backoff
+const THROTTLED = "throttled";
+
+const normalizeIdentifier = (identifier) => String(identifier || "").trim().toLowerCase();
+
+const getRequestContext = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: (req.headers["user-agent"] || "").substring(0, 500) || null,
+  deviceName: req.body?.deviceName || req.headers["x-device-name"] || null,
+  platform: req.body?.platform || req.headers["x-platform"] || null,
+});
+
+/**
+ * Seconds until another attempt is allowed, given recent failures
+ * @param {number} failures - Failures in the current window
+ * @param {Date} lastFailureAt - Most recent failure
+ * @param {number} lockoutThreshold - Failures that trigger a full lockout
+ * @returns {number} 0 when allowed
+ */
+const getWaitSeconds = (failures, lastFailureAt, lockoutThreshold) => {
+  if (!lastFailureAt || failures < LOGIN_PROTECTION.FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  const delaySeconds =
+    failures >= lockoutThreshold
+      ? LOGIN_PROTECTION.LOCKOUT_MINUTES * 60
+      : Math.min(
+          LOGIN_PROTECTION.BASE_DELAY_SECONDS * 2 ** (failures - LOGIN_PROTECTION.FREE_ATTEMPTS),
+          LOGIN_PROTECTION.LOCKOUT_MINUTES * 60
+        );
+
+  const allowedAt = new Date(lastFailureAt).getTime() + delaySeconds * 1000;
+  return Math.max(0, Math.ceil((allowedAt - Date.now()) / 1000));
+};
+
+/**
+ * Count failures matching `where` since the window start (or the last success)
+ */
+const getFailureStats = async (where, since) => {
+  const failureWhere = {
+    ...where,
+    success: false,
+    failureReason: { [Op.or]: [{ [Op.is]: null }, { [Op.ne]: THROTTLED }] },
+    createdAt: { [Op.gt]: since },
+  };
+
+  const [failures, lastFailureAt] = await Promise.all([
+    LoginAttempt.count({ where: failureWhere }),
+    LoginAttempt.max("createdAt", { where: failureWhere }),
+  ]);
+
+  return { failures, lastFailureAt };
+};
+
+/**
+ * Throw if the account or IP is in backoff/lockout
+ * @param {string} identifier - Email (or phone) being signed in to
+ * @param {object} req - Express request
+ * @param {string} [method="password"]
+ */
+const assertLoginAllowed = async (identifier, req, method = "password") => {
+  const normalized = normalizeIdentifier(identifier);
+  const windowStart = new Date(Date.now() - LOGIN_PROTECTION.WINDOW_MINUTES * 60 * 1000);
+
+  // A successful sign-in resets the account counter
+  const lastSuccessAt = await LoginAttempt.max("createdAt", {
+    where: { identifier: normalized, success: true },
+  });
+  const accountSince = lastSuccessAt && lastSuccessAt > windowStart ? lastSuccessAt : windowStart;
+
+  const account = await getFailureStats({ identifier: normalized }, accountSince);
+  const ip = req.ip
+    ? await getFailureStats({ ipAddress: req.ip }, windowStart)
+    : { failures: 0, lastFailureAt: null };
+
+  const waitSeconds = Math.max(
+    getWaitSeconds(account.failures, account.lastFailureAt, LOGIN_PROTECTION.LOCKOUT_THRESHOLD),
+    getWaitSeconds(ip.failures, ip.lastFailureAt, LOGIN_PROTECTION.IP_LOCKOUT_THRESHOLD)
+  );
+
+  if (waitSeconds > 0) {
+    await LoginAttempt.create({
+      identifier: normalized,
+      method,
+      success: false,
+      failureReason: THROTTLED,
+      ...getRequestContext(req),
+    });
+
+    logger.warn("Sign-in throttled", {
+      identifier: normalized,
+      ipAddress: req.ip,
+      accountFailures: account.failures,
+      ipFailures: ip.failures,
+      waitSeconds,
+    });
+
+    throw new TooManyRequestsError(MESSAGES.ERROR.LOGIN_THROTTLED(waitSeconds), waitSeconds);
+  }
+};
+
+/**
+ * Whether a successful sign-in comes from a device/network the user has not used before
+ */
+const isUnfamiliarSignin = async (userId, context) => {
+  const previous = await LoginAttempt.findAll({
+    where: { userId, success: true },
+    attributes: ["ipAddress", "userAgent"],
+    order: [["createdAt", "DESC"]],
+    limit: LOGIN_PROTECTION.KNOWN_DEVICE_LOOKBACK,
+    raw: true,
+  });
+
+  // First sign-in we know about: nothing to compare against
+  if (previous.length === 0) {
+    return false;
+  }
+
+  const knownIp = previous.some((attempt) => attempt.ipAddress === context.ipAddress);
+  const knownAgent = previous.some((attempt) => attempt.userAgent === context.userAgent);
+
+  return !knownIp && !knownAgent;
+};
+
+/**
+ * Record a sign-in attempt; successful unfamiliar sign-ins trigger an alert email
+ * Never throws, so auditing cannot break sign-in.
+ * @param {object} req - Express request
+ * @param {object} attempt
+ * @param {string} attempt.identifier - Email (or phone) used
+ * @param {object} [attempt.user] - User instance, when known
+ * @param {boolean} attempt.success
+ * @param {string} [attempt.method="password"]
+ * @param {string} [attempt.failureReason]
+ */
+const recordLoginAttempt = async (req, { identifier, user, success, method = "password", failureReason = null }) => {
+  try {
+    const context = getRequestContext(req);
+    const suspicious = success && user ? await isUnfamiliarSignin(user.uid, context) : false;
+
+    await LoginAttempt.create({
+      userId: user?.uid || null,
+      identifier: normalizeIdentifier(identifier),
+      method,
+      success,
+      failureReason: success ? null : failureReason,
+      suspicious,
+      ...context,
+    });
+
+    if (suspicious && user.email) {
+      logger.warn("Sign-in from unfamiliar device", { userId: user.uid, ipAddress: context.ipAddress });
+
+      sendSuspiciousSigninEmail(
+        user.email,
+        {
+          time: new Date(),
+          ipAddress: context.ipAddress,
+          device: context.deviceName || context.platform || context.userAgent,
+        },
+        user.firstName || "User"
+      ).catch((error) => {
+        logger.error("Sign-in alert email error", { userId: user.uid, error: error.message });
+      });
+    }
+  } catch (error) {
+    logger.error("Failed to record sign-in attempt", { error: error.message });
+  }
+};
+
+/**
+ * Recent sign-in activity for a user (newest first)
+ * @param {string} userId
+ * @param {number} [limit=20]
+ */
+const getSigninActivity = (userId, limit = 20) =>
+  LoginAttempt.findAll({
+    where: { userId },
+    attributes: [
+      "id",
+      "method",
+      "success",
+      "failureReason",
+      "suspicious",
+      "ipAddress",
+      "userAgent",
+      "deviceName",
+      "platform",
+      "createdAt",
+    ],
+    order: [["createdAt", "DESC"]],
+    limit,
+  });
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginAttempt,
+  getSigninActivity,
+};
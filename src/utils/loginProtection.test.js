@@ -0,0 +1,87 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const email = require("./email");
+
+// Replaced before loginProtection takes its reference, so no email is sent
+email.sendSuspiciousSigninEmail = mock.fn(async () => true);
+
+const { assertLoginAllowed, recordLoginAttempt } = require("./loginProtection");
+const { LOGIN_PROTECTION } = require("./constants");
+
+const req = { ip: "10.0.0.1", headers: { "user-agent": "node-test" }, body: {} };
+
+/**
+ * Stub the failure counts per account and per IP, the last failure being just now
+ */
+const stubFailures = ({ account = 0, ip = 0 }) => {
+  mock.method(db.LoginAttempt, "count", async ({ where }) => (where.identifier ? account : ip));
+  mock.method(db.LoginAttempt, "max", async (field, { where }) => (where.success ? null : new Date()));
+  return mock.method(db.LoginAttempt, "create", async (values) => values);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("assertLoginAllowed", () => {
+  it("allows the first few failures", async () => {
+    stubFailures({ account: LOGIN_PROTECTION.FREE_ATTEMPTS - 1 });
+
+    await assertLoginAllowed("User@Example.com", req);
+  });
+
+  it("backs off once the free attempts are used and records the throttled attempt", async () => {
+    const create = stubFailures({ account: LOGIN_PROTECTION.FREE_ATTEMPTS + 1 });
+
+    await assert.rejects(assertLoginAllowed("User@Example.com", req), (error) => {
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.retryAfterSeconds, LOGIN_PROTECTION.BASE_DELAY_SECONDS * 2);
+      return true;
+    });
+    const recorded = create.mock.calls[0].arguments[0];
+    assert.equal(recorded.identifier, "user@example.com");
+    assert.equal(recorded.failureReason, "throttled");
+  });
+
+  it("locks out an IP spraying many accounts", async () => {
+    stubFailures({ ip: LOGIN_PROTECTION.IP_LOCKOUT_THRESHOLD });
+
+    await assert.rejects(assertLoginAllowed("someone@example.com", req), (error) => {
+      assert.equal(error.retryAfterSeconds, LOGIN_PROTECTION.LOCKOUT_MINUTES * 60);
+      return true;
+    });
+  });
+});
+
+describe("recordLoginAttempt", () => {
+  const user = { uid: "user-1", email: "user@example.com" };
+
+  it("flags and emails a sign-in from an unfamiliar device and network", async () => {
+    mock.method(db.LoginAttempt, "findAll", async () => [{ ipAddress: "192.168.1.1", userAgent: "other" }]);
+    const create = mock.method(db.LoginAttempt, "create", async (values) => values);
+
+    await recordLoginAttempt(req, { identifier: user.email, user, success: true });
+
+    assert.equal(create.mock.calls[0].arguments[0].suspicious, true);
+    assert.equal(email.sendSuspiciousSigninEmail.mock.calls.at(-1).arguments[0], user.email);
+  });
+
+  it("does not flag a known device or the first sign-in", async () => {
+    const create = mock.method(db.LoginAttempt, "create", async (values) => values);
+
+    mock.method(db.LoginAttempt, "findAll", async () => [{ ipAddress: "192.168.1.1", userAgent: "node-test" }]);
+    await recordLoginAttempt(req, { identifier: user.email, user, success: true });
+    mock.method(db.LoginAttempt, "findAll", async () => []);
+    await recordLoginAttempt(req, { identifier: user.email, user, success: true });
+
+    assert.deepEqual(create.mock.calls.map((call) => call.arguments[0].suspicious), [false, false]);
+  });
+
+  it("never throws when the audit write fails", async () => {
+    mock.method(db.LoginAttempt, "create", async () => {
+      throw new Error("database unavailable");
+    });
+
+    await recordLoginAttempt(req, { identifier: user.email, success: false, failureReason: "wrong_password" });
+  });
+});
@@ -0,0 +1,463 @@
+/**
+ * Project Milestones
+ * `project_milestones` rows are the source of truth. Project.milestones keeps
+ * an embedded copy in the shape older mobile builds read and write
+ * ({ percent, amount, dueDate, deliverable }), refreshed after every change.
+ * For paymentStructure "multiple", milestone amounts must reconcile with
+ * projectAmount.
+ */
+
+const db = require("../models");
+const { ValidationError, NotFoundError, BadRequestError } = require("../middlewares/errorHandler");
+const { MESSAGES, MILESTONE_STATUS, MILESTONE_AMOUNT_TOLERANCE } = require("./constants");
+
+const { Op } = db.Sequelize;
+const ProjectMilestone = db.ProjectMilestone;
+
+const STATUSES = Object.values(MILESTONE_STATUS);
+
+// Fields a paid milestone keeps as they were when it was paid
+const PAID_LOCKED_FIELDS = ["title", "amount", "dueDate", "deliverables"];
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const isNumber = (value) => value !== "" && value !== null && !isNaN(Number(value)) && Number(value) >= 0;
+
+/**
+ * Validate a milestone payload (accepts the legacy `deliverable` as the title)
+ * @param {object} input - Request payload
+ * @param {object} terms - { projectAmount } used to derive amount/percent
+ * @param {object} [existing] - Milestone being updated
+ * @returns {object} Column values to write
+ */
+const parseMilestone = (input = {}, terms = {}, existing = null) => {
+  const errors = [];
+  const fields = {};
+  const projectAmount = Number(terms.projectAmount) || 0;
+
+  const title = input.title !== undefined ? input.title : input.deliverable;
+  if (title !== undefined && title !== null) {
+    fields.title = String(title).trim();
+  }
+  if (!existing && !fields.title) {
+    errors.push({ field: "title", message: MESSAGES.ERROR.REQUIRED("title") });
+  }
+
+  if (input.percent !== undefined && input.percent !== null) {
+    if (!isNumber(input.percent) || Number(input.percent) > 100) {
+      errors.push({ field: "percent", message: "percent must be between 0 and 100" });
+    } else {
+      fields.percent = round(input.percent);
+    }
+  }
+
+  if (input.amount !== undefined && input.amount !== null) {
+    if (!isNumber(input.amount)) {
+      errors.push({ field: "amount", message: MESSAGES.ERROR.MILESTONE_AMOUNT_INVALID });
+    } else {
+      fields.amount = round(input.amount);
+    }
+  } else if (fields.percent !== undefined && projectAmount) {
+    fields.amount = round((projectAmount * fields.percent) / 100);
+  } else if (!existing) {
+    errors.push({ field: "amount", message: MESSAGES.ERROR.REQUIRED("amount") });
+  }
+
+  if (fields.amount !== undefined && fields.percent === undefined && projectAmount) {
+    fields.percent = round((fields.amount / projectAmount) * 100);
+  }
+
+  if (input.dueDate !== undefined) {
+    const dueDate = input.dueDate ? new Date(input.dueDate) : null;
+    if (dueDate && isNaN(dueDate.getTime())) {
+      errors.push({ field: "dueDate", message: "dueDate must be a valid date" });
+    } else {
+      fields.dueDate = dueDate;
+    }
+  }
+
+  if (input.deliverables !== undefined) {
+    const deliverables = [].concat(input.deliverables || []);
+    if (deliverables.some((item) => typeof item !== "string")) {
+      errors.push({ field: "deliverables", message: "deliverables must be a list of strings" });
+    } else {
+      fields.deliverables = deliverables.map((item) => item.trim()).filter(Boolean);
+    }
+  }
+
+  if (input.status !== undefined) {
+    if (!STATUSES.includes(input.status)) {
+      errors.push({ field: "status", message: MESSAGES.ERROR.MILESTONE_STATUS_INVALID(STATUSES) });
+    } else {
+      fields.status = input.status;
+    }
+  }
+
+  const status = fields.status || existing?.status || MILESTONE_STATUS.PENDING;
+  if (status === MILESTONE_STATUS.PAID) {
+    const paidAt = input.paidAt ? new Date(input.paidAt) : null;
+    fields.paidAt = paidAt && !isNaN(paidAt.getTime()) ? paidAt : existing?.paidAt || new Date();
+  } else if (fields.status) {
+    fields.paidAt = null;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return fields;
+};
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+  return String(a ?? "") === String(b ?? "");
+};
+
+/**
+ * Reject edits to a paid milestone's terms
+ */
+const assertEditable = (milestone, fields) => {
+  if (milestone.status !== MILESTONE_STATUS.PAID) return;
+
+  const changed = PAID_LOCKED_FIELDS.filter(
+    (field) =>
+      fields[field] !== undefined &&
+      !sameValue(field === "amount" ? round(milestone.amount) : milestone[field], fields[field])
+  );
+
+  if (changed.length > 0) {
+    throw new BadRequestError(MESSAGES.ERROR.MILESTONE_PAID_LOCKED);
+  }
+};
+
+/**
+ * How milestone amounts compare with projectAmount
+ * @param {object} terms - { paymentStructure, projectAmount }
+ * @param {object[]} milestones - Rows or parsed values with `amount`
+ */
+const getReconciliation = (terms, milestones) => {
+  const projectAmount =
+    terms.projectAmount === null || terms.projectAmount === undefined ? null : round(terms.projectAmount);
+  const allocated = round(milestones.reduce((sum, milestone) => sum + Number(milestone.amount || 0), 0));
+  const applies = terms.paymentStructure === "multiple" && projectAmount > 0;
+
+  return {
+    applies,
+    projectAmount,
+    allocated,
+    unallocated: projectAmount === null ? null : round(projectAmount - allocated),
+    reconciled: !applies || Math.abs(projectAmount - allocated) <= MILESTONE_AMOUNT_TOLERANCE,
+  };
+};
+
+/**
+ * Throw when milestones exceed projectAmount (or, with `exact`, don't add up to it)
+ */
+const assertReconciled = (terms, milestones, { exact = false } = {}) => {
+  const { applies, projectAmount, allocated } = getReconciliation(terms, milestones);
+
+  if (!applies) return;
+
+  if (allocated - projectAmount > MILESTONE_AMOUNT_TOLERANCE) {
+    throw new ValidationError(MESSAGES.ERROR.MILESTONES_EXCEED_AMOUNT(allocated, projectAmount), [
+      { field: "milestones", message: MESSAGES.ERROR.MILESTONES_EXCEED_AMOUNT(allocated, projectAmount) },
+    ]);
+  }
+
+  if (exact && Math.abs(projectAmount - allocated) > MILESTONE_AMOUNT_TOLERANCE) {
+    throw new ValidationError(MESSAGES.ERROR.MILESTONES_NOT_RECONCILED(allocated, projectAmount), [
+      { field: "milestones", message: MESSAGES.ERROR.MILESTONES_NOT_RECONCILED(allocated, projectAmount) },
+    ]);
+  }
+};
+
+/**
+ * Check a project's milestone rows against its (possibly just changed) terms
+ * @param {object} project - Project instance with the new projectAmount/paymentStructure
+ * @param {object} [options] - { transaction }
+ */
+const assertMilestoneTotals = async (project, { transaction } = {}) => {
+  const milestones = await listMilestones(project.pid, {}, { transaction });
+  assertReconciled(project, milestones, { exact: true });
+};
+
+/**
+ * Milestones embedded in Project.milestones (drafts keep theirs there until
+ * finished) as milestone payloads; older routes saved them as a JSON string,
+ * sometimes without a title
+ * @param {*} value - Project.milestones
+ * @returns {object[]}
+ */
+const readEmbedded = (value) => {
+  let items = value;
+
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return [];
+    }
+  }
+
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .filter((item) => item && typeof item === "object")
+    .map((item, index) => ({ ...item, title: item.title || item.deliverable || `Milestone ${index + 1}` }));
+};
+
+/**
+ * Embedded shape returned in project payloads (legacy keys plus the new ones)
+ * @param {object} milestone - ProjectMilestone row
+ */
+const toEmbedded = (milestone) => ({
+  id: milestone.id,
+  title: milestone.title,
+  deliverable: milestone.title,
+  percent: milestone.percent === null ? null : Number(milestone.percent),
+  amount: Number(milestone.amount),
+  dueDate: milestone.dueDate,
+  status: milestone.status,
+  deliverables: milestone.deliverables || [],
+  paidAt: milestone.paidAt,
+});
+
+/**
+ * Milestones for a project in display order
+ * @param {string} projectId
+ * @param {object} [filters] - { status, overdue }
+ * @param {object} [options] - { transaction }
+ */
+const listMilestones = (projectId, { status, overdue } = {}, { transaction } = {}) => {
+  const where = { projectId };
+
+  if (status) where.status = status;
+  if (overdue) {
+    where.status = { [Op.ne]: MILESTONE_STATUS.PAID };
+    where.dueDate = { [Op.lt]: new Date() };
+  }
+
+  return ProjectMilestone.findAll({
+    where,
+    order: [
+      ["position", "ASC"],
+      ["dueDate", "ASC"],
+    ],
+    transaction,
+  });
+};
+
+/**
+ * Rewrite Project.milestones from the table
+ */
+const refreshEmbedded = async (project, transaction) => {
+  const milestones = await listMilestones(project.pid, {}, { transaction });
+  await project.update({ milestones: milestones.map(toEmbedded) }, { transaction });
+  return milestones;
+};
+
+const findMilestone = async (project, milestoneId, transaction) => {
+  const milestone = await ProjectMilestone.findOne({
+    where: { id: milestoneId, projectId: project.pid },
+    transaction,
+  });
+
+  if (!milestone) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Milestone"));
+  }
+
+  return milestone;
+};
+
+/**
+ * Add a milestone
+ * @param {object} project - Project instance
+ * @param {object} input - Milestone payload
+ */
+const createMilestone = (project, input) =>
+  db.sequelize.transaction(async (transaction) => {
+    const fields = parseMilestone(input, project);
+    const existing = await listMilestones(project.pid, {}, { transaction });
+
+    assertReconciled(project, [...existing, fields]);
+
+    const milestone = await ProjectMilestone.create(
+      {
+        ...fields,
+        projectId: project.pid,
+        position: existing.length,
+      },
+      { transaction }
+    );
+
+    await refreshEmbedded(project, transaction);
+    return milestone;
+  });
+
+/**
+ * Update a milestone
+ * @param {object} project - Project instance
+ * @param {string} milestoneId
+ * @param {object} input - Fields to change
+ */
+const updateMilestone = (project, milestoneId, input) =>
+  db.sequelize.transaction(async (transaction) => {
+    const milestone = await findMilestone(project, milestoneId, transaction);
+    const fields = parseMilestone(input, project, milestone);
+
+    assertEditable(milestone, fields);
+
+    const existing = await listMilestones(project.pid, {}, { transaction });
+    assertReconciled(
+      project,
+      existing.map((item) => (item.id === milestone.id ? { ...item.get(), ...fields } : item))
+    );
+
+    await milestone.update(fields, { transaction });
+    await refreshEmbedded(project, transaction);
+    return milestone;
+  });
+
+/**
+ * Remove a milestone (paid milestones stay)
+ * @param {object} project - Project instance
+ * @param {string} milestoneId
+ */
+const deleteMilestone = (project, milestoneId) =>
+  db.sequelize.transaction(async (transaction) => {
+    const milestone = await findMilestone(project, milestoneId, transaction);
+
+    if (milestone.status === MILESTONE_STATUS.PAID) {
+      throw new BadRequestError(MESSAGES.ERROR.MILESTONE_PAID_LOCKED);
+    }
+
+    await milestone.destroy({ force: true, transaction });
+    await refreshEmbedded(project, transaction);
+  });
+
+/**
+ * Mark a milestone paid once its payments cover it, or reopen it when they no
+ * longer do (e.g. a payment was deleted)
+ * @param {object} project - Project instance
+ * @param {string} milestoneId
+ * @param {object} [options] - { transaction }
+ */
+const settleMilestone = async (project, milestoneId, { transaction } = {}) => {
+  const milestone = await findMilestone(project, milestoneId, transaction);
+  const [received, lastPaidAt] = await Promise.all([
+    db.Payment.sum("amount", { where: { milestoneId }, transaction }),
+    db.Payment.max("paidAt", { where: { milestoneId }, transaction }),
+  ]);
+
+  const covered = round(received || 0) + MILESTONE_AMOUNT_TOLERANCE >= round(milestone.amount);
+  const isPaid = milestone.status === MILESTONE_STATUS.PAID;
+
+  if (covered && !isPaid) {
+    await milestone.update({ status: MILESTONE_STATUS.PAID, paidAt: lastPaidAt }, { transaction });
+  } else if (!covered && isPaid) {
+    await milestone.update({ status: MILESTONE_STATUS.DELIVERED, paidAt: null }, { transaction });
+  } else {
+    return milestone;
+  }
+
+  await refreshEmbedded(project, transaction);
+  return milestone;
+};
+
+/**
+ * Validate a full milestone list before anything is written
+ * @param {object} terms - { paymentStructure, projectAmount } the project will have
+ * @param {object[]} items - Milestone payloads
+ * @param {object} [options]
+ * @param {boolean} [options.exact=false] - Amounts must add up to projectAmount
+ */
+const validateMilestoneList = (terms, items, { exact = false } = {}) => {
+  if (!Array.isArray(items)) {
+    throw new BadRequestError("milestones must be an array");
+  }
+
+  assertReconciled(
+    terms,
+    items.map((item) => parseMilestone(item, terms)),
+    { exact }
+  );
+};
+
+/**
+ * Replace a project's milestones with a full list
+ * Items with a known `id` update that milestone, others are created, and
+ * milestones left out are removed unless already paid.
+ * @param {object} project - Project instance
+ * @param {object[]} items - Milestone payloads in display order
+ * @param {object} [options]
+ * @param {boolean} [options.exact=false] - Amounts must add up to projectAmount
+ * @param {boolean} [options.reconcile=true] - Check amounts at all (off for the legacy migration)
+ */
+const replaceMilestones = (project, items, { exact = false, reconcile = true } = {}) =>
+  db.sequelize.transaction(async (transaction) => {
+    if (!Array.isArray(items)) {
+      throw new BadRequestError("milestones must be an array");
+    }
+
+    const existing = await listMilestones(project.pid, {}, { transaction });
+    const byId = new Map(existing.map((milestone) => [milestone.id, milestone]));
+
+    const planned = items.map((item, position) => {
+      const current = item?.id ? byId.get(item.id) : null;
+      const fields = parseMilestone(item, project, current);
+
+      if (current) assertEditable(current, fields);
+
+      return { current, fields: { ...fields, position } };
+    });
+
+    const keptIds = new Set(planned.filter(({ current }) => current).map(({ current }) => current.id));
+    const removed = existing.filter((milestone) => !keptIds.has(milestone.id));
+    const keptPaid = removed.filter((milestone) => milestone.status === MILESTONE_STATUS.PAID);
+
+    if (reconcile) {
+      assertReconciled(
+        project,
+        [...planned.map(({ current, fields }) => ({ ...current?.get(), ...fields })), ...keptPaid],
+        { exact }
+      );
+    }
+
+    for (const { current, fields } of planned) {
+      if (current) {
+        await current.update(fields, { transaction });
+      } else {
+        await ProjectMilestone.create({ ...fields, projectId: project.pid }, { transaction });
+      }
+    }
+
+    for (const milestone of removed) {
+      if (milestone.status === MILESTONE_STATUS.PAID) {
+        await milestone.update({ position: planned.length }, { transaction });
+      } else {
+        await milestone.destroy({ force: true, transaction });
+      }
+    }
+
+    return refreshEmbedded(project, transaction);
+  });
+
+module.exports = {
+  parseMilestone,
+  getReconciliation,
+  assertMilestoneTotals,
+  readEmbedded,
+  toEmbedded,
+  listMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  settleMilestone,
+  validateMilestoneList,
+  replaceMilestones,
+};
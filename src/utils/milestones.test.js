@@ -0,0 +1,120 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const {
+  parseMilestone,
+  assertMilestoneTotals,
+  readEmbedded,
+  validateMilestoneList,
+  replaceMilestones,
+} = require("./milestones");
+const { MILESTONE_STATUS } = require("./constants");
+
+const terms = { paymentStructure: "multiple", projectAmount: 1000 };
+
+const makeProject = (values = {}) => {
+  const project = { pid: "p1", ...terms, ...values };
+  project.update = async (changes) => Object.assign(project, changes);
+  return project;
+};
+
+const makeMilestone = (values) => {
+  const milestone = db.ProjectMilestone.build({ projectId: "p1", status: MILESTONE_STATUS.PENDING, ...values });
+  mock.method(milestone, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  mock.method(milestone, "destroy", async () => {});
+  return milestone;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("parseMilestone", () => {
+  it("derives the amount from a percent of projectAmount, and the other way round", () => {
+    assert.equal(parseMilestone({ title: "Deposit", percent: 25 }, terms).amount, 250);
+    assert.equal(parseMilestone({ deliverable: "Final", amount: 750 }, terms).percent, 75);
+  });
+
+  it("lists every invalid field", () => {
+    assert.throws(
+      () => parseMilestone({ percent: 120, status: "done" }, terms),
+      (error) => {
+        assert.deepEqual(error.errors.map(({ field }) => field).sort(), ["amount", "percent", "status", "title"]);
+        return true;
+      }
+    );
+  });
+});
+
+describe("validateMilestoneList", () => {
+  it("rejects milestones adding up to more than projectAmount", () => {
+    assert.throws(() => validateMilestoneList(terms, [{ title: "A", amount: 600 }, { title: "B", amount: 500 }]), {
+      statusCode: 400,
+    });
+  });
+
+  it("requires an exact total only when asked to", () => {
+    const items = [{ title: "A", amount: 600 }];
+
+    validateMilestoneList(terms, items);
+    assert.throws(() => validateMilestoneList(terms, items, { exact: true }), { statusCode: 400 });
+    validateMilestoneList(terms, [...items, { title: "B", percent: 40 }], { exact: true });
+  });
+
+  it("does not reconcile other payment structures", () => {
+    validateMilestoneList({ paymentStructure: "single", projectAmount: 100 }, [{ title: "A", amount: 500 }], {
+      exact: true,
+    });
+  });
+});
+
+describe("readEmbedded", () => {
+  it("reads the JSON string older routes saved and fills in missing titles", () => {
+    assert.deepEqual(readEmbedded('[{"deliverable":"Sketches","amount":100},{"amount":50},null]'), [
+      { deliverable: "Sketches", amount: 100, title: "Sketches" },
+      { amount: 50, title: "Milestone 2" },
+    ]);
+    assert.deepEqual(readEmbedded("not json"), []);
+  });
+});
+
+describe("assertMilestoneTotals", () => {
+  it("fails when a new projectAmount no longer matches the saved milestones", async () => {
+    mock.method(db.ProjectMilestone, "findAll", async () => [{ amount: 600 }, { amount: 400 }]);
+
+    await assertMilestoneTotals(makeProject());
+    await assert.rejects(assertMilestoneTotals(makeProject({ projectAmount: 1200 })), { statusCode: 400 });
+  });
+});
+
+describe("replaceMilestones", () => {
+  it("keeps paid milestones, counts them in the total and hard deletes the rest", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    const paid = makeMilestone({ id: "m1", title: "Deposit", amount: 300, status: MILESTONE_STATUS.PAID });
+    const pending = makeMilestone({ id: "m2", title: "Design", amount: 700 });
+    mock.method(db.ProjectMilestone, "findAll", async () => [paid, pending]);
+    const create = mock.method(db.ProjectMilestone, "create", async (values) => values);
+
+    await assert.rejects(replaceMilestones(makeProject(), [{ title: "Everything", amount: 1000 }]), {
+      statusCode: 400,
+    });
+
+    await replaceMilestones(makeProject(), [{ title: "Final", amount: 700 }], { exact: true });
+
+    assert.equal(create.mock.calls[0].arguments[0].amount, 700);
+    assert.equal(paid.destroy.mock.callCount(), 0);
+    assert.equal(pending.destroy.mock.calls[0].arguments[0].force, true);
+  });
+
+  it("refuses to change a paid milestone's amount", async () => {
+    mock.method(db.sequelize, "transaction", async (work) => work({}));
+    const paid = makeMilestone({ id: "m1", title: "Deposit", amount: 300, status: MILESTONE_STATUS.PAID });
+    mock.method(db.ProjectMilestone, "findAll", async () => [paid]);
+
+    await assert.rejects(replaceMilestones(makeProject(), [{ id: "m1", title: "Deposit", amount: 400 }]), {
+      statusCode: 400,
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * OTP Service
+ * Issues and verifies one-time codes sent by SMS. Codes are stored as an
+ * HMAC with an expiry, an attempt counter and resend throttling. A verified
+ * code is exchanged for a short-lived "phone verified" proof token.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../models");
+const logger = require("./logger");
+const { getSmsProvider } = require("./sms");
+const {
+  BadRequestError,
+  TooManyRequestsError,
+} = require("../middlewares/errorHandler");
+const { MESSAGES, OTP } = require("./constants");
+
+const Otp = db.Otp;
+
+const PROOF_TOKEN_TYPE = "phone_proof";
+
+const hashCode = (phone, purpose, code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest("hex");
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** OTP.LENGTH)).padStart(OTP.LENGTH, "0");
+
+/**
+ * Generate, store and send a new code for a phone number
+ * @param {string} phone - Recipient phone
+ * @param {string} [purpose="signup"] - What the code is for
+ * @returns {Promise<{ expiresAt: Date, resendAvailableAt: Date }>}
+ */
+const issueOtp = async (phone, purpose = "signup") => {
+  const now = new Date();
+  let record = await Otp.findOne({ where: { phone, purpose } });
+
+  if (record?.lastSentAt) {
+    const cooldownEndsAt = new Date(record.lastSentAt.getTime() + OTP.RESEND_COOLDOWN_SECONDS * 1000);
+    if (cooldownEndsAt > now) {
+      const retryAfter = Math.ceil((cooldownEndsAt - now) / 1000);
+      throw new TooManyRequestsError(`Please wait ${retryAfter} seconds before requesting a new code`, retryAfter);
+    }
+  }
+
+  // Hourly send cap per phone number
+  const windowExpired =
+    !record?.sendWindowStartedAt || now - record.sendWindowStartedAt >= 60 * 60 * 1000;
+  const sendCount = windowExpired ? 0 : record.sendCount;
+
+  if (sendCount >= OTP.MAX_SENDS_PER_HOUR) {
+    const retryAfter = Math.ceil(
+      (record.sendWindowStartedAt.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000
+    );
+    throw new TooManyRequestsError("Too many codes requested. Please try again later", retryAfter);
+  }
+
+  const code = generateCode();
+  const provider = getSmsProvider();
+
+  const values = {
+    codeHash: hashCode(phone, purpose, code),
+    expiresAt: new Date(now.getTime() + OTP.EXPIRY_MINUTES * 60 * 1000),
+    attempts: 0,
+    sendCount: sendCount + 1,
+    sendWindowStartedAt: windowExpired ? now : record.sendWindowStartedAt,
+    lastSentAt: now,
+    provider: provider.name,
+    consumedAt: null,
+  };
+
+  if (record) {
+    await record.update(values);
+  } else {
+    record = await Otp.create({ phone, purpose, ...values });
+  }
+
+  try {
+    await provider.sendOtp({ to: phone, code, purpose });
+    logger.info("OTP sent successfully", { phone, purpose, provider: provider.name });
+  } catch (error) {
+    logger.error("Failed to send OTP", { phone, provider: provider.name, error: error.message });
+    throw new BadRequestError("Could not send verification code. Please try again");
+  }
+
+  return {
+    expiresAt: record.expiresAt,
+    resendAvailableAt: new Date(now.getTime() + OTP.RESEND_COOLDOWN_SECONDS * 1000),
+  };
+};
+
+/**
+ * Verify a code and return a phone-verified proof token
+ * @param {string} phone - Phone the code was sent to
+ * @param {string} code - Code entered by the user
+ * @param {string} [purpose="signup"] - What the code is for
+ * @returns {Promise<string>} Signed proof token
+ */
+const verifyOtp = async (phone, code, purpose = "signup") => {
+  const record = await Otp.findOne({ where: { phone, purpose, consumedAt: null } });
+
+  if (!record) {
+    throw new BadRequestError(MESSAGES.ERROR.OTP_INVALID);
+  }
+
+  if (record.attempts >= OTP.MAX_ATTEMPTS) {
+    throw new TooManyRequestsError(MESSAGES.ERROR.OTP_TOO_MANY_ATTEMPTS);
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw new BadRequestError(MESSAGES.ERROR.OTP_EXPIRED);
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashCode(phone, purpose, String(code)), "hex");
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await record.increment("attempts");
+    logger.warn("OTP verification failed", { phone, purpose, attempts: record.attempts + 1 });
+    throw new BadRequestError(MESSAGES.ERROR.OTP_INVALID);
+  }
+
+  await record.update({ consumedAt: new Date() });
+  logger.info("OTP verified", { phone, purpose });
+
+  return issuePhoneProof(phone);
+};
+
+/**
+ * Sign a short-lived proof that a phone number has been verified
+ * Also used after Firebase phone auth, which verifies the number itself.
+ * @param {string} phone - Verified phone number
+ */
+const issuePhoneProof = (phone) =>
+  jwt.sign({ type: PROOF_TOKEN_TYPE, phone }, process.env.JWT_SECRET, {
+    expiresIn: OTP.PROOF_EXPIRY,
+  });
+
+/**
+ * Check a proof token against the phone number being registered
+ * @param {string} token - Proof token from /user/verify-otp
+ * @param {string} phone - Phone number on the signup request
+ * @returns {boolean}
+ */
+const isPhoneProofValid = (token, phone) => {
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === PROOF_TOKEN_TYPE && decoded.phone === phone;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  issueOtp,
+  verifyOtp,
+  issuePhoneProof,
+  isPhoneProofValid,
+};
@@ -0,0 +1,98 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const localProvider = require("./sms/local.provider");
+const { issueOtp, verifyOtp, issuePhoneProof, isPhoneProofValid } = require("./otp");
+const { OTP } = require("./constants");
+
+const phone = "+96891234567";
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Issue a code against an in-memory Otp row and return the code sent and the row
+ */
+const issue = async () => {
+  let record = null;
+  mock.method(db.Otp, "findOne", async () => record);
+  mock.method(db.Otp, "create", async (values) => {
+    record = { ...values, update: async (changes) => Object.assign(record, changes) };
+    record.increment = async (field) => {
+      record[field] += 1;
+    };
+    return record;
+  });
+  const send = mock.method(localProvider, "sendOtp", async () => {});
+
+  await issueOtp(phone);
+  return { code: send.mock.calls[0].arguments[0].code, record };
+};
+
+describe("issueOtp", () => {
+  it("stores a hash of the code rather than the code itself", async () => {
+    const { code, record } = await issue();
+
+    assert.equal(code.length, OTP.LENGTH);
+    assert.notEqual(record.codeHash, code);
+    assert.equal(record.sendCount, 1);
+  });
+
+  it("refuses a resend during the cooldown", async () => {
+    mock.method(db.Otp, "findOne", async () => ({ lastSentAt: new Date() }));
+
+    await assert.rejects(issueOtp(phone), { statusCode: 429 });
+  });
+
+  it("caps the codes sent to a number per hour", async () => {
+    mock.method(db.Otp, "findOne", async () => ({
+      lastSentAt: new Date(Date.now() - 10 * 60 * 1000),
+      sendWindowStartedAt: new Date(Date.now() - 20 * 60 * 1000),
+      sendCount: OTP.MAX_SENDS_PER_HOUR,
+    }));
+
+    await assert.rejects(issueOtp(phone), { statusCode: 429 });
+  });
+});
+
+describe("verifyOtp", () => {
+  it("exchanges the right code for a proof bound to the phone and consumes it", async () => {
+    const { code, record } = await issue();
+
+    const proof = await verifyOtp(phone, code);
+
+    assert.ok(record.consumedAt);
+    assert.equal(isPhoneProofValid(proof, phone), true);
+    assert.equal(isPhoneProofValid(proof, "+96899999999"), false);
+  });
+
+  it("counts wrong codes and locks out after too many attempts", async () => {
+    const { code, record } = await issue();
+    const wrong = code === "0000" ? "1111" : "0000";
+
+    await assert.rejects(verifyOtp(phone, wrong), { statusCode: 400 });
+    assert.equal(record.attempts, 1);
+
+    record.attempts = OTP.MAX_ATTEMPTS;
+    await assert.rejects(verifyOtp(phone, code), { statusCode: 429 });
+  });
+
+  it("rejects an expired code", async () => {
+    const { code, record } = await issue();
+    record.expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(verifyOtp(phone, code), { statusCode: 400 });
+  });
+});
+
+describe("isPhoneProofValid", () => {
+  it("does not accept other tokens signed with the same secret", () => {
+    const accessToken = jwt.sign({ uid: "user-1", phone }, process.env.JWT_SECRET);
+
+    assert.equal(isPhoneProofValid(accessToken, phone), false);
+    assert.equal(isPhoneProofValid(issuePhoneProof(phone), phone), true);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Password Policy
+ * Length and character-class rules (PASSWORD_POLICY), a local list of
+ * breached passwords and a history check that blocks reusing recent
+ * passwords. Every password change goes through setPassword, which also
+ * keeps the linked Firebase user's password in sync.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const logger = require("./logger");
+const { initFirebaseAdmin } = require("./firebase");
+const { ValidationError } = require("../middlewares/errorHandler");
+const { MESSAGES, PASSWORD_POLICY } = require("./constants");
+
+const BREACHED_LIST_FILE =
+  process.env.BREACHED_PASSWORDS_FILE || path.join(__dirname, "../config/breached-passwords.txt");
+
+let breachedPasswords = null;
+
+/**
+ * Lazily load the breached-password list (one per line, "#" comments)
+ * A missing file disables the check rather than blocking every password.
+ */
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    try {
+      breachedPasswords = new Set(
+        fs
+          .readFileSync(BREACHED_LIST_FILE, "utf8")
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith("#"))
+      );
+    } catch (error) {
+      logger.warn("Breached password list not loaded", { file: BREACHED_LIST_FILE, error: error.message });
+      breachedPasswords = new Set();
+    }
+  }
+
+  return breachedPasswords;
+};
+
+/**
+ * Every policy rule the password breaks
+ * @param {string} password
+ * @returns {string[]} Error messages (empty when the password is acceptable)
+ */
+const getPasswordErrors = (password) => {
+  if (typeof password !== "string" || password.length === 0) {
+    return [MESSAGES.ERROR.REQUIRED("Password")];
+  }
+
+  const errors = [];
+
+  if (password.length < PASSWORD_POLICY.MIN_LENGTH) {
+    errors.push(MESSAGES.ERROR.PASSWORD_TOO_SHORT(PASSWORD_POLICY.MIN_LENGTH));
+  }
+  if (password.length > PASSWORD_POLICY.MAX_LENGTH) {
+    errors.push(MESSAGES.ERROR.PASSWORD_TOO_LONG(PASSWORD_POLICY.MAX_LENGTH));
+  }
+  if (PASSWORD_POLICY.REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+    errors.push(MESSAGES.ERROR.PASSWORD_NEEDS_LOWERCASE);
+  }
+  if (PASSWORD_POLICY.REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+    errors.push(MESSAGES.ERROR.PASSWORD_NEEDS_UPPERCASE);
+  }
+  if (PASSWORD_POLICY.REQUIRE_NUMBER && !/\d/.test(password)) {
+    errors.push(MESSAGES.ERROR.PASSWORD_NEEDS_NUMBER);
+  }
+  if (PASSWORD_POLICY.REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push(MESSAGES.ERROR.PASSWORD_NEEDS_SYMBOL);
+  }
+  if (getBreachedPasswords().has(password.toLowerCase())) {
+    errors.push(MESSAGES.ERROR.PASSWORD_BREACHED);
+  }
+
+  return errors;
+};
+
+const toValidationError = (messages) =>
+  new ValidationError(
+    MESSAGES.ERROR.PASSWORD_POLICY,
+    messages.map((message) => ({ field: "password", message }))
+  );
+
+/**
+ * Throw a ValidationError listing every rule the password breaks
+ * @param {string} password
+ */
+const assertPasswordPolicy = (password) => {
+  const errors = getPasswordErrors(password);
+
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+};
+
+/**
+ * Whether the password matches the current one or one in the history
+ * @param {object} user - User instance with password and passwordHistory loaded
+ * @param {string} password
+ */
+const isRecentPassword = async (user, password) => {
+  const hashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.HISTORY_SIZE);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Validate, hash and store a new password
+ * @param {object} user - User instance with password and passwordHistory loaded
+ * @param {string} password - New plain-text password
+ * @param {object} [extraFields] - Other columns to update in the same write
+ */
+const setPassword = async (user, password, extraFields = {}) => {
+  assertPasswordPolicy(password);
+
+  if (await isRecentPassword(user, password)) {
+    throw toValidationError([MESSAGES.ERROR.PASSWORD_REUSED(PASSWORD_POLICY.HISTORY_SIZE)]);
+  }
+
+  // The current password joins the history; together they cover the last HISTORY_SIZE
+  const passwordHistory = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.HISTORY_SIZE - 1);
+
+  await user.update({
+    ...extraFields,
+    password: await bcrypt.hash(password, 10),
+    passwordHistory,
+    passwordChangedAt: new Date(),
+  });
+
+  if (user.firebaseUid) {
+    try {
+      await initFirebaseAdmin().auth().updateUser(user.firebaseUid, { password });
+    } catch (error) {
+      logger.warn("Failed to sync password to Firebase", { userId: user.uid, error: error.message });
+    }
+  }
+};
+
+module.exports = {
+  getPasswordErrors,
+  assertPasswordPolicy,
+  setPassword,
+};
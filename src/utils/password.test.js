@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+
+const { getPasswordErrors, setPassword } = require("./password");
+const { MESSAGES, PASSWORD_POLICY } = require("./constants");
+
+const makeUser = (values = {}) => {
+  const user = { uid: "user-1", password: "", passwordHistory: null, ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  return user;
+};
+
+describe("getPasswordErrors", () => {
+  it("lists every rule a password breaks", () => {
+    const errors = getPasswordErrors("abc");
+
+    assert.ok(errors.includes(MESSAGES.ERROR.PASSWORD_TOO_SHORT(PASSWORD_POLICY.MIN_LENGTH)));
+    assert.ok(errors.includes(MESSAGES.ERROR.PASSWORD_NEEDS_UPPERCASE));
+    assert.ok(errors.includes(MESSAGES.ERROR.PASSWORD_NEEDS_NUMBER));
+  });
+
+  it("rejects passwords from the breached list whatever their case", () => {
+    assert.deepEqual(getPasswordErrors("Password1"), [MESSAGES.ERROR.PASSWORD_BREACHED]);
+  });
+
+  it("accepts a password meeting the policy", () => {
+    assert.deepEqual(getPasswordErrors("Correct-Horse-7"), []);
+  });
+});
+
+describe("setPassword", () => {
+  it("hashes the password and moves the current one into the history", async () => {
+    const current = await bcrypt.hash("Old-Password-1", 4);
+    const user = makeUser({ password: current });
+
+    await setPassword(user, "New-Password-2", { isEmailVerified: false });
+
+    assert.ok(await bcrypt.compare("New-Password-2", user.password));
+    assert.deepEqual(user.passwordHistory, [current]);
+    assert.equal(user.isEmailVerified, false);
+    assert.ok(user.passwordChangedAt instanceof Date);
+  });
+
+  it("refuses the current password and recent ones", async () => {
+    const user = makeUser({
+      password: await bcrypt.hash("Current-Pass-1", 4),
+      passwordHistory: [await bcrypt.hash("Earlier-Pass-1", 4)],
+    });
+
+    for (const password of ["Current-Pass-1", "Earlier-Pass-1"]) {
+      await assert.rejects(setPassword(user, password), (error) => {
+        assert.equal(error.errors[0].message, MESSAGES.ERROR.PASSWORD_REUSED(PASSWORD_POLICY.HISTORY_SIZE));
+        return true;
+      });
+    }
+  });
+
+  it("reports policy failures as field errors", async () => {
+    await assert.rejects(setPassword(makeUser(), "short"), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.ok(error.errors.every(({ field }) => field === "password"));
+      return true;
+    });
+  });
+});
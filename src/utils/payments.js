@@ -0,0 +1,348 @@
+/**
+ * Payment Ledger
+ * Records money actually received against a project (and optionally one of
+ * its milestones), keeps received/outstanding totals, and moves the project
+ * into or out of Payment Due as the balance changes.
+ */
+
+const db = require("../models");
+const logger = require("./logger");
+const { cloudinary } = require("../config/cloudinary");
+const { ValidationError, BadRequestError, NotFoundError } = require("../middlewares/errorHandler");
+const { settleMilestone, listMilestones } = require("./milestones");
+const { settleInstallment } = require("./installments");
+const projectStatus = require("./projectStatus");
+const { MESSAGES, PAYMENTS, PAYMENT_METHODS, PROJECT_STATUS, INSTALLMENT_STATUS } = require("./constants");
+
+const Payment = db.Payment;
+const { Op } = db.Sequelize;
+
+// Statuses in which an overdue balance moves the project to Payment Due
+const ACTIVE_STATUSES = [PROJECT_STATUS.IN_PROGRESS, PROJECT_STATUS.DELAYED];
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const projectCurrency = (project) => project.currency || PAYMENTS.DEFAULT_CURRENCY;
+
+/**
+ * Received and outstanding totals for a project
+ * @param {object} project - Project instance
+ * @param {object} [options] - { transaction }
+ */
+const getPaymentSummary = async (project, { transaction } = {}) => {
+  const where = { projectId: project.pid };
+  const [received, count, lastPaymentAt] = await Promise.all([
+    Payment.sum("amount", { where, transaction }),
+    Payment.count({ where, transaction }),
+    Payment.max("paidAt", { where, transaction }),
+  ]);
+
+  const projectAmount = project.projectAmount === null ? null : round(project.projectAmount);
+  const totalReceived = round(received || 0);
+  const outstanding = projectAmount === null ? null : Math.max(round(projectAmount - totalReceived), 0);
+
+  return {
+    currency: projectCurrency(project),
+    projectAmount,
+    received: totalReceived,
+    outstanding,
+    fullyPaid: outstanding !== null && outstanding <= PAYMENTS.BALANCE_TOLERANCE,
+    paymentsCount: count,
+    lastPaymentAt: lastPaymentAt || null,
+  };
+};
+
+/**
+ * Received totals for many projects in one query
+ * @param {object[]} projects - Project instances
+ * @returns {Promise<Map<string, object>>} pid -> { received, outstanding }
+ */
+const getReceivedTotals = async (projects) => {
+  const totals = new Map();
+
+  if (projects.length === 0) return totals;
+
+  const rows = await Payment.findAll({
+    where: { projectId: projects.map((project) => project.pid) },
+    attributes: ["projectId", [db.sequelize.fn("SUM", db.sequelize.col("amount")), "received"]],
+    group: ["projectId"],
+    raw: true,
+  });
+  const received = new Map(rows.map((row) => [row.projectId, round(row.received || 0)]));
+
+  projects.forEach((project) => {
+    const amount = received.get(project.pid) || 0;
+    totals.set(project.pid, {
+      received: amount,
+      outstanding: project.projectAmount === null ? null : Math.max(round(project.projectAmount - amount), 0),
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Validate a payment payload
+ * @param {object} project - Project instance
+ * @param {object} input - Request payload
+ */
+const parsePayment = async (project, input = {}) => {
+  const errors = [];
+  const currency = projectCurrency(project);
+
+  const amount = Number(input.amount);
+  if (!input.amount || isNaN(amount) || amount <= 0) {
+    errors.push({ field: "amount", message: MESSAGES.ERROR.PAYMENT_AMOUNT_INVALID });
+  }
+
+  if (input.currency && String(input.currency).toUpperCase() !== currency) {
+    errors.push({ field: "currency", message: MESSAGES.ERROR.PAYMENT_CURRENCY_MISMATCH(currency) });
+  }
+
+  const method = input.method || project.paymentMethod || null;
+  if (method && !PAYMENT_METHODS.includes(method)) {
+    errors.push({ field: "method", message: MESSAGES.ERROR.PAYMENT_METHOD_INVALID(PAYMENT_METHODS) });
+  }
+
+  const paidAt = input.paidAt ? new Date(input.paidAt) : new Date();
+  if (isNaN(paidAt.getTime()) || paidAt > new Date()) {
+    errors.push({ field: "paidAt", message: MESSAGES.ERROR.PAYMENT_DATE_INVALID });
+  }
+
+  if (input.milestoneId) {
+    const milestone = await db.ProjectMilestone.findOne({
+      where: { id: input.milestoneId, projectId: project.pid },
+      attributes: ["id"],
+    });
+    if (!milestone) {
+      errors.push({ field: "milestoneId", message: MESSAGES.ERROR.NOT_FOUND("Milestone") });
+    }
+  }
+
+  if (input.installmentId) {
+    const installment = await db.ProjectInstallment.findOne({
+      where: { id: input.installmentId, projectId: project.pid },
+      attributes: ["id"],
+    });
+    if (!installment) {
+      errors.push({ field: "installmentId", message: MESSAGES.ERROR.NOT_FOUND("Installment") });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return {
+    amount: round(amount),
+    currency,
+    method,
+    paidAt,
+    milestoneId: input.milestoneId || null,
+    installmentId: input.installmentId || null,
+    referenceNumber: input.referenceNumber ? String(input.referenceNumber).trim() : null,
+    notes: input.notes ? String(input.notes).trim() : null,
+  };
+};
+
+/**
+ * Whether a balance is overdue: the project due date, an unpaid milestone's
+ * due date or an unpaid installment's due date has passed
+ */
+const isBalanceOverdue = async (project) => {
+  const now = new Date();
+
+  if (project.dueDate && new Date(project.dueDate) <= now) {
+    return true;
+  }
+
+  const overdue = await listMilestones(project.pid, { overdue: true });
+  if (overdue.length > 0) return true;
+
+  const overdueInstallments = await db.ProjectInstallment.count({
+    where: {
+      projectId: project.pid,
+      status: INSTALLMENT_STATUS.PENDING,
+      dueDate: { [Op.lt]: now },
+    },
+  });
+  return overdueInstallments > 0;
+};
+
+/**
+ * Move the project into Payment Due when an overdue balance remains, or out
+ * of it (to Completed) once everything is paid
+ * @param {object} project - Project instance
+ * @param {object} summary - From getPaymentSummary
+ * @returns {Promise<object|null>} Status history entry, if the status changed
+ */
+const syncPaymentStatus = async (project, summary) => {
+  const status = projectStatus.getCurrentStatus(project);
+
+  if (summary.outstanding === null) return null;
+
+  if (summary.fullyPaid && status === PROJECT_STATUS.PAYMENT_DUE) {
+    return projectStatus.transitionProject(project, { status: PROJECT_STATUS.COMPLETED, reason: "Paid in full" });
+  }
+
+  if (!summary.fullyPaid && ACTIVE_STATUSES.includes(status) && (await isBalanceOverdue(project))) {
+    return projectStatus.transitionProject(project, {
+      status: PROJECT_STATUS.PAYMENT_DUE,
+      reason: `Outstanding balance of ${summary.currency} ${summary.outstanding}`,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Re-check Payment Due after the amount, due date, milestones or schedule changed
+ * @param {object} project - Project instance
+ * @returns {Promise<object|null>} Status history entry, if the status changed
+ */
+const refreshPaymentStatus = async (project) => syncPaymentStatus(project, await getPaymentSummary(project));
+
+/**
+ * Move every active project whose balance has become overdue into Payment Due.
+ * Due dates pass without any request touching the project, so this runs on a
+ * schedule (scripts/sync-payment-status.js).
+ * @param {object} [options]
+ * @param {number} [options.batchSize=200]
+ * @returns {Promise<object[]>} [{ project, statusChange }] for each project moved
+ */
+const syncOverduePayments = async ({ batchSize = 200 } = {}) => {
+  const moved = [];
+  const statuses = ACTIVE_STATUSES.map((status) => status.toLowerCase());
+  let lastPid = null;
+
+  for (;;) {
+    const projects = await db.Project.findAll({
+      where: {
+        isDraft: false,
+        projectAmount: { [Op.gt]: 0 },
+        ...(lastPid && { pid: { [Op.gt]: lastPid } }),
+        [Op.and]: [
+          db.sequelize.where(db.sequelize.fn("lower", db.sequelize.col("projectStatus")), { [Op.in]: statuses }),
+        ],
+      },
+      order: [["pid", "ASC"]],
+      limit: batchSize,
+    });
+    if (projects.length === 0) break;
+
+    for (const project of projects) {
+      try {
+        const statusChange = await refreshPaymentStatus(project);
+        if (statusChange) moved.push({ project, statusChange });
+      } catch (error) {
+        logger.error("Payment status sync failed", { projectId: project.pid, error: error.message });
+      }
+    }
+
+    lastPid = projects[projects.length - 1].pid;
+  }
+
+  return moved;
+};
+
+/**
+ * Record a payment against a project
+ * @param {object} project - Project instance
+ * @param {object} input - { amount, currency, method, referenceNumber, paidAt, milestoneId, installmentId, notes }
+ * @param {object} [proof] - Uploaded proof image (multer/Cloudinary file)
+ * @returns {Promise<object>} { payment, summary, statusChange }
+ */
+const recordPayment = async (project, input, proof = null) => {
+  const fields = await parsePayment(project, input);
+
+  const payment = await db.sequelize.transaction(async (transaction) => {
+    const before = await getPaymentSummary(project, { transaction });
+
+    if (before.outstanding !== null && fields.amount - before.outstanding > PAYMENTS.BALANCE_TOLERANCE) {
+      throw new BadRequestError(MESSAGES.ERROR.PAYMENT_EXCEEDS_BALANCE(before.outstanding, before.currency));
+    }
+
+    const created = await Payment.create(
+      {
+        ...fields,
+        projectId: project.pid,
+        userId: project.userId,
+        proofUrl: proof?.path || null,
+        proofPublicId: proof?.filename || null,
+      },
+      { transaction }
+    );
+
+    if (created.milestoneId) {
+      await settleMilestone(project, created.milestoneId, { transaction });
+    }
+    if (created.installmentId) {
+      await settleInstallment(project, created.installmentId, { transaction });
+    }
+
+    return created;
+  });
+
+  const summary = await getPaymentSummary(project);
+  const statusChange = await syncPaymentStatus(project, summary);
+
+  return { payment, summary, statusChange };
+};
+
+/**
+ * Remove a recorded payment (e.g. entered by mistake or reversed)
+ * @param {object} project - Project instance
+ * @param {string} paymentId
+ * @returns {Promise<object>} { summary, statusChange }
+ */
+const deletePayment = async (project, paymentId) => {
+  const payment = await Payment.findOne({ where: { id: paymentId, projectId: project.pid } });
+
+  if (!payment) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Payment"));
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await payment.destroy({ transaction });
+
+    if (payment.milestoneId) {
+      await settleMilestone(project, payment.milestoneId, { transaction });
+    }
+    if (payment.installmentId) {
+      await settleInstallment(project, payment.installmentId, { transaction });
+    }
+  });
+
+  if (payment.proofPublicId) {
+    try {
+      await cloudinary.uploader.destroy(payment.proofPublicId, { resource_type: "image", invalidate: true });
+    } catch (error) {
+      logger.warn("Failed to delete payment proof", { paymentId, error: error.message });
+    }
+  }
+
+  const summary = await getPaymentSummary(project);
+  const statusChange = await syncPaymentStatus(project, summary);
+
+  return { summary, statusChange };
+};
+
+/**
+ * Payments for a project, newest first
+ * @param {string} projectId
+ */
+const listPayments = (projectId) =>
+  Payment.findAll({
+    where: { projectId },
+    order: [["paidAt", "DESC"]],
+  });
+
+module.exports = {
+  getPaymentSummary,
+  getReceivedTotals,
+  recordPayment,
+  deletePayment,
+  listPayments,
+  refreshPaymentStatus,
+  syncOverduePayments,
+};
@@ -0,0 +1,112 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { refreshPaymentStatus, syncOverduePayments, recordPayment } = require("./payments");
+const { PROJECT_STATUS } = require("./constants");
+
+const { Op } = db.Sequelize;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeProject = (values = {}) => {
+  const project = {
+    pid: "p1",
+    userId: "user-1",
+    projectAmount: 1000,
+    currency: "PKR",
+    projectStatus: PROJECT_STATUS.IN_PROGRESS,
+    dueDate: new Date(Date.now() + 7 * DAY),
+    ...values,
+  };
+  project.update = async (changes) => Object.assign(project, changes);
+  return project;
+};
+
+/**
+ * Stub the ledger with `received` paid so far and nothing else overdue
+ */
+const stubLedger = (received) => {
+  mock.method(db.sequelize, "transaction", async (work) => work({}));
+  mock.method(db.Payment, "sum", async () => received);
+  mock.method(db.Payment, "count", async () => (received ? 1 : 0));
+  mock.method(db.Payment, "max", async () => null);
+  mock.method(db.ProjectMilestone, "findAll", async () => []);
+  mock.method(db.ProjectInstallment, "count", async () => 0);
+  mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("refreshPaymentStatus", () => {
+  it("moves an active project with an overdue balance to Payment Due", async () => {
+    stubLedger(400);
+    const project = makeProject({ dueDate: new Date(Date.now() - DAY) });
+
+    const change = await refreshPaymentStatus(project);
+
+    assert.equal(project.projectStatus, PROJECT_STATUS.PAYMENT_DUE);
+    assert.equal(change.reason, "Outstanding balance of PKR 600");
+  });
+
+  it("leaves a balance alone until something is due", async () => {
+    stubLedger(400);
+    const project = makeProject();
+
+    assert.equal(await refreshPaymentStatus(project), null);
+    assert.equal(project.projectStatus, PROJECT_STATUS.IN_PROGRESS);
+  });
+
+  it("completes a Payment Due project once it is paid in full", async () => {
+    stubLedger(1000);
+    const project = makeProject({ projectStatus: PROJECT_STATUS.PAYMENT_DUE });
+
+    await refreshPaymentStatus(project);
+
+    assert.equal(project.projectStatus, PROJECT_STATUS.COMPLETED);
+  });
+});
+
+describe("syncOverduePayments", () => {
+  it("pages through active projects by pid and returns the ones moved", async () => {
+    stubLedger(0);
+    const batches = [
+      [makeProject({ pid: "a", dueDate: new Date(Date.now() - DAY) }), makeProject({ pid: "b" })],
+      [makeProject({ pid: "c", dueDate: new Date(Date.now() - DAY) })],
+      [],
+    ];
+    const findAll = mock.method(db.Project, "findAll", async () => batches.shift());
+
+    const moved = await syncOverduePayments({ batchSize: 2 });
+
+    assert.deepEqual(moved.map(({ project }) => project.pid), ["a", "c"]);
+    const [first, second] = findAll.mock.calls.map((call) => call.arguments[0].where);
+    assert.equal(first.pid, undefined);
+    assert.deepEqual(second.pid, { [Op.gt]: "b" });
+    assert.equal(first.isDraft, false);
+  });
+
+  it("carries on past a project that fails", async () => {
+    stubLedger(0);
+    const broken = makeProject({ pid: "a", dueDate: new Date(Date.now() - DAY) });
+    broken.update = async () => {
+      throw new Error("deadlock");
+    };
+    const batches = [[broken, makeProject({ pid: "b", dueDate: new Date(Date.now() - DAY) })], []];
+    mock.method(db.Project, "findAll", async () => batches.shift());
+
+    const moved = await syncOverduePayments();
+
+    assert.deepEqual(moved.map(({ project }) => project.pid), ["b"]);
+  });
+});
+
+describe("recordPayment", () => {
+  it("refuses a payment larger than the outstanding balance", async () => {
+    stubLedger(900);
+    const create = mock.method(db.Payment, "create", async (values) => values);
+
+    await assert.rejects(recordPayment(makeProject(), { amount: 200 }), { statusCode: 400 });
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
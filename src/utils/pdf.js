@@ -0,0 +1,134 @@
+/**
+ * Minimal PDF Writer
+ * Dependency-free, text-only PDF output (A4, Courier) used by reports and
+ * invoices. Lines are laid out top to bottom and split across pages.
+ */
+
+const PAGE = {
+  WIDTH: 595,
+  HEIGHT: 842,
+  MARGIN_LEFT: 48,
+  MARGIN_TOP: 48,
+  MARGIN_BOTTOM: 48,
+  LINE_HEIGHT: 14,
+  FONT_SIZE: 11,
+};
+
+/**
+ * Split a line into chunks of at most `maxChars`, breaking on spaces
+ * @param {string} line
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+const wrapLine = (line, maxChars) => {
+  if (line.length <= maxChars) return [line];
+  const words = line.split(" ");
+  const lines = [];
+  let current = "";
+  words.forEach((word) => {
+    const next = current ? `${current} ${word}` : word;
+    if (next.length > maxChars) {
+      if (current) lines.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+};
+
+// The built-in Courier font only covers printable ASCII, so anything else becomes "?"
+const escapePdfText = (text) =>
+  text
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+/**
+ * Render lines of text into a PDF document
+ * @param {string[]} lines
+ * @returns {Buffer}
+ */
+const buildPdf = (lines) => {
+  const maxLinesPerPage = Math.floor(
+    (PAGE.HEIGHT - PAGE.MARGIN_TOP - PAGE.MARGIN_BOTTOM) / PAGE.LINE_HEIGHT
+  );
+
+  const pages = [];
+  for (let i = 0; i < lines.length; i += maxLinesPerPage) {
+    pages.push(lines.slice(i, i + maxLinesPerPage));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  const totalObjects = 3 + pages.length * 2;
+  const objects = new Array(totalObjects + 1);
+
+  const pageIds = [];
+  const contentIds = [];
+  for (let i = 0; i < pages.length; i += 1) {
+    contentIds.push(4 + i * 2);
+    pageIds.push(5 + i * 2);
+  }
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>";
+
+  pages.forEach((pageLines, index) => {
+    const contentId = contentIds[index];
+    const pageId = pageIds[index];
+    const contentParts = [];
+    contentParts.push("BT");
+    contentParts.push(`/F1 ${PAGE.FONT_SIZE} Tf`);
+    contentParts.push(`${PAGE.MARGIN_LEFT} ${PAGE.HEIGHT - PAGE.MARGIN_TOP} Td`);
+
+    pageLines.forEach((line, lineIndex) => {
+      if (lineIndex > 0) {
+        contentParts.push(`0 -${PAGE.LINE_HEIGHT} Td`);
+      }
+      contentParts.push(`(${escapePdfText(line)}) Tj`);
+    });
+
+    contentParts.push("ET");
+    const contentStream = contentParts.join("\n");
+
+    objects[contentId] = `<< /Length ${Buffer.byteLength(contentStream)} >>\nstream\n${contentStream}\nendstream`;
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.WIDTH} ${PAGE.HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contentId} 0 R >>`;
+  });
+
+  // Byte offsets for the cross-reference table are tracked as the parts are added
+  const parts = ["%PDF-1.4\n"];
+  let offset = Buffer.byteLength(parts[0]);
+  const xrefPositions = [0];
+
+  for (let i = 1; i < objects.length; i += 1) {
+    const part = `${i} 0 obj\n${objects[i]}\nendobj\n`;
+    xrefPositions.push(offset);
+    parts.push(part);
+    offset += Buffer.byteLength(part);
+  }
+
+  parts.push(`xref\n0 ${objects.length}\n`);
+  parts.push("0000000000 65535 f \n");
+  for (let i = 1; i < xrefPositions.length; i += 1) {
+    parts.push(`${String(xrefPositions[i]).padStart(10, "0")} 00000 n \n`);
+  }
+  parts.push("trailer\n");
+  parts.push(`<< /Size ${objects.length} /Root 1 0 R >>\n`);
+  parts.push("startxref\n");
+  parts.push(`${offset}\n`);
+  parts.push("%%EOF\n");
+
+  return Buffer.from(parts.join(""), "utf8");
+};
+
+module.exports = {
+  PAGE,
+  wrapLine,
+  escapePdfText,
+  buildPdf,
+};
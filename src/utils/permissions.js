@@ -0,0 +1,37 @@
+/**
+ * Permission helpers
+ * Resolves the effective permission set for a user from their role and the
+ * optional per-user `permissions` column.
+ */
+
+const { ADMIN_ROLES, ROLE_PERMISSIONS } = require("./constants");
+
+/**
+ * Get the permissions granted to a user
+ * Admins with an explicit `permissions` list only get the listed permissions
+ * that their role allows; everyone else gets the role defaults.
+ * @param {object} user - User instance or token payload (role, permissions)
+ * @returns {string[]}
+ */
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+
+  const rolePermissions = ROLE_PERMISSIONS[user.role] || [];
+
+  if (Array.isArray(user.permissions)) {
+    return user.permissions.filter((permission) => rolePermissions.includes(permission));
+  }
+
+  return [...rolePermissions];
+};
+
+/**
+ * Check whether a role can only be granted by an admin
+ * @param {string} role - Role name
+ */
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+module.exports = {
+  getEffectivePermissions,
+  isAdminRole,
+};
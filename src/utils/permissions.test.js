@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getEffectivePermissions, isAdminRole } = require("./permissions");
+const { requirePermission } = require("../middlewares/auth");
+const { ROLES, PERMISSIONS } = require("./constants");
+
+/**
+ * Run a middleware and resolve with the error it passed to next (or undefined)
+ */
+const run = (middleware, req) => new Promise((resolve) => middleware(req, {}, resolve));
+
+describe("getEffectivePermissions", () => {
+  it("gives creators no admin permissions", () => {
+    assert.deepEqual(getEffectivePermissions({ role: ROLES.CREATOR }), []);
+  });
+
+  it("gives admins every permission by default", () => {
+    assert.deepEqual(getEffectivePermissions({ role: ROLES.ADMIN }), Object.values(PERMISSIONS));
+  });
+
+  it("narrows an admin to the listed permissions their role allows", () => {
+    const user = { role: ROLES.ADMIN, permissions: [PERMISSIONS.USERS_READ, "made:up"] };
+
+    assert.deepEqual(getEffectivePermissions(user), [PERMISSIONS.USERS_READ]);
+  });
+
+  it("never lets a creator's permissions column grant anything", () => {
+    const user = { role: ROLES.CREATOR, permissions: [PERMISSIONS.ADMINS_MANAGE] };
+
+    assert.deepEqual(getEffectivePermissions(user), []);
+  });
+});
+
+describe("isAdminRole", () => {
+  it("only treats the admin role as admin", () => {
+    assert.equal(isAdminRole(ROLES.ADMIN), true);
+    assert.equal(isAdminRole(ROLES.CREATOR), false);
+  });
+});
+
+describe("requirePermission", () => {
+  const guard = requirePermission(PERMISSIONS.ADMINS_MANAGE);
+
+  it("requires a signed-in user", async () => {
+    assert.equal((await run(guard, {})).statusCode, 401);
+  });
+
+  it("refuses an admin without the permission", async () => {
+    const user = { role: ROLES.ADMIN, permissions: [PERMISSIONS.USERS_READ] };
+
+    assert.equal((await run(guard, { user })).statusCode, 403);
+  });
+
+  it("lets an admin with the permission through", async () => {
+    assert.equal(await run(guard, { user: { role: ROLES.ADMIN } }), undefined);
+  });
+});
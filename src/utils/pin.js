@@ -0,0 +1,122 @@
+/**
+ * App PIN Service
+ * Quick-unlock PIN stored as a bcrypt hash, like the password. Failed
+ * attempts lock the PIN for progressively longer periods; past the hard cap
+ * it stays blocked until the user resets it through forgot-password.
+ */
+
+const bcrypt = require("bcryptjs");
+const logger = require("./logger");
+const {
+  BadRequestError,
+  ForbiddenError,
+  TooManyRequestsError,
+} = require("../middlewares/errorHandler");
+const { MESSAGES, PIN } = require("./constants");
+
+const PIN_PATTERN = new RegExp(`^\\d{${PIN.MIN_LENGTH},${PIN.MAX_LENGTH}}$`);
+
+// Column values for a user with no PIN (used on reset)
+const CLEARED_PIN = Object.freeze({
+  pin: null,
+  pinFailedAttempts: 0,
+  pinLockedUntil: null,
+});
+
+/**
+ * Whether the user has set a PIN (the legacy "0000" default does not count)
+ * @param {object} user - User instance with the `pin` attribute loaded
+ */
+const hasPin = (user) => !!user.pin && user.pin !== PIN.LEGACY_DEFAULT;
+
+/**
+ * Lockout duration after the given number of failed attempts, or 0
+ * @param {number} failedAttempts
+ * @returns {number} Minutes
+ */
+const getLockoutMinutes = (failedAttempts) => {
+  if (failedAttempts === 0 || failedAttempts % PIN.ATTEMPTS_PER_LOCKOUT !== 0) {
+    return 0;
+  }
+
+  const tier = failedAttempts / PIN.ATTEMPTS_PER_LOCKOUT - 1;
+  return PIN.LOCKOUT_MINUTES[Math.min(tier, PIN.LOCKOUT_MINUTES.length - 1)];
+};
+
+/**
+ * Hash and store a new PIN, clearing any lockout
+ * @param {object} user - User instance
+ * @param {string} pin - New PIN (digits only)
+ */
+const setPin = async (user, pin) => {
+  if (typeof pin !== "string" || !PIN_PATTERN.test(pin)) {
+    throw new BadRequestError(MESSAGES.ERROR.PIN_INVALID_FORMAT);
+  }
+
+  const hashedPin = await bcrypt.hash(pin, 10);
+
+  await user.update({
+    pin: hashedPin,
+    pinFailedAttempts: 0,
+    pinLockedUntil: null,
+  });
+};
+
+/**
+ * Check a PIN, applying the lockout rules
+ * Throws on a wrong PIN, while locked, or when blocked.
+ * @param {object} user - User instance with pin, pinFailedAttempts and pinLockedUntil loaded
+ * @param {string} pin - PIN entered by the user
+ */
+const verifyPin = async (user, pin) => {
+  if (!hasPin(user)) {
+    throw new BadRequestError(MESSAGES.ERROR.PIN_NOT_SET);
+  }
+
+  if (user.pinFailedAttempts >= PIN.MAX_FAILED_ATTEMPTS) {
+    throw new ForbiddenError(MESSAGES.ERROR.PIN_BLOCKED);
+  }
+
+  const now = new Date();
+  if (user.pinLockedUntil && user.pinLockedUntil > now) {
+    const retryAfter = Math.ceil((user.pinLockedUntil - now) / 1000);
+    throw new TooManyRequestsError(MESSAGES.ERROR.PIN_LOCKED(retryAfter), retryAfter);
+  }
+
+  const isMatch = typeof pin === "string" && (await bcrypt.compare(pin, user.pin));
+
+  if (isMatch) {
+    if (user.pinFailedAttempts > 0 || user.pinLockedUntil) {
+      await user.update({ pinFailedAttempts: 0, pinLockedUntil: null });
+    }
+    return;
+  }
+
+  // Increment atomically so parallel guesses all count
+  await user.increment("pinFailedAttempts");
+  await user.reload({ attributes: ["uid", "pinFailedAttempts"] });
+
+  const failedAttempts = user.pinFailedAttempts;
+  logger.warn("Incorrect PIN attempt", { userId: user.uid, failedAttempts });
+
+  if (failedAttempts >= PIN.MAX_FAILED_ATTEMPTS) {
+    logger.warn("PIN blocked", { userId: user.uid });
+    throw new ForbiddenError(MESSAGES.ERROR.PIN_BLOCKED);
+  }
+
+  const lockoutMinutes = getLockoutMinutes(failedAttempts);
+  if (lockoutMinutes > 0) {
+    await user.update({ pinLockedUntil: new Date(now.getTime() + lockoutMinutes * 60 * 1000) });
+    throw new TooManyRequestsError(MESSAGES.ERROR.PIN_LOCKED(lockoutMinutes * 60), lockoutMinutes * 60);
+  }
+
+  const remaining = PIN.ATTEMPTS_PER_LOCKOUT - (failedAttempts % PIN.ATTEMPTS_PER_LOCKOUT);
+  throw new BadRequestError(MESSAGES.ERROR.PIN_INCORRECT(remaining));
+};
+
+module.exports = {
+  CLEARED_PIN,
+  hasPin,
+  setPin,
+  verifyPin,
+};
@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { hasPin, setPin, verifyPin } = require("./pin");
+const { PIN } = require("./constants");
+
+/**
+ * In-memory stand-in for a User instance with the PIN columns
+ */
+const makeUser = (values = {}) => {
+  const user = { uid: "user-1", pin: null, pinFailedAttempts: 0, pinLockedUntil: null, ...values };
+  user.update = async (changes) => Object.assign(user, changes);
+  user.increment = async (field) => {
+    user[field] += 1;
+  };
+  user.reload = async () => user;
+  return user;
+};
+
+describe("setPin", () => {
+  it("stores a hash and clears any lockout", async () => {
+    const user = makeUser({ pinFailedAttempts: 7, pinLockedUntil: new Date() });
+
+    await setPin(user, "1234");
+
+    assert.ok(hasPin(user));
+    assert.notEqual(user.pin, "1234");
+    assert.equal(user.pinFailedAttempts, 0);
+    assert.equal(user.pinLockedUntil, null);
+  });
+
+  it("rejects PINs that are not 4 to 6 digits", async () => {
+    for (const pin of ["123", "1234567", "12a4", 1234]) {
+      await assert.rejects(setPin(makeUser(), pin), { statusCode: 400 });
+    }
+  });
+});
+
+describe("verifyPin", () => {
+  it("treats the legacy default as no PIN", async () => {
+    await assert.rejects(verifyPin(makeUser({ pin: PIN.LEGACY_DEFAULT }), "0000"), { statusCode: 400 });
+  });
+
+  it("locks the PIN after each run of failed attempts", async () => {
+    const user = makeUser();
+    await setPin(user, "1234");
+
+    for (let attempt = 1; attempt < PIN.ATTEMPTS_PER_LOCKOUT; attempt += 1) {
+      await assert.rejects(verifyPin(user, "9999"), { statusCode: 400 });
+    }
+    await assert.rejects(verifyPin(user, "9999"), { statusCode: 429 });
+    assert.ok(user.pinLockedUntil > new Date());
+
+    // Even the right PIN is refused while locked
+    await assert.rejects(verifyPin(user, "1234"), { statusCode: 429 });
+  });
+
+  it("resets the counter on a correct PIN", async () => {
+    const user = makeUser();
+    await setPin(user, "1234");
+    user.pinFailedAttempts = 3;
+
+    await verifyPin(user, "1234");
+
+    assert.equal(user.pinFailedAttempts, 0);
+  });
+
+  it("blocks the PIN past the hard cap", async () => {
+    const user = makeUser();
+    await setPin(user, "1234");
+    user.pinFailedAttempts = PIN.MAX_FAILED_ATTEMPTS;
+
+    await assert.rejects(verifyPin(user, "1234"), { statusCode: 403 });
+  });
+});
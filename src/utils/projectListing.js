@@ -0,0 +1,259 @@
+/**
+ * Project Listings
+ * Filters, free-text search, sorting and cursor pagination for a user's
+ * projects and drafts. Cursors are keyset positions (sort value + pid), so
+ * paging stays stable while projects are added or edited; `total` counts
+ * every row matching the filters.
+ *
+ * Filters (query string or body; lists accept arrays or comma-separated values):
+ *  - status, projectType, clientType, paymentStructure, currency
+ *  - client: the client's name or brand
+ *  - tags (any of them, or every one with tagMatch=all; matched like the tag taxonomy)
+ *  - startFrom/startTo, endFrom/endTo, dueFrom/dueTo, amountMin/amountMax
+ *  - q: text in the name, description or client fields
+ *  - sort (PROJECT_LISTING.SORT_FIELDS), order (asc|desc), limit, cursor
+ */
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { resolveStatus } = require("./projectStatus");
+const { tagKey } = require("./tags");
+const { MESSAGES, PAGINATION, PROJECT_LISTING } = require("./constants");
+
+const { Op, fn, col, literal, where: whereFn } = db.Sequelize;
+const Project = db.Project;
+
+// Filters that match any of several values (case-insensitive): parameter -> columns
+const LIST_FILTERS = {
+  status: ["projectStatus"],
+  projectType: ["projectType"],
+  clientType: ["client"], // Project.client holds the type of client (brand, agency, ...)
+  client: ["clientName", "contactBrand"],
+  paymentStructure: ["paymentStructure"],
+  currency: ["currency"],
+};
+
+// Date range filters: column -> [from parameter, to parameter]
+const DATE_RANGES = {
+  startDate: ["startFrom", "startTo"],
+  endDate: ["endFrom", "endTo"],
+  dueDate: ["dueFrom", "dueTo"],
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : isBlank(value) ? [] : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const column = (name) => col(`${Project.name}.${name}`);
+
+/**
+ * Sort field and direction from the request
+ */
+const parseSort = (params) => {
+  const sort = isBlank(params.sort) ? PROJECT_LISTING.DEFAULT_SORT : String(params.sort).trim();
+  const order = isBlank(params.order) ? PROJECT_LISTING.DEFAULT_ORDER : String(params.order).trim().toLowerCase();
+
+  const errors = [];
+  if (!PROJECT_LISTING.SORT_FIELDS.includes(sort)) {
+    errors.push({ field: "sort", message: MESSAGES.ERROR.LISTING_SORT_INVALID(PROJECT_LISTING.SORT_FIELDS) });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    errors.push({ field: "order", message: MESSAGES.ERROR.LISTING_ORDER_INVALID });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return { sort, order };
+};
+
+/**
+ * Filter conditions for a user's projects (or drafts)
+ * @param {string} userId
+ * @param {boolean} isDraft
+ * @param {object} params - Request parameters
+ * @returns {object} Sequelize where clause
+ */
+const buildWhere = (userId, isDraft, params) => {
+  const errors = [];
+  const conditions = [];
+
+  Object.entries(LIST_FILTERS).forEach(([param, fields]) => {
+    let values = toList(params[param]);
+    if (values.length === 0) return;
+
+    // Status names may arrive in any casing ("in progress"); older rows are stored that way too
+    if (param === "status") values = values.map((value) => resolveStatus(value) || value);
+
+    const lowered = values.map((value) => value.toLowerCase());
+    const matches = fields.map((field) => whereFn(fn("lower", column(field)), { [Op.in]: lowered }));
+    conditions.push(matches.length === 1 ? matches[0] : { [Op.or]: matches });
+  });
+
+  const tags = [...new Set(toList(params.tags).map(tagKey).filter(Boolean))];
+  const tagMatch = isBlank(params.tagMatch) ? "any" : String(params.tagMatch).trim().toLowerCase();
+  if (!["any", "all"].includes(tagMatch)) {
+    errors.push({ field: "tagMatch", message: MESSAGES.ERROR.LISTING_TAG_MATCH_INVALID });
+  } else if (tags.length > 0) {
+    // Through the project's links to the taxonomy (project_tags), not the Project.tags copy
+    const matched =
+      `SELECT count(DISTINCT tag."key") FROM "${db.ProjectTag.tableName}" AS link ` +
+      `JOIN "${db.Tag.tableName}" AS tag ON tag."id" = link."tagId" ` +
+      `WHERE link."projectId" = "${Project.name}"."pid" ` +
+      `AND tag."key" IN (${tags.map((tag) => db.sequelize.escape(tag)).join(", ")})`;
+    conditions.push(literal(`(${matched}) ${tagMatch === "all" ? `= ${tags.length}` : "> 0"}`));
+  }
+
+  Object.entries(DATE_RANGES).forEach(([field, [fromParam, toParam]]) => {
+    const range = {};
+    [
+      [fromParam, Op.gte],
+      [toParam, Op.lte],
+    ].forEach(([param, op]) => {
+      if (isBlank(params[param])) return;
+      const date = new Date(params[param]);
+      if (isNaN(date.getTime())) {
+        errors.push({ field: param, message: MESSAGES.ERROR.INVALID(param) });
+        return;
+      }
+      range[op] = date;
+    });
+
+    if (range[Op.gte] && range[Op.lte] && range[Op.gte] > range[Op.lte]) {
+      errors.push({ field: toParam, message: MESSAGES.ERROR.LISTING_RANGE_INVALID(fromParam, toParam) });
+    }
+    if (Object.getOwnPropertySymbols(range).length > 0) conditions.push({ [field]: range });
+  });
+
+  const amount = {};
+  [
+    ["amountMin", Op.gte],
+    ["amountMax", Op.lte],
+  ].forEach(([param, op]) => {
+    if (isBlank(params[param])) return;
+    const value = Number(params[param]);
+    if (isNaN(value) || value < 0) {
+      errors.push({ field: param, message: MESSAGES.ERROR.LISTING_AMOUNT_INVALID(param) });
+      return;
+    }
+    amount[op] = value;
+  });
+  if (amount[Op.gte] !== undefined && amount[Op.lte] !== undefined && amount[Op.gte] > amount[Op.lte]) {
+    errors.push({ field: "amountMax", message: MESSAGES.ERROR.LISTING_RANGE_INVALID("amountMin", "amountMax") });
+  }
+  if (Object.getOwnPropertySymbols(amount).length > 0) conditions.push({ projectAmount: amount });
+
+  const search = isBlank(params.q) ? "" : String(params.q).trim();
+  if (search.length > PROJECT_LISTING.SEARCH_MAX_LENGTH) {
+    errors.push({ field: "q", message: MESSAGES.ERROR.LISTING_SEARCH_TOO_LONG(PROJECT_LISTING.SEARCH_MAX_LENGTH) });
+  } else if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    conditions.push({
+      [Op.or]: PROJECT_LISTING.SEARCH_FIELDS.map((field) => ({ [field]: { [Op.iLike]: pattern } })),
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return { userId, isDraft, ...(conditions.length > 0 && { [Op.and]: conditions }) };
+};
+
+const encodeCursor = (sort, order, project) => {
+  const value = project[sort];
+  return Buffer.from(
+    JSON.stringify({ s: sort, o: order, v: value instanceof Date ? value.toISOString() : value ?? null, id: project.pid })
+  ).toString("base64url");
+};
+
+/**
+ * Decode a cursor, which must have been issued for the same sort
+ * @returns {object} { value, id }
+ */
+const decodeCursor = (cursor, sort, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    position = null;
+  }
+
+  if (!position || position.s !== sort || position.o !== order || typeof position.id !== "string") {
+    throw new BadRequestError(MESSAGES.ERROR.LISTING_CURSOR_INVALID);
+  }
+
+  return { value: position.v, id: position.id };
+};
+
+/**
+ * Rows after a cursor position, matching ORDER BY sort (NULLS LAST), pid ASC
+ */
+const afterCursor = (sort, order, { value, id }) => {
+  if (value === null) {
+    return { [sort]: null, pid: { [Op.gt]: id } };
+  }
+
+  return {
+    [Op.or]: [
+      { [sort]: { [order === "asc" ? Op.gt : Op.lt]: value } },
+      { [sort]: value, pid: { [Op.gt]: id } },
+      { [sort]: null },
+    ],
+  };
+};
+
+/**
+ * One page of a user's projects or drafts
+ * @param {string} userId
+ * @param {object} params - Filters, sort, limit and cursor from the request
+ * @param {object} [options]
+ * @param {boolean} [options.isDraft=false]
+ * @param {boolean} [options.paginate=true] - When false, every matching row is returned unless
+ *   the request sends `limit` or `cursor` (older app builds expect the full list)
+ * @returns {Promise<object>} { rows, pagination: { total, limit, hasMore, nextCursor, sort, order } }
+ */
+const listProjects = async (userId, params = {}, { isDraft = false, paginate = true } = {}) => {
+  const { sort, order } = parseSort(params);
+  const where = buildWhere(userId, isDraft, params);
+  const cursor = isBlank(params.cursor) ? null : decodeCursor(params.cursor, sort, order);
+  const paginated = paginate || !isBlank(params.limit) || !!cursor;
+  const limit = Math.min(Math.max(parseInt(params.limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+  const [total, rows] = await Promise.all([
+    Project.count({ where }),
+    Project.findAll({
+      where: cursor ? { [Op.and]: [where, afterCursor(sort, order, cursor)] } : where,
+      order: [
+        [sort, `${order.toUpperCase()} NULLS LAST`],
+        ["pid", "ASC"],
+      ],
+      // One extra row tells whether another page follows
+      ...(paginated && { limit: limit + 1 }),
+    }),
+  ]);
+
+  const hasMore = paginated && rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    rows: page,
+    pagination: {
+      total,
+      limit: paginated ? limit : null,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null,
+      sort,
+      order,
+    },
+  };
+};
+
+module.exports = {
+  listProjects,
+};
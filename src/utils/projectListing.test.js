@@ -0,0 +1,141 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { listProjects } = require("./projectListing");
+
+const { Op } = db.Sequelize;
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stub the project queries; findAll resolves with `rows`
+ */
+const stubProjects = (rows, total = rows.length) => ({
+  count: mock.method(db.Project, "count", async () => total),
+  findAll: mock.method(db.Project, "findAll", async () => rows),
+});
+
+const makeRows = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    pid: `p${String(index).padStart(2, "0")}`,
+    createdAt: new Date(Date.UTC(2026, 0, 30 - index)),
+  }));
+
+/**
+ * Fields named by the ValidationError listProjects rejects with
+ */
+const failedFields = async (params) => {
+  try {
+    await listProjects("u1", params);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.errors.map((entry) => entry.field);
+  }
+  assert.fail("expected a ValidationError");
+};
+
+describe("listProjects", () => {
+  it("pages the user's projects newest first and issues a cursor for the next page", async () => {
+    const { count, findAll } = stubProjects(makeRows(11), 25);
+
+    const { rows, pagination } = await listProjects("u1", {});
+
+    const query = findAll.mock.calls[0].arguments[0];
+    assert.deepEqual(query.where, { userId: "u1", isDraft: false });
+    assert.deepEqual(query.order, [
+      ["createdAt", "DESC NULLS LAST"],
+      ["pid", "ASC"],
+    ]);
+    assert.equal(query.limit, 11);
+    assert.deepEqual(count.mock.calls[0].arguments[0], { where: query.where });
+
+    assert.equal(rows.length, 10);
+    assert.equal(pagination.total, 25);
+    assert.equal(pagination.hasMore, true);
+    assert.ok(pagination.nextCursor);
+
+    mock.restoreAll();
+    const next = stubProjects(makeRows(3), 25);
+    await listProjects("u1", { cursor: pagination.nextCursor });
+
+    const [, after] = next.findAll.mock.calls[0].arguments[0].where[Op.and];
+    assert.deepEqual(after[Op.or], [
+      { createdAt: { [Op.lt]: rows[9].createdAt.toISOString() } },
+      { createdAt: rows[9].createdAt.toISOString(), pid: { [Op.gt]: "p09" } },
+      { createdAt: null },
+    ]);
+  });
+
+  it("returns every row for older clients unless they ask for a page", async () => {
+    const { findAll } = stubProjects(makeRows(12));
+
+    const { rows, pagination } = await listProjects("u1", {}, { isDraft: true, paginate: false });
+
+    assert.equal(findAll.mock.calls[0].arguments[0].limit, undefined);
+    assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { userId: "u1", isDraft: true });
+    assert.equal(rows.length, 12);
+    assert.equal(pagination.limit, null);
+    assert.equal(pagination.hasMore, false);
+
+    await listProjects("u1", { limit: "5" }, { paginate: false });
+    assert.equal(findAll.mock.calls[1].arguments[0].limit, 6);
+  });
+
+  it("rejects a cursor issued for another sort", async () => {
+    stubProjects(makeRows(11));
+    const { pagination } = await listProjects("u1", {});
+
+    await assert.rejects(listProjects("u1", { cursor: pagination.nextCursor, sort: "projectName" }), BadRequestError);
+    await assert.rejects(listProjects("u1", { cursor: "not-a-cursor" }), BadRequestError);
+  });
+
+  it("searches the text fields with LIKE wildcards escaped", async () => {
+    const { findAll } = stubProjects([]);
+
+    await listProjects("u1", { q: " 50%_off " });
+
+    const [search] = findAll.mock.calls[0].arguments[0].where[Op.and];
+    assert.ok(search[Op.or].length > 0);
+    search[Op.or].forEach((condition) => {
+      assert.deepEqual(Object.values(condition)[0], { [Op.iLike]: "%50\\%\\_off%" });
+    });
+  });
+
+  it("filters by the client's name or brand, and by client type separately", async () => {
+    const { findAll } = stubProjects([]);
+
+    await listProjects("u1", { client: "Acme, Blue Bottle", clientType: "Brand" });
+
+    const [clientType, client] = findAll.mock.calls[0].arguments[0].where[Op.and];
+    assert.deepEqual(
+      client[Op.or].map((condition) => [condition.attribute.args[0].col, condition.logic[Op.in]]),
+      [
+        ["Project.clientName", ["acme", "blue bottle"]],
+        ["Project.contactBrand", ["acme", "blue bottle"]],
+      ]
+    );
+    assert.equal(clientType.attribute.args[0].col, "Project.client");
+    assert.deepEqual(clientType.logic, { [Op.in]: ["brand"] });
+  });
+
+  it("matches every tag through the taxonomy with tagMatch=all", async () => {
+    const { findAll } = stubProjects([]);
+
+    await listProjects("u1", { tags: "Brand Deal, brand deal,Reels", tagMatch: "all" });
+
+    const [tags] = findAll.mock.calls[0].arguments[0].where[Op.and];
+    assert.match(tags.val, /tag\."key" IN \('brand deal', 'reels'\)\) = 2$/);
+  });
+
+  it("collects every invalid filter into one error", async () => {
+    stubProjects([]);
+
+    assert.deepEqual(await failedFields({ sort: "password", order: "sideways" }), ["sort", "order"]);
+    assert.deepEqual(
+      await failedFields({ tagMatch: "some", startFrom: "2026-02-01", startTo: "2026-01-01", amountMin: "-1" }),
+      ["tagMatch", "startTo", "amountMin"]
+    );
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Project Status Workflow
+ * Applies the PROJECT_WORKFLOW state machine: which statuses can follow the
+ * current one, which fields are editable in it and which inputs a transition
+ * needs. Every status change is recorded in `project_status_history`.
+ */
+
+const db = require("../models");
+const { ValidationError } = require("../middlewares/errorHandler");
+const {
+  MESSAGES,
+  PROJECT_STATUS,
+  PROJECT_WORKFLOW,
+  INITIAL_PROJECT_STATUSES,
+} = require("./constants");
+
+const ALL_STATUSES = Object.values(PROJECT_STATUS);
+
+// Older rows and clients use other casings ("in progress", "DELAYED")
+const STATUS_LOOKUP = new Map(ALL_STATUSES.map((status) => [status.toLowerCase(), status]));
+
+/**
+ * Canonical status name for a value, or null when it isn't a known status
+ * @param {string} value
+ */
+const resolveStatus = (value) =>
+  STATUS_LOOKUP.get(String(value || "").trim().toLowerCase()) || null;
+
+/**
+ * Current status of a project; legacy free-text values count as Discussion
+ * @param {object} project
+ */
+const getCurrentStatus = (project) =>
+  resolveStatus(project.projectStatus) || PROJECT_STATUS.DISCUSSION;
+
+const getAllowedTransitions = (project) => PROJECT_WORKFLOW[getCurrentStatus(project)].next;
+
+const getEditableFields = (project) => PROJECT_WORKFLOW[getCurrentStatus(project)].editable;
+
+/**
+ * Workflow summary returned alongside a project
+ * @param {object} project
+ */
+const describeWorkflow = (project) => ({
+  status: getCurrentStatus(project),
+  allowedTransitions: getAllowedTransitions(project),
+  editableFields: getEditableFields(project),
+});
+
+const statusError = (message, allowed) =>
+  new ValidationError(message, [{ field: "status", message, allowed }]);
+
+/**
+ * Status for a new project (defaults to Discussion)
+ * @param {string} [value] - Status from the request
+ * @returns {string} Canonical status
+ */
+const resolveInitialStatus = (value) => {
+  if (!value) {
+    return PROJECT_STATUS.DISCUSSION;
+  }
+
+  const status = resolveStatus(value);
+
+  if (!status) {
+    throw statusError(MESSAGES.ERROR.PROJECT_STATUS_UNKNOWN(value, ALL_STATUSES), ALL_STATUSES);
+  }
+
+  if (!INITIAL_PROJECT_STATUSES.includes(status)) {
+    throw statusError(MESSAGES.ERROR.PROJECT_INITIAL_STATUS(INITIAL_PROJECT_STATUSES), INITIAL_PROJECT_STATUSES);
+  }
+
+  return status;
+};
+
+/**
+ * Record the status a project was created in
+ * @param {object} project - Newly created project
+ * @param {string} [userId] - Who created it
+ * @param {object} [options] - { transaction }
+ */
+const recordInitialStatus = (project, userId = null, { transaction } = {}) =>
+  db.ProjectStatusHistory.create(
+    {
+      projectId: project.pid,
+      userId,
+      fromStatus: null,
+      toStatus: project.projectStatus,
+    },
+    { transaction }
+  );
+
+/**
+ * Move a project to another status
+ * @param {object} project - Project instance
+ * @param {object} input
+ * @param {string} input.status - Target status
+ * @param {string} [input.reason] - Required by some statuses (see PROJECT_WORKFLOW)
+ * @param {string} [input.endDate] - New expected end date (Delayed)
+ * @param {string} [userId] - Who made the change
+ * @param {object} [options] - { transaction } to join the caller's transaction
+ * @returns {Promise<object>} The history entry
+ */
+const transitionProject = async (project, { status, reason, endDate }, userId = null, { transaction } = {}) => {
+  const from = getCurrentStatus(project);
+  const to = resolveStatus(status);
+
+  if (!to) {
+    throw statusError(MESSAGES.ERROR.PROJECT_STATUS_UNKNOWN(status, ALL_STATUSES), ALL_STATUSES);
+  }
+
+  const allowed = PROJECT_WORKFLOW[from].next;
+
+  if (!allowed.includes(to)) {
+    throw statusError(MESSAGES.ERROR.PROJECT_TRANSITION_INVALID(from, to, allowed), allowed);
+  }
+
+  const inputs = {
+    reason: typeof reason === "string" ? reason.trim() : reason,
+    endDate: endDate ? new Date(endDate) : null,
+  };
+
+  if (inputs.endDate && isNaN(inputs.endDate.getTime())) {
+    inputs.endDate = null;
+  }
+
+  const missing = PROJECT_WORKFLOW[to].requires.filter((field) => !inputs[field]);
+
+  if (missing.length > 0) {
+    throw new ValidationError(
+      MESSAGES.ERROR.PROJECT_TRANSITION_REQUIRES(to, missing),
+      missing.map((field) => ({ field, message: MESSAGES.ERROR.REQUIRED(field) }))
+    );
+  }
+
+  const apply = async (transaction) => {
+    await project.update(
+      {
+        projectStatus: to,
+        ...(inputs.endDate && { endDate: inputs.endDate }),
+      },
+      { transaction }
+    );
+
+    return db.ProjectStatusHistory.create(
+      {
+        projectId: project.pid,
+        userId,
+        fromStatus: from,
+        toStatus: to,
+        reason: inputs.reason || null,
+        metadata: inputs.endDate ? { endDate: inputs.endDate } : null,
+      },
+      { transaction }
+    );
+  };
+
+  return transaction ? apply(transaction) : db.sequelize.transaction(apply);
+};
+
+/**
+ * Status changes for a project, oldest first
+ * @param {string} projectId
+ */
+const getStatusHistory = (projectId) =>
+  db.ProjectStatusHistory.findAll({
+    where: { projectId },
+    order: [["createdAt", "ASC"]],
+  });
+
+module.exports = {
+  resolveStatus,
+  getCurrentStatus,
+  getEditableFields,
+  describeWorkflow,
+  resolveInitialStatus,
+  recordInitialStatus,
+  transitionProject,
+  getStatusHistory,
+};
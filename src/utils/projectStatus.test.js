@@ -0,0 +1,79 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const projectStatus = require("./projectStatus");
+const { PROJECT_STATUS } = require("./constants");
+
+const makeProject = (values = {}) => {
+  const project = { pid: "p1", projectStatus: PROJECT_STATUS.DISCUSSION, ...values };
+  project.update = mock.fn(async (changes) => Object.assign(project, changes));
+  return project;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("status lookup", () => {
+  it("accepts legacy casings and treats unknown values as Discussion", () => {
+    assert.equal(projectStatus.resolveStatus("in progress"), PROJECT_STATUS.IN_PROGRESS);
+    assert.equal(projectStatus.getCurrentStatus({ projectStatus: "ongoing" }), PROJECT_STATUS.DISCUSSION);
+  });
+
+  it("limits new projects to the initial statuses", () => {
+    assert.equal(projectStatus.resolveInitialStatus(), PROJECT_STATUS.DISCUSSION);
+    assert.throws(() => projectStatus.resolveInitialStatus("Completed"), { statusCode: 400 });
+    assert.throws(() => projectStatus.resolveInitialStatus("Archived"), { statusCode: 400 });
+  });
+});
+
+describe("transitionProject", () => {
+  it("refuses a transition the workflow does not allow", async () => {
+    const project = makeProject();
+
+    await assert.rejects(projectStatus.transitionProject(project, { status: "Completed" }), (error) => {
+      assert.deepEqual(error.errors[0].allowed, [PROJECT_STATUS.SIGNED]);
+      return true;
+    });
+    assert.equal(project.update.mock.callCount(), 0);
+  });
+
+  it("requires a reason and new end date when delaying", async () => {
+    const project = makeProject({ projectStatus: PROJECT_STATUS.IN_PROGRESS });
+
+    await assert.rejects(projectStatus.transitionProject(project, { status: "Delayed", reason: " " }), (error) => {
+      assert.deepEqual(error.errors.map(({ field }) => field), ["reason", "endDate"]);
+      return true;
+    });
+  });
+
+  it("records the change in the caller's transaction", async () => {
+    const transaction = { id: "tx" };
+    const ownTransaction = mock.method(db.sequelize, "transaction", async (work) => work({ id: "own" }));
+    const create = mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+    const project = makeProject({ projectStatus: PROJECT_STATUS.IN_PROGRESS });
+
+    const entry = await projectStatus.transitionProject(
+      project,
+      { status: "delayed", reason: "Waiting on the client", endDate: "2026-12-01" },
+      "user-1",
+      { transaction }
+    );
+
+    assert.equal(ownTransaction.mock.callCount(), 0);
+    assert.equal(project.update.mock.calls[0].arguments[1].transaction, transaction);
+    assert.equal(create.mock.calls[0].arguments[1].transaction, transaction);
+    assert.equal(project.projectStatus, PROJECT_STATUS.DELAYED);
+    assert.deepEqual(project.endDate, new Date("2026-12-01"));
+    assert.equal(entry.fromStatus, PROJECT_STATUS.IN_PROGRESS);
+    assert.equal(entry.reason, "Waiting on the client");
+  });
+
+  it("opens its own transaction when none is given", async () => {
+    const ownTransaction = mock.method(db.sequelize, "transaction", async (work) => work({ id: "own" }));
+    mock.method(db.ProjectStatusHistory, "create", async (values) => values);
+
+    await projectStatus.transitionProject(makeProject(), { status: "Signed" });
+
+    assert.equal(ownTransaction.mock.callCount(), 1);
+  });
+});
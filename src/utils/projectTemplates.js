@@ -0,0 +1,403 @@
+/**
+ * Project Templates
+ * Reusable project setups saved from a project (type, description, tags,
+ * payment terms and the milestone layout) and new drafts made from them.
+ * Dates are kept as day offsets from the project's start date, so a draft
+ * made from a template, or a duplicate of a project, lines up with the new
+ * start date. Drafts carry their milestones in Project.milestones until they
+ * are finished through /project/new_project, which moves them into the
+ * milestone table and checks that they add up to the project amount.
+ */
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { listMilestones, readEmbedded, getReconciliation } = require("./milestones");
+const { normalizeProjectTaxFields } = require("./taxRules");
+const { parseTaxMode } = require("./tax");
+const { readTags, normalizeProjectTagFields, syncProjectTags } = require("./tags");
+const {
+  MESSAGES,
+  PROJECT_TEMPLATES,
+  PAYMENT_STRUCTURES,
+  INSTALLMENT_INTERVALS,
+  MILESTONE_STATUS,
+  MILESTONE_AMOUNT_TOLERANCE,
+} = require("./constants");
+
+const ProjectTemplate = db.ProjectTemplate;
+const Project = db.Project;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFSET_FIELDS = Object.values(PROJECT_TEMPLATES.DATE_OFFSETS);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Date `days` after `start`; null offsets leave the date empty
+const atOffset = (start, days) => (days === null || days === undefined ? null : addDays(start, days));
+
+/**
+ * Whole days from `from` to `to`; null when either is missing
+ */
+const dayOffset = (from, to) => {
+  const start = toDate(from);
+  const end = toDate(to);
+  return start && end ? Math.round((end.getTime() - start.getTime()) / DAY_MS) : null;
+};
+
+/**
+ * Day the project's other dates are measured from
+ */
+const baseDate = (project) => toDate(project.startDate) || toDate(project.createdAt);
+
+/**
+ * A project's milestones: the milestone table for projects, the embedded copy for drafts
+ */
+const projectMilestones = async (project) =>
+  project.isDraft ? readEmbedded(project.milestones) : (await listMilestones(project.pid)).map((row) => row.get());
+
+const isOffset = (value) =>
+  Number.isInteger(Number(value)) && Math.abs(Number(value)) <= PROJECT_TEMPLATES.MAX_OFFSET_DAYS;
+
+/**
+ * Validate a template milestone layout
+ * @returns {object[]|null} [{ title, deliverables, percent, amount, offsetDays }], or null when invalid
+ */
+const parseMilestoneLayout = (value) => {
+  const items = value === null ? [] : value;
+  if (!Array.isArray(items) || items.length > PROJECT_TEMPLATES.MAX_MILESTONES) return null;
+
+  const layout = [];
+  for (const item of items) {
+    const title = isBlank(item?.title ?? item?.deliverable) ? "" : String(item.title ?? item.deliverable).trim();
+    const amount = isBlank(item?.amount) ? null : Number(item.amount);
+    const percent = isBlank(item?.percent) ? null : Number(item.percent);
+    const deliverables = [].concat(item?.deliverables || []);
+
+    if (
+      !title ||
+      (amount === null && percent === null) ||
+      (amount !== null && (isNaN(amount) || amount < 0)) ||
+      (percent !== null && (isNaN(percent) || percent < 0 || percent > 100)) ||
+      deliverables.some((deliverable) => typeof deliverable !== "string") ||
+      (!isBlank(item.offsetDays) && !isOffset(item.offsetDays))
+    ) {
+      return null;
+    }
+
+    layout.push({
+      title,
+      deliverables: deliverables.map((deliverable) => deliverable.trim()).filter(Boolean),
+      percent: percent === null ? null : round(percent),
+      amount: amount === null ? null : round(amount),
+      offsetDays: isBlank(item.offsetDays) ? null : Number(item.offsetDays),
+    });
+  }
+
+  return layout;
+};
+
+/**
+ * Validate a template payload
+ * @param {object} input - Request payload (or values taken from a project)
+ * @param {object} [existing] - Template being updated; omitted fields are kept
+ * @returns {object} Column values to write
+ */
+const parseTemplate = (input = {}, existing = null) => {
+  const errors = [];
+  const fields = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !existing) {
+    const name = isBlank(input.name) ? "" : String(input.name).trim();
+    if (!name || name.length > PROJECT_TEMPLATES.NAME_MAX_LENGTH) {
+      errors.push({ field: "name", message: MESSAGES.ERROR.TEMPLATE_NAME_REQUIRED(PROJECT_TEMPLATES.NAME_MAX_LENGTH) });
+    }
+    fields.name = name;
+  }
+
+  PROJECT_TEMPLATES.FIELDS.forEach((field) => {
+    if (has(field)) fields[field] = typeof input[field] === "string" ? input[field].trim() || null : input[field];
+  });
+
+  if (fields.projectAmount !== undefined && fields.projectAmount !== null) {
+    const amount = Number(fields.projectAmount);
+    if (isNaN(amount) || amount < 0) {
+      errors.push({ field: "projectAmount", message: MESSAGES.ERROR.INVALID("projectAmount") });
+    }
+    fields.projectAmount = round(amount);
+  }
+
+  if (fields.paymentStructure && !PAYMENT_STRUCTURES.includes(fields.paymentStructure)) {
+    errors.push({ field: "paymentStructure", message: MESSAGES.ERROR.INVALID("paymentStructure") });
+  }
+
+  if (fields.paymentFrequency && !INSTALLMENT_INTERVALS[fields.paymentFrequency]) {
+    errors.push({ field: "paymentFrequency", message: MESSAGES.ERROR.INVALID("paymentFrequency") });
+  }
+
+  if (fields.contractDuration !== undefined && fields.contractDuration !== null) {
+    if (!Number.isInteger(Number(fields.contractDuration)) || Number(fields.contractDuration) < 0) {
+      errors.push({ field: "contractDuration", message: MESSAGES.ERROR.INVALID("contractDuration") });
+    }
+  }
+
+  OFFSET_FIELDS.forEach((field) => {
+    if (!has(field)) return;
+    if (!isBlank(input[field]) && !isOffset(input[field])) {
+      errors.push({ field, message: MESSAGES.ERROR.TEMPLATE_OFFSET_INVALID(PROJECT_TEMPLATES.MAX_OFFSET_DAYS) });
+      return;
+    }
+    fields[field] = isBlank(input[field]) ? null : Number(input[field]);
+  });
+
+  if (has("milestones")) {
+    const layout = parseMilestoneLayout(input.milestones);
+    if (!layout) {
+      errors.push({
+        field: "milestones",
+        message: MESSAGES.ERROR.TEMPLATE_MILESTONES_INVALID(PROJECT_TEMPLATES.MAX_MILESTONES),
+      });
+    }
+    fields.milestones = layout;
+  }
+
+  // A layout may not plan more than the template's amount; drafts made from it
+  // are checked exactly when they are finished
+  const layout = fields.milestones || readEmbedded(existing?.milestones);
+  const terms = {
+    paymentStructure: fields.paymentStructure ?? existing?.paymentStructure,
+    projectAmount: fields.projectAmount !== undefined ? fields.projectAmount : existing?.projectAmount,
+  };
+  const { applies, allocated, projectAmount } = getReconciliation(
+    terms,
+    layout.map(({ amount, percent }) => ({
+      amount: amount ?? (percent === null || percent === undefined ? 0 : (Number(terms.projectAmount) * percent) / 100),
+    }))
+  );
+  if (applies && allocated - projectAmount > MILESTONE_AMOUNT_TOLERANCE) {
+    errors.push({ field: "milestones", message: MESSAGES.ERROR.MILESTONES_EXCEED_AMOUNT(allocated, projectAmount) });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  // Same rules as project payloads (throw their own validation errors)
+  normalizeProjectTagFields(fields);
+  normalizeProjectTaxFields(fields);
+
+  return fields;
+};
+
+/**
+ * Template values for a project: its defaults, dates as offsets from its
+ * start, and the milestone layout with due dates as offsets
+ * @param {object} project - Project instance
+ */
+const templateFromProject = async (project) => {
+  const base = baseDate(project);
+  const values = {};
+
+  PROJECT_TEMPLATES.FIELDS.forEach((field) => {
+    values[field] = project[field] ?? null;
+  });
+  // Older rows hold free text in these; keep only what the template rules accept
+  values.tags = readTags(project.tags);
+  values.taxHandling = parseTaxMode(project.taxHandling);
+
+  Object.entries(PROJECT_TEMPLATES.DATE_OFFSETS).forEach(([column, field]) => {
+    values[field] = dayOffset(base, project[column]);
+  });
+
+  values.milestones = (await projectMilestones(project)).map((milestone) => ({
+    title: milestone.title || milestone.deliverable || "Milestone",
+    deliverables: Array.isArray(milestone.deliverables) ? milestone.deliverables : [],
+    percent: milestone.percent ?? null,
+    // Older drafts may hold milestones with neither; the layout needs one
+    amount: milestone.amount ?? (milestone.percent === null || milestone.percent === undefined ? 0 : null),
+    offsetDays: dayOffset(base, milestone.dueDate),
+  }));
+
+  return values;
+};
+
+/**
+ * A user's templates, by name
+ */
+const listTemplates = (userId) =>
+  ProjectTemplate.findAll({
+    where: { userId },
+    order: [
+      ["name", "ASC"],
+      ["createdAt", "ASC"],
+    ],
+  });
+
+/**
+ * Save a template, optionally from a project; payload fields override the project's
+ * @param {string} userId - Owner
+ * @param {object} input - Template payload
+ * @param {object} [project] - Project instance to copy from
+ */
+const createTemplate = async (userId, input, project = null) => {
+  const count = await ProjectTemplate.count({ where: { userId } });
+  if (count >= PROJECT_TEMPLATES.MAX_PER_USER) {
+    throw new BadRequestError(MESSAGES.ERROR.TEMPLATE_LIMIT_REACHED(PROJECT_TEMPLATES.MAX_PER_USER));
+  }
+
+  const source = project ? await templateFromProject(project) : {};
+  const fields = parseTemplate({
+    ...source,
+    name: project?.projectName,
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined)),
+  });
+
+  return ProjectTemplate.create({ ...fields, userId, sourceProjectId: project?.pid || null });
+};
+
+const updateTemplate = (template, input) => template.update(parseTemplate(input, template));
+
+/**
+ * Start date for a new draft (today when not given)
+ */
+const parseStartDate = (value) => {
+  if (isBlank(value)) return new Date(new Date().toISOString().slice(0, 10));
+
+  const date = toDate(value);
+  if (!date) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "startDate", message: MESSAGES.ERROR.INVALID("startDate") },
+    ]);
+  }
+  return date;
+};
+
+/**
+ * Embedded milestone (Project.milestones) for a new draft
+ */
+const toDraftMilestone = ({ title, deliverables, percent, amount, dueDate }, projectAmount) => {
+  const total = Number(projectAmount) || 0;
+  const value = amount ?? (percent !== null && percent !== undefined && total ? round((total * percent) / 100) : 0);
+
+  return {
+    title,
+    deliverable: title,
+    percent: percent ?? (total ? round((Number(value) / total) * 100) : null),
+    amount: Number(value),
+    dueDate,
+    status: MILESTONE_STATUS.PENDING,
+    deliverables: deliverables || [],
+  };
+};
+
+/**
+ * Create a draft for `userId`, linking its tags
+ */
+const createDraft = async (userId, values) => {
+  const draft = await Project.create({ ...values, userId, isDraft: true });
+  await syncProjectTags(draft);
+  return draft;
+};
+
+/**
+ * New draft from a template, with its dates counted from `startDate`
+ * @param {object} template - ProjectTemplate instance
+ * @param {object} options - { startDate, projectName }
+ */
+const createDraftFromTemplate = (template, { startDate, projectName } = {}) => {
+  const start = parseStartDate(startDate);
+  const values = {
+    projectName: isBlank(projectName) ? template.name : String(projectName).trim(),
+    startDate: start,
+  };
+
+  PROJECT_TEMPLATES.FIELDS.forEach((field) => {
+    values[field] = template[field] ?? null;
+  });
+  Object.entries(PROJECT_TEMPLATES.DATE_OFFSETS).forEach(([column, field]) => {
+    values[column] = atOffset(start, template[field]);
+  });
+
+  values.milestones = readEmbedded(template.milestones).map((milestone) =>
+    toDraftMilestone({ ...milestone, dueDate: atOffset(start, milestone.offsetDays) }, template.projectAmount)
+  );
+
+  return createDraft(template.userId, values);
+};
+
+/**
+ * Copy a project (or draft) into a new draft, moving every date by the same
+ * number of days: to `startDate` (today by default) or by `shiftDays`. Workflow
+ * state, payments and delivered media stay with the original.
+ * @param {object} project - Project instance
+ * @param {object} options - { startDate, shiftDays, projectName }
+ */
+const duplicateProject = async (project, { startDate, shiftDays, projectName } = {}) => {
+  let shift;
+  if (!isBlank(shiftDays)) {
+    if (!isOffset(shiftDays)) {
+      throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+        { field: "shiftDays", message: MESSAGES.ERROR.TEMPLATE_OFFSET_INVALID(PROJECT_TEMPLATES.MAX_OFFSET_DAYS) },
+      ]);
+    }
+    shift = Number(shiftDays);
+  } else {
+    shift = dayOffset(baseDate(project), parseStartDate(startDate)) || 0;
+  }
+
+  const move = (value) => (toDate(value) ? addDays(toDate(value), shift) : null);
+
+  const values = {};
+  Object.keys(Project.rawAttributes)
+    .filter((field) => !PROJECT_TEMPLATES.DUPLICATE_EXCLUDED_FIELDS.includes(field))
+    .forEach((field) => {
+      values[field] = project[field];
+    });
+
+  values.projectName = isBlank(projectName)
+    ? `${project.projectName || "Untitled Draft"} (copy)`
+    : String(projectName).trim();
+  // A project without a start date only gets one when it is asked for
+  if (project.startDate) {
+    values.startDate = move(project.startDate);
+  } else {
+    values.startDate = isBlank(startDate) ? null : parseStartDate(startDate);
+  }
+  Object.keys(PROJECT_TEMPLATES.DATE_OFFSETS).forEach((column) => {
+    values[column] = move(project[column]);
+  });
+
+  values.milestones = (await projectMilestones(project)).map((milestone) =>
+    toDraftMilestone(
+      {
+        title: milestone.title || milestone.deliverable || "Milestone",
+        deliverables: Array.isArray(milestone.deliverables) ? milestone.deliverables : [],
+        percent: milestone.percent === null || milestone.percent === undefined ? null : Number(milestone.percent),
+        amount: milestone.amount === null || milestone.amount === undefined ? null : Number(milestone.amount),
+        dueDate: move(milestone.dueDate),
+      },
+      project.projectAmount
+    )
+  );
+
+  return createDraft(project.userId, values);
+};
+
+module.exports = {
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  createDraftFromTemplate,
+  duplicateProject,
+};
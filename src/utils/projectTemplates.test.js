@@ -0,0 +1,217 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { ValidationError, BadRequestError } = require("../middlewares/errorHandler");
+const { createTemplate, updateTemplate, createDraftFromTemplate, duplicateProject } = require("./projectTemplates");
+const { MILESTONE_STATUS } = require("./constants");
+
+afterEach(() => mock.restoreAll());
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+/**
+ * Stub draft creation; resolves with the values Project.create was given
+ */
+const stubDrafts = () => {
+  mock.method(db.ProjectTag, "findAll", async () => []);
+  return mock.method(db.Project, "create", async (values) => db.Project.build(values));
+};
+
+const assertInvalid = (field) => (error) => {
+  assert.ok(error instanceof ValidationError);
+  assert.deepEqual(
+    error.errors.map((entry) => entry.field),
+    [field]
+  );
+  return true;
+};
+
+describe("templates", () => {
+  it("refuses a milestone layout that plans more than the amount", async () => {
+    mock.method(db.ProjectTemplate, "count", async () => 0);
+    const create = mock.method(db.ProjectTemplate, "create", async (values) => values);
+    const terms = { name: "Retainer", projectAmount: 1000, paymentStructure: "multiple" };
+
+    await assert.rejects(
+      createTemplate("u1", {
+        ...terms,
+        milestones: [
+          { title: "Kickoff", percent: 60 },
+          { title: "Delivery", amount: 500 },
+        ],
+      }),
+      assertInvalid("milestones")
+    );
+    assert.equal(create.mock.callCount(), 0);
+
+    const template = await createTemplate("u1", {
+      ...terms,
+      milestones: [
+        { title: "Kickoff", percent: 50 },
+        { title: "Delivery", amount: 500 },
+      ],
+    });
+    assert.equal(template.userId, "u1");
+    assert.equal(template.sourceProjectId, null);
+  });
+
+  it("checks a new amount against the layout already saved", async () => {
+    const template = {
+      paymentStructure: "multiple",
+      projectAmount: 1000,
+      milestones: [
+        { title: "Kickoff", amount: 600 },
+        { title: "Delivery", amount: 400 },
+      ],
+      update: mock.fn(async (fields) => fields),
+    };
+
+    assert.throws(() => updateTemplate(template, { projectAmount: 800 }), assertInvalid("milestones"));
+    assert.deepEqual(await updateTemplate(template, { projectAmount: 1200 }), { projectAmount: 1200 });
+  });
+
+  it("saves a project's dates and milestones as offsets from its start", async () => {
+    mock.method(db.ProjectTemplate, "count", async () => 0);
+    mock.method(db.ProjectMilestone, "findAll", async () => [
+      { get: () => ({ title: "Kickoff", amount: "400.00", percent: null, dueDate: "2026-03-15", deliverables: ["Brief"] }) },
+      { get: () => ({ title: "Delivery", amount: "600.00", percent: null, dueDate: "2026-03-31", deliverables: [] }) },
+    ]);
+    const create = mock.method(db.ProjectTemplate, "create", async (values) => values);
+    const project = db.Project.build({
+      pid: "p1",
+      userId: "u1",
+      isDraft: false,
+      projectName: "Spring Campaign",
+      startDate: day("2026-03-01"),
+      endDate: day("2026-03-31"),
+      projectAmount: 1000,
+      paymentStructure: "multiple",
+      taxHandling: "Tax inclusive",
+      tags: ["#Reels", "reels"],
+    });
+
+    await createTemplate("u1", {}, project);
+
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.name, "Spring Campaign");
+    assert.equal(values.sourceProjectId, "p1");
+    assert.equal(values.endOffsetDays, 30);
+    assert.equal(values.dueOffsetDays, null);
+    assert.equal(values.taxHandling, "inclusive");
+    assert.deepEqual(values.tags, ["Reels"]);
+    assert.deepEqual(
+      values.milestones.map((milestone) => [milestone.title, milestone.amount, milestone.offsetDays]),
+      [
+        ["Kickoff", 400, 14],
+        ["Delivery", 600, 30],
+      ]
+    );
+  });
+
+  it("stops at the per-user limit", async () => {
+    mock.method(db.ProjectTemplate, "count", async () => 100);
+
+    await assert.rejects(createTemplate("u1", { name: "One more" }), BadRequestError);
+  });
+});
+
+describe("createDraftFromTemplate", () => {
+  it("counts the draft's dates from the start date and prices percent milestones", async () => {
+    const create = stubDrafts();
+    const template = {
+      id: "tpl1",
+      userId: "u1",
+      name: "Launch",
+      projectAmount: 1000,
+      paymentStructure: "multiple",
+      endOffsetDays: 30,
+      dueOffsetDays: null,
+      paymentStartOffsetDays: 7,
+      milestones: [
+        { title: "Half", percent: 50, amount: null, offsetDays: 10, deliverables: ["Teaser"] },
+        { title: "Rest", percent: null, amount: 500, offsetDays: null },
+      ],
+    };
+
+    await createDraftFromTemplate(template, { startDate: "2026-05-01" });
+
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.userId, "u1");
+    assert.equal(values.isDraft, true);
+    assert.equal(values.projectName, "Launch");
+    assert.deepEqual(values.startDate, day("2026-05-01"));
+    assert.deepEqual(values.endDate, day("2026-05-31"));
+    assert.deepEqual(values.paymentStartDate, day("2026-05-08"));
+    assert.equal(values.dueDate, null);
+    assert.deepEqual(values.milestones, [
+      {
+        title: "Half",
+        deliverable: "Half",
+        percent: 50,
+        amount: 500,
+        dueDate: day("2026-05-11"),
+        status: MILESTONE_STATUS.PENDING,
+        deliverables: ["Teaser"],
+      },
+      {
+        title: "Rest",
+        deliverable: "Rest",
+        percent: 50,
+        amount: 500,
+        dueDate: null,
+        status: MILESTONE_STATUS.PENDING,
+        deliverables: [],
+      },
+    ]);
+  });
+
+  it("rejects an invalid start date", () => {
+    const create = stubDrafts();
+
+    assert.throws(() => createDraftFromTemplate({ name: "Launch" }, { startDate: "soon" }), assertInvalid("startDate"));
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("duplicateProject", () => {
+  const makeDraft = () =>
+    db.Project.build({
+      pid: "p1",
+      userId: "u1",
+      isDraft: true,
+      projectName: "Winter Drop",
+      projectStatus: "Completed",
+      projectAmount: 1000,
+      startDate: day("2026-01-10"),
+      endDate: day("2026-02-09"),
+      milestones: [{ title: "All", amount: 1000, dueDate: "2026-01-20", status: MILESTONE_STATUS.PAID }],
+    });
+
+  it("moves every date to the new start and leaves workflow state behind", async () => {
+    const create = stubDrafts();
+
+    await duplicateProject(makeDraft(), { startDate: "2026-03-01" });
+
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.projectName, "Winter Drop (copy)");
+    assert.equal(values.pid, undefined);
+    assert.equal(values.projectStatus, undefined);
+    assert.deepEqual(values.startDate, day("2026-03-01"));
+    assert.deepEqual(values.endDate, day("2026-03-31"));
+    assert.deepEqual(values.milestones[0].dueDate, day("2026-03-11"));
+    assert.equal(values.milestones[0].status, MILESTONE_STATUS.PENDING);
+  });
+
+  it("shifts by a number of days when asked, within the allowed range", async () => {
+    const create = stubDrafts();
+
+    await duplicateProject(makeDraft(), { shiftDays: "7", projectName: " Spring Drop " });
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.projectName, "Spring Drop");
+    assert.deepEqual(values.startDate, day("2026-01-17"));
+    assert.deepEqual(values.endDate, day("2026-02-16"));
+
+    await assert.rejects(duplicateProject(makeDraft(), { shiftDays: 99999 }), assertInvalid("shiftDays"));
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Public Profiles
+ * Creators can claim a username and publish a profile at /u/:username with
+ * their bio, avatar and an opt-in portfolio of completed projects. Only the
+ * whitelisted fields below are ever returned: no amounts, payment details or
+ * client contact information.
+ */
+
+const db = require("../models");
+const { BadRequestError, ConflictError, NotFoundError } = require("../middlewares/errorHandler");
+const { MESSAGES, USERNAME, PUBLIC_PROFILE, PROJECT_STATUS } = require("./constants");
+
+const { Op } = db.Sequelize;
+
+// Project columns safe to show publicly
+const PORTFOLIO_ATTRIBUTES = [
+  "pid",
+  "projectName",
+  "projectType",
+  "description",
+  "tags",
+  "media",
+  "endDate",
+];
+
+const normalizeUsername = (username) => String(username || "").trim().replace(/^@/, "").toLowerCase();
+
+/**
+ * Check a handle's format and reserved words (not availability)
+ * @param {string} username - Already normalized
+ * @returns {string|null} Error message, or null when valid
+ */
+const getUsernameError = (username) => {
+  if (
+    username.length < USERNAME.MIN_LENGTH ||
+    username.length > USERNAME.MAX_LENGTH ||
+    !USERNAME.PATTERN.test(username)
+  ) {
+    return MESSAGES.ERROR.USERNAME_INVALID(USERNAME.MIN_LENGTH, USERNAME.MAX_LENGTH);
+  }
+
+  if (USERNAME.RESERVED.includes(username.replace(/[._]/g, ""))) {
+    return MESSAGES.ERROR.USERNAME_RESERVED;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a handle can be claimed
+ * @param {string} username
+ * @param {string} [userId] - Current owner, whose own handle counts as available
+ * @returns {Promise<{ username: string, available: boolean, reason: string|null }>}
+ */
+const checkUsername = async (username, userId = null) => {
+  const normalized = normalizeUsername(username);
+  const formatError = getUsernameError(normalized);
+
+  if (formatError) {
+    return { username: normalized, available: false, reason: formatError };
+  }
+
+  // Include soft-deleted rows: the unique index still covers them
+  const owner = await db.User.findOne({
+    where: { username: normalized },
+    attributes: ["uid"],
+    paranoid: false,
+  });
+
+  if (owner && owner.uid !== userId) {
+    return { username: normalized, available: false, reason: MESSAGES.ERROR.USERNAME_TAKEN };
+  }
+
+  return { username: normalized, available: true, reason: null };
+};
+
+/**
+ * Update a user's handle, bio and visibility
+ * @param {object} user - User instance
+ * @param {object} changes
+ * @param {string} [changes.username]
+ * @param {string} [changes.bio]
+ * @param {boolean} [changes.isProfilePublic]
+ */
+const updatePublicProfile = async (user, { username, bio, isProfilePublic }) => {
+  const updates = {};
+
+  if (username !== undefined) {
+    const result = await checkUsername(username, user.uid);
+
+    if (!result.available) {
+      throw result.reason === MESSAGES.ERROR.USERNAME_TAKEN
+        ? new ConflictError(result.reason)
+        : new BadRequestError(result.reason);
+    }
+
+    updates.username = result.username;
+  }
+
+  if (bio !== undefined) {
+    const trimmed = bio === null ? "" : String(bio).trim();
+
+    if (trimmed.length > PUBLIC_PROFILE.BIO_MAX_LENGTH) {
+      throw new BadRequestError(MESSAGES.ERROR.BIO_TOO_LONG(PUBLIC_PROFILE.BIO_MAX_LENGTH));
+    }
+
+    updates.bio = trimmed || null;
+  }
+
+  if (isProfilePublic !== undefined) {
+    updates.isProfilePublic = isProfilePublic === true || isProfilePublic === "true";
+  }
+
+  if (updates.isProfilePublic && !(updates.username || user.username)) {
+    throw new BadRequestError(MESSAGES.ERROR.USERNAME_REQUIRED_FOR_PUBLIC);
+  }
+
+  await user.update(updates);
+};
+
+// Project tags/media are JSON arrays, or JSON strings of one when saved by older routes
+const parseList = (value) => {
+  let items = value;
+
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return [];
+    }
+  }
+
+  return Array.isArray(items) ? items : [];
+};
+
+const isImageUrl = (url) => typeof url === "string" && /^https?:\/\//i.test(url);
+
+const isCompleted = (project) =>
+  (project.projectStatus || "").toLowerCase() === PROJECT_STATUS.COMPLETED.toLowerCase();
+
+/**
+ * Load a published profile by handle
+ * @param {string} username
+ * @returns {Promise<object>} Public profile with portfolio
+ */
+const getPublicProfile = async (username) => {
+  const normalized = normalizeUsername(username);
+
+  const user = await db.User.findOne({
+    where: { username: normalized, isProfilePublic: true, isDeleted: false },
+    attributes: [
+      "uid",
+      "username",
+      "full_name",
+      "firstName",
+      "lastName",
+      "bio",
+      "avatar_url",
+      "avatarVariants",
+      "createdAt",
+    ],
+  });
+
+  if (!user) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Profile"));
+  }
+
+  const projects = await db.Project.findAll({
+    where: {
+      userId: user.uid,
+      isDraft: false,
+      showInPortfolio: true,
+      projectStatus: { [Op.iLike]: PROJECT_STATUS.COMPLETED },
+    },
+    attributes: PORTFOLIO_ATTRIBUTES,
+    order: [["endDate", "DESC NULLS LAST"]],
+    limit: PUBLIC_PROFILE.MAX_PORTFOLIO_ITEMS,
+  });
+
+  return {
+    username: user.username,
+    name: user.full_name || [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username,
+    bio: user.bio,
+    avatarUrl: user.avatar_url,
+    avatarVariants: user.avatarVariants,
+    memberSince: user.createdAt,
+    portfolio: projects.map((project) => ({
+      id: project.pid,
+      name: project.projectName,
+      type: project.projectType,
+      description: project.description,
+      tags: parseList(project.tags).filter((tag) => typeof tag === "string"),
+      media: parseList(project.media).filter(isImageUrl),
+      completedAt: project.endDate,
+    })),
+  };
+};
+
+/**
+ * Add or remove a project from the owner's portfolio
+ * @param {object} project - Project instance (ownership already checked)
+ * @param {boolean} show
+ */
+const setPortfolioVisibility = async (project, show) => {
+  if (show && (project.isDraft || !isCompleted(project))) {
+    throw new BadRequestError(MESSAGES.ERROR.PORTFOLIO_REQUIRES_COMPLETED);
+  }
+
+  await project.update({ showInPortfolio: show });
+};
+
+module.exports = {
+  normalizeUsername,
+  checkUsername,
+  updatePublicProfile,
+  getPublicProfile,
+  setPortfolioVisibility,
+};
@@ -0,0 +1,92 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const {
+  checkUsername,
+  updatePublicProfile,
+  getPublicProfile,
+  setPortfolioVisibility,
+} = require("./publicProfile");
+
+const makeInstance = (values) => {
+  const instance = { ...values };
+  instance.update = async (changes) => Object.assign(instance, changes);
+  return instance;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("checkUsername", () => {
+  it("normalizes the handle and rejects bad formats and reserved words", async () => {
+    mock.method(db.User, "findOne", async () => null);
+
+    assert.deepEqual(await checkUsername("@Jane.Doe"), { username: "jane.doe", available: true, reason: null });
+    for (const handle of ["ab", "jane..doe", ".jane", "jane-doe", "ad.min"]) {
+      assert.equal((await checkUsername(handle)).available, false, handle);
+    }
+  });
+
+  it("counts handles held by deleted accounts as taken, but not the user's own", async () => {
+    const findOne = mock.method(db.User, "findOne", async () => ({ uid: "user-2" }));
+
+    assert.equal((await checkUsername("jane", "user-1")).available, false);
+    assert.equal((await checkUsername("jane", "user-2")).available, true);
+    assert.equal(findOne.mock.calls[0].arguments[0].paranoid, false);
+  });
+});
+
+describe("updatePublicProfile", () => {
+  it("refuses to publish a profile without a username", async () => {
+    const user = makeInstance({ uid: "user-1", username: null });
+
+    await assert.rejects(updatePublicProfile(user, { isProfilePublic: true }), { statusCode: 400 });
+  });
+
+  it("reports a taken username as a conflict", async () => {
+    mock.method(db.User, "findOne", async () => ({ uid: "user-2" }));
+
+    await assert.rejects(updatePublicProfile(makeInstance({ uid: "user-1" }), { username: "jane" }), {
+      statusCode: 409,
+    });
+  });
+});
+
+describe("getPublicProfile", () => {
+  it("returns only whitelisted portfolio fields", async () => {
+    mock.method(db.User, "findOne", async () => ({ uid: "user-1", username: "jane", firstName: "Jane" }));
+    const findAll = mock.method(db.Project, "findAll", async () => [
+      {
+        pid: "p1",
+        projectName: "Logo",
+        tags: '["brand", 3]',
+        media: ["https://cdn.example.com/1.png", "file:///etc/passwd"],
+        endDate: "2026-01-01",
+      },
+    ]);
+
+    const profile = await getPublicProfile("@Jane");
+
+    const query = findAll.mock.calls[0].arguments[0];
+    assert.equal(query.where.showInPortfolio, true);
+    assert.ok(!query.attributes.includes("projectAmount"));
+    assert.equal(profile.name, "Jane");
+    assert.deepEqual(profile.portfolio[0].tags, ["brand"]);
+    assert.deepEqual(profile.portfolio[0].media, ["https://cdn.example.com/1.png"]);
+  });
+
+  it("hides profiles that are not published", async () => {
+    mock.method(db.User, "findOne", async () => null);
+
+    await assert.rejects(getPublicProfile("jane"), { statusCode: 404 });
+  });
+});
+
+describe("setPortfolioVisibility", () => {
+  it("only shows completed projects", async () => {
+    const project = makeInstance({ isDraft: false, projectStatus: "In Progress" });
+
+    await assert.rejects(setPortfolioVisibility(project, true), { statusCode: 400 });
+    await setPortfolioVisibility(makeInstance({ isDraft: false, projectStatus: "completed" }), true);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens paired with rotating refresh tokens.
+ * Every sign-in creates a row in `user_session`; access tokens carry the
+ * session id (`sid`) so a revoked session stops working immediately.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../models");
+const logger = require("./logger");
+const { getEffectivePermissions } = require("./permissions");
+const { UnauthorizedError } = require("../middlewares/errorHandler");
+const {
+  MESSAGES,
+  ACCESS_TOKEN_EXPIRY,
+  REFRESH_TOKEN_EXPIRY_DAYS,
+} = require("./constants");
+
+const Session = db.Session;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Extract device/network context from the request
+ * @param {object} req - Express request object
+ */
+const getClientContext = (req) => ({
+  deviceId: req.body?.deviceId || req.headers["x-device-id"] || null,
+  deviceName: req.body?.deviceName || req.headers["x-device-name"] || null,
+  platform: req.body?.platform || req.headers["x-platform"] || null,
+  userAgent: (req.headers["user-agent"] || "").substring(0, 500) || null,
+  ipAddress:
+    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
+    req.ip ||
+    null,
+});
+
+/**
+ * Sign an access token bound to a session
+ * @param {object} user - User instance (uid, email, role, permissions)
+ * @param {string} sessionId - Session id
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      uid: user.uid,
+      email: user.email,
+      role: user.role,
+      permissions: getEffectivePermissions(user),
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+
+const buildTokenResponse = (accessToken, refreshToken, session) => ({
+  token: accessToken, // Kept as `token` for existing mobile builds
+  accessToken,
+  refreshToken,
+  accessTokenExpiresIn: ACCESS_TOKEN_EXPIRY,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.id,
+});
+
+/**
+ * Create a new session for the user and issue a token pair
+ * @param {object} user - User instance
+ * @param {object} req - Express request object
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId: user.uid,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientContext(req),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiryDate(),
+  });
+
+  logger.info("Session created", { userId: user.uid, sessionId: session.id });
+
+  return buildTokenResponse(signAccessToken(user, session.id), refreshToken, session);
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated token revokes the session, since it means
+ * the token was copied and used elsewhere.
+ * @param {string} refreshToken - Plain refresh token from the client
+ * @param {object} req - Express request object
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ where: { refreshTokenHash: tokenHash } });
+
+  if (!session) {
+    const reused = await Session.findOne({
+      where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    });
+
+    if (reused) {
+      await reused.update({ revokedAt: new Date(), revokedReason: "refresh_token_reuse" });
+      logger.warn("Refresh token reuse detected, session revoked", {
+        userId: reused.userId,
+        sessionId: reused.id,
+      });
+    }
+
+    throw new UnauthorizedError(MESSAGES.ERROR.TOKEN_INVALID);
+  }
+
+  if (session.revokedAt) {
+    throw new UnauthorizedError(MESSAGES.ERROR.SESSION_REVOKED);
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw new UnauthorizedError(MESSAGES.ERROR.TOKEN_EXPIRED);
+  }
+
+  const user = await db.User.findOne({
+    where: { uid: session.userId },
+    attributes: ["uid", "email", "role", "permissions"],
+  });
+
+  if (!user) {
+    await session.update({ revokedAt: new Date(), revokedReason: "user_missing" });
+    throw new UnauthorizedError(MESSAGES.ERROR.SESSION_REVOKED);
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const { ipAddress, userAgent } = getClientContext(req);
+
+  await session.update({
+    previousRefreshTokenHash: tokenHash,
+    refreshTokenHash: hashToken(nextRefreshToken),
+    ipAddress,
+    userAgent,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiryDate(),
+  });
+
+  logger.info("Session refreshed", { userId: user.uid, sessionId: session.id });
+
+  return buildTokenResponse(signAccessToken(user, session.id), nextRefreshToken, session);
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session id
+ * @param {string} userId - Owner of the session
+ * @param {string} reason - Why the session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason = "logout") => {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, userId, revokedAt: null } }
+  );
+  return count;
+};
+
+/**
+ * Revoke every active session for a user
+ * @param {string} userId - User id
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} [exceptSessionId] - Session to keep alive (e.g. the current one)
+ */
+const revokeAllSessions = async (userId, reason = "logout_all", exceptSessionId = null) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [db.Sequelize.Op.ne]: exceptSessionId };
+  }
+
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+  return count;
+};
+
+/**
+ * Check whether the session behind an access token is still active
+ * @param {string} sessionId - Session id from the token's `sid` claim
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findByPk(sessionId, {
+    attributes: ["id", "revokedAt", "expiresAt"],
+  });
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+module.exports = {
+  hashToken,
+  getClientContext,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
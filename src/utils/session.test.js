@@ -0,0 +1,84 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const db = require("../models");
+const { hashToken, createSession, rotateSession, isSessionActive } = require("./session");
+
+const req = { body: {}, headers: { "user-agent": "node-test" }, ip: "127.0.0.1" };
+const user = { uid: "user-1", email: "user@example.com", role: "creator", permissions: null };
+
+afterEach(() => mock.restoreAll());
+
+describe("createSession", () => {
+  it("stores only a hash of the refresh token and binds the access token to the session", async () => {
+    const create = mock.method(db.Session, "create", async (values) => ({
+      ...values,
+      id: "session-1",
+    }));
+
+    const tokens = await createSession(user, req);
+    const stored = create.mock.calls[0].arguments[0];
+
+    assert.equal(stored.refreshTokenHash, hashToken(tokens.refreshToken));
+    assert.notEqual(stored.refreshTokenHash, tokens.refreshToken);
+    assert.equal(tokens.token, tokens.accessToken);
+    assert.equal(jwt.verify(tokens.accessToken, process.env.JWT_SECRET).sid, "session-1");
+  });
+});
+
+describe("rotateSession", () => {
+  it("revokes the session when an already-rotated refresh token is presented", async () => {
+    const reused = { id: "session-1", userId: "user-1", update: mock.fn(async () => {}) };
+    mock.method(db.Session, "findOne", async ({ where }) => (where.previousRefreshTokenHash ? reused : null));
+
+    await assert.rejects(rotateSession("old-token", req), { statusCode: 401 });
+    assert.equal(reused.update.mock.calls[0].arguments[0].revokedReason, "refresh_token_reuse");
+  });
+
+  it("rejects a revoked session", async () => {
+    mock.method(db.Session, "findOne", async () => ({ revokedAt: new Date() }));
+
+    await assert.rejects(rotateSession("token", req), { statusCode: 401 });
+  });
+
+  it("issues a new pair and keeps the previous hash for reuse detection", async () => {
+    const session = {
+      id: "session-1",
+      userId: "user-1",
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60_000),
+      update: mock.fn(async function (values) {
+        Object.assign(this, values);
+      }),
+    };
+    mock.method(db.Session, "findOne", async () => session);
+    mock.method(db.User, "findOne", async () => user);
+
+    const tokens = await rotateSession("current-token", req);
+    const changes = session.update.mock.calls[0].arguments[0];
+
+    assert.equal(changes.previousRefreshTokenHash, hashToken("current-token"));
+    assert.equal(changes.refreshTokenHash, hashToken(tokens.refreshToken));
+    assert.notEqual(tokens.refreshToken, "current-token");
+  });
+});
+
+describe("isSessionActive", () => {
+  it("is false for revoked, expired or missing sessions", async () => {
+    const future = new Date(Date.now() + 60_000);
+    const sessions = {
+      live: { revokedAt: null, expiresAt: future },
+      revoked: { revokedAt: new Date(), expiresAt: future },
+      expired: { revokedAt: null, expiresAt: new Date(Date.now() - 1000) },
+    };
+    mock.method(db.Session, "findByPk", async (id) => sessions[id] || null);
+
+    assert.equal(await isSessionActive("live"), true);
+    assert.equal(await isSessionActive("revoked"), false);
+    assert.equal(await isSessionActive("expired"), false);
+    assert.equal(await isSessionActive("missing"), false);
+  });
+});
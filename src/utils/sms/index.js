@@ -0,0 +1,35 @@
+/**
+ * SMS Provider Registry
+ * Every provider implements `{ name, sendOtp({ to, code, purpose }) }`.
+ * Select one with SMS_PROVIDER; production defaults to the ITS gateway and
+ * everything else to the local provider.
+ */
+
+const itsProvider = require("./its.provider");
+const localProvider = require("./local.provider");
+
+const providers = {
+  [itsProvider.name]: itsProvider,
+  [localProvider.name]: localProvider,
+};
+
+/**
+ * Get the configured SMS provider
+ * @returns {{ name: string, sendOtp: Function }}
+ */
+const getSmsProvider = () => {
+  const name =
+    process.env.SMS_PROVIDER || (process.env.ENV === "production" ? itsProvider.name : localProvider.name);
+
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getSmsProvider,
+};
@@ -0,0 +1,29 @@
+/**
+ * ITS bulk SMS gateway (bsms.its.com.pk) provider
+ * Production OTP delivery for Pakistani numbers.
+ */
+
+const axios = require("axios");
+
+module.exports = {
+  name: "its",
+
+  /**
+   * Send an OTP code
+   * @param {object} options
+   * @param {string} options.to - Recipient phone (+92XXXXXXXXXX)
+   * @param {string} options.code - One-time code
+   */
+  async sendOtp({ to, code }) {
+    await axios.post("https://bsms.its.com.pk/otpsms.php", null, {
+      params: {
+        key: process.env.SMS_API_KEY || "8aaf1d3a0b626b4840b6558792b4506b",
+        receiver: to,
+        sender: "SmartLane",
+        otpcode: code,
+        param1: "Create App",
+        param2: "Verification",
+      },
+    });
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Local SMS provider for development and tests
+ * Logs codes to the console and, when SMS_OUTBOX_FILE is set, appends each
+ * message as a JSON line so tests can read the latest code.
+ */
+
+const fs = require("fs");
+const logger = require("../logger");
+
+module.exports = {
+  name: "local",
+
+  /**
+   * Send an OTP code
+   * @param {object} options
+   * @param {string} options.to - Recipient phone
+   * @param {string} options.code - One-time code
+   * @param {string} options.purpose - What the code is for
+   */
+  async sendOtp({ to, code, purpose }) {
+    logger.info("[SMS:local] OTP issued", { to, code, purpose });
+
+    if (process.env.SMS_OUTBOX_FILE) {
+      const entry = JSON.stringify({ to, code, purpose, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(process.env.SMS_OUTBOX_FILE, `${entry}\n`, "utf8");
+    }
+  },
+};
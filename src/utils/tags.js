@@ -0,0 +1,456 @@
+/**
+ * Project Tags
+ * Each user has their own tag taxonomy (`tags`), linked to projects and
+ * drafts through `project_tags`. Tags match on a normalized key, so
+ * "Instagram", "instagram" and " #instagram" are one tag; the first spelling
+ * entered is the display name. Project.tags keeps a copy of the display names
+ * in the shape older mobile builds read and write, rewritten on every rename
+ * and merge.
+ */
+
+const db = require("../models");
+const { ValidationError, ConflictError, NotFoundError } = require("../middlewares/errorHandler");
+const { computeProjectTax } = require("./tax");
+const { summarizeInCurrency } = require("./currency");
+const { loadTaxRules } = require("./taxRules");
+const { loadRateTable } = require("./exchangeRates");
+const { snapshot } = require("./activityLog");
+const { MESSAGES, TAGS } = require("./constants");
+
+const { Op } = db.Sequelize;
+const Tag = db.Tag;
+const ProjectTag = db.ProjectTag;
+const Project = db.Project;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Display form of a tag: leading "#" dropped, whitespace collapsed
+ */
+const normalizeTagName = (value) =>
+  String(value)
+    .replace(/^\s*#+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Matching key of a tag name
+ */
+const tagKey = (name) => normalizeTagName(name).toLowerCase();
+
+// Project tags are JSON arrays, or JSON strings of one when saved by older routes
+const parseList = (value) => {
+  let items = value;
+
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return null;
+    }
+  }
+
+  return Array.isArray(items) ? items : null;
+};
+
+const uniqueByKey = (names) => {
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = tagKey(name);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Tag names stored on a project, cleaned up but never rejected: entries that
+ * aren't text are dropped and overlong names are cut to TAGS.NAME_MAX_LENGTH
+ * @param {*} value - Project.tags
+ * @returns {string[]}
+ */
+const readTags = (value) =>
+  uniqueByKey(
+    (parseList(value) || [])
+      .filter((item) => typeof item === "string" || typeof item === "number")
+      .map((item) => normalizeTagName(item).slice(0, TAGS.NAME_MAX_LENGTH).trim())
+      .filter(Boolean)
+  );
+
+/**
+ * Validate one tag name from a request
+ * @returns {string} Display name
+ */
+const parseTagName = (value, field = "name") => {
+  const name = typeof value === "string" || typeof value === "number" ? normalizeTagName(value) : "";
+
+  if (!name || name.length > TAGS.NAME_MAX_LENGTH) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field, message: MESSAGES.ERROR.TAG_NAME_INVALID(TAGS.NAME_MAX_LENGTH) },
+    ]);
+  }
+
+  return name;
+};
+
+/**
+ * Normalize the tags of a project payload in place: a list of unique display
+ * names (duplicates differing only in case are dropped). Blank values clear
+ * the tags.
+ * @param {object} body - Project payload
+ * @returns {object} body
+ */
+const normalizeProjectTagFields = (body = {}) => {
+  if (body.tags === undefined) return body;
+
+  if (isBlank(body.tags)) {
+    body.tags = [];
+    return body;
+  }
+
+  const items = parseList(body.tags);
+  const invalid = () =>
+    new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "tags", message: MESSAGES.ERROR.TAG_NAME_INVALID(TAGS.NAME_MAX_LENGTH) },
+    ]);
+
+  if (!items) throw invalid();
+
+  const names = uniqueByKey(items.map((item) => parseTagName(item, "tags")));
+  if (names.length > TAGS.MAX_PER_PROJECT) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "tags", message: MESSAGES.ERROR.TAGS_TOO_MANY(TAGS.MAX_PER_PROJECT) },
+    ]);
+  }
+
+  body.tags = names;
+  return body;
+};
+
+/**
+ * Refresh usageCount: live (not deleted) projects and drafts linked to each tag
+ * @param {string[]} tagIds
+ */
+const recountTags = async (tagIds, { transaction } = {}) => {
+  const ids = [...new Set(tagIds)];
+  if (ids.length === 0) return;
+
+  await db.sequelize.query(
+    `UPDATE "${Tag.tableName}" SET "usageCount" = (
+       SELECT count(*) FROM "${ProjectTag.tableName}" AS link
+       JOIN "${Project.tableName}" AS project ON project."pid" = link."projectId" AND project."deletedAt" IS NULL
+       WHERE link."tagId" = "${Tag.tableName}"."id"
+     ) WHERE "id" IN (:ids)`,
+    { replacements: { ids }, transaction }
+  );
+};
+
+/**
+ * A user's tags for the given names, creating the missing ones
+ * @returns {Promise<object[]>} Tags in the order of `names`
+ */
+const findOrCreateTags = async (userId, names, { transaction } = {}) => {
+  if (names.length === 0) return [];
+
+  const keys = names.map(tagKey);
+  const load = () => Tag.findAll({ where: { userId, key: keys }, transaction });
+
+  let tags = await load();
+  const known = new Set(tags.map((tag) => tag.key));
+  const missing = names.filter((name) => !known.has(tagKey(name)));
+
+  if (missing.length > 0) {
+    // Another request may create the same tag meanwhile; the unique index keeps one
+    await Tag.bulkCreate(
+      missing.map((name) => ({ userId, name, key: tagKey(name) })),
+      { ignoreDuplicates: true, transaction }
+    );
+    tags = await load();
+  }
+
+  const byKey = new Map(tags.map((tag) => [tag.key, tag]));
+  return keys.map((key) => byKey.get(key)).filter(Boolean);
+};
+
+/**
+ * Link a project to the tags in Project.tags (creating tags as needed) and
+ * rewrite Project.tags with the taxonomy's display names. Call after every
+ * write that may change a project's tags.
+ * @param {object} project - Project instance
+ * @returns {Promise<object[]>} The project's tags
+ */
+const syncProjectTags = async (project, { transaction } = {}) => {
+  if (!project.userId) return [];
+
+  const tags = await findOrCreateTags(project.userId, readTags(project.tags), { transaction });
+  const links = await ProjectTag.findAll({ where: { projectId: project.pid }, transaction });
+
+  const wanted = new Set(tags.map((tag) => tag.id));
+  const linked = new Set(links.map((link) => link.tagId));
+  const removed = links.filter((link) => !wanted.has(link.tagId));
+  const added = tags.filter((tag) => !linked.has(tag.id));
+
+  if (removed.length > 0) {
+    await ProjectTag.destroy({ where: { id: removed.map((link) => link.id) }, force: true, transaction });
+  }
+  if (added.length > 0) {
+    await ProjectTag.bulkCreate(
+      added.map((tag) => ({ projectId: project.pid, tagId: tag.id })),
+      { ignoreDuplicates: true, transaction }
+    );
+  }
+  await recountTags([...removed.map((link) => link.tagId), ...added.map((tag) => tag.id)], { transaction });
+
+  const names = tags.map((tag) => tag.name);
+  const isEmpty = project.tags === null || project.tags === undefined;
+  if (isEmpty ? names.length > 0 : JSON.stringify(project.tags) !== JSON.stringify(names)) {
+    await project.update({ tags: names }, { silent: true, transaction });
+  }
+
+  return tags;
+};
+
+/**
+ * Refresh the usage counts of a project's tags after it is deleted (the links
+ * stay, so a restored project keeps its tags)
+ * @param {object} project - Project instance
+ */
+const refreshProjectTagUsage = async (project) => {
+  const links = await ProjectTag.findAll({ where: { projectId: project.pid }, attributes: ["tagId"] });
+  await recountTags(links.map((link) => link.tagId));
+};
+
+/**
+ * Rewrite Project.tags on every project linked to `tagIds` (deleted ones
+ * included), replacing names matching `keys` with `name`
+ * @returns {Promise<object[]>} [{ project, before }] for each project changed,
+ *   for the activity log
+ */
+const rewriteProjectTags = async (tagIds, keys, name, transaction) => {
+  const links = await ProjectTag.findAll({ where: { tagId: tagIds }, attributes: ["projectId"], transaction });
+  const projectIds = [...new Set(links.map((link) => link.projectId))];
+  if (projectIds.length === 0) return [];
+
+  const projects = await Project.findAll({
+    where: { pid: projectIds },
+    attributes: ["pid", "tags"],
+    paranoid: false,
+    transaction,
+  });
+
+  const changed = [];
+  for (const project of projects) {
+    const names = uniqueByKey(readTags(project.tags).map((tag) => (keys.has(tagKey(tag)) ? name : tag)));
+    if (JSON.stringify(names) === JSON.stringify(project.tags)) continue;
+
+    const before = snapshot(project);
+    await project.update({ tags: names }, { silent: true, transaction });
+    changed.push({ project, before });
+  }
+
+  return changed;
+};
+
+/**
+ * Fold `sources` into `target`: their projects get the target tag and the
+ * source tags are removed
+ * @returns {Promise<object[]>} [{ project, before }] for each project changed
+ */
+const absorbTags = async (target, sources, transaction) => {
+  const sourceIds = sources.map((tag) => tag.id);
+  const projects = await rewriteProjectTags(
+    sourceIds,
+    new Set(sources.map((tag) => tag.key)),
+    target.name,
+    transaction
+  );
+
+  const links = await ProjectTag.findAll({ where: { tagId: [target.id, ...sourceIds] }, transaction });
+  const onTarget = new Set(links.filter((link) => link.tagId === target.id).map((link) => link.projectId));
+  const moving = new Set(
+    links.filter((link) => link.tagId !== target.id && !onTarget.has(link.projectId)).map((link) => link.projectId)
+  );
+
+  await ProjectTag.destroy({ where: { tagId: sourceIds }, force: true, transaction });
+  if (moving.size > 0) {
+    await ProjectTag.bulkCreate(
+      [...moving].map((projectId) => ({ projectId, tagId: target.id })),
+      { transaction }
+    );
+  }
+  await Tag.destroy({ where: { id: sourceIds }, force: true, transaction });
+  await recountTags([target.id], { transaction });
+
+  return projects;
+};
+
+/**
+ * Tags for autocomplete (?q=, matched at the start of any word, most used
+ * first) or, without `q` and `limit`, the user's whole taxonomy
+ * @param {string} userId
+ * @param {object} params - { q, limit }
+ */
+const listTags = (userId, { q, limit } = {}) => {
+  const search = isBlank(q) ? "" : escapeLike(tagKey(q));
+  const limited = !!search || !isBlank(limit);
+
+  return Tag.findAll({
+    where: {
+      userId,
+      ...(search && {
+        [Op.or]: [{ key: { [Op.like]: `${search}%` } }, { key: { [Op.like]: `% ${search}%` } }],
+      }),
+    },
+    order: [
+      ["usageCount", "DESC"],
+      ["name", "ASC"],
+    ],
+    ...(limited && {
+      limit: Math.min(Math.max(parseInt(limit) || TAGS.AUTOCOMPLETE_LIMIT, 1), TAGS.MAX_AUTOCOMPLETE_LIMIT),
+    }),
+  });
+};
+
+/**
+ * Rename a tag and every project using it. Renaming onto another existing tag
+ * is refused; merge them instead.
+ * @param {object} tag - Tag instance
+ * @param {string} value - New name
+ * @returns {Promise<object[]>} [{ project, before }] for each project changed
+ */
+const renameTag = async (tag, value) => {
+  const name = parseTagName(value);
+  const key = tagKey(name);
+
+  if (key !== tag.key) {
+    const existing = await Tag.findOne({ where: { userId: tag.userId, key } });
+    if (existing) {
+      throw new ConflictError(MESSAGES.ERROR.TAG_EXISTS(existing.name));
+    }
+  }
+
+  return db.sequelize.transaction(async (transaction) => {
+    const projects = await rewriteProjectTags([tag.id], new Set([tag.key]), name, transaction);
+    await tag.update({ name, key }, { transaction });
+    return projects;
+  });
+};
+
+/**
+ * Merge other tags of the same user into `target`
+ * @param {object} target - Tag instance that remains
+ * @param {string[]} sourceIds - Tags to fold into it
+ * @returns {Promise<object>} { merged, projects: [{ project, before }] }
+ */
+const mergeTags = async (target, sourceIds) => {
+  const ids = [...new Set(Array.isArray(sourceIds) ? sourceIds : isBlank(sourceIds) ? [] : [sourceIds])]
+    .map(String)
+    .filter((id) => id !== target.id);
+
+  if (ids.length === 0 || ids.length > TAGS.MAX_MERGE_SOURCES) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, [
+      { field: "sourceIds", message: MESSAGES.ERROR.TAG_MERGE_SOURCES_REQUIRED(TAGS.MAX_MERGE_SOURCES) },
+    ]);
+  }
+
+  const sources = await Tag.findAll({ where: { id: ids, userId: target.userId } });
+  if (sources.length !== ids.length) {
+    throw new NotFoundError(MESSAGES.ERROR.NOT_FOUND("Tag"));
+  }
+
+  const projects = await db.sequelize.transaction((transaction) => absorbTags(target, sources, transaction));
+  return { merged: sources.length, projects };
+};
+
+/**
+ * Move a user's tags to another account (account merges). Run after their
+ * projects have moved; tags the target already has are merged into its own.
+ * @returns {Promise<number>} Tags moved or merged
+ */
+const mergeUserTags = async (sourceUid, targetUid, { transaction } = {}) => {
+  const sources = await Tag.findAll({ where: { userId: sourceUid }, transaction });
+  const targets = await Tag.findAll({ where: { userId: targetUid }, transaction });
+  const byKey = new Map(targets.map((tag) => [tag.key, tag]));
+
+  for (const source of sources) {
+    const target = byKey.get(source.key);
+    if (target) {
+      await absorbTags(target, [source], transaction);
+    } else {
+      await source.update({ userId: targetUid }, { transaction });
+    }
+  }
+
+  return sources.length;
+};
+
+/**
+ * Revenue per tag across the user's finished (non-draft) projects, after tax
+ * and converted to `currency` at the rate for each project's date. A project
+ * counts towards each of its tags, so the tag totals can add up to more than
+ * the user's revenue.
+ * @param {string} userId
+ * @param {string} currency - Reporting currency
+ * @returns {Promise<object[]>} [{ tagId, name, projectCount, totals, byCurrency, unconverted }], highest net first
+ */
+const getTagRevenue = async (userId, currency) => {
+  const [tags, links, taxRules, rateTable] = await Promise.all([
+    Tag.findAll({ where: { userId }, attributes: ["id", "name"], raw: true }),
+    ProjectTag.findAll({
+      attributes: ["tagId"],
+      include: [
+        {
+          model: Project,
+          as: "project",
+          where: { userId, isDraft: false, projectAmount: { [Op.ne]: null } },
+          attributes: ["pid", "projectAmount", "currency", "taxHandling", "taxProvince", "client", "startDate", "createdAt"],
+        },
+        { model: Tag, as: "tag", where: { userId }, attributes: [] },
+      ],
+      raw: true,
+      nest: true,
+    }),
+    loadTaxRules(),
+    loadRateTable(),
+  ]);
+
+  const entriesByTag = new Map(tags.map((tag) => [tag.id, []]));
+  links.forEach(({ tagId, project }) => {
+    const tax = computeProjectTax(project, taxRules);
+    entriesByTag.get(tagId)?.push({
+      currency: project.currency,
+      date: project.startDate || project.createdAt,
+      figures: { gross: tax.gross, salesTax: tax.salesTax, withholdingTax: tax.withholdingTax, net: tax.net },
+    });
+  });
+
+  return tags
+    .map((tag) => {
+      const entries = entriesByTag.get(tag.id);
+      const { totals, byCurrency, unconverted } = summarizeInCurrency(entries, currency, rateTable);
+      return {
+        tagId: tag.id,
+        name: tag.name,
+        projectCount: entries.length,
+        totals: { gross: 0, salesTax: 0, withholdingTax: 0, net: 0, ...totals },
+        byCurrency,
+        unconverted,
+      };
+    })
+    .sort((a, b) => b.totals.net - a.totals.net || a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  tagKey,
+  readTags,
+  normalizeProjectTagFields,
+  syncProjectTags,
+  refreshProjectTagUsage,
+  listTags,
+  renameTag,
+  mergeTags,
+  mergeUserTags,
+  getTagRevenue,
+};
@@ -0,0 +1,147 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { ValidationError, ConflictError, NotFoundError } = require("../middlewares/errorHandler");
+const { tagKey, readTags, normalizeProjectTagFields, renameTag, mergeTags } = require("./tags");
+
+afterEach(() => mock.restoreAll());
+
+const makeTag = (id, name, userId = "u1") => {
+  const tag = { id, name, key: tagKey(name), userId };
+  tag.update = mock.fn(async (values) => Object.assign(tag, values));
+  return tag;
+};
+
+const makeProject = (pid, tags) => {
+  const project = db.Project.build({ pid, userId: "u1", tags });
+  mock.method(project, "update", async function (changes) {
+    this.set(changes);
+    return this;
+  });
+  return project;
+};
+
+/**
+ * Stub the taxonomy queries over in-memory tags, links and projects
+ */
+const stubTaxonomy = ({ tags = [], links = [], projects = [] }) => {
+  const ids = (value) => [].concat(value);
+  return {
+    transaction: mock.method(db.sequelize, "transaction", async (work) => work({ id: "tx" })),
+    query: mock.method(db.sequelize, "query", async () => []),
+    findTags: mock.method(db.Tag, "findAll", async ({ where }) =>
+      tags.filter((tag) => ids(where.id).includes(tag.id) && tag.userId === where.userId)
+    ),
+    findOne: mock.method(db.Tag, "findOne", async ({ where }) =>
+      tags.find((tag) => tag.userId === where.userId && tag.key === where.key) || null
+    ),
+    destroyTags: mock.method(db.Tag, "destroy", async () => 0),
+    findLinks: mock.method(db.ProjectTag, "findAll", async ({ where }) =>
+      links.filter((link) => ids(where.tagId).includes(link.tagId))
+    ),
+    destroyLinks: mock.method(db.ProjectTag, "destroy", async () => 0),
+    createLinks: mock.method(db.ProjectTag, "bulkCreate", async (rows) => rows),
+    findProjects: mock.method(db.Project, "findAll", async ({ where }) =>
+      projects.filter((project) => where.pid.includes(project.pid))
+    ),
+  };
+};
+
+describe("tag names", () => {
+  it("matches names on a normalized key and keeps the first spelling", () => {
+    assert.equal(tagKey("  #Brand   Deal "), "brand deal");
+    assert.deepEqual(readTags('["Instagram", " #instagram", 42, null, {"x": 1}, "Reels"]'), ["Instagram", "42", "Reels"]);
+    assert.deepEqual(readTags("not json"), []);
+  });
+
+  it("normalizes the tags of a project payload", () => {
+    assert.deepEqual(normalizeProjectTagFields({ tags: ["#Reels", "reels", "Brand  Deal"] }).tags, ["Reels", "Brand Deal"]);
+    assert.deepEqual(normalizeProjectTagFields({ tags: "" }).tags, []);
+    assert.deepEqual(normalizeProjectTagFields({ name: "x" }), { name: "x" });
+  });
+
+  it("rejects blank names, non-lists and too many tags", () => {
+    assert.throws(() => normalizeProjectTagFields({ tags: ["ok", "#"] }), ValidationError);
+    assert.throws(() => normalizeProjectTagFields({ tags: "Reels" }), ValidationError);
+    assert.throws(
+      () => normalizeProjectTagFields({ tags: Array.from({ length: 21 }, (_, index) => `tag ${index}`) }),
+      ValidationError
+    );
+  });
+});
+
+describe("renameTag", () => {
+  it("rewrites the name on every project using the tag and returns what changed", async () => {
+    const tag = makeTag("t1", "Insta");
+    const p1 = makeProject("p1", ["insta", "Brand"]);
+    const p2 = makeProject("p2", ["Reels"]);
+    const stubs = stubTaxonomy({
+      tags: [tag],
+      links: [{ projectId: "p1", tagId: "t1" }],
+      projects: [p1, p2],
+    });
+
+    const changes = await renameTag(tag, " #Instagram ");
+
+    assert.deepEqual(p1.tags, ["Instagram", "Brand"]);
+    assert.equal(p2.update.mock.callCount(), 0);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].project, p1);
+    assert.deepEqual(changes[0].before.tags, ["insta", "Brand"]);
+    assert.deepEqual(tag.update.mock.calls[0].arguments[0], { name: "Instagram", key: "instagram" });
+    assert.equal(stubs.findProjects.mock.calls[0].arguments[0].paranoid, false);
+  });
+
+  it("refuses a name another tag already has, but allows a change of case", async () => {
+    const tag = makeTag("t1", "insta");
+    const stubs = stubTaxonomy({ tags: [tag, makeTag("t2", "Reels")] });
+
+    await assert.rejects(renameTag(tag, "reels"), ConflictError);
+    assert.equal(stubs.transaction.mock.callCount(), 0);
+
+    await renameTag(tag, "Insta");
+    assert.equal(stubs.findOne.mock.callCount(), 1);
+    assert.equal(tag.name, "Insta");
+  });
+});
+
+describe("mergeTags", () => {
+  it("moves the sources' projects onto the target and removes the sources", async () => {
+    const target = makeTag("t1", "Instagram");
+    const p1 = makeProject("p1", ["IG Reels", "Brand"]);
+    const p2 = makeProject("p2", ["Instagram", "insta"]);
+    const stubs = stubTaxonomy({
+      tags: [target, makeTag("t2", "IG Reels"), makeTag("t3", "insta")],
+      links: [
+        { projectId: "p1", tagId: "t2" },
+        { projectId: "p2", tagId: "t1" },
+        { projectId: "p2", tagId: "t3" },
+      ],
+      projects: [p1, p2],
+    });
+
+    const { merged, projects } = await mergeTags(target, ["t2", "t3", "t1", "t2"]);
+
+    assert.equal(merged, 2);
+    assert.deepEqual(
+      projects.map(({ project, before }) => [project.pid, before.tags, project.tags]),
+      [
+        ["p1", ["IG Reels", "Brand"], ["Instagram", "Brand"]],
+        ["p2", ["Instagram", "insta"], ["Instagram"]],
+      ]
+    );
+    assert.deepEqual(stubs.createLinks.mock.calls[0].arguments[0], [{ projectId: "p1", tagId: "t1" }]);
+    assert.deepEqual(stubs.destroyLinks.mock.calls[0].arguments[0].where, { tagId: ["t2", "t3"] });
+    assert.deepEqual(stubs.destroyTags.mock.calls[0].arguments[0].where, { id: ["t2", "t3"] });
+  });
+
+  it("requires sources belonging to the same user", async () => {
+    const target = makeTag("t1", "Instagram");
+    stubTaxonomy({ tags: [target, makeTag("t9", "Reels", "u2")] });
+
+    await assert.rejects(mergeTags(target, []), ValidationError);
+    await assert.rejects(mergeTags(target, ["t1"]), ValidationError);
+    await assert.rejects(mergeTags(target, ["t9"]), NotFoundError);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tax Calculation
+ * Turns an amount, its tax handling (inclusive / exclusive / exempt) and the
+ * applicable tax rules into gross, sales tax, withholding and net figures.
+ * Pure functions with no database access, so scripts can use them on raw rows.
+ *
+ *  - base:        taxable value (the amount before sales tax)
+ *  - gross:       what the client is billed (base + sales tax)
+ *  - receivable:  what the client actually pays (gross - withholding)
+ *  - net:         what the creator keeps (base - withholding)
+ */
+
+const { TAX, TAX_MODES, TAX_KINDS } = require("./constants");
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const sum = (values) => round(values.reduce((total, value) => total + value, 0));
+
+/**
+ * Map a taxHandling value (including older free-text entries) to one of TAX_MODES
+ * @param {string|null} taxHandling
+ * @returns {string|null} mode, or null when the text isn't recognised
+ */
+const parseTaxMode = (taxHandling) => {
+  const text = String(taxHandling || "").trim().toLowerCase();
+  if (!text) return null;
+
+  if (Object.values(TAX_MODES).includes(text)) return text;
+  if (/exempt|no tax|none|not applicable|n\/a/.test(text)) return TAX_MODES.EXEMPT;
+  if (/incl/.test(text)) return TAX_MODES.INCLUSIVE;
+  if (/excl|plus|on top/.test(text)) return TAX_MODES.EXCLUSIVE;
+
+  return null;
+};
+
+/**
+ * A project's tax mode, falling back to TAX.DEFAULT_MODE
+ */
+const normalizeTaxMode = (taxHandling) => parseTaxMode(taxHandling) || TAX.DEFAULT_MODE;
+
+const toDay = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+/**
+ * The rules that apply to a project: per kind, the most specific active rule
+ * (province and client type beat province, which beats client type, which beats
+ * a catch-all), newest effectiveFrom first on ties
+ * @param {object[]} rules - Tax rule rows
+ * @param {object} context - { province, clientType, date }
+ * @returns {object[]} at most one rule per kind
+ */
+const selectRules = (rules, { province = null, clientType = null, date = new Date() } = {}) => {
+  const day = toDay(date) || toDay(new Date());
+  const best = new Map();
+
+  rules.forEach((rule) => {
+    if (rule.isActive === false) return;
+    if (rule.province && rule.province !== province) return;
+    if (rule.clientType && rule.clientType !== clientType) return;
+    if (rule.effectiveFrom && toDay(rule.effectiveFrom) > day) return;
+    if (rule.effectiveTo && toDay(rule.effectiveTo) < day) return;
+
+    const score = (rule.province ? 2 : 0) + (rule.clientType ? 1 : 0);
+    const current = best.get(rule.kind);
+    const newer =
+      current && current.score === score && (toDay(rule.effectiveFrom) || "") > (toDay(current.rule.effectiveFrom) || "");
+
+    if (!current || score > current.score || newer) {
+      best.set(rule.kind, { score, rule });
+    }
+  });
+
+  return [...best.values()].map(({ rule }) => rule);
+};
+
+/**
+ * Gross / tax / net breakdown of an amount
+ * @param {number} amount - Amount as agreed (contains sales tax when inclusive)
+ * @param {string} mode - One of TAX_MODES
+ * @param {object[]} rules - Applicable rules or tax lines: [{ id?, name|label, kind, rate }]
+ * @returns {object} { mode, base, salesTax, withholdingTax, gross, receivable, net, lines }
+ */
+const computeTax = (amount, mode, rules = []) => {
+  const value = round(amount || 0);
+  const salesRules = mode === TAX_MODES.EXEMPT ? [] : rules.filter((rule) => rule.kind === TAX_KINDS.SALES);
+  const withholdingRules = rules.filter((rule) => rule.kind === TAX_KINDS.WITHHOLDING);
+
+  const salesRate = salesRules.reduce((total, rule) => total + Number(rule.rate), 0);
+  const inclusive = mode === TAX_MODES.INCLUSIVE;
+  const base = inclusive ? round(value / (1 + salesRate / 100)) : value;
+
+  const line = (rule, kind) => ({
+    ruleId: rule.ruleId || rule.id || null,
+    label: rule.label || rule.name,
+    kind,
+    rate: Number(rule.rate),
+    amount: round((base * Number(rule.rate)) / 100),
+    included: kind === TAX_KINDS.SALES && inclusive,
+    deducted: kind === TAX_KINDS.WITHHOLDING,
+  });
+
+  const salesLines = salesRules.map((rule) => line(rule, TAX_KINDS.SALES));
+
+  // Inclusive amounts are fixed, so rounding differences go to the last sales tax line
+  if (inclusive && salesLines.length > 0) {
+    const last = salesLines[salesLines.length - 1];
+    last.amount = round(last.amount + (value - base - sum(salesLines.map((tax) => tax.amount))));
+  }
+
+  const withholdingLines = withholdingRules.map((rule) => line(rule, TAX_KINDS.WITHHOLDING));
+
+  const salesTax = sum(salesLines.map((tax) => tax.amount));
+  const withholdingTax = sum(withholdingLines.map((tax) => tax.amount));
+  const gross = round(base + salesTax);
+
+  return {
+    mode,
+    base,
+    salesTax,
+    withholdingTax,
+    gross,
+    receivable: round(gross - withholdingTax),
+    net: round(base - withholdingTax),
+    lines: [...salesLines, ...withholdingLines],
+  };
+};
+
+/**
+ * Tax breakdown for a project row (instance or raw)
+ * @param {object} project - { projectAmount, taxHandling, taxProvince, client, startDate, createdAt }
+ * @param {object[]} rules - All tax rule rows
+ * @returns {object|null} computeTax result, or null when the project has no amount
+ */
+const computeProjectTax = (project, rules) => {
+  if (project.projectAmount === null || project.projectAmount === undefined) return null;
+
+  const applicable = selectRules(rules, {
+    province: project.taxProvince || null,
+    clientType: project.client || null,
+    date: project.startDate || project.createdAt,
+  });
+
+  return computeTax(project.projectAmount, normalizeTaxMode(project.taxHandling), applicable);
+};
+
+module.exports = {
+  parseTaxMode,
+  normalizeTaxMode,
+  selectRules,
+  computeTax,
+  computeProjectTax,
+};
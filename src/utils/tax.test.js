@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseTaxMode, normalizeTaxMode, selectRules, computeTax, computeProjectTax } = require("./tax");
+
+const SALES = { id: 1, name: "Sales tax", kind: "sales_tax", rate: "16" };
+const WITHHOLDING = { id: 2, name: "Withholding", kind: "withholding_tax", rate: "10" };
+
+describe("parseTaxMode", () => {
+  it("maps older free-text values to a mode", () => {
+    assert.equal(parseTaxMode("Tax inclusive"), "inclusive");
+    assert.equal(parseTaxMode("plus GST"), "exclusive");
+    assert.equal(parseTaxMode("N/A"), "exempt");
+    assert.equal(parseTaxMode(" EXEMPT "), "exempt");
+  });
+
+  it("returns null for blank or unknown values, which default to exclusive", () => {
+    assert.equal(parseTaxMode(""), null);
+    assert.equal(parseTaxMode("sometimes"), null);
+    assert.equal(normalizeTaxMode("sometimes"), "exclusive");
+  });
+});
+
+describe("selectRules", () => {
+  const rules = [
+    { id: 1, kind: "sales_tax", rate: 17 },
+    { id: 2, kind: "sales_tax", rate: 16, province: "punjab" },
+    { id: 3, kind: "sales_tax", rate: 15, province: "punjab", clientType: "brand" },
+    { id: 4, kind: "withholding_tax", rate: 10, clientType: "brand" },
+    { id: 5, kind: "withholding_tax", rate: 12, clientType: "brand", isActive: false },
+  ];
+
+  it("picks the most specific active rule per kind", () => {
+    const picked = selectRules(rules, { province: "punjab", clientType: "brand", date: "2026-03-01" });
+    assert.deepEqual(picked.map((rule) => rule.id).sort(), [3, 4]);
+
+    const catchAll = selectRules(rules, { province: "sindh", clientType: "individual", date: "2026-03-01" });
+    assert.deepEqual(catchAll.map((rule) => rule.id), [1]);
+  });
+
+  it("skips rules outside their dates and prefers the newer one on ties", () => {
+    const dated = [
+      { id: 1, kind: "sales_tax", rate: 16, effectiveFrom: "2025-01-01", effectiveTo: "2025-12-31" },
+      { id: 2, kind: "sales_tax", rate: 17, effectiveFrom: "2025-07-01" },
+      { id: 3, kind: "sales_tax", rate: 18, effectiveFrom: "2027-01-01" },
+    ];
+
+    assert.deepEqual(selectRules(dated, { date: "2025-09-01" }).map((rule) => rule.id), [2]);
+    assert.deepEqual(selectRules(dated, { date: "2025-03-01" }).map((rule) => rule.id), [1]);
+  });
+});
+
+describe("computeTax", () => {
+  it("adds sales tax on top and deducts withholding when exclusive", () => {
+    const tax = computeTax(1000, "exclusive", [SALES, WITHHOLDING]);
+
+    assert.equal(tax.base, 1000);
+    assert.equal(tax.salesTax, 160);
+    assert.equal(tax.withholdingTax, 100);
+    assert.equal(tax.gross, 1160);
+    assert.equal(tax.receivable, 1060);
+    assert.equal(tax.net, 900);
+    assert.deepEqual(
+      tax.lines.map((line) => [line.ruleId, line.amount, line.included, line.deducted]),
+      [
+        [1, 160, false, false],
+        [2, 100, false, true],
+      ]
+    );
+  });
+
+  it("keeps the amount fixed when inclusive, rounding onto the last sales line", () => {
+    const rules = [1, 2, 3].map((id) => ({ id, name: `Levy ${id}`, kind: "sales_tax", rate: 5 }));
+    const tax = computeTax(100, "inclusive", rules);
+
+    assert.equal(tax.base, 86.96);
+    assert.deepEqual(tax.lines.map((line) => line.amount), [4.35, 4.35, 4.34]);
+    assert.equal(tax.salesTax, 13.04);
+    assert.equal(tax.gross, 100);
+  });
+
+  it("drops sales tax but keeps withholding when exempt", () => {
+    const tax = computeTax(1000, "exempt", [SALES, WITHHOLDING]);
+
+    assert.equal(tax.salesTax, 0);
+    assert.equal(tax.gross, 1000);
+    assert.equal(tax.net, 900);
+    assert.deepEqual(tax.lines.map((line) => line.kind), ["withholding_tax"]);
+  });
+});
+
+describe("computeProjectTax", () => {
+  it("returns null without an amount and applies the project's rules otherwise", () => {
+    assert.equal(computeProjectTax({ projectAmount: null }, [SALES]), null);
+
+    const tax = computeProjectTax({ projectAmount: 500, taxHandling: "Tax inclusive", startDate: "2026-01-01" }, [SALES]);
+    assert.equal(tax.mode, "inclusive");
+    assert.equal(tax.gross, 500);
+    assert.equal(tax.base, 431.03);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tax Rules
+ * Admin-managed sales tax and withholding rates per province and/or client
+ * type (`tax_rules`), the project tax fields that pick between them, and the
+ * gross / tax / net breakdowns served with projects. The arithmetic lives in
+ * ./tax so scripts can share it.
+ */
+
+const db = require("../models");
+const { ValidationError } = require("../middlewares/errorHandler");
+const { parseTaxMode, computeProjectTax } = require("./tax");
+const { MESSAGES, TAX, TAX_MODES, TAX_KINDS, TAX_PROVINCES, CLIENT_TYPES } = require("./constants");
+
+const TaxRule = db.TaxRule;
+
+const KINDS = Object.values(TAX_KINDS);
+const MODES = Object.values(TAX_MODES);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+const toDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Validate a tax rule payload
+ * @param {object} input - Request payload
+ * @param {object} [existing] - Rule being updated; omitted fields are kept
+ * @returns {object} Column values to write
+ */
+const parseTaxRule = (input = {}, existing = null) => {
+  const errors = [];
+  const fields = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !existing) {
+    const name = isBlank(input.name) ? "" : String(input.name).trim();
+    if (!name || name.length > TAX.RULE_NAME_MAX_LENGTH) {
+      errors.push({ field: "name", message: MESSAGES.ERROR.TAX_RULE_NAME_REQUIRED(TAX.RULE_NAME_MAX_LENGTH) });
+    }
+    fields.name = name;
+  }
+
+  if (has("kind") || !existing) {
+    if (!KINDS.includes(input.kind)) {
+      errors.push({ field: "kind", message: MESSAGES.ERROR.TAX_KIND_INVALID(KINDS) });
+    }
+    fields.kind = input.kind;
+  }
+
+  if (has("rate") || !existing) {
+    const rate = Number(input.rate);
+    if (isBlank(input.rate) || isNaN(rate) || rate < 0 || rate > TAX.MAX_RATE) {
+      errors.push({ field: "rate", message: MESSAGES.ERROR.TAX_RATE_INVALID(TAX.MAX_RATE) });
+    }
+    fields.rate = Math.round(rate * 100) / 100;
+  }
+
+  if (has("province")) {
+    if (!isBlank(input.province) && !TAX_PROVINCES.includes(input.province)) {
+      errors.push({ field: "province", message: MESSAGES.ERROR.TAX_PROVINCE_INVALID(TAX_PROVINCES) });
+    }
+    fields.province = isBlank(input.province) ? null : input.province;
+  }
+
+  if (has("clientType")) {
+    if (!isBlank(input.clientType) && !CLIENT_TYPES.includes(input.clientType)) {
+      errors.push({ field: "clientType", message: MESSAGES.ERROR.TAX_CLIENT_TYPE_INVALID(CLIENT_TYPES) });
+    }
+    fields.clientType = isBlank(input.clientType) ? null : input.clientType;
+  }
+
+  ["effectiveFrom", "effectiveTo"].forEach((field) => {
+    if (!has(field)) return;
+    if (!isBlank(input[field]) && !isValidDate(input[field])) {
+      errors.push({ field, message: MESSAGES.ERROR.INVALID(field) });
+      return;
+    }
+    fields[field] = isBlank(input[field]) ? null : toDay(input[field]);
+  });
+
+  const effectiveFrom = has("effectiveFrom") ? fields.effectiveFrom : existing?.effectiveFrom;
+  const effectiveTo = has("effectiveTo") ? fields.effectiveTo : existing?.effectiveTo;
+  if (effectiveFrom && effectiveTo && toDay(effectiveTo) < toDay(effectiveFrom)) {
+    errors.push({ field: "effectiveTo", message: MESSAGES.ERROR.TAX_RULE_DATES_INVALID });
+  }
+
+  if (has("isActive")) {
+    fields.isActive = input.isActive === true || input.isActive === "true";
+  }
+
+  if (has("notes")) {
+    fields.notes = isBlank(input.notes) ? null : String(input.notes).trim();
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return fields;
+};
+
+/**
+ * Tax rules for the admin list (?kind=, ?province=, ?clientType=, ?active=true|false)
+ */
+const listTaxRules = ({ kind, province, clientType, active } = {}) =>
+  TaxRule.findAll({
+    where: {
+      ...(kind && { kind }),
+      ...(province && { province }),
+      ...(clientType && { clientType }),
+      ...(active !== undefined && { isActive: active === true || active === "true" }),
+    },
+    order: [
+      ["kind", "ASC"],
+      ["province", "ASC"],
+      ["clientType", "ASC"],
+      ["effectiveFrom", "DESC"],
+    ],
+  });
+
+const createTaxRule = (input) => TaxRule.create(parseTaxRule(input));
+
+const updateTaxRule = (rule, input) => rule.update(parseTaxRule(input, rule));
+
+/**
+ * Every tax rule, as plain rows for selectRules
+ */
+const loadTaxRules = () => TaxRule.findAll({ raw: true });
+
+/**
+ * Gross / tax / net breakdown for one project
+ * @param {object} project - Project instance
+ * @param {object[]} [rules] - Preloaded tax rules
+ */
+const getProjectTax = async (project, rules) => computeProjectTax(project, rules || (await loadTaxRules()));
+
+/**
+ * Breakdowns for many projects, loading the rules once
+ * @param {object[]} projects - Project instances
+ * @returns {Promise<Map<string, object|null>>} pid -> breakdown
+ */
+const getProjectTaxes = async (projects) => {
+  const rules = projects.length > 0 ? await loadTaxRules() : [];
+  return new Map(projects.map((project) => [project.pid, computeProjectTax(project, rules)]));
+};
+
+/**
+ * Normalize the tax fields of a project payload in place: taxHandling becomes
+ * one of TAX_MODES (older free-text values are mapped), taxProvince must be a
+ * known province. Blank values clear the field.
+ * @param {object} body - Project payload
+ * @returns {object} body
+ */
+const normalizeProjectTaxFields = (body = {}) => {
+  const errors = [];
+
+  if (body.taxHandling !== undefined) {
+    const mode = parseTaxMode(body.taxHandling);
+    if (!isBlank(body.taxHandling) && !mode) {
+      errors.push({ field: "taxHandling", message: MESSAGES.ERROR.TAX_MODE_INVALID(MODES) });
+    }
+    body.taxHandling = mode;
+  }
+
+  if (body.taxProvince !== undefined) {
+    if (!isBlank(body.taxProvince) && !TAX_PROVINCES.includes(body.taxProvince)) {
+      errors.push({ field: "taxProvince", message: MESSAGES.ERROR.TAX_PROVINCE_INVALID(TAX_PROVINCES) });
+    }
+    body.taxProvince = isBlank(body.taxProvince) ? null : body.taxProvince;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(MESSAGES.ERROR.VALIDATION_FAILED, errors);
+  }
+
+  return body;
+};
+
+module.exports = {
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  loadTaxRules,
+  getProjectTax,
+  getProjectTaxes,
+  normalizeProjectTaxFields,
+};
@@ -0,0 +1,89 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../models");
+const { ValidationError } = require("../middlewares/errorHandler");
+const { createTaxRule, updateTaxRule, normalizeProjectTaxFields } = require("./taxRules");
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Fields named by a ValidationError thrown from fn
+ */
+const failedFields = async (fn) => {
+  try {
+    await fn();
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.errors.map((entry) => entry.field);
+  }
+  assert.fail("expected a ValidationError");
+};
+
+/**
+ * Existing rule whose update resolves with the fields written
+ */
+const makeRule = (values) => ({ ...values, update: mock.fn(async (fields) => fields) });
+
+describe("tax rule validation", () => {
+  it("requires name, kind and rate for a new rule", async () => {
+    const create = mock.method(db.TaxRule, "create", async (fields) => fields);
+
+    assert.deepEqual(await failedFields(() => createTaxRule({})), ["name", "kind", "rate"]);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("normalizes a valid rule", async () => {
+    mock.method(db.TaxRule, "create", async (fields) => fields);
+
+    const fields = await createTaxRule({
+      name: "  Punjab sales tax ",
+      kind: "sales_tax",
+      rate: "16.005",
+      province: "punjab",
+      clientType: "",
+      effectiveFrom: "2026-07-01T10:00:00Z",
+    });
+
+    assert.deepEqual(fields, {
+      name: "Punjab sales tax",
+      kind: "sales_tax",
+      rate: 16.01,
+      province: "punjab",
+      clientType: null,
+      effectiveFrom: "2026-07-01",
+    });
+  });
+
+  it("rejects unknown provinces, client types and out-of-range rates", async () => {
+    const fields = await failedFields(() =>
+      createTaxRule({ name: "X", kind: "sales_tax", rate: 101, province: "atlantis", clientType: "robot" })
+    );
+    assert.deepEqual(fields, ["rate", "province", "clientType"]);
+  });
+
+  it("checks the date range against the rule being updated and keeps omitted fields", async () => {
+    const rule = makeRule({ name: "Sales tax", kind: "sales_tax", rate: 16, effectiveFrom: "2026-07-01" });
+
+    assert.deepEqual(await failedFields(() => updateTaxRule(rule, { effectiveTo: "2026-06-30" })), ["effectiveTo"]);
+    assert.deepEqual(await updateTaxRule(rule, { isActive: "false" }), { isActive: false });
+    assert.equal(rule.update.mock.callCount(), 1);
+  });
+});
+
+describe("normalizeProjectTaxFields", () => {
+  it("maps free-text tax handling and clears blank values", () => {
+    assert.deepEqual(normalizeProjectTaxFields({ taxHandling: "GST inclusive", taxProvince: "" }), {
+      taxHandling: "inclusive",
+      taxProvince: null,
+    });
+    assert.deepEqual(normalizeProjectTaxFields({ taxHandling: "" }), { taxHandling: null });
+  });
+
+  it("rejects unknown modes and provinces", async () => {
+    assert.deepEqual(await failedFields(() => normalizeProjectTaxFields({ taxHandling: "maybe", taxProvince: "atlantis" })), [
+      "taxHandling",
+      "taxProvince",
+    ]);
+  });
+});
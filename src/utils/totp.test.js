@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const totp = require("./totp");
+
+// RFC 6238 appendix B test secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("totp", () => {
+  it("matches the RFC 6238 SHA-1 test vectors (last 6 digits)", () => {
+    assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(59 * 1000)), "287082");
+    assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(1111111109 * 1000)), "081804");
+    assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(2000000000 * 1000)), "279037");
+  });
+
+  it("round-trips base32 and ignores case, spaces and padding", () => {
+    const bytes = Buffer.from("12345678901234567890");
+
+    assert.equal(totp.base32Encode(bytes), RFC_SECRET);
+    assert.deepEqual(totp.base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq===="), bytes);
+  });
+
+  it("accepts codes one step either side of now and returns the step", () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.getStep(timestamp);
+
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { timestamp }), step - 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { timestamp }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, "12345", { timestamp }), null);
+  });
+
+  it("builds an otpauth URI authenticator apps can scan", () => {
+    const [path, query] = totp.buildOtpauthUri(RFC_SECRET, "user@example.com", "Create").split("?");
+    const params = new URLSearchParams(query);
+
+    assert.equal(decodeURIComponent(path), "otpauth://totp/Create:user@example.com");
+    assert.equal(params.get("secret"), RFC_SECRET);
+    assert.equal(params.get("digits"), "6");
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrolment, verification, backup codes and the signin challenge token.
+ * Secrets are encrypted at rest (AES-256-GCM, key from TWO_FACTOR_ENCRYPTION_KEY
+ * or JWT_SECRET); backup codes are stored as SHA-256 hashes and are single use.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const logger = require("./logger");
+const totp = require("./totp");
+const {
+  BadRequestError,
+  ConflictError,
+  UnauthorizedError,
+} = require("../middlewares/errorHandler");
+const { MESSAGES, TWO_FACTOR } = require("./constants");
+
+const CHALLENGE_TOKEN_TYPE = "2fa_challenge";
+
+// ========== Secret encryption ==========
+
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// ========== Backup codes ==========
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR.BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// ========== Enrolment ==========
+
+/**
+ * Start enrolment: create a secret and return it with the otpauth URI
+ * The secret is stored but 2FA stays off until confirmEnrolment succeeds.
+ * @param {object} user - User instance
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+const beginEnrolment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new ConflictError(MESSAGES.ERROR.TWO_FACTOR_ALREADY_ENABLED);
+  }
+
+  const secret = totp.generateSecret();
+
+  await user.update({
+    twoFactorSecret: encryptSecret(secret),
+    twoFactorBackupCodes: null,
+    twoFactorLastUsedStep: null,
+  });
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri(secret, user.email, TWO_FACTOR.ISSUER),
+  };
+};
+
+/**
+ * Confirm enrolment with the first code from the authenticator app
+ * @param {object} user - User instance
+ * @param {string} code - 6-digit code
+ * @returns {Promise<string[]>} Backup codes (only ever returned here)
+ */
+const confirmEnrolment = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw new ConflictError(MESSAGES.ERROR.TWO_FACTOR_ALREADY_ENABLED);
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_SETUP_REQUIRED);
+  }
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+
+  if (step === null) {
+    throw new BadRequestError(MESSAGES.ERROR.TWO_FACTOR_CODE_INVALID);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorBackupCodes: hashes,
+    twoFactorLastUsedStep: step,
+  });
+
+  logger.info("Two-factor authentication enabled", { userId: user.uid });
+
+  return codes;
+};
+
+// ========== Verification ==========
+
+/**
+ * Check a TOTP code or an unused backup code
+ * Accepted TOTP steps cannot be reused; backup codes are removed once used.
+ * @param {object} user - User instance with the twoFactor* attributes loaded
+ * @param {string} code - Authenticator code or backup code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return false;
+  }
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+
+  if (step !== null) {
+    // Conditional update so two requests racing with the same code cannot both pass
+    const [updated] = await user.constructor.update(
+      { twoFactorLastUsedStep: step },
+      {
+        where: {
+          uid: user.uid,
+          [Op.or]: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { [Op.lt]: step } }],
+        },
+      }
+    );
+
+    if (updated === 0) {
+      logger.warn("Replayed two-factor code rejected", { userId: user.uid });
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const hash = hashBackupCode(String(code));
+  const remaining = user.twoFactorBackupCodes || [];
+
+  if (remaining.includes(hash)) {
+    await user.update({ twoFactorBackupCodes: remaining.filter((item) => item !== hash) });
+    logger.info("Backup code used", { userId: user.uid, remaining: remaining.length - 1 });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Replace the user's backup codes
+ * @param {object} user - User instance
+ * @returns {Promise<string[]>} New backup codes
+ */
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = generateBackupCodes();
+  await user.update({ twoFactorBackupCodes: hashes });
+  return codes;
+};
+
+/**
+ * Turn 2FA off and forget the secret (self-service disable or admin reset)
+ * @param {object} user - User instance
+ */
+const disableTwoFactor = async (user) => {
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorBackupCodes: null,
+    twoFactorLastUsedStep: null,
+  });
+};
+
+// ========== Signin challenge ==========
+
+/**
+ * Sign the short-lived token that stands in for a session until the second factor is checked
+ * @param {object} user - User that passed the first factor
+ */
+const issueChallenge = (user) =>
+  jwt.sign({ type: CHALLENGE_TOKEN_TYPE, uid: user.uid }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR.CHALLENGE_EXPIRY,
+  });
+
+/**
+ * Read a challenge token
+ * @param {string} token - Token from the first signin step
+ * @returns {string} User ID
+ */
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type === CHALLENGE_TOKEN_TYPE) {
+      return decoded.uid;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw new UnauthorizedError(MESSAGES.ERROR.TWO_FACTOR_CHALLENGE_INVALID);
+};
+
+module.exports = {
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  issueChallenge,
+  readChallenge,
+};
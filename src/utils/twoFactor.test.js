@@ -0,0 +1,119 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const totp = require("./totp");
+const {
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  issueChallenge,
+  readChallenge,
+} = require("./twoFactor");
+
+/**
+ * In-memory User with a model-level update that applies the conditional step check
+ */
+const makeUser = () => {
+  const user = { uid: "user-1", email: "user@example.com", twoFactorEnabled: false };
+  user.update = async (changes) => Object.assign(user, changes);
+  user.constructor = {
+    update: mock.fn(async (changes) => {
+      if (user.twoFactorLastUsedStep !== null && user.twoFactorLastUsedStep >= changes.twoFactorLastUsedStep) {
+        return [0];
+      }
+      return [1];
+    }),
+  };
+  return user;
+};
+
+const enrol = async () => {
+  const user = makeUser();
+  const { secret } = await beginEnrolment(user);
+  const backupCodes = await confirmEnrolment(user, totp.generateCode(secret, totp.getStep() - 1));
+  return { user, secret, backupCodes };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("enrolment", () => {
+  it("stores the secret encrypted and only enables 2FA after a valid code", async () => {
+    const user = makeUser();
+    const { secret, otpauthUri } = await beginEnrolment(user);
+
+    assert.ok(otpauthUri.startsWith("otpauth://totp/"));
+    assert.ok(!user.twoFactorSecret.includes(secret));
+    await assert.rejects(confirmEnrolment(user, totp.generateCode(secret, totp.getStep() + 5)), { statusCode: 400 });
+    assert.equal(user.twoFactorEnabled, false);
+
+    const backupCodes = await confirmEnrolment(user, totp.generateCode(secret, totp.getStep()));
+    assert.equal(user.twoFactorEnabled, true);
+    assert.equal(backupCodes.length, user.twoFactorBackupCodes.length);
+    assert.ok(!user.twoFactorBackupCodes.includes(backupCodes[0]));
+  });
+});
+
+describe("verifySecondFactor", () => {
+  it("rejects a TOTP code that was already used", async () => {
+    const { user, secret } = await enrol();
+    const code = totp.generateCode(secret, totp.getStep());
+
+    assert.equal(await verifySecondFactor(user, code), true);
+    assert.equal(await verifySecondFactor(user, code), false);
+  });
+
+  it("accepts each backup code once", async () => {
+    const { user, backupCodes } = await enrol();
+
+    assert.equal(await verifySecondFactor(user, backupCodes[0].toUpperCase()), true);
+    assert.equal(await verifySecondFactor(user, backupCodes[0]), false);
+    assert.equal(user.twoFactorBackupCodes.length, backupCodes.length - 1);
+  });
+});
+
+describe("signin challenge", () => {
+  it("only accepts challenge tokens", () => {
+    assert.equal(readChallenge(issueChallenge({ uid: "user-1" })), "user-1");
+    assert.throws(() => readChallenge(jwt.sign({ uid: "user-1" }, process.env.JWT_SECRET)), { statusCode: 401 });
+  });
+
+  it("are only counted against the account they name once their signature checks out", async () => {
+    let router;
+    require("../routes/user.route")({ use: (prefix, mounted) => (router = mounted) });
+    const limiter = router.stack.find((layer) => layer.route?.path === "/signin/2fa").route.stack[0].handle;
+
+    // Resolves with the status the limiter sent, or 200 when it let the request through
+    const attempt = (ip, challengeToken) =>
+      new Promise((resolve) => {
+        const res = {
+          headers: {},
+          setHeader(name, value) {
+            this.headers[name] = value;
+          },
+          getHeader(name) {
+            return this.headers[name];
+          },
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          send() {
+            resolve(this.statusCode);
+          },
+        };
+        limiter({ ip, headers: {}, body: { challengeToken } }, res, () => resolve(200));
+      });
+
+    const forged = jwt.sign({ uid: "victim", type: "2fa_challenge" }, "not-the-secret");
+    const statuses = [];
+    for (let index = 0; index < 12; index += 1) {
+      statuses.push(await attempt("10.0.0.66", forged));
+    }
+
+    assert.equal(statuses.at(-1), 429);
+    assert.equal(await attempt("10.0.0.1", issueChallenge({ uid: "victim" })), 200);
+  });
+});